@@ -6,6 +6,7 @@ var Apis = require('../dl/src/rpc_api/ApiInstances');
 var ApplicationApi = require('../dl/src/rpc_api/ApplicationApi');
 var WalletApi = require('../dl/src/rpc_api/WalletApi');
 var DebugApi = require('../dl/src/rpc_api/DebugApi');
+var TradingApi = require('../dl/src/rpc_api/TradingApi');
 
 var iDB = require("../dl/src/idb-instance");
 var fakeIndexedDB = require('fake-indexeddb');
@@ -41,6 +42,7 @@ init_promise.then(()=> {
         repl_instance.context.$g.app = new ApplicationApi();
         repl_instance.context.$g.wallet = new WalletApi();
         repl_instance.context.$g.debug = new DebugApi();
+        repl_instance.context.$g.trading = new TradingApi();
     })
 }).catch(error => {
     console.log("[App.js] ----- ERROR ----->", error, error.stack);
@@ -69,6 +69,15 @@ class AccountActions {
         }
     }
     
+    /**
+     *  Prepares the transactions paying every row of a batch, see
+     *  ApplicationApi.batch_transfer. Confirming them is left to the caller.
+     */
+    batchTransfer(from_account, transfers, fee_asset_id = "1.3.0") {
+        fee_asset_id = accountUtils.getFinalFeeAsset(from_account, "transfer", fee_asset_id);
+        return application_api.batch_transfer({from_account, transfers, fee_asset_id});
+    }
+
     /**
      *  This method exists ont he AccountActions because after creating the account via the wallet, the account needs
      *  to be linked and added to the local database.
@@ -0,0 +1,89 @@
+import alt from "alt-instance";
+import WalletApi from "rpc_api/WalletApi";
+import WalletDb from "stores/WalletDb";
+import TransactionConfirmStore from "stores/TransactionConfirmStore";
+import ConditionalOrderUtils from "common/conditional_order_utils";
+
+let wallet_api = new WalletApi();
+
+class ConditionalOrderActions {
+
+    /**
+     *  order: {account, base, quote, type, side, amount, trigger, trail, slippage}
+     *  @param authorized - place the limit order without confirmation while the
+     *  wallet is unlocked, for the current session only
+     */
+    add(order, authorized = false) {
+        this.dispatch({order, authorized});
+    }
+
+    cancel(id) {
+        this.dispatch(id);
+    }
+
+    /** Saves the best price a trailing stop has seen */
+    setExtreme(id, extreme) {
+        this.dispatch({id, extreme});
+    }
+
+    setStatus(id, status, price, error = null) {
+        this.dispatch({id, status, price, error});
+    }
+
+    /**
+     *  Places the limit order of a triggered order at `price`, signed right
+     *  away if it is authorized and the wallet is unlocked, through the wallet
+     *  unlock prompt and the transaction confirmation otherwise. The order is
+     *  only "triggered" once the limit order was broadcast.
+     */
+    trigger(order, base, quote, price, authorized) {
+        this.dispatch({id: order.id, status: "triggering", price});
+
+        let {sellAmount, sellAsset, buyAmount, buyAsset} = ConditionalOrderUtils.getLimitOrder(order, base, quote, price);
+        let expiration = new Date();
+        expiration.setYear(expiration.getFullYear() + 5);
+
+        let tr = wallet_api.new_transaction();
+        tr.add_type_operation("limit_order_create", {
+            fee: {
+                amount: 0,
+                asset_id: "1.3.0"
+            },
+            seller: order.account,
+            amount_to_sell: {amount: sellAmount, asset_id: sellAsset.get("id")},
+            min_to_receive: {amount: buyAmount, asset_id: buyAsset.get("id")},
+            expiration,
+            fill_or_kill: false
+        });
+
+        let onError = error => {
+            console.log("Error in ConditionalOrderActions.trigger: ", error);
+            this.dispatch({id: order.id, status: "failed", price, error: error && error.message ? error.message : String(error)});
+        };
+
+        if (authorized && !WalletDb.isLocked()) {
+            WalletDb.process_transaction(tr, null, false).then(() => tr.broadcast()).then(() => {
+                this.dispatch({id: order.id, status: "triggered", price});
+            }).catch(onError);
+            return;
+        }
+
+        // Resolves as soon as the confirmation opens, the outcome comes from its store
+        WalletDb.process_transaction(tr, null, true).then(() => {
+            let onConfirm = confirm_store_state => {
+                if (confirm_store_state.included && confirm_store_state.broadcasted_transaction) {
+                    TransactionConfirmStore.unlisten(onConfirm);
+                    TransactionConfirmStore.reset();
+                    this.actions.setStatus.defer(order.id, "triggered", price);
+                } else if (confirm_store_state.closed) {
+                    TransactionConfirmStore.unlisten(onConfirm);
+                    TransactionConfirmStore.reset();
+                    this.actions.setStatus.defer(order.id, "failed", price, confirm_store_state.error || "The limit order was not confirmed");
+                }
+            };
+            TransactionConfirmStore.listen(onConfirm);
+        }).catch(onError);
+    }
+}
+
+export default alt.createActions(ConditionalOrderActions);
@@ -0,0 +1,15 @@
+import alt from "alt-instance";
+
+class MarginActions {
+
+    /** alert: {enabled, threshold, target}, threshold and target are collateral ratios, key: see MarginStore.getKey */
+    setAlert(key, alert) {
+        this.dispatch({key, alert});
+    }
+
+    removeAlert(key) {
+        this.dispatch(key);
+    }
+}
+
+export default alt.createActions(MarginActions);
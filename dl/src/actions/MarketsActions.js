@@ -24,6 +24,14 @@ let subBatchResults = Immutable.List();
 let dispatchSubTimeout = null;
 let subBatchTime = 500;
 
+// Orders loaded per side of the book, raised a page at a time by loadMoreOrders
+const ORDER_PAGE = 100;
+let bookDepths = {}; // subID: orders loaded per side of that market
+
+function getBookDepth(subID) {
+    return bookDepths[subID] || ORDER_PAGE;
+}
+
 function clearBatchTimeouts() {
     clearTimeout(dispatchCancelTimeout);
     clearTimeout(dispatchSubTimeout);
@@ -31,6 +39,54 @@ function clearBatchTimeouts() {
     dispatchSubTimeout = null;
 }
 
+function getCallOrders(marketAsset, depth) {
+    return Apis.instance().db_api().exec("get_call_orders", [
+        marketAsset.id, depth
+    ]);
+}
+
+function getSettleOrders(marketAsset, depth) {
+    return Apis.instance().db_api().exec("get_settle_orders", [
+        marketAsset.id, depth
+    ]);
+}
+
+/**
+ *  Limit orders of the market that changed in a batch of market notifications:
+ *  removed orders come as ids, new and updated ones as ids or objects and
+ *  fills name the order they filled. Orders named by an id are fetched.
+ *  @return Promise of [{id, order}], order is null for removed orders
+ */
+function getLimitOrderUpdates(notifications) {
+    let objects = {}, fetch = {};
+    let isLimitOrder = id => typeof id === "string" && id.split(".")[1] === "7";
+
+    notifications.forEach(result => {
+        result.forEach(notification => {
+            if (isLimitOrder(notification)) {
+                fetch[notification] = true;
+            } else if (notification && isLimitOrder(notification.id)) {
+                objects[notification.id] = notification;
+            } else if (notification && notification.length === 2 && notification[0] && notification[0][0] === 4) {
+                if (isLimitOrder(notification[0][1].order_id)) {
+                    fetch[notification[0][1].order_id] = true;
+                }
+            }
+        });
+    });
+
+    // Fetched orders are current, objects of the batch may have changed since
+    let ids = Object.keys(fetch);
+    return (ids.length ? Apis.instance().db_api().exec("get_objects", [ids]) : Promise.resolve([])).then(orders => {
+        ids.forEach((id, index) => {
+            objects[id] = orders[index];
+        });
+        return Object.keys(objects).map(id => {
+            return {id, order: objects[id]};
+        });
+    });
+}
+
 class MarketsActions {
 
     changeBase(market) {
@@ -128,12 +184,8 @@ class MarketsActions {
 
                     // Only check for call and settle orders if either the base or quote is the CORE asset
                     if (isMarketAsset) {
-                        callPromise = Apis.instance().db_api().exec("get_call_orders", [
-                            marketAsset.id, 100
-                        ]);
-                        settlePromise = Apis.instance().db_api().exec("get_settle_orders", [
-                            marketAsset.id, 100
-                        ]);
+                        callPromise = getCallOrders(marketAsset, getBookDepth(subID));
+                        settlePromise = getSettleOrders(marketAsset, getBookDepth(subID));
                     }
 
                     let startDate = new Date();
@@ -144,11 +196,10 @@ class MarketsActions {
                     startDateShort = new Date(startDateShort.getTime() - 3600 * 50 * 1000);
 
                     // Selectively call the different market api calls depending on the type
-                    // of operations received in the subscription update
+                    // of operations received in the subscription update, the
+                    // limit orders are updated from the notifications
                     Promise.all([
-                        Apis.instance().db_api().exec("get_limit_orders", [
-                            base.get("id"), quote.get("id"), 100
-                        ]),
+                        getLimitOrderUpdates(subBatchResults),
                         onlyLimitOrder ? null : callPromise,
                         onlyLimitOrder ? null : settlePromise,
                         !hasFill ? null : Apis.instance().history_api().exec("get_market_history", [
@@ -162,7 +213,7 @@ class MarketsActions {
                         .then(results => {
 
                             this.dispatch({
-                                limits: results[0],
+                                limitUpdates: results[0],
                                 calls: results[1],
                                 settles: results[2],
                                 price: results[3],
@@ -189,16 +240,13 @@ class MarketsActions {
         if (!subs[subID] || currentBucketSize !== bucketSize) {
             this.dispatch({switchMarket: true});
             currentBucketSize = bucketSize;
+            bookDepths[subID] = ORDER_PAGE;
             let callPromise = null,
                 settlePromise = null;
 
             if (isMarketAsset) {
-                callPromise = Apis.instance().db_api().exec("get_call_orders", [
-                    marketAsset.id, 100
-                ]);
-                settlePromise = Apis.instance().db_api().exec("get_settle_orders", [
-                    marketAsset.id, 100
-                ]);
+                callPromise = getCallOrders(marketAsset, ORDER_PAGE);
+                settlePromise = getSettleOrders(marketAsset, ORDER_PAGE);
             }
 
             let startDate = new Date();
@@ -212,7 +260,7 @@ class MarketsActions {
                     subscription, base.get("id"), quote.get("id")
                 ]),
                 Apis.instance().db_api().exec("get_limit_orders", [
-                    base.get("id"), quote.get("id"), 100
+                    base.get("id"), quote.get("id"), ORDER_PAGE
                 ]),
                 callPromise,
                 settlePromise,
@@ -237,6 +285,7 @@ class MarketsActions {
                     buckets: results[5],
                     history: results[6],
                     recent: results[7],
+                    depth: ORDER_PAGE,
                     market: subID,
                     base: base,
                     quote: quote,
@@ -250,6 +299,43 @@ class MarketsActions {
         return Promise.resolve(true);
     }
 
+    /**
+     *  Loads the next page of the order book of the subscribed market, the
+     *  limit, call and settle orders are replaced by the deeper book. The
+     *  page is dropped if the market was left or subscribed again meanwhile.
+     */
+    loadMoreOrders(base, quote) {
+        let {isMarketAsset, marketAsset, inverted} = marketUtils.isMarketAsset(quote, base);
+        let subID = quote.get("id") + "_" + base.get("id");
+        let subscription = subs[subID];
+        if (!subscription) return Promise.resolve(false);
+        let depth = getBookDepth(subID) + ORDER_PAGE;
+
+        return Promise.all([
+            Apis.instance().db_api().exec("get_limit_orders", [
+                base.get("id"), quote.get("id"), depth
+            ]),
+            isMarketAsset ? Apis.instance().db_api().exec("get_call_orders", [marketAsset.id, depth]) : null,
+            isMarketAsset ? Apis.instance().db_api().exec("get_settle_orders", [marketAsset.id, depth]) : null
+        ])
+        .then(results => {
+            if (subs[subID] !== subscription) return;
+            bookDepths[subID] = depth;
+            this.dispatch({
+                limits: results[0],
+                calls: results[1],
+                settles: results[2],
+                depth,
+                market: subID,
+                base,
+                quote,
+                inverted
+            });
+        }).catch((error) => {
+            console.log("Error in MarketsActions.loadMoreOrders: ", error);
+        });
+    }
+
     clearMarket() {
         clearBatchTimeouts();
         this.dipatch();
@@ -265,6 +351,7 @@ class MarketsActions {
                 .then((unSubResult) => {
                     this.dispatch({unSub: true});
                     delete subs[subID];
+                    delete bookDepths[subID];
 
                 }).catch((error) => {
                     subs[subID] = true;
@@ -384,6 +471,55 @@ class MarketsActions {
         });
     }
 
+    /**
+     *  Cancels an order and places its replacement in one transaction, both
+     *  operations pay their fee in fee_asset_id
+     */
+    replaceLimitOrder(account, orderID, sellAmount, sellAsset, buyAmount, buyAsset, expiration, isFillOrKill, fee_asset_id) {
+
+        var tr = wallet_api.new_transaction();
+
+        let feeAsset = ChainStore.getAsset(fee_asset_id);
+        if( feeAsset.getIn(["options", "core_exchange_rate", "base", "asset_id"]) === "1.3.0" && feeAsset.getIn(["options", "core_exchange_rate", "quote", "asset_id"]) === "1.3.0" ) {
+            fee_asset_id = "1.3.0";
+        }
+
+        tr.add_type_operation("limit_order_cancel", {
+            fee: {
+                amount: 0,
+                asset_id: fee_asset_id
+            },
+            "fee_paying_account": account,
+            "order": orderID
+        });
+
+        tr.add_type_operation("limit_order_create", {
+            fee: {
+                amount: 0,
+                asset_id: fee_asset_id
+            },
+            "seller": account,
+            "amount_to_sell": {
+                "amount": sellAmount,
+                "asset_id": sellAsset.get("id")
+            },
+            "min_to_receive": {
+                "amount": buyAmount,
+                "asset_id": buyAsset.get("id")
+            },
+            "expiration": expiration,
+            "fill_or_kill": isFillOrKill
+        });
+
+        return WalletDb.process_transaction(tr, null, true).then(result => {
+            return true;
+        })
+            .catch(error => {
+                console.log("replace order error:", error);
+                return {error};
+            });
+    }
+
     cancelLimitOrderSuccess(orderID) {
         if (!dispatchCancelTimeout) {
             cancelBatchIDs = cancelBatchIDs.push(orderID);
@@ -412,8 +548,13 @@ class MarketsActions {
     }
 
     settleOrderUpdate(asset) {
+        // As deep as the book of the subscribed market of the asset
+        let depth = Object.keys(bookDepths)
+            .filter(subID => subID.split("_").indexOf(asset) !== -1)
+            .reduce((max, subID) => Math.max(max, bookDepths[subID]), ORDER_PAGE);
+
         Apis.instance().db_api().exec("get_settle_orders", [
-            asset, 100
+            asset, depth
         ]).then(result => {
 
             this.dispatch({
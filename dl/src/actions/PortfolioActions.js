@@ -0,0 +1,36 @@
+var alt = require("../alt-instance");
+import PortfolioUtils from "common/portfolio_utils";
+import HistoryUtils from "common/history_utils";
+
+const performanceTTL = 10 * 60 * 1000; // 10 minutes
+
+let lastFetched = {};
+
+class PortfolioActions {
+
+    getPerformance(account_id) {
+        let now = new Date();
+        if (lastFetched[account_id] && (now - lastFetched[account_id]) < performanceTTL) {
+            return false;
+        }
+        lastFetched[account_id] = now;
+
+        this.dispatch({account_id, loading: true});
+
+        Promise.all([
+            HistoryUtils.fetchAccountHistory(account_id),
+            HistoryUtils.fetchBlockTime()
+        ]).then(([history, blockTime]) => {
+            let start = history.length ? blockTime(history[0].block_num) : Date.now();
+            return HistoryUtils.fetchPrices(PortfolioUtils.getAssets(history, account_id), start).then(prices => {
+                this.dispatch({account_id, performance: PortfolioUtils.compute(history, account_id, blockTime, prices)});
+            });
+        }).catch(error => {
+            console.log("Error in PortfolioActions.getPerformance: ", error);
+            delete lastFetched[account_id];
+            this.dispatch({account_id, error: error && error.message ? error.message : String(error)});
+        });
+    }
+}
+
+export default alt.createActions(PortfolioActions);
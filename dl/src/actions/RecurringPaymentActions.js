@@ -0,0 +1,27 @@
+import alt from "alt-instance";
+
+class RecurringPaymentActions {
+
+    /**
+     *  payment: {from_account, to_account, amount, asset_id, encrypted_memo, interval: {count, unit}, start, end}
+     *  where encrypted_memo is from WalletDb.encryptText, null without a memo
+     */
+    add(payment) {
+        this.dispatch(payment);
+    }
+
+    setEnabled(id, enabled) {
+        this.dispatch({id, enabled});
+    }
+
+    remove(id) {
+        this.dispatch(id);
+    }
+
+    /** Logs the payment due at `due` and schedules the next one, status: paid or skipped */
+    record(id, due, status, trx_id = null, block_num = null) {
+        this.dispatch({id, due, status, trx_id, block_num});
+    }
+}
+
+export default alt.createActions(RecurringPaymentActions);
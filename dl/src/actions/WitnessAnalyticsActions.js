@@ -0,0 +1,68 @@
+import alt from "alt-instance";
+import {Apis} from "graphenejs-ws";
+import assetConstants from "chain/asset_constants";
+
+const ASSET_PAGE = 100;
+// The list of witness fed assets is refreshed this often
+const ASSET_LIST_INTERVAL = 60 * 60 * 1000;
+
+let bitassetList = null; // {time, ids}, bitasset data ids of witness fed assets
+
+function fetchAssets(start = "", assets = []) {
+    return Apis.instance().db_api().exec("list_assets", [start, ASSET_PAGE]).then(page => {
+        // Pages after the first start with the last asset of the previous one
+        assets = assets.concat(start ? page.slice(1) : page);
+        if (page.length < ASSET_PAGE) return assets;
+        return fetchAssets(page[page.length - 1].symbol, assets);
+    });
+}
+
+function fetchBitassetIds() {
+    if (bitassetList && Date.now() - bitassetList.time < ASSET_LIST_INTERVAL) {
+        return Promise.resolve(bitassetList.ids);
+    }
+    return fetchAssets().then(assets => {
+        let ids = assets
+            .filter(asset => asset.bitasset_data_id && (asset.options.flags & assetConstants.permission_flags.witness_fed_asset))
+            .map(asset => asset.bitasset_data_id);
+        bitassetList = {time: Date.now(), ids};
+        return ids;
+    });
+}
+
+class WitnessAnalyticsActions {
+
+    /**
+     *  A new head block: {time, block_num, witness, latency, missed} where
+     *  latency is the delay in ms between the block time and its arrival and
+     *  missed maps active witness ids to their total_missed
+     */
+    sampleBlock(sample) {
+        this.dispatch(sample);
+    }
+
+    /** Records the latest feed publication time of every publisher of the witness fed assets */
+    sampleFeeds() {
+        return fetchBitassetIds().then(ids => {
+            if (!ids.length) return [];
+            return Apis.instance().db_api().exec("get_objects", [ids]);
+        }).then(bitassets => {
+            let publications = [];
+            bitassets.forEach(bitasset => {
+                if (!bitasset) return;
+                bitasset.feeds.forEach(([publisher, [time]]) => {
+                    publications.push({asset_id: bitasset.asset_id, publisher, time: new Date(time + "Z").getTime()});
+                });
+            });
+            this.dispatch(publications);
+        }).catch(error => {
+            console.log("Error in WitnessAnalyticsActions.sampleFeeds: ", error);
+        });
+    }
+
+    clear() {
+        this.dispatch();
+    }
+}
+
+export default alt.createActions(WitnessAnalyticsActions);
@@ -0,0 +1,117 @@
+import {Apis} from "graphenejs-ws";
+
+// Balance objects are fetched this many ids at a time
+export const PAGE_SIZE = 500;
+// The scan ends after this many pages without any balance object
+const EMPTY_PAGES = 2;
+// Accounts per get_full_accounts call
+const ACCOUNT_BATCH = 50;
+
+function balanceIds(start, count) {
+    let ids = [];
+    for (let i = start; i < start + count; i++) {
+        ids.push("2.5." + i);
+    }
+    return ids;
+}
+
+/**
+ *  Holders of an asset. There is no API call listing the balances of an
+ *  asset so every account balance object is scanned, in id order, keeping
+ *  the balances in the asset.
+ */
+export default class AssetHolderUtils {
+
+    /**
+     *  @return Promise of {balances, empty} of the balance objects from id
+     *  2.5.start, balances are {owner: amount} in the asset and empty is true
+     *  when the page had no balance object at all
+     */
+    static fetchBalancePage(asset_id, start, count = PAGE_SIZE) {
+        return Apis.instance().db_api().exec("get_objects", [balanceIds(start, count)]).then(objects => {
+            let balances = {};
+            let found = 0;
+            objects.forEach(object => {
+                if (!object) return;
+                found++;
+                let amount = parseInt(object.balance, 10);
+                if (object.asset_type === asset_id && amount > 0) {
+                    balances[object.owner] = amount;
+                }
+            });
+            return {balances, empty: !found};
+        });
+    }
+
+    /** @return true once `emptyPages` consecutive pages had no balance object */
+    static isScanDone(emptyPages) {
+        return emptyPages >= EMPTY_PAGES;
+    }
+
+    /**
+     *  An account has a single balance object per asset so the holders of a
+     *  page are never already in `top`.
+     *  @return [{account, balance}] of the `count` largest of `top` and of
+     *  the balances of a page, largest first
+     */
+    static mergeTopHolders(top, balances, count) {
+        return top
+            .concat(Object.keys(balances).map(account => ({account, balance: balances[account]})))
+            .sort((a, b) => b.balance - a.balance)
+            .slice(0, count);
+    }
+
+    /** @return share of the supply held by the first `count` of the sorted holders, from 0 to 1 */
+    static getShare(holders, supply, count) {
+        if (!supply) return 0;
+        return holders.slice(0, count).reduce((total, holder) => total + holder.balance, 0) / supply;
+    }
+
+    /**
+     *  @return [[name, amount]] of the supply held by the top 10, the rest of
+     *  the top 100 and everyone else, which includes open orders and
+     *  collateral since those are not in balance objects
+     */
+    static getDistribution(holders, supply) {
+        let sum = list => list.reduce((total, holder) => total + holder.balance, 0);
+        let top10 = sum(holders.slice(0, 10));
+        let top100 = sum(holders.slice(10, 100));
+        return [
+            ["top10", top10],
+            ["top100", top100],
+            ["others", Math.max(0, supply - top10 - top100)]
+        ];
+    }
+
+    /**
+     *  @return Promise of {account_id: {orders, collateral}} of the asset
+     *  for sale in the open orders of the accounts and held as collateral in
+     *  their margin positions
+     */
+    static fetchOrders(asset_id, account_ids) {
+        let batches = [];
+        for (let i = 0; i < account_ids.length; i += ACCOUNT_BATCH) {
+            batches.push(account_ids.slice(i, i + ACCOUNT_BATCH));
+        }
+
+        return Promise.all(batches.map(batch => {
+            return Apis.instance().db_api().exec("get_full_accounts", [batch, false]);
+        })).then(results => {
+            let orders = {};
+            results.forEach(accounts => {
+                accounts.forEach(([account_id, full_account]) => {
+                    let sum = (list, filter, amount) => list.filter(filter).reduce((total, item) => total + parseInt(amount(item), 10), 0);
+                    orders[account_id] = {
+                        orders: sum(full_account.limit_orders || [],
+                            order => order.sell_price.base.asset_id === asset_id,
+                            order => order.for_sale),
+                        collateral: sum(full_account.call_orders || [],
+                            order => order.call_price.base.asset_id === asset_id,
+                            order => order.collateral)
+                    };
+                });
+            });
+            return orders;
+        });
+    }
+}
@@ -0,0 +1,78 @@
+import utils from "common/utils";
+
+export const TYPES = ["stop_loss", "take_profit", "trailing_stop"];
+
+/**
+ *  Trigger rules of conditional orders. Prices are in base per unit of quote;
+ *  a "sell" order sells `amount` satoshis of the quote asset, a "buy" order
+ *  buys them.
+ *
+ *  - stop_loss: sells once the price falls to the trigger, buys once it rises to it
+ *  - take_profit: sells once the price rises to the trigger, buys once it falls to it
+ *  - trailing_stop: follows the best price since it was armed and triggers
+ *    once the price moves back from it by `trail`, 0.05 for 5%
+ */
+export default class ConditionalOrderUtils {
+
+    /** @return price of the latest fill of the market history, null if there is none for this market */
+    static getLatestPrice(history, base, quote) {
+        let latest = history.first();
+        // The history of the previous market is kept until the new one loads
+        if (!latest || [latest.pays.asset_id, latest.receives.asset_id].sort().join() !== [base.get("id"), quote.get("id")].sort().join()) {
+            return null;
+        }
+
+        let baseSide = latest.pays.asset_id === base.get("id") ? latest.pays : latest.receives;
+        let quoteSide = latest.pays.asset_id === base.get("id") ? latest.receives : latest.pays;
+        return utils.get_asset_amount(baseSide.amount, base) / utils.get_asset_amount(quoteSide.amount, quote);
+    }
+
+    /** @return true if the price has reached the trigger price of a stop loss or take profit */
+    static isTriggered(order, price) {
+        let falling = (order.type === "stop_loss") === (order.side === "sell");
+        return falling ? price <= order.trigger : price >= order.trigger;
+    }
+
+    /**
+     *  @param extreme - best price seen by a trailing stop, null when it is armed
+     *  @return {triggered, extreme} after a new price
+     */
+    static check(order, price, extreme = order.extreme) {
+        if (order.type !== "trailing_stop") {
+            return {triggered: this.isTriggered(order, price), extreme: null};
+        }
+
+        let sell = order.side === "sell";
+        if (extreme === null || extreme === undefined || (sell ? price > extreme : price < extreme)) {
+            extreme = price;
+        }
+        let triggered = sell ? price <= extreme * (1 - order.trail) : price >= extreme * (1 + order.trail);
+        return {triggered, extreme};
+    }
+
+    /**
+     *  @param price - market price the order triggered at, the limit order is
+     *  placed `slippage` worse than it so it fills
+     *  @return {sellAmount, sellAsset, buyAmount, buyAsset} of the limit order, amounts in satoshis
+     */
+    static getLimitOrder(order, base, quote, price) {
+        let amount = utils.get_asset_amount(order.amount, quote);
+        if (order.side === "sell") {
+            let limit = price * (1 - order.slippage);
+            return {
+                sellAmount: order.amount,
+                sellAsset: quote,
+                buyAmount: Math.max(1, Math.floor(amount * limit * utils.get_asset_precision(base.get("precision")))),
+                buyAsset: base
+            };
+        } else {
+            let limit = price * (1 + order.slippage);
+            return {
+                sellAmount: Math.ceil(amount * limit * utils.get_asset_precision(base.get("precision"))),
+                sellAsset: base,
+                buyAmount: order.amount,
+                buyAsset: quote
+            };
+        }
+    }
+}
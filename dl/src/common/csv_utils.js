@@ -0,0 +1,64 @@
+/**
+ *  Reads and writes comma separated values as produced by spreadsheets:
+ *  fields may be quoted, quoted fields may hold commas, line breaks and
+ *  doubled quotes.
+ */
+export default class CsvUtils {
+
+    /**
+     *  @return array of rows, each an array of field strings with the number
+     *  of the line it starts on as `line`, empty lines are skipped
+     */
+    static parse(text) {
+        let rows = [];
+        let row = [], field = "", quoted = false;
+        let line = 1, start = 1;
+
+        let endRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0].trim() !== "") {
+                row.line = start;
+                rows.push(row);
+            }
+            row = [];
+            field = "";
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            let c = text.charAt(i);
+            if (quoted) {
+                if (c === "\"" && text.charAt(i + 1) === "\"") {
+                    field += c;
+                    i++;
+                } else if (c === "\"") {
+                    quoted = false;
+                } else {
+                    if (c === "\n") line++;
+                    field += c;
+                }
+            } else if (c === "\"") {
+                quoted = true;
+            } else if (c === ",") {
+                row.push(field);
+                field = "";
+            } else if (c === "\n") {
+                endRow();
+                start = ++line;
+            } else if (c !== "\r") {
+                field += c;
+            }
+        }
+        if (field !== "" || row.length) endRow();
+
+        return rows;
+    }
+
+    static stringify(rows) {
+        return rows.map(row => {
+            return row.map(value => {
+                let field = value === null || value === undefined ? "" : String(value);
+                return /[",\r\n]/.test(field) ? "\"" + field.replace(/"/g, "\"\"") + "\"" : field;
+            }).join(",");
+        }).join("\n") + "\n";
+    }
+}
@@ -0,0 +1,207 @@
+import {ChainTypes} from "graphenejs-lib";
+import PortfolioUtils from "common/portfolio_utils";
+import CsvUtils from "common/csv_utils";
+
+let {operations} = ChainTypes;
+let ops = Object.keys(operations);
+
+const CORE = "1.3.0";
+
+export const COLUMNS = [
+    "id", "date", "block", "type",
+    "sent_amount", "sent_asset", "received_amount", "received_asset", "fee_amount", "fee_asset",
+    "counterparty", "memo", "proceeds", "cost_basis", "gain", "basis_asset"
+];
+
+/** @return exact decimal string of a satoshi amount */
+function formatAmount(satoshis, precision) {
+    if (satoshis === null || satoshis === undefined) return "";
+    let negative = satoshis < 0;
+    let digits = String(Math.abs(Math.round(satoshis)));
+    if (precision > 0) {
+        while (digits.length <= precision) digits = "0" + digits;
+        digits = digits.slice(0, -precision) + "." + digits.slice(-precision);
+    }
+    return (negative ? "-" : "") + digits;
+}
+
+function counterparty(type, data, account_id) {
+    switch (type) {
+        case "transfer":
+        case "override_transfer":
+            return data.from === account_id ? data.to : data.from;
+        case "asset_issue":
+            return data.issuer;
+        default:
+            return null;
+    }
+}
+
+/**
+ *  Turns the operation history of an account into accounting rows: one row
+ *  per operation that changed the account balances, with what was sent,
+ *  received and paid in fees. Market fills also get the proceeds, cost basis
+ *  and gain in the core asset of what they sold.
+ *
+ *  The cost basis comes from lots: every acquisition opens a lot at its value
+ *  in the core asset, the price paid for fills and the market price of the
+ *  day for anything else; disposals close lots first in first out or last in
+ *  first out. Amounts disposed of beyond the known lots have no cost basis.
+ */
+export default class HistoryExport {
+
+    /**
+     *  @param history - operations of the account, oldest first
+     *  @param blockTime - function returning the time of a block number
+     *  @param prices - see PortfolioUtils.priceAt
+     *  @param method - "fifo" or "lifo"
+     *  @param decodeMemo - function returning the text of a memo, null if unknown
+     *  @return rows with amounts in satoshis
+     */
+    static getRows(history, account_id, blockTime, prices, method = "fifo", decodeMemo = () => null) {
+        let lots = {}; // asset_id: [{amount, cost}], oldest first
+
+        let acquire = (asset, cost) => {
+            if (asset.asset_id === CORE || asset.amount <= 0) return;
+            (lots[asset.asset_id] = lots[asset.asset_id] || []).push({amount: asset.amount, cost});
+        };
+
+        // @return cost basis of what was disposed of
+        let dispose = asset => {
+            let open = lots[asset.asset_id] || [];
+            let remaining = asset.amount, cost = 0;
+            while (remaining > 0 && open.length) {
+                let lot = method === "lifo" ? open[open.length - 1] : open[0];
+                let taken = Math.min(remaining, lot.amount);
+                let taken_cost = lot.cost * taken / lot.amount;
+                cost += taken_cost;
+                lot.cost -= taken_cost;
+                lot.amount -= taken;
+                remaining -= taken;
+                if (!lot.amount) {
+                    if (method === "lifo") open.pop();
+                    else open.shift();
+                }
+            }
+            return cost;
+        };
+
+        let rows = [];
+        history.forEach(op => {
+            let {trade, flows, fee} = PortfolioUtils.getChanges(op, account_id);
+            if (!trade && !flows.length && !fee) return;
+
+            let [type, data] = op.op;
+            let time = blockTime(op.block_num);
+            let day = PortfolioUtils.dayOf(time);
+            let value = asset => asset.amount * (PortfolioUtils.priceAt(prices, asset.asset_id, day) || 0);
+
+            let row = {
+                id: op.id,
+                date: new Date(time).toISOString(),
+                block: op.block_num,
+                type: ops[type],
+                sent: null,
+                received: null,
+                fee,
+                counterparty: counterparty(ops[type], data, account_id),
+                memo: data.memo ? decodeMemo(data.memo) : null,
+                proceeds: null,
+                cost_basis: null,
+                gain: null
+            };
+
+            if (trade) {
+                let {pays, receives} = trade;
+                let proceeds = pays.asset_id === CORE ? pays.amount :
+                    receives.asset_id === CORE ? receives.amount :
+                    value(receives) || value(pays);
+                row.sent = pays;
+                row.received = receives;
+                if (pays.asset_id !== CORE) {
+                    row.proceeds = proceeds;
+                    row.cost_basis = dispose(pays);
+                    row.gain = proceeds - row.cost_basis;
+                }
+                acquire(receives, proceeds);
+            }
+
+            flows.forEach(flow => {
+                if (flow.amount > 0) {
+                    row.received = flow;
+                    acquire(flow, value(flow));
+                } else {
+                    row.sent = {asset_id: flow.asset_id, amount: -flow.amount};
+                    dispose(row.sent);
+                }
+            });
+
+            if (fee) dispose(fee);
+
+            rows.push(row);
+        });
+
+        return rows;
+    }
+
+    /** @return rows between two times in ms, both optional and inclusive */
+    static filterDates(rows, from, to) {
+        return rows.filter(row => {
+            let time = new Date(row.date).getTime();
+            return (!from || time >= from) && (!to || time <= to);
+        });
+    }
+
+    /**
+     *  @param assets - {asset_id: {symbol, precision}}
+     *  @param accounts - {account_id: name}
+     *  @return rows of decimal strings and names keyed by COLUMNS
+     */
+    static format(rows, assets, accounts) {
+        let core = assets[CORE];
+        let amount = asset => asset ? formatAmount(asset.amount, assets[asset.asset_id].precision) : "";
+        let symbol = asset => asset ? assets[asset.asset_id].symbol : "";
+        let core_amount = satoshis => satoshis === null ? "" : formatAmount(satoshis, core.precision);
+
+        return rows.map(row => {
+            return {
+                id: row.id,
+                date: row.date,
+                block: row.block,
+                type: row.type,
+                sent_amount: amount(row.sent),
+                sent_asset: symbol(row.sent),
+                received_amount: amount(row.received),
+                received_asset: symbol(row.received),
+                fee_amount: amount(row.fee),
+                fee_asset: symbol(row.fee),
+                counterparty: row.counterparty ? accounts[row.counterparty] || row.counterparty : "",
+                memo: row.memo || "",
+                proceeds: core_amount(row.proceeds),
+                cost_basis: core_amount(row.cost_basis),
+                gain: core_amount(row.gain),
+                basis_asset: row.proceeds === null ? "" : core.symbol
+            };
+        });
+    }
+
+    static toCSV(formatted) {
+        return CsvUtils.stringify([COLUMNS].concat(formatted.map(row => COLUMNS.map(column => row[column]))));
+    }
+
+    static toJSON(formatted) {
+        return JSON.stringify(formatted, null, 2);
+    }
+
+    /** @return ids of the accounts and assets the rows refer to */
+    static getReferences(rows) {
+        let accounts = {}, assets = {[CORE]: true};
+        rows.forEach(row => {
+            if (row.counterparty) accounts[row.counterparty] = true;
+            [row.sent, row.received, row.fee].forEach(asset => {
+                if (asset) assets[asset.asset_id] = true;
+            });
+        });
+        return {accounts: Object.keys(accounts), assets: Object.keys(assets)};
+    }
+}
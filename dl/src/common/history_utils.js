@@ -0,0 +1,129 @@
+import {Apis} from "graphenejs-ws";
+import {FetchChain} from "graphenejs-lib";
+import utils from "common/utils";
+
+const DAY = 24 * 60 * 60 * 1000;
+const HISTORY_PAGE = 100;
+const MAX_BUCKETS = 200;
+// Block headers requested at once
+const HEADER_BATCH = 50;
+
+let blockTimes = {}; // block_num: time in ms, blocks never change once in an account history
+
+function dayOf(time) {
+    return Math.floor(time / DAY) * DAY;
+}
+
+/**
+ *  Reads the full history of an account and the market prices needed to value
+ *  it, page by page, from the history API.
+ */
+export default class HistoryUtils {
+
+    /** @return all operations of the account the API node keeps, oldest first */
+    static fetchAccountHistory(account_id, start = "1.11.0", history = []) {
+        return Apis.instance().history_api().exec("get_account_history", [
+            account_id, "1.11.0", HISTORY_PAGE, start
+        ]).then(page => {
+            history = history.concat(page);
+            let last = page.length ? parseInt(page[page.length - 1].id.split(".")[2], 10) : 0;
+            if (page.length < HISTORY_PAGE || last <= 1) {
+                return history.reverse();
+            }
+            return HistoryUtils.fetchAccountHistory(account_id, "1.11." + (last - 1), history);
+        });
+    }
+
+    /**
+     *  @return function estimating the time in ms of a block number, like
+     *  utils.calc_block_time. The error grows with missed blocks and
+     *  maintenance skips, use fetchBlockTimes where dates must be exact.
+     */
+    static fetchBlockTime() {
+        return Promise.all([
+            FetchChain("getObject", "2.0.0"),
+            FetchChain("getObject", "2.1.0")
+        ]).then(([globalObject, dynGlobalObject]) => {
+            return block_num => utils.calc_block_time(block_num, globalObject, dynGlobalObject).getTime();
+        });
+    }
+
+    /**
+     *  Fetches the headers of the blocks not fetched before, in batches.
+     *  @return function returning the time in ms of one of the block numbers
+     */
+    static fetchBlockTimes(block_nums) {
+        let missing = block_nums.filter((block_num, index) => {
+            return !blockTimes.hasOwnProperty(block_num) && block_nums.indexOf(block_num) === index;
+        });
+        let batches = [];
+        for (let i = 0; i < missing.length; i += HEADER_BATCH) {
+            batches.push(missing.slice(i, i + HEADER_BATCH));
+        }
+
+        return batches.reduce((previous, batch) => {
+            return previous.then(() => Promise.all(batch.map(block_num => {
+                return Apis.instance().db_api().exec("get_block_header", [block_num]).then(header => {
+                    if (!header) throw new Error("Block " + block_num + " not found");
+                    blockTimes[block_num] = new Date(header.timestamp + "Z").getTime();
+                });
+            })));
+        }, Promise.resolve()).then(() => block_num => blockTimes[block_num]);
+    }
+
+    /** @return [[day, price]] daily closing prices of an asset in core satoshis per satoshi since `start` */
+    static fetchDailyPrices(asset_id, start) {
+        let windows = [];
+        for (let from = dayOf(start); from <= Date.now(); from += MAX_BUCKETS * DAY) {
+            windows.push(from);
+        }
+
+        return windows.reduce((previous, from) => {
+            return previous.then(prices => {
+                return Apis.instance().history_api().exec("get_market_history", [
+                    "1.3.0", asset_id, 86400, new Date(from).toISOString().slice(0, -5), new Date(from + MAX_BUCKETS * DAY).toISOString().slice(0, -5)
+                ]).then(buckets => prices.concat(HistoryUtils.getPrices(buckets)));
+            });
+        }, Promise.resolve([]));
+    }
+
+    /** @return [[day, price]] closing prices of get_market_history buckets of an asset against the core asset */
+    static getPrices(buckets) {
+        return buckets.map(bucket => {
+            let core_per_asset = bucket.key.base === "1.3.0" ?
+                bucket.close_base / bucket.close_quote :
+                bucket.close_quote / bucket.close_base;
+            return [dayOf(new Date(bucket.key.open + "+00:00").getTime()), core_per_asset];
+        }).filter(price => isFinite(price[1]));
+    }
+
+    /** @return current price of an asset in the core asset from its feed or core exchange rate */
+    static currentPrice(asset) {
+        let rate = asset.get("bitasset") ?
+            asset.getIn(["bitasset", "current_feed", "settlement_price"]) :
+            asset.getIn(["options", "core_exchange_rate"]);
+        if (!utils.isValidPrice(rate)) return null;
+
+        let base = rate.get("base").toJS(), quote = rate.get("quote").toJS();
+        return base.asset_id === "1.3.0" ? base.amount / quote.amount : quote.amount / base.amount;
+    }
+
+    /** @return {asset_id: {days, current}} prices of the assets for PortfolioUtils.compute */
+    static fetchPrices(assets, start) {
+        assets = assets.filter(id => id !== "1.3.0");
+        return Promise.all(assets.map(asset_id => {
+            return Promise.all([
+                HistoryUtils.fetchDailyPrices(asset_id, start),
+                FetchChain("getAsset", asset_id)
+            ]).then(([days, asset]) => {
+                return {days, current: asset ? HistoryUtils.currentPrice(asset) : null};
+            });
+        })).then(results => {
+            let prices = {};
+            assets.forEach((asset_id, index) => {
+                prices[asset_id] = results[index];
+            });
+            return prices;
+        });
+    }
+}
@@ -0,0 +1,88 @@
+import {ChainStore} from "graphenejs-lib";
+import utils from "common/utils";
+import MarginStore from "stores/MarginStore";
+
+/**
+ *  Collateral ratios of call orders against the current price feed of their
+ *  debt asset. Prices are in collateral per unit of debt, like the feed.
+ */
+export default class MarginUtils {
+
+    /** @return feed price in collateral per unit of debt, null without a feed */
+    static getFeedPrice(debtAsset, collateralAsset) {
+        let settlement = debtAsset.getIn(["bitasset", "current_feed", "settlement_price"]);
+        if (!settlement || !settlement.getIn(["base", "amount"]) || !settlement.getIn(["quote", "amount"])) {
+            return null;
+        }
+
+        let debtIsBase = settlement.getIn(["base", "asset_id"]) === debtAsset.get("id");
+        let debtSide = settlement.get(debtIsBase ? "base" : "quote");
+        let collateralSide = settlement.get(debtIsBase ? "quote" : "base");
+        return utils.get_asset_amount(collateralSide.get("amount"), collateralAsset) /
+            utils.get_asset_amount(debtSide.get("amount"), debtAsset);
+    }
+
+    /**
+     *  @return {debt, collateral, feedPrice, ratio, maintenanceRatio,
+     *  liquidationPrice, distance}, amounts in units of the assets; distance is
+     *  how much the feed price can rise before a margin call, 0.1 for 10%
+     */
+    static getPosition(callOrder, debtAsset, collateralAsset) {
+        let debt = utils.get_asset_amount(callOrder.get("debt"), debtAsset);
+        let collateral = utils.get_asset_amount(callOrder.get("collateral"), collateralAsset);
+        let feedPrice = this.getFeedPrice(debtAsset, collateralAsset);
+        let maintenanceRatio = debtAsset.getIn(["bitasset", "current_feed", "maintenance_collateral_ratio"]) / 1000;
+
+        let ratio = feedPrice && debt ? collateral / (debt * feedPrice) : null;
+        return {
+            debt,
+            collateral,
+            feedPrice,
+            ratio,
+            maintenanceRatio,
+            liquidationPrice: debt && maintenanceRatio ? collateral / (debt * maintenanceRatio) : null,
+            distance: ratio && maintenanceRatio ? ratio / maintenanceRatio - 1 : null
+        };
+    }
+
+    /**
+     *  @param account_names - accounts to list the call orders of
+     *  @return [{key, account, callOrder, debtAsset, collateralAsset, position, alert}]
+     *  of the call orders loaded so far, see getPosition and MarginStore.getAlert
+     */
+    static getPositions(account_names) {
+        let positions = [];
+        account_names.forEach(name => {
+            let account = ChainStore.getAccount(name);
+            if (!account || !account.get("call_orders")) return;
+
+            account.get("call_orders").forEach(id => {
+                let callOrder = ChainStore.getObject(id);
+                if (!callOrder) return;
+                let debtAsset = ChainStore.getAsset(callOrder.getIn(["call_price", "quote", "asset_id"]));
+                let collateralAsset = ChainStore.getAsset(callOrder.getIn(["call_price", "base", "asset_id"]));
+                if (!debtAsset || !collateralAsset || !debtAsset.get("bitasset")) return;
+
+                let position = this.getPosition(callOrder, debtAsset, collateralAsset);
+                let key = MarginStore.getKey(account.get("id"), debtAsset.get("id"));
+                positions.push({
+                    key,
+                    account,
+                    callOrder,
+                    debtAsset,
+                    collateralAsset,
+                    position,
+                    alert: MarginStore.getAlert(key, position.maintenanceRatio)
+                });
+            });
+        });
+        return positions;
+    }
+
+    /** @return collateral in satoshis to add for the position to reach a ratio, 0 if it already has */
+    static getTopUp(position, targetRatio, collateralAsset) {
+        if (!position.feedPrice) return 0;
+        let missing = targetRatio * position.debt * position.feedPrice - position.collateral;
+        return missing > 0 ? Math.ceil(missing * utils.get_asset_precision(collateralAsset.get("precision"))) : 0;
+    }
+}
@@ -355,6 +355,71 @@ class MarketUtils {
         };
     }
 
+    // Price grouping steps of the order book: up to four powers of ten below
+    // the price, none finer than the precision of the base asset
+    static getGroupingSteps(price, base) {
+        if (!price || !isFinite(price)) {
+            return [];
+        }
+        let basePrecision = base.toJS ? base.get("precision") : base.precision;
+        let magnitude = Math.floor(Math.log10(price));
+        let steps = [];
+        for (let exponent = Math.max(magnitude - 4, -basePrecision); exponent < magnitude; exponent++) {
+            steps.push(parseFloat(Math.pow(10, exponent).toFixed(Math.max(0, -exponent))));
+        }
+        return steps;
+    }
+
+    // Bids are rounded down and asks up so a group never shows a better
+    // price than its orders
+    static getGroupPrice(price, step, type) {
+        let decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        let steps = price / step;
+        steps = type === "bid" ? Math.floor(steps + 1e-9) : Math.ceil(steps - 1e-9);
+        return parseFloat((steps * step).toFixed(decimals));
+    }
+
+    /**
+     *  Sums the order book rows of MarketsStore._orderBook in price groups of
+     *  `step`. A group takes the sell_price of its worst order so clicking it
+     *  fills the whole group, and keeps the base value of asks in value_for_sale.
+     */
+    static groupOrders(orders, step, type, base, quote) {
+        let groups = {};
+        orders.forEach(order => {
+            let price = this.getGroupPrice(order.price_full, step, type);
+            let group = groups[price];
+            if (!group) {
+                group = groups[price] = {
+                    price: utils.price_to_text(price, quote, base),
+                    price_full: price,
+                    amount: 0,
+                    value: 0,
+                    for_sale: 0,
+                    value_for_sale: 0,
+                    type: order.type,
+                    sell_price: order.sell_price,
+                    worst_price: order.price_full,
+                    count: 0
+                };
+            }
+            group.amount += order.amount;
+            group.value += order.value;
+            group.for_sale += order.for_sale;
+            group.value_for_sale += order.sell_price.quote.amount * order.for_sale / order.sell_price.base.amount;
+            group.count++;
+            if (order.type !== "call") {
+                group.type = order.type;
+            }
+            if (type === "bid" ? order.price_full < group.worst_price : order.price_full > group.worst_price) {
+                group.worst_price = order.price_full;
+                group.sell_price = order.sell_price;
+            }
+        });
+
+        return Object.keys(groups).map(price => groups[price]);
+    }
+
 }
 
 export default MarketUtils;
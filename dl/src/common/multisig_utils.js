@@ -0,0 +1,349 @@
+import {ChainStore, FetchChain, TransactionBuilder, Signature, ops} from "graphenejs-lib";
+import {Apis} from "graphenejs-ws";
+import bs58 from "./base58";
+import PrivateKeyStore from "stores/PrivateKeyStore";
+import WalletDb from "stores/WalletDb";
+import WalletUnlockActions from "actions/WalletUnlockActions";
+
+// Exported transactions have to live until every co-signer has signed
+const EXPORT_EXPIRATION = 24 * 60 * 60;
+
+// Operation fields holding the account that pays the fee and has to approve
+// it, only used offline where the node cannot tell the required keys
+const REQUIRED_ACCOUNT_FIELDS = [
+    "fee_paying_account", "fee_payer", "issuer", "from", "seller", "funding_account",
+    "registrar", "account", "authorizing_account", "account_to_upgrade", "account_id",
+    "payer", "from_account", "publisher", "witness_account", "withdraw_to_account",
+    "withdraw_from_account", "committee_member_account", "creator", "deposit_to_account", "owner"
+];
+
+function isAccountId(value) {
+    return typeof value === "string" && /^1\.2\.\d+$/.test(value);
+}
+
+/** Collects every protocol object id (1.x.y) referenced by an operation */
+function collectObjectIds(value, ids) {
+    if (typeof value === "string") {
+        if (/^1\.\d+\.\d+$/.test(value) && ids.indexOf(value) === -1) ids.push(value);
+    } else if (value && typeof value === "object") {
+        Object.keys(value).forEach(key => collectObjectIds(value[key], ids));
+    }
+    return ids;
+}
+
+/**
+ *  Helpers for transactions that are signed by several wallets: a transaction
+ *  is finalized and partially signed in one wallet, passed on as JSON or
+ *  base58, and completed and broadcast by another wallet.
+ */
+export default class MultiSigUtils {
+
+    /**
+     *  Finalizes a transaction with a long expiration and signs it with the
+     *  signers already added by WalletDb.process_transaction, if any.
+     */
+    static finalizeForExport(tr) {
+        return Promise.all([
+            FetchChain("getObject", "2.0.0"),
+            FetchChain("getObject", "2.1.0")
+        ]).then(([globalObject, dynamicObject]) => {
+            let maxExpiration = globalObject.getIn(["parameters", "maximum_time_until_expiration"]);
+            let headTime = new Date(dynamicObject.get("time") + "Z").getTime() / 1000;
+            tr.expiration = Math.floor(headTime) + Math.min(EXPORT_EXPIRATION, maxExpiration);
+
+            return tr.finalize();
+        }).then(() => {
+            if (tr.signer_private_keys.length) {
+                tr.sign();
+            }
+            return tr;
+        });
+    }
+
+    static toJSON(tr) {
+        return JSON.stringify(ops.signed_transaction.toObject(tr), null, 2);
+    }
+
+    static toBase58(tr) {
+        return bs58.encode(ops.signed_transaction.toBuffer(tr));
+    }
+
+    /**
+     *  Bundles the transaction with the chain id and the chain objects needed
+     *  to review and sign it on a machine without a connection to the chain:
+     *  the global properties, every object the operations refer to and the
+     *  accounts that take part in the authorities of the accounts involved.
+     *  @return Promise resolving with the package as JSON text
+     */
+    static toOfflinePackage(tr) {
+        let db = Apis.instance().db_api();
+        let transaction = ops.signed_transaction.toObject(tr);
+        let ids = collectObjectIds(transaction.operations, ["2.0.0", "2.1.0", "1.3.0"]);
+
+        return db.exec("get_objects", [ids]).then(objects => {
+            let authorityAccounts = [];
+            objects.forEach(object => {
+                if (!object || !isAccountId(object.id)) return;
+                ["active", "owner"].forEach(role => {
+                    object[role].account_auths.forEach(auth => {
+                        if (ids.indexOf(auth[0]) === -1 && authorityAccounts.indexOf(auth[0]) === -1) {
+                            authorityAccounts.push(auth[0]);
+                        }
+                    });
+                });
+            });
+
+            return authorityAccounts.length ?
+                db.exec("get_objects", [authorityAccounts]).then(accounts => objects.concat(accounts)) :
+                objects;
+        }).then(objects => {
+            return JSON.stringify({
+                chain_id: Apis.instance().chain_id,
+                transaction,
+                objects: objects.filter(object => !!object)
+            }, null, 2);
+        });
+    }
+
+    /** @return {chain_id, objects, tr} from toOfflinePackage output, throws if invalid */
+    static parsePackage(text) {
+        let object = JSON.parse(text);
+        if (!object.chain_id || !Array.isArray(object.objects) || !object.transaction) {
+            throw new Error("not an offline signing package");
+        }
+        return {
+            chain_id: object.chain_id,
+            objects: object.objects,
+            tr: MultiSigUtils.fromText(JSON.stringify(object.transaction))
+        };
+    }
+
+    /** @return finalized TransactionBuilder from toJSON, toBase58 or toOfflinePackage output, throws if invalid */
+    static fromText(text) {
+        text = text.trim();
+        let trx;
+        if (text.charAt(0) === "{") {
+            let object = JSON.parse(text);
+            if (object.transaction && object.objects) {
+                object = object.transaction;
+            }
+            // Dates are exported without a timezone but are always UTC
+            if (typeof object.expiration === "string" && !/Z$/.test(object.expiration)) {
+                object.expiration += "Z";
+            }
+            trx = ops.signed_transaction.fromObject(object);
+        } else {
+            trx = ops.signed_transaction.fromBuffer(new Buffer(bs58.decode(text)));
+        }
+
+        if (!trx.operations.length) {
+            throw new Error("no operations");
+        }
+
+        let tr = new TransactionBuilder();
+        tr.ref_block_num = trx.ref_block_num;
+        tr.ref_block_prefix = trx.ref_block_prefix;
+        tr.expiration = trx.expiration;
+        tr.operations = trx.operations;
+        tr.signatures = trx.signatures;
+        tr.tr_buffer = ops.transaction.toBuffer(tr);
+        tr.signed = tr.signatures.length > 0;
+        return tr;
+    }
+
+    static isExpired(tr) {
+        return tr.expiration * 1000 <= Date.now();
+    }
+
+    /** @return public key strings of the keys that signed the transaction */
+    static getSignedKeys(tr) {
+        let buffer = Buffer.concat([new Buffer(Apis.instance().chain_id, "hex"), tr.tr_buffer]);
+        return tr.signatures.map(signature => {
+            return Signature.fromBuffer(signature).recoverPublicKeyFromBuffer(buffer).toPublicKeyString();
+        });
+    }
+
+    /**
+     *  Best guess of the accounts whose active authority has to approve the
+     *  transaction for offline signing, online the node is asked instead, see
+     *  getSigningStatus.
+     *  @return account ids
+     */
+    static getRequiredAccounts(tr) {
+        let accounts = [];
+        ops.signed_transaction.toObject(tr).operations.forEach(op => {
+            let field = REQUIRED_ACCOUNT_FIELDS.filter(name => isAccountId(op[1][name]))[0];
+            if (field && accounts.indexOf(op[1][field]) === -1) {
+                accounts.push(op[1][field]);
+            }
+        });
+        return accounts;
+    }
+
+    /**
+     *  Weighs the signatures against an account's active authority, falling
+     *  back to the owner authority which may approve anything the active can.
+     *  @return undefined while accounts are loading, otherwise
+     *  {threshold, weight, satisfied, keys: [{key, weight, signed, mine}], accounts: [{id, weight, satisfied}]}
+     */
+    static getAuthorityStatus(account, signedKeys, recursion_count = 1) {
+        if (!account) return undefined;
+
+        let active = MultiSigUtils._weighAuthority(account.get("active"), signedKeys, recursion_count);
+        if (!active || active.satisfied || recursion_count > 1) return active;
+
+        let owner = MultiSigUtils._weighAuthority(account.get("owner"), signedKeys, recursion_count);
+        return owner && owner.satisfied ? owner : active;
+    }
+
+    static _weighAuthority(authority, signedKeys, recursion_count) {
+        let threshold = authority.get("weight_threshold");
+        let weight = 0;
+
+        let keys = authority.get("key_auths").map(auth => {
+            let key = auth.get(0);
+            let signed = signedKeys.indexOf(key) !== -1;
+            if (signed) weight += auth.get(1);
+            return {key, weight: auth.get(1), signed, mine: PrivateKeyStore.hasKey(key)};
+        }).toArray();
+
+        let accounts = [];
+        if (recursion_count < 3) {
+            let pending = false;
+            authority.get("account_auths").forEach(auth => {
+                let status = MultiSigUtils.getAuthorityStatus(ChainStore.getAccount(auth.get(0)), signedKeys, recursion_count + 1);
+                if (status === undefined) {
+                    pending = true;
+                    return;
+                }
+                if (status.satisfied) weight += auth.get(1);
+                accounts.push({id: auth.get(0), weight: auth.get(1), satisfied: status.satisfied});
+            });
+            if (pending) return undefined;
+        }
+
+        return {threshold, weight, satisfied: weight >= threshold, keys, accounts};
+    }
+
+    /**
+     *  Asks the node which keys may sign the transaction, which follows owner,
+     *  nested and multiple account authorities.
+     *  @return Promise of {keys: [{key, signed, mine}], complete} where
+     *  complete is true once the signatures satisfy every required authority
+     */
+    static getSigningStatus(tr) {
+        let signedKeys = MultiSigUtils.getSignedKeys(tr);
+        return Promise.all([
+            tr.get_potential_signatures(),
+            MultiSigUtils.isComplete(tr)
+        ]).then(([{pubkeys, addys}, complete]) => {
+            let myKeys = PrivateKeyStore.getPubkeys_having_PrivateKey(pubkeys, addys);
+            return {
+                complete,
+                keys: pubkeys.map(key => ({key, signed: signedKeys.indexOf(key) !== -1, mine: myKeys.indexOf(key) !== -1}))
+            };
+        });
+    }
+
+    /** @return Promise of true once the signatures satisfy every authority the transaction requires */
+    static isComplete(tr) {
+        // verify_authority fails while an authority is missing signatures
+        return Apis.instance().db_api().exec("verify_authority", [ops.signed_transaction.toObject(tr)])
+            .then(valid => !!valid, () => false);
+    }
+
+    /**
+     *  Adds the signatures this wallet can contribute.
+     *  @return Promise resolving with the public keys that signed
+     */
+    static addSignatures(tr) {
+        let signedKeys = MultiSigUtils.getSignedKeys(tr);
+
+        return WalletUnlockActions.unlock().then(() => {
+            return tr.get_potential_signatures();
+        }).then(({pubkeys, addys}) => {
+            let myKeys = PrivateKeyStore.getPubkeys_having_PrivateKey(pubkeys, addys)
+                .filter(key => signedKeys.indexOf(key) === -1);
+            // Only the keys still needed, the chain refuses unnecessary signatures
+            return tr.get_required_signatures(myKeys);
+        }).then(requiredKeys => {
+            return MultiSigUtils._sign(tr, requiredKeys.filter(key => signedKeys.indexOf(key) === -1));
+        });
+    }
+
+    /**
+     *  Same as addSignatures without asking the chain which keys are needed,
+     *  the keys are picked from the authorities of the accounts in ChainStore.
+     *  @return Promise resolving with the public keys that signed
+     */
+    static addSignaturesOffline(tr) {
+        return WalletUnlockActions.unlock().then(() => {
+            return MultiSigUtils._sign(tr, MultiSigUtils.selectSigningKeys(tr));
+        });
+    }
+
+    /**
+     *  Picks the wallet keys that bring the required accounts closest to
+     *  approving the transaction. The owner authority is only used when it can
+     *  be satisfied and the active one cannot.
+     *  @return public key strings not yet signed with
+     */
+    static selectSigningKeys(tr, signedKeys = MultiSigUtils.getSignedKeys(tr)) {
+        let selected = [];
+        MultiSigUtils.getRequiredAccounts(tr).forEach(id => {
+            let account = ChainStore.getAccount(id);
+            if (!account) return;
+
+            let known = signedKeys.concat(selected);
+            let active = MultiSigUtils._selectKeys(account.get("active"), known, 1);
+            let owner = active.satisfied ? null : MultiSigUtils._selectKeys(account.get("owner"), known, 1);
+            let keys = owner && owner.satisfied ? owner.keys : active.keys;
+            keys.forEach(key => {
+                if (selected.indexOf(key) === -1) selected.push(key);
+            });
+        });
+        return selected;
+    }
+
+    /** @return {keys, satisfied} with the wallet keys to add to signedKeys */
+    static _selectKeys(authority, signedKeys, recursion_count) {
+        let status = MultiSigUtils._weighAuthority(authority, signedKeys, recursion_count);
+        if (!status) return {keys: [], satisfied: false};
+        if (status.satisfied) return {keys: [], satisfied: true};
+
+        let weight = status.weight;
+        let keys = [];
+        status.keys
+            .filter(key => key.mine && !key.signed)
+            .sort((a, b) => b.weight - a.weight)
+            .forEach(key => {
+                if (weight >= status.threshold) return;
+                keys.push(key.key);
+                weight += key.weight;
+            });
+
+        if (recursion_count < 3) {
+            authority.get("account_auths").forEach(auth => {
+                let account = ChainStore.getAccount(auth.get(0));
+                if (weight >= status.threshold || !account) return;
+
+                let nested = MultiSigUtils._selectKeys(account.get("active"), signedKeys.concat(keys), recursion_count + 1);
+                // Accounts approving already are part of status.weight
+                if (nested.keys.length && nested.satisfied) weight += auth.get(1);
+                keys = keys.concat(nested.keys.filter(key => keys.indexOf(key) === -1));
+            });
+        }
+
+        return {keys, satisfied: weight >= status.threshold};
+    }
+
+    static _sign(tr, keys) {
+        if (!keys.length) return keys;
+
+        tr.signed = false;
+        tr.signer_private_keys = [];
+        keys.forEach(key => tr.add_signer(WalletDb.getPrivateKey(key), key));
+        tr.sign();
+        return keys;
+    }
+}
@@ -0,0 +1,294 @@
+import {ChainTypes} from "graphenejs-lib";
+
+let {operations} = ChainTypes;
+let ops = Object.keys(operations);
+
+const DAY = 24 * 60 * 60 * 1000;
+const CORE = "1.3.0";
+
+// Fields naming the account that paid the fee of an operation, first match wins
+const FEE_PAYER_FIELDS = [
+    "fee_paying_account", "from", "account_id", "funding_account", "from_account", "registrar",
+    "issuer", "payer", "account", "owner", "seller", "publisher", "witness_account", "creator",
+    "authorizing_account", "account_to_upgrade", "owner_account", "deposit_to_account"
+];
+
+function feePayer(data) {
+    for (let i = 0; i < FEE_PAYER_FIELDS.length; i++) {
+        if (data[FEE_PAYER_FIELDS[i]]) return data[FEE_PAYER_FIELDS[i]];
+    }
+    return null;
+}
+
+function amount(asset_id, value) {
+    return {asset_id, amount: parseInt(value, 10)};
+}
+
+/**
+ *  Reconstructs the holdings of an account from its operation history and
+ *  values them in the core asset. Amounts are kept in satoshis, prices are
+ *  core satoshis per satoshi of an asset.
+ *
+ *  Assets in open orders count as held until filled and collateral counts as
+ *  held until a margin call sells it. Borrowed assets are held like others
+ *  and their debt is a liability valued at the same price, repaying it
+ *  realizes the difference between the value borrowed and the cost of what
+ *  repays it. The cost basis of an asset is its average cost, market fills
+ *  realize a profit or loss while transfers and fees only take out their
+ *  share of it.
+ */
+export default class PortfolioUtils {
+
+    static dayOf(time) {
+        return Math.floor(time / DAY) * DAY;
+    }
+
+    /**
+     *  @return {trade, flows, debt, fee} changes of the account balances made by one operation,
+     *  trade is {pays, receives} for market fills, flows are other {asset_id, amount}
+     *  changes, negative when leaving the account, debt is the {asset_id, amount} borrowed,
+     *  negative when repaid, fee is the {asset_id, amount} the account paid for the operation
+     */
+    static getChanges(op, account_id) {
+        let [type, data] = op.op;
+        let trade = null, flows = [], debt = null, fee = null;
+
+        switch (ops[type]) {
+            case "transfer":
+            case "override_transfer":
+                if (data.from === account_id) flows.push(amount(data.amount.asset_id, -data.amount.amount));
+                if (data.to === account_id) flows.push(amount(data.amount.asset_id, data.amount.amount));
+                break;
+
+            case "fill_order":
+                // The fee of a fill is taken from what it receives
+                if (data.account_id === account_id) {
+                    trade = {
+                        pays: amount(data.pays.asset_id, data.pays.amount),
+                        receives: amount(data.receives.asset_id, data.receives.amount)
+                    };
+                    // A margin call sells collateral for the debt it repays
+                    if (data.order_id && data.order_id.indexOf("1.8.") === 0) {
+                        debt = amount(data.receives.asset_id, -data.receives.amount);
+                    }
+                }
+                break;
+
+            case "call_order_update":
+                // Collateral stays held, the debt is lent to the account or repaid from its balance
+                if (data.funding_account === account_id && parseInt(data.delta_debt.amount, 10) !== 0) {
+                    debt = amount(data.delta_debt.asset_id, data.delta_debt.amount);
+                }
+                break;
+
+            case "asset_settle":
+                // Settling a globally settled asset pays out at once, other
+                // settlements are held until their fill
+                if (data.account === account_id && op.result && op.result[0] === 2) {
+                    trade = {
+                        pays: amount(data.amount.asset_id, data.amount.amount),
+                        receives: amount(op.result[1].asset_id, op.result[1].amount)
+                    };
+                }
+                break;
+
+            case "asset_issue":
+                if (data.issue_to_account === account_id) flows.push(amount(data.asset_to_issue.asset_id, data.asset_to_issue.amount));
+                break;
+
+            case "asset_reserve":
+                if (data.payer === account_id) flows.push(amount(data.amount_to_reserve.asset_id, -data.amount_to_reserve.amount));
+                break;
+
+            case "asset_fund_fee_pool":
+                if (data.from_account === account_id) flows.push(amount(CORE, -data.amount));
+                break;
+
+            case "asset_claim_fees":
+                if (data.issuer === account_id) flows.push(amount(data.amount_to_claim.asset_id, data.amount_to_claim.amount));
+                break;
+
+            case "balance_claim":
+                if (data.deposit_to_account === account_id) flows.push(amount(data.total_claimed.asset_id, data.total_claimed.amount));
+                break;
+
+            case "vesting_balance_withdraw":
+                if (data.owner === account_id) flows.push(amount(data.amount.asset_id, data.amount.amount));
+                break;
+
+            case "witness_withdraw_pay":
+                if (data.witness_account === account_id) flows.push(amount(CORE, data.amount));
+                break;
+
+            case "transfer_to_blind":
+                if (data.from === account_id) flows.push(amount(data.amount.asset_id, -data.amount.amount));
+                break;
+
+            case "transfer_from_blind":
+                if (data.to === account_id) flows.push(amount(data.amount.asset_id, data.amount.amount));
+                break;
+        }
+
+        if (data.fee && data.fee.amount > 0 && feePayer(data) === account_id) {
+            fee = amount(data.fee.asset_id, data.fee.amount);
+        }
+
+        return {trade, flows, debt, fee};
+    }
+
+    /** @return ids of the assets the account held at some point of its history */
+    static getAssets(history, account_id) {
+        let assets = {[CORE]: true};
+        history.forEach(op => {
+            let {trade, flows, debt, fee} = PortfolioUtils.getChanges(op, account_id);
+            if (fee) assets[fee.asset_id] = true;
+            if (debt) assets[debt.asset_id] = true;
+            if (trade) {
+                assets[trade.pays.asset_id] = true;
+                assets[trade.receives.asset_id] = true;
+            }
+            flows.forEach(flow => assets[flow.asset_id] = true);
+        });
+        return Object.keys(assets);
+    }
+
+    /**
+     *  @param prices - {asset_id: {days: [[day, price]], current: price}}, days sorted;
+     *  a day without a price uses the last one before it, or the first one after it,
+     *  assets that never traded use their current price
+     *  @return core satoshis per satoshi of the asset on a day, null if unknown
+     */
+    static priceAt(prices, asset_id, day) {
+        if (asset_id === CORE) return 1;
+        let {days = [], current = null} = prices[asset_id] || {};
+        if (!days.length) return current;
+
+        // Last price on or before the day
+        let low = 0, high = days.length - 1;
+        while (low < high) {
+            let mid = Math.ceil((low + high) / 2);
+            if (days[mid][0] <= day) low = mid;
+            else high = mid - 1;
+        }
+        return days[low][1];
+    }
+
+    /**
+     *  @param history - operations of the account, oldest first
+     *  @param blockTime - function returning the time of a block number
+     *  @param prices - see priceAt
+     *  @return {series: [[day, value]], assets: {asset_id: {amount, debt, cost, realized, value, unrealized}}, missing: [asset_id]}
+     *  where value is net of the debt
+     */
+    static compute(history, account_id, blockTime, prices, now = Date.now()) {
+        let positions = {};
+        let missing = {};
+
+        let priceAt = (asset_id, day) => {
+            let price = PortfolioUtils.priceAt(prices, asset_id, day);
+            if (price === null) missing[asset_id] = true;
+            return price || 0;
+        };
+
+        let position = asset_id => {
+            // credit is the value of the debt when it was borrowed
+            if (!positions[asset_id]) positions[asset_id] = {amount: 0, cost: 0, realized: 0, debt: 0, credit: 0};
+            return positions[asset_id];
+        };
+
+        let acquire = (asset, cost) => {
+            let p = position(asset.asset_id);
+            p.amount += asset.amount;
+            p.cost += cost;
+        };
+
+        // proceeds is null for what leaves the account without a sale, returns the cost taken out
+        let dispose = (asset, proceeds) => {
+            let p = position(asset.asset_id);
+            let cost = p.amount > 0 ? p.cost * Math.min(asset.amount, p.amount) / p.amount : 0;
+            if (proceeds !== null) p.realized += proceeds - cost;
+            p.amount -= asset.amount;
+            p.cost = p.amount > 0 ? p.cost - cost : 0;
+            return cost;
+        };
+
+        let borrow = (asset, day) => {
+            let p = position(asset.asset_id);
+            let value = asset.amount * priceAt(asset.asset_id, day);
+            acquire(asset, value);
+            p.debt += asset.amount;
+            p.credit += value;
+        };
+
+        let repay = asset => {
+            let p = position(asset.asset_id);
+            let credit = p.debt > 0 ? p.credit * Math.min(asset.amount, p.debt) / p.debt : 0;
+            p.realized += credit - dispose(asset, null);
+            p.debt = Math.max(0, p.debt - asset.amount);
+            p.credit = p.debt > 0 ? p.credit - credit : 0;
+        };
+
+        let apply = (op, day) => {
+            let {trade, flows, debt, fee} = PortfolioUtils.getChanges(op, account_id);
+            if (trade) {
+                let {pays, receives} = trade;
+                let value = pays.asset_id === CORE ? pays.amount :
+                    receives.asset_id === CORE ? receives.amount :
+                    receives.amount * priceAt(receives.asset_id, day);
+                dispose(pays, value);
+                acquire(receives, value);
+            }
+            flows.forEach(flow => {
+                if (flow.amount > 0) {
+                    acquire(flow, flow.amount * priceAt(flow.asset_id, day));
+                } else {
+                    dispose({asset_id: flow.asset_id, amount: -flow.amount}, null);
+                }
+            });
+            if (debt) {
+                if (debt.amount > 0) borrow(debt, day);
+                else repay({asset_id: debt.asset_id, amount: -debt.amount});
+            }
+            if (fee) dispose(fee, null);
+        };
+
+        let value = day => {
+            let total = 0;
+            for (let asset_id in positions) {
+                let p = positions[asset_id];
+                total += (Math.max(0, p.amount) - p.debt) * priceAt(asset_id, day);
+            }
+            return total;
+        };
+
+        let series = [];
+        if (history.length) {
+            let i = 0;
+            let today = PortfolioUtils.dayOf(now);
+            for (let day = PortfolioUtils.dayOf(blockTime(history[0].block_num)); day <= today; day += DAY) {
+                for (; i < history.length && PortfolioUtils.dayOf(blockTime(history[i].block_num)) <= day; i++) {
+                    apply(history[i], day);
+                }
+                series.push([day, value(day)]);
+            }
+        }
+
+        let today = PortfolioUtils.dayOf(now);
+        let assets = {};
+        for (let asset_id in positions) {
+            let p = positions[asset_id];
+            let price = priceAt(asset_id, today);
+            let current = Math.max(0, p.amount) * price;
+            assets[asset_id] = {
+                amount: p.amount,
+                debt: p.debt,
+                cost: p.cost,
+                realized: p.realized,
+                value: current - p.debt * price,
+                unrealized: (p.amount > 0 ? current - p.cost : 0) + (p.debt > 0 ? p.credit - p.debt * price : 0)
+            };
+        }
+
+        return {series, assets, missing: Object.keys(missing)};
+    }
+}
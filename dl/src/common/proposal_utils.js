@@ -0,0 +1,124 @@
+import {ChainStore} from "graphenejs-lib";
+import AccountStore from "stores/AccountStore";
+import pu from "common/permission_utils";
+
+function canSign(account_id) {
+    return AccountStore.getMyAuthorityForAccount(ChainStore.getAccount(account_id)) === "full";
+}
+
+/**
+ *  Helpers for the proposals of the linked accounts: which are pending, which
+ *  approvals the wallet can add or remove, and the proposal_update doing it.
+ */
+export default class ProposalUtils {
+
+    /**
+     *  @param account_names - linked account names
+     *  @return [{proposal, accounts: [account ids listing it]}] of the proposals
+     *  loaded so far, soonest to expire first
+     */
+    static getPending(account_names) {
+        let pending = {};
+        account_names.forEach(name => {
+            let account = ChainStore.getAccount(name);
+            if (!account || !account.get("proposals")) return;
+
+            account.get("proposals").forEach(proposal_id => {
+                let proposal = ChainStore.getObject(proposal_id);
+                if (!proposal) return;
+                if (!pending[proposal_id]) pending[proposal_id] = {proposal, accounts: []};
+                pending[proposal_id].accounts.push(account.get("id"));
+            });
+        });
+
+        return Object.keys(pending).map(id => pending[id]).sort((a, b) => {
+            return new Date(a.proposal.get("expiration_time")) - new Date(b.proposal.get("expiration_time"));
+        });
+    }
+
+    /** @return true once the review period started, approvals can then only be removed */
+    static isInReview(proposal, now = Date.now()) {
+        let review = proposal.get("review_period_time");
+        return !!review && new Date(review + "Z").getTime() <= now;
+    }
+
+    /**
+     *  @return {types, add: {active, owner, keys}, remove: {active, owner, keys}}
+     *  of the approvals the wallet has keys for, types are the kinds of
+     *  account approvals the proposal requires, "active" and/or "owner".
+     *  Nothing is added once the proposal is in review. Null while required
+     *  accounts are loading.
+     */
+    static getMyApprovals(proposal, now = Date.now()) {
+        let types = ["active", "owner"].filter(type => proposal.get(`required_${type}_approvals`).size);
+        let required = {};
+        types.forEach(type => {
+            required[type] = pu.listToIDs(proposal.get(`required_${type}_approvals`));
+        });
+        if (types.some(type => required[type].some(id => !ChainStore.getAccount(id)))) return null;
+
+        let inReview = this.isInReview(proposal, now);
+        let availableKeys = pu.listToIDs(proposal.get("available_key_approvals"));
+        let unique = (id, index, list) => list.indexOf(id) === index;
+        let approvals = {
+            types,
+            add: {active: [], owner: [], keys: []},
+            remove: {active: [], owner: [], keys: availableKeys.filter(key => AccountStore.isMyKey(key))}
+        };
+
+        let missingKeys = [];
+        types.forEach(type => {
+            let available = pu.listToIDs(proposal.get(`available_${type}_approvals`));
+            let missing = [];
+            pu.unnest(required[type], type).forEach(permission => {
+                missing = missing.concat(permission.getMissingSigs(available));
+                missingKeys = missingKeys.concat(permission.getMissingKeys(availableKeys));
+            });
+            if (!inReview) approvals.add[type] = missing.filter(unique).filter(canSign);
+            approvals.remove[type] = available.filter(canSign);
+        });
+        if (!inReview) approvals.add.keys = missingKeys.filter(unique).filter(key => AccountStore.isMyKey(key));
+
+        return approvals;
+    }
+
+    /** @return true if one of the {active, owner, keys} lists has an approval */
+    static hasApprovals(list) {
+        return (list.active.length + list.owner.length + list.keys.length) > 0;
+    }
+
+    /** @return true if the wallet can add an approval the proposal is missing */
+    static needsMyApproval(proposal) {
+        let approvals = this.getMyApprovals(proposal);
+        return !!approvals && this.hasApprovals(approvals.add);
+    }
+
+    /**
+     *  @param action - "approve" or "reject"
+     *  @return proposal_update object without fee and fee payer, null if the
+     *  wallet has no approval to add or remove
+     */
+    static getUpdate(proposal, action) {
+        let approvals = this.getMyApprovals(proposal);
+        if (!approvals) return null;
+
+        let isAdd = action === "approve";
+        let list = isAdd ? approvals.add : approvals.remove;
+        if (!this.hasApprovals(list)) return null;
+
+        let suffix = isAdd ? "to_add" : "to_remove";
+        let update = {
+            proposal: proposal.get("id"),
+            active_approvals_to_add: [],
+            active_approvals_to_remove: [],
+            owner_approvals_to_add: [],
+            owner_approvals_to_remove: [],
+            key_approvals_to_add: [],
+            key_approvals_to_remove: []
+        };
+        update[`active_approvals_${suffix}`] = list.active;
+        update[`owner_approvals_${suffix}`] = list.owner;
+        update[`key_approvals_${suffix}`] = list.keys;
+        return update;
+    }
+}
@@ -0,0 +1,107 @@
+import {ChainValidation, PublicKey, FetchChain} from "graphenejs-lib";
+import {Apis} from "graphenejs-ws";
+
+const OBJECT_ID = /^\d+\.\d+\.\d+$/;
+const BLOCK_NUMBER = /^\d+$/;
+const TRANSACTION_ID = /^[0-9a-f]{40}$/i;
+const ASSET_SYMBOL = /^[A-Z][A-Z0-9]*(\.[A-Z0-9]+)?$/;
+
+// Objects with a page of their own, by space.type
+const OBJECT_PAGES = {
+    "1.2": object => `/account/${object.get("name")}/overview`,
+    "1.3": object => `/asset/${object.get("symbol")}`
+};
+
+/**
+ *  Explorer search: recognizes what a query can be and looks each candidate
+ *  up on the chain. Results are {type, id, label, route}, type is "block",
+ *  "transaction", "account", "asset", "key" or "object".
+ */
+export default class SearchUtils {
+
+    /** @return route of the page of an object, null if it only has the object viewer */
+    static getObjectPage(object) {
+        let page = OBJECT_PAGES[object.get("id").split(".").slice(0, 2).join(".")];
+        return page ? page(object) : null;
+    }
+
+    /** @return Promise of the results of a query, none if nothing matches */
+    static search(query) {
+        query = query.trim();
+        if (!query) {
+            return Promise.resolve([]);
+        }
+
+        let lookups = [];
+        if (OBJECT_ID.test(query)) {
+            lookups.push(this._object(query));
+        }
+        if (BLOCK_NUMBER.test(query)) {
+            lookups.push(this._block(parseInt(query, 10)));
+        }
+        if (TRANSACTION_ID.test(query)) {
+            lookups.push(this._transaction(query.toLowerCase()));
+        }
+        if (ChainValidation.is_account_name(query.toLowerCase())) {
+            lookups.push(this._account(query.toLowerCase()));
+        }
+        if (ASSET_SYMBOL.test(query.toUpperCase())) {
+            lookups.push(this._asset(query.toUpperCase()));
+        }
+        if (PublicKey.fromPublicKeyString(query)) {
+            lookups.push(this._key(query));
+        }
+
+        // A failed lookup only means the query is not of that kind
+        return Promise.all(lookups.map(lookup => lookup.catch(() => []))).then(results => {
+            return results.reduce((all, result) => all.concat(result), []);
+        });
+    }
+
+    static _object(id) {
+        return FetchChain("getObject", id).then(object => {
+            if (!object) return [];
+            return [{type: "object", id, label: id, route: `/object/${id}`}];
+        });
+    }
+
+    static _block(height) {
+        return Apis.instance().db_api().exec("get_block_header", [height]).then(header => {
+            if (!header) return [];
+            return [{type: "block", id: height, label: "#" + height, route: `/block/${height}`}];
+        });
+    }
+
+    // Only transactions that have not expired yet can be found by id
+    static _transaction(id) {
+        return Apis.instance().db_api().exec("get_recent_transaction_by_id", [id]).then(trx => {
+            if (!trx) return [];
+            return [{type: "transaction", id, label: id, route: `/tx/${id}`}];
+        });
+    }
+
+    static _account(name) {
+        return FetchChain("getAccount", name).then(account => {
+            if (!account) return [];
+            return [{type: "account", id: account.get("id"), label: name, route: `/account/${name}/overview`}];
+        });
+    }
+
+    static _asset(symbol) {
+        return FetchChain("getAsset", symbol).then(asset => {
+            if (!asset) return [];
+            return [{type: "asset", id: asset.get("id"), label: symbol, route: `/asset/${symbol}`}];
+        });
+    }
+
+    static _key(key) {
+        return Apis.instance().db_api().exec("get_key_references", [[key]]).then(references => {
+            let ids = references[0] || [];
+            return Promise.all(ids.map(id => FetchChain("getAccount", id))).then(accounts => {
+                return accounts.filter(account => !!account).map(account => {
+                    return {type: "key", id: account.get("id"), label: account.get("name"), route: `/account/${account.get("name")}/permissions`};
+                });
+            });
+        });
+    }
+}
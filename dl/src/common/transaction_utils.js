@@ -0,0 +1,167 @@
+import {FetchChain, ops, hash} from "graphenejs-lib";
+import {Apis} from "graphenejs-ws";
+import utils from "common/utils";
+
+const HISTORY_PAGE = 100;
+const MAX_HISTORY_PAGES = 10;
+// Operations of each account searched for an expired transaction
+export const HISTORY_LIMIT = HISTORY_PAGE * MAX_HISTORY_PAGES;
+// Blocks fetched at once while looking for a transaction in account histories
+const BLOCK_BATCH = 10;
+
+function isAccountId(value) {
+    return utils.is_object_id(value) && value.split(".")[1] === "2";
+}
+
+/**
+ *  Locates transactions in blocks, by position or by id, for the transaction
+ *  page. Transactions are {trx, id, block_num, index}, block_num and index
+ *  are null for a recent transaction whose block could not be found.
+ */
+export default class TransactionUtils {
+
+    /** @return id of a transaction as returned by the API, hex of the first 20 bytes of the sha256 of its serialization */
+    static getId(trx) {
+        let object = Object.assign({}, trx);
+        // Dates are returned without a timezone but are always UTC
+        if (typeof object.expiration === "string" && !/Z$/.test(object.expiration)) {
+            object.expiration += "Z";
+        }
+        return hash.sha256(ops.transaction.toBuffer(ops.transaction.fromObject(object))).toString("hex").substring(0, 40);
+    }
+
+    /** @return ids of the accounts named in the operations of a transaction */
+    static getAccounts(trx) {
+        let accounts = [];
+        trx.operations.forEach(op => {
+            for (let field in op[1]) {
+                if (isAccountId(op[1][field]) && accounts.indexOf(op[1][field]) === -1) {
+                    accounts.push(op[1][field]);
+                }
+            }
+        });
+        return accounts;
+    }
+
+    /** @return Promise of the transaction at `index` in a block, null if there is none */
+    static fetchByBlock(block_num, index, blocks = {}) {
+        let block = blocks[block_num] ||
+            (blocks[block_num] = Apis.instance().db_api().exec("get_block", [block_num]));
+        return block.then(block => {
+            let trx = block && block.transactions[index];
+            if (!trx) return null;
+            return {trx, id: TransactionUtils.getId(trx), block_num, index};
+        });
+    }
+
+    /**
+     *  Finds a transaction by id. Transactions that have not expired are found
+     *  directly and their block in the history of their accounts back to the
+     *  oldest block that can include them. Older ones are only found in the
+     *  last HISTORY_LIMIT operations of `accounts`, ids or names.
+     *  @return Promise of the transaction, null if it was not found
+     */
+    static fetchById(id, accounts = []) {
+        id = id.toLowerCase();
+        return Promise.all([
+            Apis.instance().db_api().exec("get_recent_transaction_by_id", [id]).catch(() => null),
+            Promise.all(accounts.map(account => FetchChain("getAccount", account).catch(() => null)))
+        ]).then(([recent, chain_accounts]) => {
+            let ids = chain_accounts.filter(account => !!account).map(account => account.get("id"));
+            if (recent) {
+                TransactionUtils.getAccounts(recent).forEach(account => {
+                    if (ids.indexOf(account) === -1) ids.push(account);
+                });
+            }
+
+            let min_block = recent ? TransactionUtils._getMinBlock(recent) : Promise.resolve(0);
+            return min_block.then(min_block => TransactionUtils._findInHistory(id, ids, min_block)).then(found => {
+                if (found) return found;
+                return recent ? {trx: recent, id, block_num: null, index: null} : null;
+            });
+        });
+    }
+
+    /**
+     *  A transaction expires at most maximum_time_until_expiration after the
+     *  head block that includes it. Missed blocks only make the actual block
+     *  newer than the one estimated from the block interval.
+     *  @return Promise of the number of the oldest block that can include `trx`
+     */
+    static _getMinBlock(trx) {
+        return Promise.all([
+            FetchChain("getObject", "2.0.0"),
+            FetchChain("getObject", "2.1.0")
+        ]).then(([globalObject, dynamicObject]) => {
+            let parameters = globalObject.get("parameters");
+            let expiration = new Date(trx.expiration + (/Z$/.test(trx.expiration) ? "" : "Z")).getTime();
+            let earliest = expiration - parameters.get("maximum_time_until_expiration") * 1000;
+            let headTime = new Date(dynamicObject.get("time") + "Z").getTime();
+            let slots = Math.ceil((headTime - earliest) / (parameters.get("block_interval") * 1000));
+            return Math.max(1, dynamicObject.get("head_block_number") - slots);
+        });
+    }
+
+    /**
+     *  Virtual operations caused by a transaction, like order fills, are only
+     *  kept in the history of the accounts they affect.
+     *  @return Promise of the operation history entries, oldest first
+     */
+    static fetchVirtualOps({trx, block_num, index}) {
+        if (block_num === null) return Promise.resolve([]);
+
+        let accounts = TransactionUtils.getAccounts(trx);
+        return Promise.all(accounts.map(account => TransactionUtils._fetchHistory(account, block_num))).then(histories => {
+            let seen = {};
+            return histories.reduce((all, history) => all.concat(history), []).filter(entry => {
+                if (seen[entry.id] || entry.block_num !== block_num || entry.trx_in_block !== index) return false;
+                seen[entry.id] = true;
+                let op = trx.operations[entry.op_in_trx];
+                return !op || op[0] !== entry.op[0];
+            }).sort((a, b) => a.virtual_op - b.virtual_op);
+        });
+    }
+
+    /** @return Promise of the history of an account back to `min_block`, newest first, at most MAX_HISTORY_PAGES pages */
+    static _fetchHistory(account_id, min_block = 0, start = "1.11.0", history = [], pages = 0) {
+        return Apis.instance().history_api().exec("get_account_history", [
+            account_id, "1.11.0", HISTORY_PAGE, start
+        ]).then(page => {
+            history = history.concat(page.filter(entry => entry.block_num >= min_block));
+            let last = page.length ? page[page.length - 1] : null;
+            let next = last ? parseInt(last.id.split(".")[2], 10) - 1 : 0;
+            if (page.length < HISTORY_PAGE || next < 1 || last.block_num < min_block || pages + 1 >= MAX_HISTORY_PAGES) {
+                return history;
+            }
+            return TransactionUtils._fetchHistory(account_id, min_block, "1.11." + next, history, pages + 1);
+        });
+    }
+
+    static _findInHistory(id, accounts, min_block = 0) {
+        return Promise.all(accounts.map(account => TransactionUtils._fetchHistory(account, min_block))).then(histories => {
+            let positions = [];
+            histories.forEach(history => history.forEach(entry => {
+                let position = entry.block_num + "." + entry.trx_in_block;
+                if (positions.indexOf(position) === -1) positions.push(position);
+            }));
+
+            // Blocks are fetched BLOCK_BATCH at a time until the transaction is found
+            let blocks = {};
+            let batches = [];
+            for (let i = 0; i < positions.length; i += BLOCK_BATCH) {
+                batches.push(positions.slice(i, i + BLOCK_BATCH));
+            }
+            return batches.reduce((previous, batch) => {
+                return previous.then(found => {
+                    if (found) return found;
+                    return Promise.all(batch.map(position => {
+                        let [block_num, index] = position.split(".").map(n => parseInt(n, 10));
+                        return TransactionUtils.fetchByBlock(block_num, index, blocks);
+                    })).then(results => {
+                        return results.filter(result => result && result.id === id)[0] || null;
+                    });
+                });
+            }, Promise.resolve(null));
+        });
+    }
+}
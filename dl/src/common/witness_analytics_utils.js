@@ -0,0 +1,118 @@
+import utils from "common/utils";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const WINDOWS = [
+    {name: "1h", length: HOUR},
+    {name: "24h", length: DAY},
+    {name: "7d", length: 7 * DAY}
+];
+
+// Buckets of the detail page charts
+const CHART_BUCKET = HOUR;
+const CHART_LENGTH = 7 * DAY;
+
+/**
+ *  Witness statistics from the samples of WitnessAnalyticsStore. Only what
+ *  was observed while the analytics were open counts: hours are hourly
+ *  aggregates [hour, produced, missed, latency_sum, max_latency] per witness,
+ *  sessions are [start, end] and feeds are publication times per publishing
+ *  account and asset.
+ */
+export default class WitnessAnalyticsUtils {
+
+    /** @return start of the hour of a time in ms */
+    static getHour(time) {
+        return Math.floor(time / HOUR) * HOUR;
+    }
+
+    /** @return ms of [start, end] observed */
+    static getCoverage(sessions, start, end) {
+        return sessions.reduce((total, session) => {
+            return total + Math.max(0, Math.min(end, session[1]) - Math.max(start, session[0]));
+        }, 0);
+    }
+
+    /**
+     *  Windows are made of whole hours so they start at the hour of `now` -
+     *  `length`.
+     *  @return {produced, missed, rate, latency, maxLatency, coverage} of a
+     *  witness over the `length` ms before `now`, rate and latencies are null
+     *  without blocks, coverage is the observed part of the window from 0 to 1
+     */
+    static getWindowStats({hours, sessions}, witness_id, length, now = Date.now()) {
+        let start = WitnessAnalyticsUtils.getHour(now - length);
+        let stats = {produced: 0, missed: 0, latency: 0, maxLatency: null};
+        (hours[witness_id] || []).forEach(([hour, produced, missed, latency, maxLatency]) => {
+            if (hour < start || hour >= now) return;
+            stats.produced += produced;
+            stats.missed += missed;
+            stats.latency += latency;
+            if (produced) stats.maxLatency = Math.max(stats.maxLatency || 0, maxLatency);
+        });
+        let slots = stats.produced + stats.missed;
+
+        return {
+            produced: stats.produced,
+            missed: stats.missed,
+            rate: slots ? stats.missed / slots : null,
+            latency: stats.produced ? stats.latency / stats.produced : null,
+            maxLatency: stats.maxLatency,
+            coverage: WitnessAnalyticsUtils.getCoverage(sessions, start, now) / (now - start)
+        };
+    }
+
+    /**
+     *  @return {produced, missed, rate, latency} series of [time, value] in
+     *  hourly buckets over the last week, rate is the miss rate of the 24
+     *  hours ending at each bucket
+     */
+    static getChartSeries(analytics, witness_id, now = Date.now()) {
+        let end = WitnessAnalyticsUtils.getHour(now) + CHART_BUCKET;
+        let series = {produced: [], missed: [], rate: [], latency: []};
+
+        for (let start = end - CHART_LENGTH; start < end; start += CHART_BUCKET) {
+            if (!WitnessAnalyticsUtils.getCoverage(analytics.sessions, start, start + CHART_BUCKET)) continue;
+
+            let bucket = WitnessAnalyticsUtils.getWindowStats(analytics, witness_id, CHART_BUCKET, start + CHART_BUCKET);
+            let day = WitnessAnalyticsUtils.getWindowStats(analytics, witness_id, DAY, start + CHART_BUCKET);
+            series.produced.push([start, bucket.produced]);
+            series.missed.push([start, bucket.missed]);
+            if (day.rate !== null) series.rate.push([start, Math.round(day.rate * 10000) / 100]);
+            if (bucket.latency !== null) series.latency.push([start, Math.round(bucket.latency)]);
+        }
+        return series;
+    }
+
+    /** @return miss rate in percent, "-" without blocks */
+    static formatRate(rate) {
+        return rate === null ? "-" : utils.format_number(rate * 100, 2) + "%";
+    }
+
+    /** @return seconds of a latency in ms, "-" without blocks */
+    static formatLatency(latency) {
+        return latency === null ? "-" : utils.format_number(latency / 1000, 2) + "s";
+    }
+
+    /**
+     *  @return [{asset_id, last, staleness, perDay, interval}] feeds of a
+     *  publishing account, perDay counts the publications seen in the last 24
+     *  hours, at most one per feed sample, and interval is the average time
+     *  between the publications seen, null before the second one
+     */
+    static getFeedStats(feeds, account_id, now = Date.now()) {
+        let assets = feeds[account_id] || {};
+        return Object.keys(assets).map(asset_id => {
+            let times = assets[asset_id];
+            let last = times.length ? times[times.length - 1] : null;
+            return {
+                asset_id,
+                last,
+                staleness: last === null ? null : now - last,
+                perDay: times.filter(time => time > now - DAY).length,
+                interval: times.length > 1 ? (last - times[0]) / (times.length - 1) : null
+            };
+        });
+    }
+}
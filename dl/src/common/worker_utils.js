@@ -0,0 +1,137 @@
+import {ChainStore} from "graphenejs-lib";
+import {Apis} from "graphenejs-ws";
+
+const MAX_WORKERS = 1000;
+// Budget records are searched this many ids at a time around their estimated id
+const BUDGET_SEARCH = 50;
+
+function budgetIds(from, to) {
+    let ids = [];
+    for (let i = Math.max(0, from); i <= to; i++) {
+        ids.push("2.13." + i);
+    }
+    return ids;
+}
+
+/**
+ *  Worker funding as done at each maintenance: active workers with more votes
+ *  for than against are paid in order of their net votes until the daily
+ *  worker budget runs out.
+ */
+export default class WorkerUtils {
+
+    /** @return {workers, loading}, all worker objects by id */
+    static getWorkers() {
+        let workers = [];
+        for (let i = 0; i < MAX_WORKERS; i++) {
+            let worker = ChainStore.getObject("1.14." + i);
+            if (worker === null) break;
+            if (worker === undefined) return {workers, loading: true};
+            workers.push(worker);
+        }
+        return {workers, loading: false};
+    }
+
+    /** @return "upcoming", "active" or "expired" */
+    static getStatus(worker, now = new Date()) {
+        if (new Date(worker.get("work_begin_date") + "Z") > now) return "upcoming";
+        if (new Date(worker.get("work_end_date") + "Z") <= now) return "expired";
+        return "active";
+    }
+
+    static getNetVotes(worker) {
+        return parseInt(worker.get("total_votes_for"), 10) - parseInt(worker.get("total_votes_against"), 10);
+    }
+
+    /**
+     *  @return Promise of the latest budget record object, one is made at
+     *  each maintenance so its id is estimated from the time of the first one
+     */
+    static fetchLatestBudget(maintenance_interval) {
+        return Apis.instance().db_api().exec("get_objects", [["2.13.0"]]).then(([first]) => {
+            if (!first) return null;
+            let guess = Math.floor((Date.now() - new Date(first.time + "Z").getTime()) / (maintenance_interval * 1000));
+            return WorkerUtils._findLatestBudget(guess, first);
+        });
+    }
+
+    static _findLatestBudget(guess, lowest) {
+        let ids = budgetIds(guess - BUDGET_SEARCH, guess + BUDGET_SEARCH);
+        return Apis.instance().db_api().exec("get_objects", [ids]).then(records => {
+            let found = records.filter(record => !!record);
+            if (!found.length) {
+                return guess - BUDGET_SEARCH > 0 ? WorkerUtils._findLatestBudget(guess - 2 * BUDGET_SEARCH, lowest) : lowest;
+            }
+            // The window may end before the latest record
+            if (records[records.length - 1]) {
+                return WorkerUtils._findLatestBudget(guess + 2 * BUDGET_SEARCH, found[found.length - 1]);
+            }
+            return found[found.length - 1];
+        });
+    }
+
+    /** @return daily worker budget in core satoshis, the budget of the last maintenance scaled to a day when it is lower than the parameter */
+    static getDailyBudget(globalObject, budgetRecord) {
+        let budget = parseInt(globalObject.getIn(["parameters", "worker_budget_per_day"]), 10);
+        if (budgetRecord) {
+            let {worker_budget, time_since_last_budget} = budgetRecord.record;
+            let interval = time_since_last_budget || globalObject.getIn(["parameters", "maintenance_interval"]);
+            budget = Math.min(budget, Math.floor(parseInt(worker_budget, 10) * 86400 / interval));
+        }
+        return budget;
+    }
+
+    /**
+     *  Voting stake of an account: core balance, core in open orders and the
+     *  cashback vesting balance. Stake proxied to the account is not included.
+     *  @return core satoshis, undefined while loading
+     */
+    static getStake(account) {
+        let balanceId = account.getIn(["balances", "1.3.0"]);
+        let balance = balanceId ? ChainStore.getObject(balanceId) : null;
+        let statistics = ChainStore.getObject(account.get("statistics"));
+        let cashback = account.get("cashback_vb") ? ChainStore.getObject(account.get("cashback_vb")) : null;
+        if (balance === undefined || statistics === undefined || cashback === undefined || !statistics) return undefined;
+
+        return (balance ? parseInt(balance.get("balance"), 10) : 0) +
+            parseInt(statistics.get("total_core_in_orders"), 10) +
+            (cashback ? parseInt(cashback.getIn(["balance", "amount"]), 10) : 0);
+    }
+
+    /**
+     *  Net votes of the workers with the votes of an account moved from
+     *  `current` to `simulated`, both Immutable.Set of vote ids.
+     *  @return function of a worker to its net votes
+     */
+    static getSimulatedVotes(stake, current, simulated) {
+        let change = vote_id => (simulated.has(vote_id) ? stake : 0) - (current.has(vote_id) ? stake : 0);
+        return worker => WorkerUtils.getNetVotes(worker) + change(worker.get("vote_for")) - change(worker.get("vote_against"));
+    }
+
+    /**
+     *  @param getVotes function of a worker to its net votes
+     *  @return {worker_id: {votes, rank, pay}} of every worker, rank is null
+     *  and pay 0 for workers that are not active or not approved
+     */
+    static getFunding(workers, budget, getVotes = WorkerUtils.getNetVotes, now = new Date()) {
+        let funding = {};
+        workers.forEach(worker => {
+            funding[worker.get("id")] = {votes: getVotes(worker), rank: null, pay: 0};
+        });
+
+        let remaining = budget;
+        workers
+            .filter(worker => WorkerUtils.getStatus(worker, now) === "active" && funding[worker.get("id")].votes > 0)
+            .sort((a, b) => {
+                return funding[b.get("id")].votes - funding[a.get("id")].votes ||
+                    parseInt(a.get("id").split(".")[2], 10) - parseInt(b.get("id").split(".")[2], 10);
+            })
+            .forEach((worker, index) => {
+                let result = funding[worker.get("id")];
+                result.rank = index + 1;
+                result.pay = Math.max(0, Math.min(parseInt(worker.get("daily_pay"), 10), remaining));
+                remaining -= result.pay;
+            });
+        return funding;
+    }
+}
@@ -6,6 +6,7 @@ import PrivateKeyStore from 'stores/PrivateKeyStore'
 import {ChainStore, PrivateKey, PublicKey, Aes, key} from "graphenejs-lib";
 import {Apis, ChainConfig} from "graphenejs-ws";
 import BackupActions from "actions/BackupActions"
+import TradingApi from "rpc_api/TradingApi"
 import WalletActions from "actions/WalletActions"
 
 import alt from 'alt-instance'
@@ -20,6 +21,7 @@ module.exports = {
     WalletActions,
     ChainStore,
     ChainConfig,
+    TradingApi,
 
     alt, iDB,  Apis,
     db: ()=> Apis.instance().db_api(),
@@ -2,10 +2,10 @@ import {Apis} from "graphenejs-ws";
 import idb_helper from "idb-helper"
 import iDBRoot from "idb-root"
 
-const DB_VERSION = 2 // Initial value was 1
+const DB_VERSION = 3 // Initial value was 1
 const DB_PREFIX = "graphene_v2"
 const WALLET_BACKUP_STORES = [
-    "wallet", "private_keys", "linked_accounts"
+    "wallet", "private_keys", "linked_accounts", "recurring_payments", "recurring_payment_log"
 ]
 
 var current_wallet_name = "default"
@@ -21,6 +21,10 @@ var upgrade = function(db, oldVersion) {
         // Cache only, do not backup...
         db.createObjectStore("cached_properties", { keyPath: "name" })
     }
+    if (oldVersion < 3) {
+        db.createObjectStore("recurring_payments", { keyPath: "id" })
+        db.createObjectStore("recurring_payment_log", { keyPath: "id" })
+    }
 }
 
 /**
@@ -156,6 +160,18 @@ var iDB = (function () {
                 };
             });
         },
+        put_to_store: function (store_name, value) {
+            return new Promise((resolve, reject) => {
+                let transaction = this.instance().db().transaction([store_name], "readwrite");
+                let store = transaction.objectStore(store_name);
+                let request = store.put(value);
+                request.onsuccess = () => { resolve(value); };
+                request.onerror = (e) => {
+                    console.log("ERROR!!! put_to_store - can't store value in db. ", e.target.error.message, value);
+                    reject(e.target.error.message);
+                };
+            });
+        },
         remove_from_store: function (store_name, value) {
             return new Promise((resolve, reject) => {
                 let transaction = this.instance().db().transaction([store_name], "readwrite");
@@ -1,6 +1,62 @@
 import WalletUnlockActions from "../actions/WalletUnlockActions"
 import WalletDb from "stores/WalletDb"
-import {Aes, ChainValidation, key, TransactionBuilder, TransactionHelper, FetchChain} from "graphenejs-lib";
+import {Aes, ChainValidation, key, ops, TransactionBuilder, TransactionHelper, FetchChain} from "graphenejs-lib";
+
+// Room left in a batch transaction for its header and signatures
+const BATCH_TRANSACTION_OVERHEAD = 256
+
+/**
+    @return memo object for a transfer, undefined if there is no memo or one
+    of the accounts has no memo key, throws if the sender's key is missing
+*/
+function memo_object(chain_memo_sender, chain_to, memo, encrypt_memo, optional_nonce) {
+    if( ! memo ) return undefined
+
+    let memo_from_public, memo_to_public;
+    if( encrypt_memo ) {
+
+        memo_from_public = chain_memo_sender.getIn(["options","memo_key"]);
+
+        // The 1s are base58 for all zeros (null)
+        if( /111111111111111111111/.test(memo_from_public)) {
+            memo_from_public = null;
+        }
+
+        memo_to_public = chain_to.getIn(["options","memo_key"])
+        if( /111111111111111111111/.test(memo_to_public)) {
+            memo_to_public = null
+        }
+    }
+
+    let memo_from_privkey;
+    if( encrypt_memo ) {
+        memo_from_privkey = WalletDb.getPrivateKey(memo_from_public);
+
+        if(! memo_from_privkey) {
+            throw new Error("Missing private memo key for sender: " + chain_memo_sender.get("name"))
+        }
+    }
+
+    if( ! memo_to_public || ! memo_from_public) return undefined
+
+    let nonce = optional_nonce == null ?
+                TransactionHelper.unique_nonce_uint64() :
+                optional_nonce
+
+    return {
+        from: memo_from_public,
+        to: memo_to_public,
+        nonce,
+        message: (encrypt_memo) ?
+            Aes.encrypt_with_checksum(
+                memo_from_privkey,
+                memo_to_public,
+                nonce,
+                memo
+            ) :
+            Buffer.isBuffer(memo) ? memo.toString("utf-8") : memo
+    }
+}
 
 class ApplicationApi {
 
@@ -95,53 +151,10 @@ class ApplicationApi {
                 chain_asset, chain_fee_asset
             ] = res;
 
-            let memo_from_public, memo_to_public;
-            if( memo && encrypt_memo  ) {
-
-                memo_from_public = chain_memo_sender.getIn(["options","memo_key"]);
-
-                // The 1s are base58 for all zeros (null)
-                if( /111111111111111111111/.test(memo_from_public)) {
-                    memo_from_public = null;
-                }
-
-                memo_to_public = chain_to.getIn(["options","memo_key"])
-                if( /111111111111111111111/.test(memo_to_public)) {
-                    memo_to_public = null
-                }
-            }
-
             let propose_acount_id = propose_account ? chain_propose_account.get("id") : null
 
-            let memo_from_privkey;
-            if(encrypt_memo && memo ) {
-                memo_from_privkey = WalletDb.getPrivateKey(memo_from_public);
+            let transfer_memo = memo_object(chain_memo_sender, chain_to, memo, encrypt_memo, optional_nonce)
 
-                if(! memo_from_privkey) {
-                    throw new Error("Missing private memo key for sender: " + memo_sender)
-                }
-            }
-
-            let memo_object;
-            if(memo && memo_to_public && memo_from_public) {
-                let nonce = optional_nonce == null ?
-                            TransactionHelper.unique_nonce_uint64() :
-                            optional_nonce
-
-                memo_object = {
-                    from: memo_from_public,
-                    to: memo_to_public,
-                    nonce,
-                    message: (encrypt_memo) ?
-                        Aes.encrypt_with_checksum(
-                            memo_from_privkey,
-                            memo_to_public,
-                            nonce,
-                            memo
-                        ) :
-                        Buffer.isBuffer(memo) ? memo.toString("utf-8") : memo
-                }
-            }
             // Allow user to choose asset with which to pay fees #356
             let fee_asset = chain_fee_asset.toJS();
 
@@ -160,7 +173,7 @@ class ApplicationApi {
                 from: chain_from.get("id"),
                 to: chain_to.get("id"),
                 amount: { amount, asset_id: chain_asset.get("id") },
-                memo: memo_object
+                memo: transfer_memo
             });
 
             if( propose_account ) {
@@ -180,6 +193,170 @@ class ApplicationApi {
         })
     }
 
+    /**
+        Packs transfers from one account to many in as few transactions as
+        the maximum transaction size allows and sets their fees. Nothing is
+        signed or broadcast, the caller passes each transaction to
+        WalletDb.process_transaction to have it confirmed.
+
+        @param transfers [{to_account, amount, asset, memo}], amount in satoshis
+        @return Promise of [{tr, transfers: [index into transfers]}]
+    */
+    batch_transfer({ // OBJECT: { ... }
+        from_account,
+        transfers,
+        encrypt_memo = true,
+        fee_asset_id = "1.3.0"
+    }) {
+        let unlock_promise = WalletUnlockActions.unlock();
+
+        return Promise.all([
+            FetchChain("getAccount", from_account),
+            FetchChain("getAsset", fee_asset_id),
+            FetchChain("getObject", "2.0.0"),
+            Promise.all(transfers.map(t => FetchChain("getAccount", t.to_account))),
+            Promise.all(transfers.map(t => FetchChain("getAsset", t.asset))),
+            unlock_promise
+        ]).then((res)=> {
+
+            let [ chain_from, chain_fee_asset, global_object, chain_to, chain_assets ] = res;
+
+            // Default to CORE in case of faulty core_exchange_rate
+            let rate = chain_fee_asset.getIn(["options", "core_exchange_rate"]).toJS()
+            if( rate.base.asset_id === "1.3.0" && rate.quote.asset_id === "1.3.0" ) {
+                fee_asset_id = "1.3.0";
+            }
+
+            let max_size = global_object.getIn(["parameters", "maximum_transaction_size"]) - BATCH_TRANSACTION_OVERHEAD
+            let builder = new TransactionBuilder()
+            let batches = []
+            let batch = null, size = 0
+
+            transfers.forEach( (t, index) => {
+                let transfer_op = builder.get_type_operation("transfer", {
+                    fee: {
+                        amount: 0,
+                        asset_id: fee_asset_id
+                    },
+                    from: chain_from.get("id"),
+                    to: chain_to[index].get("id"),
+                    amount: { amount: t.amount, asset_id: chain_assets[index].get("id") },
+                    memo: memo_object(chain_from, chain_to[index], t.memo, encrypt_memo)
+                });
+
+                let op_size = ops.operation.toBuffer(transfer_op).length
+                if( ! batch || size + op_size > max_size ) {
+                    batch = { tr: new TransactionBuilder(), transfers: [] }
+                    batches.push(batch)
+                    size = 0
+                }
+                batch.tr.add_operation( transfer_op )
+                batch.transfers.push(index)
+                size += op_size
+            })
+
+            return Promise.all(batches.map( b => b.tr.set_required_fees() )).then( () => batches )
+        })
+    }
+
+    /**
+        Proposes any operations in one proposal_create, their fees are set
+        when the transaction is processed.
+
+        @param operations [[operation name, operation object]]
+        @param expiration_time seconds since epoch
+        @param review_period_seconds (or null) required by proposals the committee account approves
+    */
+    propose({ // OBJECT: { ... }
+        fee_paying_account,
+        operations,
+        expiration_time,
+        review_period_seconds = null,
+        broadcast = true,
+        fee_asset_id = "1.3.0"
+    }) {
+        let unlock_promise = WalletUnlockActions.unlock();
+
+        return Promise.all([
+            FetchChain("getAccount", fee_paying_account),
+            unlock_promise
+        ]).then((res)=> {
+
+            let [ chain_fee_paying_account ] = res;
+
+            let tr = new TransactionBuilder()
+            let proposed_ops = operations.map( ([name, data]) => {
+                return { op: tr.get_type_operation(name, {
+                    fee: {
+                        amount: 0,
+                        asset_id: fee_asset_id
+                    },
+                    ...data
+                }) }
+            })
+
+            let proposal = {
+                fee: {
+                    amount: 0,
+                    asset_id: fee_asset_id
+                },
+                fee_paying_account: chain_fee_paying_account.get("id"),
+                expiration_time,
+                proposed_ops
+            }
+            if( review_period_seconds ) {
+                proposal.review_period_seconds = review_period_seconds
+            }
+            tr.add_type_operation("proposal_create", proposal)
+
+            return WalletDb.process_transaction(
+                tr,
+                null, //signer_private_keys,
+                broadcast
+            )
+        })
+    }
+
+    /**
+        Adds or removes approvals of several proposals in one transaction.
+
+        @param updates [proposal_update objects without fee and fee_paying_account]
+    */
+    update_proposals({ // OBJECT: { ... }
+        fee_paying_account,
+        updates,
+        broadcast = true,
+        fee_asset_id = "1.3.0"
+    }) {
+        let unlock_promise = WalletUnlockActions.unlock();
+
+        return Promise.all([
+            FetchChain("getAccount", fee_paying_account),
+            unlock_promise
+        ]).then((res)=> {
+
+            let [ chain_fee_paying_account ] = res;
+
+            let tr = new TransactionBuilder()
+            updates.forEach( update => {
+                tr.add_type_operation("proposal_update", {
+                    fee: {
+                        amount: 0,
+                        asset_id: fee_asset_id
+                    },
+                    fee_paying_account: chain_fee_paying_account.get("id"),
+                    ...update
+                })
+            })
+
+            return WalletDb.process_transaction(
+                tr,
+                null, //signer_private_keys,
+                broadcast
+            )
+        })
+    }
+
     issue_asset(
         to_account,
         from_account,
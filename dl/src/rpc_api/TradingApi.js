@@ -0,0 +1,280 @@
+import {EventEmitter} from "events"
+import WalletDb from "stores/WalletDb"
+import {FetchChain, TransactionBuilder} from "graphenejs-lib"
+import {Apis} from "graphenejs-ws"
+import market_utils from "common/market_utils"
+import utils from "common/utils"
+
+// Notifications of a market are batched this long before the book is fetched again
+const BOOK_UPDATE_DELAY = 500
+
+/**
+    Trading without the Alt stores, for bots and the cli. Markets are a base
+    and a quote asset, by id or symbol, and prices are in base per unit of
+    quote. Amounts are in asset units, not satoshis.
+*/
+class TradingApi {
+
+    /** @return Promise of [chain_base, chain_quote] */
+    get_market(base, quote) {
+        return Promise.all([
+            FetchChain("getAsset", base),
+            FetchChain("getAsset", quote)
+        ]).then( assets => {
+            if( ! assets[0] ) throw new Error("Unknown asset: " + base)
+            if( ! assets[1] ) throw new Error("Unknown asset: " + quote)
+            return assets
+        })
+    }
+
+    /**
+        @return Promise of {bids, asks}, best price first, each order
+        {id, seller, price, amount, value, expiration} where amount is in the
+        quote asset and value in the base asset
+    */
+    getOrderBook(base, quote, limit = 50) {
+        return this.get_market(base, quote).then( ([chain_base, chain_quote]) => {
+            return Apis.instance().db_api().exec("get_limit_orders", [
+                chain_base.get("id"), chain_quote.get("id"), limit
+            ]).then( orders => {
+                let book = {bids: [], asks: []}
+                orders.forEach( order => {
+                    let parsed = parse_order(order, chain_base, chain_quote)
+                    book[parsed.side === "buy" ? "bids" : "asks"].push(parsed)
+                })
+                book.bids.sort( (a, b) => b.price - a.price )
+                book.asks.sort( (a, b) => a.price - b.price )
+                return book
+            })
+        })
+    }
+
+    /**
+        @return Promise of {latest, highestBid, lowestAsk, percentChange,
+        baseVolume, quoteVolume}, change and volumes over the last 24 hours,
+        prices are null without trades or orders
+    */
+    getTicker(base, quote) {
+        return this.get_market(base, quote).then( ([chain_base, chain_quote]) => {
+            let base_id = chain_base.get("id"), quote_id = chain_quote.get("id")
+            let end = new Date(), start = new Date(end.getTime() - 24 * 3600 * 1000)
+
+            return Promise.all([
+                Apis.instance().history_api().exec("get_fill_order_history", [base_id, quote_id, 1]),
+                Apis.instance().history_api().exec("get_market_history", [
+                    base_id, quote_id, 3600, start.toISOString().slice(0, -5), end.toISOString().slice(0, -5)
+                ]),
+                this.getOrderBook(base_id, quote_id, 1)
+            ]).then( ([fills, buckets, book]) => {
+                let ticker = {
+                    latest: fills.length ? get_fill(fills[0].op, chain_base, chain_quote).price : null,
+                    highestBid: book.bids.length ? book.bids[0].price : null,
+                    lowestAsk: book.asks.length ? book.asks[0].price : null,
+                    percentChange: 0,
+                    baseVolume: 0,
+                    quoteVolume: 0
+                }
+
+                // Buckets are keyed by the asset with the lower id
+                buckets.forEach( bucket => {
+                    let inverted = bucket.key.base !== base_id
+                    ticker.baseVolume += utils.get_asset_amount(inverted ? bucket.quote_volume : bucket.base_volume, chain_base)
+                    ticker.quoteVolume += utils.get_asset_amount(inverted ? bucket.base_volume : bucket.quote_volume, chain_quote)
+                })
+                if( buckets.length && ticker.latest ) {
+                    let first = buckets[0], inverted = first.key.base !== base_id
+                    let open = utils.get_asset_amount(inverted ? first.open_quote : first.open_base, chain_base) /
+                        utils.get_asset_amount(inverted ? first.open_base : first.open_quote, chain_quote)
+                    ticker.percentChange = Math.round(10000 * (ticker.latest - open) / open) / 100
+                }
+                return ticker
+            })
+        })
+    }
+
+    /** @return Promise of the orders of `account` in the market, as in getOrderBook plus their side, "buy" or "sell" */
+    getOpenOrders(account, base, quote) {
+        return Promise.all([
+            FetchChain("getAccount", account),
+            this.get_market(base, quote)
+        ]).then( ([chain_account, [chain_base, chain_quote]]) => {
+            if( ! chain_account ) throw new Error("Unknown account: " + account)
+            let market = [chain_base.get("id"), chain_quote.get("id")]
+
+            return Apis.instance().db_api().exec("get_full_accounts", [[chain_account.get("id")], false])
+                .then( results => results[0][1].limit_orders
+                    .filter( order => market.indexOf(order.sell_price.base.asset_id) !== -1 &&
+                        market.indexOf(order.sell_price.quote.asset_id) !== -1 )
+                    .map( order => parse_order(order, chain_base, chain_quote) )
+                )
+        })
+    }
+
+    /**
+        Signs and broadcasts a limit order, the wallet has to be unlocked.
+        @param side "buy" or "sell" the quote asset
+        @param expiration Date, a year from now by default
+        @return Promise of {id, block_num}, id of the new order
+    */
+    placeLimitOrder({ // OBJECT: { ... }
+        account,
+        base,
+        quote,
+        side,
+        price,
+        amount,
+        expiration = null,
+        fill_or_kill = false,
+        fee_asset_id = "1.3.0"
+    }) {
+        if( side !== "buy" && side !== "sell" ) return Promise.reject(new Error("side must be buy or sell"))
+        if( ! (price > 0) || ! (amount > 0) ) return Promise.reject(new Error("price and amount must be positive"))
+
+        return Promise.all([
+            FetchChain("getAccount", account),
+            this.get_market(base, quote)
+        ]).then( ([chain_account, [chain_base, chain_quote]]) => {
+            if( ! chain_account ) throw new Error("Unknown account: " + account)
+
+            let quote_amount = Math.round(amount * utils.get_asset_precision(chain_quote.get("precision")))
+            let base_amount = Math.round(amount * price * utils.get_asset_precision(chain_base.get("precision")))
+            if( ! quote_amount || ! base_amount ) throw new Error("Amount is below the precision of the assets")
+
+            if( ! expiration ) {
+                expiration = new Date()
+                expiration.setYear(expiration.getFullYear() + 1)
+            }
+
+            let sell = side === "sell"
+            let tr = new TransactionBuilder()
+            tr.add_type_operation("limit_order_create", {
+                fee: {
+                    amount: 0,
+                    asset_id: fee_asset_id
+                },
+                seller: chain_account.get("id"),
+                amount_to_sell: {
+                    amount: sell ? quote_amount : base_amount,
+                    asset_id: sell ? chain_quote.get("id") : chain_base.get("id")
+                },
+                min_to_receive: {
+                    amount: sell ? base_amount : quote_amount,
+                    asset_id: sell ? chain_base.get("id") : chain_quote.get("id")
+                },
+                expiration,
+                fill_or_kill
+            })
+            return broadcast(tr)
+        })
+    }
+
+    /** @return Promise of {id, block_num}, id of the cancelled order */
+    cancelOrder(account, order_id, fee_asset_id = "1.3.0") {
+        return FetchChain("getAccount", account).then( chain_account => {
+            if( ! chain_account ) throw new Error("Unknown account: " + account)
+
+            let tr = new TransactionBuilder()
+            tr.add_type_operation("limit_order_cancel", {
+                fee: {
+                    amount: 0,
+                    asset_id: fee_asset_id
+                },
+                fee_paying_account: chain_account.get("id"),
+                order: order_id
+            })
+            return broadcast(tr).then( result => ({id: order_id, block_num: result.block_num}) )
+        })
+    }
+
+    /**
+        Subscribes to a market. The emitter sends "fill" with
+        {order_id, account_id, side, price, amount, value} for each filled
+        order and "book" with the order book of getOrderBook after changes,
+        or "book_error" with the error when the book could not be fetched.
+        close() unsubscribes.
+        @return Promise of the emitter, once subscribed
+    */
+    subscribeMarket(base, quote, limit = 50) {
+        return this.get_market(base, quote).then( ([chain_base, chain_quote]) => {
+            let emitter = new EventEmitter()
+            let base_id = chain_base.get("id"), quote_id = chain_quote.get("id")
+            let timeout = null
+
+            let update_book = () => {
+                timeout = null
+                this.getOrderBook(base_id, quote_id, limit)
+                    .then( book => emitter.emit("book", book) )
+                    .catch( error => emitter.emit("book_error", error) )
+            }
+
+            let callback = notifications => {
+                notifications.forEach( result => result.forEach( notification => {
+                    // [[op_type, op], result], 4 is fill_order
+                    if( notification && notification.length === 2 && notification[0] && notification[0][0] === 4 ) {
+                        let op = notification[0][1]
+                        emitter.emit("fill", Object.assign({
+                            order_id: op.order_id,
+                            account_id: op.account_id
+                        }, get_fill(op, chain_base, chain_quote)))
+                    }
+                }))
+                if( ! timeout ) timeout = setTimeout(update_book, BOOK_UPDATE_DELAY)
+            }
+
+            emitter.close = () => {
+                clearTimeout(timeout)
+                return Apis.instance().db_api().exec("unsubscribe_from_market", [
+                    callback, base_id, quote_id
+                ])
+            }
+
+            return Apis.instance().db_api().exec("subscribe_to_market", [
+                callback, base_id, quote_id
+            ]).then( () => emitter )
+        })
+    }
+}
+
+/** @return {id, seller, side, price, amount, value, expiration} of a limit order, side of the quote asset */
+function parse_order(order, chain_base, chain_quote) {
+    let {price, amount, value} = market_utils.parseOrder(order, chain_base, chain_quote)
+    return {
+        id: order.id,
+        seller: order.seller,
+        side: order.sell_price.base.asset_id === chain_base.get("id") ? "buy" : "sell",
+        price: price.full,
+        amount,
+        value,
+        expiration: new Date(order.expiration + "Z")
+    }
+}
+
+/** @return {side, price, amount, value} of a fill_order operation, side of the filled order */
+function get_fill(op, chain_base, chain_quote) {
+    let sold_base = op.pays.asset_id === chain_base.get("id")
+    let base_amount = utils.get_asset_amount(sold_base ? op.pays.amount : op.receives.amount, chain_base)
+    let quote_amount = utils.get_asset_amount(sold_base ? op.receives.amount : op.pays.amount, chain_quote)
+    return {
+        side: sold_base ? "buy" : "sell",
+        price: base_amount / quote_amount,
+        amount: quote_amount,
+        value: base_amount
+    }
+}
+
+/** Signs with the keys of the unlocked wallet and broadcasts, without the confirmation dialog */
+function broadcast(tr) {
+    if( WalletDb.isLocked() ) return Promise.reject(new Error("The wallet is locked"))
+
+    return WalletDb.process_transaction(tr, null, false)
+        .then( () => tr.broadcast() )
+        .then( res => {
+            let confirmation = Array.isArray(res) ? res[0] : res
+            return {
+                id: confirmation.trx.operation_results[0][1],
+                block_num: confirmation.block_num
+            }
+        })
+}
+
+export default TradingApi
@@ -0,0 +1,91 @@
+import alt from "alt-instance";
+import Immutable from "immutable";
+import BaseStore from "stores/BaseStore";
+import ConditionalOrderActions from "actions/ConditionalOrderActions";
+import ls from "common/localStorage";
+
+let orderStorage = new ls("__graphene__");
+
+const STORAGE_KEY = "conditionalOrders";
+
+/**
+ *  Conditional orders saved in the browser, see ConditionalOrderUtils. Orders
+ *  are "armed" until they trigger, then "triggering", "triggered" or "failed".
+ *  Authorizations to place orders without confirmation are kept in memory so
+ *  they end with the session.
+ */
+class ConditionalOrderStore extends BaseStore {
+
+    constructor() {
+        super();
+        // A reload during the broadcast loses its outcome, the limit order may
+        // have been placed so the order is not armed again
+        let orders = Immutable.Map(orderStorage.get(STORAGE_KEY, {})).map(order => order.status === "triggering" ?
+            {...order, status: "failed", error: "Interrupted while placing the order, check the open orders"} :
+            order
+        );
+        this.state = {
+            orders, // id: order
+            authorized: Immutable.Set() // ids
+        };
+        this.bindListeners({
+            onAdd: ConditionalOrderActions.add,
+            onCancel: ConditionalOrderActions.cancel,
+            onSetExtreme: ConditionalOrderActions.setExtreme,
+            onTrigger: [ConditionalOrderActions.trigger, ConditionalOrderActions.setStatus]
+        });
+        this._export("getMarketOrders", "isAuthorized");
+    }
+
+    /** @return orders of a market, newest first */
+    getMarketOrders(base_id, quote_id) {
+        return this.state.orders
+            .filter(order => order.base === base_id && order.quote === quote_id)
+            .sortBy(order => -order.created)
+            .toArray();
+    }
+
+    isAuthorized(id) {
+        return this.state.authorized.has(id);
+    }
+
+    _save(orders) {
+        this.setState({orders});
+        orderStorage.set(STORAGE_KEY, orders);
+    }
+
+    onAdd({order, authorized}) {
+        let id = Date.now() + "_" + Math.floor(Math.random() * 1000000);
+        this._save(this.state.orders.set(id, {
+            ...order,
+            id,
+            created: Date.now(),
+            status: "armed",
+            extreme: null,
+            price: null,
+            error: null
+        }));
+        if (authorized) {
+            this.setState({authorized: this.state.authorized.add(id)});
+        }
+    }
+
+    onCancel(id) {
+        this._save(this.state.orders.delete(id));
+        this.setState({authorized: this.state.authorized.delete(id)});
+    }
+
+    onSetExtreme({id, extreme}) {
+        let order = this.state.orders.get(id);
+        if (!order) return false;
+        this._save(this.state.orders.set(id, {...order, extreme}));
+    }
+
+    onTrigger({id, status, price, error = null}) {
+        let order = this.state.orders.get(id);
+        if (!order) return false;
+        this._save(this.state.orders.set(id, {...order, status, price, error}));
+    }
+}
+
+export default alt.createStore(ConditionalOrderStore, "ConditionalOrderStore");
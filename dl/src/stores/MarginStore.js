@@ -0,0 +1,66 @@
+import alt from "alt-instance";
+import Immutable from "immutable";
+import BaseStore from "stores/BaseStore";
+import MarginActions from "actions/MarginActions";
+import MarketsActions from "actions/MarketsActions";
+import ls from "common/localStorage";
+
+let marginStorage = new ls("__graphene__");
+
+const STORAGE_KEY = "marginAlerts";
+// Default alert and top-up ratios above the maintenance collateral ratio
+const DEFAULT_THRESHOLD_MARGIN = 0.5;
+const DEFAULT_TARGET_MARGIN = 1.5;
+
+/**
+ *  Alert settings of the margin positions, saved in the browser, and the time
+ *  of the last feed update of each bitasset so positions are checked again
+ *  when MarketsStore.onFeedUpdate gets a new feed.
+ */
+class MarginStore extends BaseStore {
+
+    constructor() {
+        super();
+        this.state = {
+            alerts: Immutable.Map(marginStorage.get(STORAGE_KEY, {})), // key: {threshold, target}
+            feeds: Immutable.Map() // asset id: time of the last feed update
+        };
+        this.bindListeners({
+            onSetAlert: MarginActions.setAlert,
+            onRemoveAlert: MarginActions.removeAlert,
+            onFeedUpdate: MarketsActions.feedUpdate
+        });
+        this._export("getKey", "getAlert");
+    }
+
+    /** @return key of the position of an account in a debt asset, an account has one per asset */
+    getKey(account_id, debt_asset_id) {
+        return account_id + "_" + debt_asset_id;
+    }
+
+    /** @return {enabled, threshold, target} saved for the position or the defaults */
+    getAlert(key, maintenanceRatio) {
+        return this.state.alerts.get(key) || {
+            enabled: true,
+            threshold: maintenanceRatio + DEFAULT_THRESHOLD_MARGIN,
+            target: maintenanceRatio + DEFAULT_TARGET_MARGIN
+        };
+    }
+
+    onSetAlert({key, alert}) {
+        this.setState({alerts: this.state.alerts.set(key, alert)});
+        marginStorage.set(STORAGE_KEY, this.state.alerts);
+    }
+
+    onRemoveAlert(key) {
+        this.setState({alerts: this.state.alerts.delete(key)});
+        marginStorage.set(STORAGE_KEY, this.state.alerts);
+    }
+
+    onFeedUpdate(asset) {
+        if (!asset.get("bitasset")) return false;
+        this.setState({feeds: this.state.feeds.set(asset.get("id"), Date.now())});
+    }
+}
+
+export default alt.createStore(MarginStore, "MarginStore");
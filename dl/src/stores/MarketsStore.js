@@ -44,6 +44,8 @@ class MarketsStore {
         this.bucketSize = this._getBucketSize();
         this.priceHistory = [];
         this.lowestCallPrice = null;
+        this.bookDepth = null; // orders loaded per side, sent by the market actions
+        this.bookTruncated = {bids: false, asks: false, calls: false, settles: false};
         this.marketBase = "CORE";
         this.marketStats = Immutable.Map({
             change: 0,
@@ -67,6 +69,7 @@ class MarketsStore {
 
         this.bindListeners({
             onSubscribeMarket: MarketsActions.subscribeMarket,
+            onLoadMoreOrders: MarketsActions.loadMoreOrders,
             onUnSubscribeMarket: MarketsActions.unSubscribeMarket,
             onChangeBase: MarketsActions.changeBase,
             onChangeBucketSize: MarketsActions.changeBucketSize,
@@ -127,6 +130,8 @@ class MarketsStore {
         this.flat_asks = [];
         this.flat_calls = [];
         this.priceHistory =[];
+        this.bookDepth = null;
+        this.bookTruncated = {bids: false, asks: false, calls: false, settles: false};
         this.marketStats = Immutable.Map({
             change: 0,
             volumeBase: 0,
@@ -163,42 +168,40 @@ class MarketsStore {
             }
         }
 
+        if (result.depth) {
+            this.bookDepth = result.depth;
+        }
+
         if (result.limits) {
             // Keep an eye on this as the number of orders increases, it might not scale well
             let limitStart = new Date();
             this.activeMarketLimits = this.activeMarketLimits.clear();
             result.limits.forEach(order => {
-                ChainStore._updateObject(order, false, false);
-                if (typeof order.for_sale !== "number") {
-                    order.for_sale = parseInt(order.for_sale, 10);
-                }
-                order.expiration = new Date(order.expiration);
-                this.activeMarketLimits = this.activeMarketLimits.set(
-                    order.id,
-                    LimitOrder(order)
-                );
+                this._setLimitOrder(order);
             });
+            this._updatePendingOrders();
 
-            // Loop over pending orders to remove temp order from orders map and remove from pending
-            for (let i = this.pendingCreateLimitOrders.length - 1; i >= 0; i--) {
-                let myOrder = this.pendingCreateLimitOrders[i];
-                let order = this.activeMarketLimits.find((order, key) => {
-                    return myOrder.seller === order.seller && myOrder.expiration === order.expiration;
-                });
-
-                // If the order was found it has been confirmed, delete it from pending
-                if (order) {
-                    this.pendingCreateLimitOrders.splice(i, 1);
-                }
-            }
-
-            if (this.pendingCreateLimitOrders.length === 0) {
-                this.pendingCounter = 0;
-            }
+            let bids = result.limits.filter(order => order.sell_price.base.asset_id === this.baseAsset.get("id")).length;
+            this.bookTruncated = Object.assign({}, this.bookTruncated, {
+                bids: this._isTruncated(bids),
+                asks: this._isTruncated(result.limits.length - bids)
+            });
 
             // console.log("time to process limit orders:", new Date() - limitStart, "ms");
         }
 
+        if (result.limitUpdates) {
+            let market = [this.baseAsset.get("id"), this.quoteAsset.get("id")];
+            result.limitUpdates.forEach(({id, order}) => {
+                if (order && market.indexOf(order.sell_price.base.asset_id) !== -1 && market.indexOf(order.sell_price.quote.asset_id) !== -1) {
+                    this._setLimitOrder(order);
+                } else {
+                    this.activeMarketLimits = this.activeMarketLimits.delete(id);
+                }
+            });
+            this._updatePendingOrders();
+        }
+
         if (result.calls) {
             this.activeMarketCalls = this.activeMarketCalls.clear();
 
@@ -216,6 +219,7 @@ class MarketsStore {
                 );
             });
 
+            this.bookTruncated = Object.assign({}, this.bookTruncated, {calls: this._isTruncated(result.calls.length)});
         }
 
         this.updateSettleOrders(result);
@@ -263,6 +267,43 @@ class MarketsStore {
         this.marketReady = true;
     }
 
+    onLoadMoreOrders(result) {
+        // A deeper book of a market that is no longer shown must not replace the current one
+        if (result.market !== this.activeMarket) return false;
+        this.onSubscribeMarket(result);
+    }
+
+    _setLimitOrder(order) {
+        ChainStore._updateObject(order, false, false);
+        if (typeof order.for_sale !== "number") {
+            order.for_sale = parseInt(order.for_sale, 10);
+        }
+        order.expiration = new Date(order.expiration);
+        this.activeMarketLimits = this.activeMarketLimits.set(
+            order.id,
+            LimitOrder(order)
+        );
+    }
+
+    _updatePendingOrders() {
+        // Loop over pending orders to remove temp order from orders map and remove from pending
+        for (let i = this.pendingCreateLimitOrders.length - 1; i >= 0; i--) {
+            let myOrder = this.pendingCreateLimitOrders[i];
+            let order = this.activeMarketLimits.find((order, key) => {
+                return myOrder.seller === order.seller && myOrder.expiration === order.expiration;
+            });
+
+            // If the order was found it has been confirmed, delete it from pending
+            if (order) {
+                this.pendingCreateLimitOrders.splice(i, 1);
+            }
+        }
+
+        if (this.pendingCreateLimitOrders.length === 0) {
+            this.pendingCounter = 0;
+        }
+    }
+
     onCancelLimitOrderSuccess(cancellations) {
 
         if (cancellations && cancellations.length) {
@@ -557,6 +598,11 @@ class MarketsStore {
         // console.log("time to construct orderbook:", new Date() - orderBookStart, "ms");
     }
 
+    // The API returns up to bookDepth orders, a full list may have more
+    _isTruncated(count) {
+        return !!this.bookDepth && count >= this.bookDepth;
+    }
+
     _depthChart() {
         // let depthStart = new Date();
 
@@ -852,6 +898,8 @@ class MarketsStore {
                     SettleOrder(settle)
                 );
             });
+
+            this.bookTruncated = Object.assign({}, this.bookTruncated, {settles: this._isTruncated(result.settles.length)});
         }
     }
 }
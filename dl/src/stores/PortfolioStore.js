@@ -0,0 +1,35 @@
+import alt from "alt-instance";
+import Immutable from "immutable";
+import BaseStore from "stores/BaseStore";
+import PortfolioActions from "actions/PortfolioActions";
+
+/**
+ *  Value history and profit and loss of accounts, see PortfolioUtils.compute.
+ *  Entries are {loading, error, performance} by account id.
+ */
+class PortfolioStore extends BaseStore {
+
+    constructor() {
+        super();
+        this.state = {
+            accounts: Immutable.Map()
+        };
+        this.bindListeners({
+            onGetPerformance: PortfolioActions.getPerformance
+        });
+    }
+
+    onGetPerformance({account_id, loading = false, error = null, performance = null}) {
+        let previous = this.state.accounts.get(account_id);
+        this.setState({
+            accounts: this.state.accounts.set(account_id, {
+                loading,
+                error,
+                // Keep showing the previous values while refreshing
+                performance: performance || (previous && loading ? previous.performance : null)
+            })
+        });
+    }
+}
+
+export default alt.createStore(PortfolioStore, "PortfolioStore");
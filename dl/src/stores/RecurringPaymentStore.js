@@ -0,0 +1,125 @@
+import alt from "alt-instance";
+import Immutable from "immutable";
+import BaseStore from "stores/BaseStore";
+import iDB from "idb-instance";
+import RecurringPaymentActions from "actions/RecurringPaymentActions";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ *  Payment templates of the current wallet and the log of their executions,
+ *  both kept in the wallet database and its backups, memos are encrypted with
+ *  the wallet key. A template is due once its next_due time has passed,
+ *  recording it as paid or skipped moves next_due one interval on.
+ */
+class RecurringPaymentStore extends BaseStore {
+
+    constructor() {
+        super();
+        this.state = this._getInitialState();
+        this.bindListeners({
+            onAdd: RecurringPaymentActions.add,
+            onSetEnabled: RecurringPaymentActions.setEnabled,
+            onRemove: RecurringPaymentActions.remove,
+            onRecord: RecurringPaymentActions.record
+        });
+        this._export("loadDbData", "getDue", "getNextDue");
+    }
+
+    _getInitialState() {
+        return {
+            payments: Immutable.Map(), // id: payment
+            log: Immutable.List()
+        };
+    }
+
+    /** This method may be called again should the main database change */
+    loadDbData() {
+        this.setState(this._getInitialState());
+        return Promise.all([
+            iDB.load_data("recurring_payments"),
+            iDB.load_data("recurring_payment_log")
+        ]).then(([payments, log]) => {
+            this.setState({
+                payments: Immutable.Map(payments.map(payment => [payment.id, payment])),
+                log: Immutable.List(log).sortBy(entry => -entry.time)
+            });
+        }).catch(error => {
+            console.error("RecurringPaymentStore.loadDbData error", error);
+        });
+    }
+
+    /** @return enabled payments due at `now`, oldest first */
+    getDue(now = Date.now()) {
+        return this.state.payments
+            .filter(payment => payment.enabled && payment.next_due <= now)
+            .sortBy(payment => payment.next_due)
+            .toArray();
+    }
+
+    /** @return time of the payment following the one due at `due` */
+    getNextDue(payment, due = payment.next_due) {
+        let {count, unit} = payment.interval;
+        if (unit === "months") {
+            let date = new Date(due);
+            let day = new Date(payment.start).getDate();
+            date.setDate(1);
+            date.setMonth(date.getMonth() + count);
+            // Payments started on the 31st are made on the last day of shorter months
+            let lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            date.setDate(Math.min(day, lastDay));
+            return date.getTime();
+        }
+        return due + count * (unit === "weeks" ? 7 : 1) * DAY;
+    }
+
+    _save(payment) {
+        return iDB.put_to_store("recurring_payments", payment).then(() => {
+            this.setState({payments: this.state.payments.set(payment.id, payment)});
+        });
+    }
+
+    onAdd(payment) {
+        let now = Date.now();
+        this._save({...payment, id: now, created: now, next_due: payment.start, enabled: true});
+    }
+
+    onSetEnabled({id, enabled}) {
+        let payment = this.state.payments.get(id);
+        if (payment) this._save({...payment, enabled});
+    }
+
+    onRemove(id) {
+        iDB.remove_from_store("recurring_payments", id).then(() => {
+            this.setState({payments: this.state.payments.delete(id)});
+        });
+    }
+
+    onRecord({id, due, status, trx_id, block_num}) {
+        let payment = this.state.payments.get(id);
+        if (!payment) return;
+
+        let entry = {
+            id: id + "_" + due, // one entry per due payment
+            payment_id: id,
+            to_account: payment.to_account,
+            amount: payment.amount,
+            asset_id: payment.asset_id,
+            due,
+            time: Date.now(),
+            status,
+            trx_id,
+            block_num
+        };
+
+        let next_due = this.getNextDue(payment, due);
+        let enabled = payment.enabled && (!payment.end || next_due <= payment.end);
+
+        iDB.put_to_store("recurring_payment_log", entry).then(() => {
+            this.setState({log: this.state.log.unshift(entry)});
+            return this._save({...payment, next_due, enabled});
+        });
+    }
+}
+
+export default alt.createStore(RecurringPaymentStore, "RecurringPaymentStore");
@@ -37,7 +37,7 @@ class WalletDb extends BaseStore {
         // WalletDb use to be a plan old javascript class (not an Alt store) so
         // for now many methods need to be exported...
         this._export(
-            "checkNextGeneratedKey","getWallet","onLock","isLocked","decryptTcomb_PrivateKey","getPrivateKey","process_transaction","transaction_update","transaction_update_keys","getBrainKey","getBrainKeyPrivate","onCreateWallet","validatePassword","changePassword","generateNextKey","incrementBrainKeySequence","saveKeys","saveKey","setWalletModified","setBackupDate","setBrainkeyBackupDate","_updateWallet","loadDbData",
+            "checkNextGeneratedKey","getWallet","onLock","isLocked","decryptTcomb_PrivateKey","getPrivateKey","process_transaction","transaction_update","transaction_update_keys","getBrainKey","getBrainKeyPrivate","encryptText","decryptText","onCreateWallet","validatePassword","changePassword","generateNextKey","incrementBrainKeySequence","saveKeys","saveKey","setWalletModified","setBackupDate","setBrainkeyBackupDate","_updateWallet","loadDbData",
             "importKeysWorker"
         )
     }
@@ -167,6 +167,17 @@ class WalletDb extends BaseStore {
         return brainkey_plaintext
     }
 
+    /** Encrypts data kept beside the wallet, like memos of recurring payments, with the wallet key */
+    encryptText(plaintext) {
+        if ( ! aes_private) throw new Error("wallet locked")
+        return aes_private.encryptToHex( plaintext )
+    }
+
+    decryptText(encrypted_hex) {
+        if ( ! aes_private) throw new Error("wallet locked")
+        return aes_private.decryptHexToText( encrypted_hex )
+    }
+
     getBrainKeyPrivate(brainkey_plaintext = this.getBrainKey()) {
         if( ! brainkey_plaintext) throw new Error("missing brainkey")
         return PrivateKey.fromSeed( key.normalize_brainKey(brainkey_plaintext) )
@@ -4,6 +4,7 @@ import AccountRefsStore from "stores/AccountRefsStore"
 import AccountStore from "stores/AccountStore"
 import BalanceClaimActiveStore from "stores/BalanceClaimActiveStore"
 import CachedPropertyStore from "stores/CachedPropertyStore"
+import RecurringPaymentStore from "stores/RecurringPaymentStore"
 import PrivateKeyActions from "actions/PrivateKeyActions"
 import WalletActions from "actions/WalletActions"
 import {ChainStore} from "graphenejs-lib";
@@ -80,7 +81,8 @@ class WalletManagerStore extends BaseStore {
                     CachedPropertyStore.reset() 
                     return Promise.all([
                         WalletDb.loadDbData().then(()=>AccountStore.loadDbData()),
-                        PrivateKeyActions.loadDbData().then(()=>AccountRefsStore.loadDbData())
+                        PrivateKeyActions.loadDbData().then(()=>AccountRefsStore.loadDbData()),
+                        RecurringPaymentStore.loadDbData()
                     ]).then(()=>{
                         // Update state here again to make sure listeners re-render
                         
@@ -0,0 +1,128 @@
+import alt from "alt-instance";
+import BaseStore from "stores/BaseStore";
+import WitnessAnalyticsActions from "actions/WitnessAnalyticsActions";
+import WitnessAnalyticsUtils from "common/witness_analytics_utils";
+import ls from "common/localStorage";
+
+let analyticsStorage = new ls("__graphene__");
+
+const STORAGE_KEY = "witnessAnalyticsHourly";
+const SAVE_INTERVAL = 60 * 1000;
+// Samples further apart than this belong to different sessions
+const SESSION_GAP = 60 * 1000;
+// Hourly aggregates are kept for the longest window and the charts
+const MAX_AGE = 8 * 24 * 60 * 60 * 1000;
+const MAX_FEEDS = 200;
+const MAX_SESSIONS = 500;
+
+function emptyState() {
+    return {
+        since: null,
+        block_num: null,
+        totals: {},
+        hours: {},
+        feeds: {},
+        sessions: []
+    };
+}
+
+function append(list, item, max) {
+    list = list.concat([item]);
+    return list.length > max ? list.slice(list.length - max) : list;
+}
+
+/**
+ *  Witness samples taken while the analytics are open, aggregated per
+ *  witness and hour, see WitnessAnalyticsUtils for their format. totals are
+ *  the total_missed of the active witnesses at the last sample of the
+ *  session. Saved to the browser at most once a minute.
+ */
+class WitnessAnalyticsStore extends BaseStore {
+
+    constructor() {
+        super();
+        // Raw blocks were saved under the old key
+        analyticsStorage.remove("witnessAnalytics");
+        this.state = {...emptyState(), ...analyticsStorage.get(STORAGE_KEY, {})};
+        this.saved = 0;
+        this.hour = null;
+        this.bindListeners({
+            onSampleBlock: WitnessAnalyticsActions.sampleBlock,
+            onSampleFeeds: WitnessAnalyticsActions.sampleFeeds,
+            onClear: WitnessAnalyticsActions.clear
+        });
+    }
+
+    _save(state, force = false) {
+        this.setState(state);
+        if (force || Date.now() - this.saved > SAVE_INTERVAL) {
+            this.saved = Date.now();
+            analyticsStorage.set(STORAGE_KEY, this.state);
+        }
+    }
+
+    onSampleBlock({time, block_num, witness, latency, missed}) {
+        let {sessions} = this.state;
+        if (this.state.block_num !== null && this.state.block_num >= block_num) return false;
+
+        let session = sessions.length ? sessions[sessions.length - 1] : null;
+        let reset = !session || time - session[1] > SESSION_GAP;
+        sessions = reset ?
+            append(sessions, [time, time], MAX_SESSIONS) :
+            sessions.slice(0, -1).concat([[session[0], time]]);
+
+        let hour = WitnessAnalyticsUtils.getHour(time);
+        let hours = {...this.state.hours};
+        if (hour !== this.hour) {
+            this.hour = hour;
+            for (let id in hours) {
+                hours[id] = hours[id].filter(bucket => bucket[0] >= hour - MAX_AGE);
+                if (!hours[id].length) delete hours[id];
+            }
+        }
+
+        let add = (id, produced, missedCount, blockLatency) => {
+            let buckets = hours[id] || [];
+            let last = buckets.length ? buckets[buckets.length - 1] : null;
+            hours[id] = last && last[0] === hour ?
+                buckets.slice(0, -1).concat([[hour, last[1] + produced, last[2] + missedCount, last[3] + blockLatency, Math.max(last[4], blockLatency)]]) :
+                buckets.concat([[hour, produced, missedCount, blockLatency, blockLatency]]);
+        };
+
+        add(witness, 1, 0, latency);
+        // Blocks missed between sessions are not counted
+        let totals = reset ? {} : {...this.state.totals};
+        for (let id in missed) {
+            if (totals[id] !== undefined && missed[id] > totals[id]) {
+                add(id, 0, missed[id] - totals[id], 0);
+            }
+            totals[id] = missed[id];
+        }
+
+        this._save({
+            since: this.state.since || time,
+            block_num,
+            totals,
+            hours,
+            sessions
+        });
+    }
+
+    onSampleFeeds(publications) {
+        let feeds = {...this.state.feeds};
+        publications.forEach(({asset_id, publisher, time}) => {
+            let assets = feeds[publisher] = {...feeds[publisher]};
+            let times = assets[asset_id] || [];
+            if (!times.length || times[times.length - 1] < time) {
+                assets[asset_id] = append(times, time, MAX_FEEDS);
+            }
+        });
+        this._save({feeds}, true);
+    }
+
+    onClear() {
+        this._save(emptyState(), true);
+    }
+}
+
+export default alt.createStore(WitnessAnalyticsStore, "WitnessAnalyticsStore");
@@ -0,0 +1,138 @@
+import assert from "assert"
+import {ChainTypes} from "graphenejs-lib"
+import HistoryExport from "../src/common/history_export"
+
+let {operations} = ChainTypes
+
+const ACCOUNT = "1.2.10"
+const OTHER = "1.2.20"
+const CORE = "1.3.0"
+const USD = "1.3.5"
+const DAY = 24 * 60 * 60 * 1000
+
+// Block n is on day n
+var blockTime = block_num => block_num * DAY
+
+var prices = { [USD]: { days: [[0, 20]], current: 20 } }
+
+var next_id = 0
+function op(block_num, type, data) {
+    return { id: "1.11." + (++next_id), block_num, op: [operations[type], data] }
+}
+
+function fee(amount = 0, asset_id = CORE) {
+    return { amount, asset_id }
+}
+
+/** Account sells `pays` of one asset for `receives` of another */
+function fill(block_num, pays, pays_asset, receives, receives_asset) {
+    return op(block_num, "fill_order", {
+        fee: fee(), account_id: ACCOUNT, order_id: "1.7.1",
+        pays: { amount: pays, asset_id: pays_asset },
+        receives: { amount: receives, asset_id: receives_asset }
+    })
+}
+
+function transfer(block_num, from, to, amount, asset_id, transfer_fee = fee()) {
+    return op(block_num, "transfer", {
+        fee: transfer_fee, from, to, amount: { amount, asset_id }
+    })
+}
+
+function rows(history, method) {
+    return HistoryExport.getRows(history, ACCOUNT, blockTime, prices, method)
+}
+
+describe( "history_export", ()=> {
+
+    // Two lots of 100 USD bought at 10 then 30 core each
+    var buys = () => [
+        fill(1, 1000, CORE, 100, USD),
+        fill(2, 3000, CORE, 100, USD)
+    ]
+
+    it( "takes partial lots first in first out", ()=> {
+        let result = rows(buys().concat([
+            fill(3, 150, USD, 6000, CORE),
+            fill(4, 50, USD, 2000, CORE)
+        ]), "fifo")
+
+        assert.equal( result.length, 4 )
+        assert.equal( result[0].proceeds, null )
+        assert.deepEqual( [result[2].proceeds, result[2].cost_basis, result[2].gain], [6000, 2500, 3500] )
+        assert.deepEqual( [result[3].proceeds, result[3].cost_basis, result[3].gain], [2000, 1500, 500] )
+    })
+
+    it( "takes partial lots last in first out", ()=> {
+        let result = rows(buys().concat([
+            fill(3, 150, USD, 6000, CORE),
+            fill(4, 50, USD, 2000, CORE)
+        ]), "lifo")
+
+        assert.deepEqual( [result[2].cost_basis, result[2].gain], [3500, 2500] )
+        assert.deepEqual( [result[3].cost_basis, result[3].gain], [500, 1500] )
+    })
+
+    it( "takes lots bought after a partial sale first with lifo", ()=> {
+        let result = rows([
+            fill(1, 1000, CORE, 100, USD),
+            fill(2, 50, USD, 1000, CORE),
+            fill(3, 3000, CORE, 100, USD),
+            fill(4, 100, USD, 4000, CORE)
+        ], "lifo")
+
+        assert.deepEqual( [result[1].cost_basis, result[1].gain], [500, 500] )
+        assert.deepEqual( [result[3].cost_basis, result[3].gain], [3000, 1000] )
+    })
+
+    it( "takes fees and transfers out of the lots without a gain", ()=> {
+        let result = rows(buys().concat([
+            transfer(3, ACCOUNT, OTHER, 10, USD, fee(10, USD)),
+            fill(4, 80, USD, 4000, CORE)
+        ]), "fifo")
+
+        let sent = result[2]
+        assert.deepEqual( sent.sent, { asset_id: USD, amount: 10 } )
+        assert.deepEqual( sent.fee, { asset_id: USD, amount: 10 } )
+        assert.equal( sent.counterparty, OTHER )
+        assert.equal( sent.proceeds, null )
+        assert.equal( sent.gain, null )
+
+        // 20 of the first lot are gone, the fill takes its last 80
+        assert.deepEqual( [result[3].cost_basis, result[3].gain], [800, 3200] )
+    })
+
+    it( "only lists fees the account paid", ()=> {
+        let result = rows([
+            fill(1, 1000, CORE, 100, USD),
+            transfer(2, OTHER, ACCOUNT, 10, USD, fee(50, CORE))
+        ], "fifo")
+
+        assert.equal( result[1].fee, null )
+        assert.deepEqual( result[1].received, { asset_id: USD, amount: 10 } )
+    })
+
+    it( "values received assets at the price of the day", ()=> {
+        let result = rows([
+            transfer(1, OTHER, ACCOUNT, 100, USD),
+            fill(2, 100, USD, 2500, CORE)
+        ], "fifo")
+
+        assert.deepEqual( [result[1].cost_basis, result[1].gain], [2000, 500] )
+    })
+
+    it( "has no cost basis beyond the known lots", ()=> {
+        let result = rows([
+            fill(1, 1000, CORE, 100, USD),
+            fill(2, 150, USD, 3000, CORE)
+        ], "fifo")
+
+        assert.deepEqual( [result[1].cost_basis, result[1].gain], [1000, 2000] )
+    })
+
+    it( "dates rows with the time of their block", ()=> {
+        let result = rows([fill(3, 1000, CORE, 100, USD)], "fifo")
+        assert.equal( result[0].date, new Date(3 * DAY).toISOString() )
+        assert.equal( result[0].block, 3 )
+    })
+})
@@ -0,0 +1,75 @@
+import assert from "assert"
+import {Apis} from "graphenejs-ws"
+import {PrivateKey} from "graphenejs-lib"
+
+// Defined by webpack in the app, WalletDb reads it when loaded
+global.__ELECTRON__ = false
+const MultiSigUtils = require("../src/common/multisig_utils")
+
+const CHAIN_ID = "4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8"
+
+let keys = ["alice", "bob"].map(seed => PrivateKey.fromSeed(seed))
+let pubkeys = keys.map(key => key.toPublicKey().toPublicKeyString())
+
+/** A node for an account whose active authority needs both keys */
+function node() {
+    return {
+        chain_id: CHAIN_ID,
+        db_api: () => ({
+            exec: (method, [trx]) => {
+                switch (method) {
+                    case "verify_authority":
+                        return trx.signatures.length < 2 ?
+                            Promise.reject(new Error("Missing Active Authority 1.2.10")) :
+                            Promise.resolve(true)
+                    case "get_potential_signatures":
+                        return Promise.resolve(pubkeys)
+                    case "get_potential_address_signatures":
+                        return Promise.resolve([])
+                }
+                return Promise.reject(new Error("unexpected call " + method))
+            }
+        })
+    }
+}
+
+function transaction(signers) {
+    let tr = MultiSigUtils.fromText(JSON.stringify({
+        ref_block_num: 1,
+        ref_block_prefix: 2,
+        expiration: "2030-01-01T00:00:00",
+        operations: [[0, {
+            fee: { amount: 0, asset_id: "1.3.0" },
+            from: "1.2.10", to: "1.2.20",
+            amount: { amount: 1, asset_id: "1.3.0" },
+            extensions: []
+        }]],
+        extensions: [],
+        signatures: []
+    }))
+    signers.forEach(key => tr.add_signer(key, key.toPublicKey().toPublicKeyString()))
+    tr.sign(CHAIN_ID)
+    return tr
+}
+
+describe( "multisig_utils", ()=> {
+
+    let instance = Apis.instance
+
+    before( ()=> { Apis.instance = node })
+    after( ()=> { Apis.instance = instance })
+
+    it( "is not complete with one signature of a 2-of-2 authority", ()=> {
+        return MultiSigUtils.getSigningStatus(transaction([keys[0]])).then( status => {
+            assert.equal( status.complete, false )
+            assert.deepEqual( status.keys.map(key => key.signed), [true, false] )
+        })
+    })
+
+    it( "is complete once both keys signed", ()=> {
+        return MultiSigUtils.getSigningStatus(transaction(keys)).then( status => {
+            assert.equal( status.complete, true )
+            assert.deepEqual( status.keys.map(key => key.signed), [true, true] )
+        })
+    })
+})
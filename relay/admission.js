@@ -0,0 +1,164 @@
+var {ops, hash} = require('graphenejs-lib')
+
+/// defaults, all times in milliseconds
+const DEFAULT_MAX_MESSAGE_SIZE  = 2 * 1024 * 1024
+const DEFAULT_TRX_RATE          = 5
+const DEFAULT_TRX_BURST         = 20
+const DEFAULT_INVALID_LIMIT     = 5
+const DEFAULT_INVALID_WINDOW    = 60 * 1000
+const DEFAULT_BAN_DURATION      = 10 * 60 * 1000
+const DEFAULT_RATE_LOG_INTERVAL = 60 * 1000
+
+/** Same id the chain uses: the first 20 bytes of the hash of the unsigned transaction */
+function transactionId( trx ) {
+   let buffer = ops.transaction.toBuffer( ops.transaction.fromObject(trx) )
+   return hash.sha256( buffer ).toString('hex').substring( 0, 40 )
+}
+
+/** Remote address of a downstream connection for both old and new ws versions */
+function peerAddress( con, req ) {
+   let upgrade = req || con.upgradeReq
+   if( upgrade && upgrade.connection ) return upgrade.connection.remoteAddress
+   return con._socket ? con._socket.remoteAddress : 'unknown'
+}
+
+/**
+ *  Transaction ids seen recently, kept in two sets that rotate on every
+ *  block so ids are remembered for one to two block intervals.
+ */
+class KnownTransactions {
+   constructor() {
+      this.a = new Set()
+      this.b = new Set()
+   }
+
+   has( id ) {
+      return this.a.has(id) || this.b.has(id)
+   }
+
+   /** @return false if the id was already known */
+   add( id ) {
+      if( this.has(id) ) return false
+      this.a.add( id )
+      return true
+   }
+
+   rotate() {
+      this.b = this.a
+      this.a = new Set()
+   }
+
+   size() {
+      return { a: this.a.size, b: this.b.size }
+   }
+}
+
+/**
+ *  Decides which downstream messages a relay accepts.
+ *
+ *  Every connection gets a token bucket refilled at trx_rate transactions per
+ *  second up to trx_burst.  Peers sending invalid_limit invalid transactions or
+ *  malformed messages within invalid_window are banned by address for
+ *  ban_duration; addresses listed in banned_peers are never accepted.
+ *  Transactions dropped over the rate are logged at most once per
+ *  rate_log_interval for each address.
+ */
+class AdmissionPolicy {
+   constructor( config ) {
+      this.max_message_size = config.max_message_size || DEFAULT_MAX_MESSAGE_SIZE
+      this.trx_rate         = config.trx_rate         || DEFAULT_TRX_RATE
+      this.trx_burst        = config.trx_burst        || DEFAULT_TRX_BURST
+      this.invalid_limit    = config.invalid_limit    || DEFAULT_INVALID_LIMIT
+      this.invalid_window   = config.invalid_window   || DEFAULT_INVALID_WINDOW
+      this.ban_duration     = config.ban_duration     || DEFAULT_BAN_DURATION
+      this.permanent_bans   = new Set( config.banned_peers || [] )
+      this.temporary_bans   = new Map()  /// address => banned until
+      this.rate_log_interval = config.rate_log_interval || DEFAULT_RATE_LOG_INTERVAL
+      this.rate_limited      = new Map()  /// address => { logged, dropped } since the last log
+   }
+
+   isBanned( address ) {
+      if( this.permanent_bans.has(address) ) return true
+      let until = this.temporary_bans.get( address )
+      if( until === undefined ) return false
+      if( until > Date.now() ) return true
+      this.temporary_bans.delete( address )
+      return false
+   }
+
+   ban( address, duration = this.ban_duration ) {
+      console.log( "banning peer", address, "for", duration, "ms" );
+      this.temporary_bans.set( address, Date.now() + duration )
+   }
+
+   /** Sets up the per connection state, @return false if the peer may not connect */
+   admitConnection( con, address ) {
+      con.address  = address
+      con.tokens   = this.trx_burst
+      con.refilled = Date.now()
+      con.invalid  = []
+      return !this.isBanned( address )
+   }
+
+   /** @return null if the raw message may be parsed, otherwise the reason to drop it */
+   checkMessage( con, message ) {
+      if( this.isBanned(con.address) ) return "banned"
+      if( message.length > this.max_message_size ) return "message too large"
+      return null
+   }
+
+   /** Takes a token from the connection's bucket, @return false if the peer is over its rate */
+   takeTrxToken( con ) {
+      let now = Date.now()
+      con.tokens   = Math.min( this.trx_burst, con.tokens + (now - con.refilled) * this.trx_rate / 1000 )
+      con.refilled = now
+      if( con.tokens < 1 ) {
+         this.onRateLimited( con.address, now )
+         return false
+      }
+      con.tokens -= 1
+      return true
+   }
+
+   /** Counts a dropped transaction, logging the count once per interval and address */
+   onRateLimited( address, now = Date.now() ) {
+      let entry = this.rate_limited.get( address )
+      if( !entry ) {
+         entry = { logged: 0, dropped: 0 }
+         this.rate_limited.set( address, entry )
+      }
+      ++entry.dropped
+      if( now - entry.logged < this.rate_log_interval ) return
+
+      console.log( "rate limited peer", address, "dropped", entry.dropped, "transactions" );
+      entry.logged  = now
+      entry.dropped = 0
+      this.rate_limited.forEach( (other, other_address) => {
+         if( now - other.logged >= this.rate_log_interval && !other.dropped )
+            this.rate_limited.delete( other_address )
+      })
+   }
+
+   /** Records an invalid message, @return true if the peer got banned */
+   onInvalid( con, reason ) {
+      let now = Date.now()
+      con.invalid = con.invalid.filter( time => now - time < this.invalid_window )
+      con.invalid.push( now )
+      console.log( "invalid message from", con.address, reason );
+
+      if( con.invalid.length < this.invalid_limit ) return false
+      this.ban( con.address )
+      return true
+   }
+
+   getStatus() {
+      let now = Date.now()
+      let temporary = []
+      this.temporary_bans.forEach( (until, address) => {
+         if( until > now ) temporary.push( { address, until: new Date(until).toISOString() } )
+      })
+      return { permanent: Array.from( this.permanent_bans ), temporary }
+   }
+}
+
+module.exports = { AdmissionPolicy, KnownTransactions, transactionId, peerAddress }
@@ -0,0 +1,167 @@
+var fs   = require('fs')
+var path = require('path')
+
+/**
+ *  Append-only on-disk block cache.
+ *
+ *  Blocks are kept in two files inside the configured directory:
+ *
+ *     blocks.dat - JSON encoded blocks written back to back
+ *     blocks.idx - one fixed size record per block:
+ *                  [block_num UInt32BE][length UInt32BE][offset DoubleBE]
+ *
+ *  Block numbers are contiguous, so a block is located by its distance from
+ *  the first indexed block without keeping the index in memory.  A torn
+ *  write (relay killed while appending) is truncated away on open.
+ */
+const INDEX_RECORD_SIZE = 16
+
+/// positional writes are ignored in append mode, so create then open read/write
+function openFile( file ) {
+   if( !fs.existsSync(file) )
+      fs.writeFileSync( file, '' )
+   return fs.openSync( file, 'r+' )
+}
+
+class BlockStore {
+   constructor( dir ) {
+      this.dir        = dir
+      this.data_fd    = undefined
+      this.index_fd   = undefined
+      this.data_size  = 0
+      this.first      = 0
+      this.head       = 0
+   }
+
+   open() {
+      if( !fs.existsSync(this.dir) )
+         fs.mkdirSync(this.dir)
+
+      this.data_fd  = openFile( path.join(this.dir, 'blocks.dat') )
+      this.index_fd = openFile( path.join(this.dir, 'blocks.idx') )
+
+      let data_size  = fs.fstatSync(this.data_fd).size
+      let index_size = fs.fstatSync(this.index_fd).size
+      let count      = Math.floor( index_size / INDEX_RECORD_SIZE )
+
+      /// drop partial index records and records pointing past the end of the data file
+      let first_num = count > 0 ? this.readIndexRecord( 0 ).block_num : 0
+      while( count > 0 ) {
+         let last = this.readIndexRecord( count - 1 )
+         if( last.block_num === first_num + count - 1 &&
+             last.offset + last.length <= data_size ) break
+         --count
+      }
+
+      if( count * INDEX_RECORD_SIZE !== index_size )
+         fs.ftruncateSync( this.index_fd, count * INDEX_RECORD_SIZE )
+
+      if( count > 0 ) {
+         let last  = this.readIndexRecord( count - 1 )
+         this.first     = first_num
+         this.head      = last.block_num
+         this.data_size = last.offset + last.length
+      }
+      else {
+         this.first     = 0
+         this.head      = 0
+         this.data_size = 0
+      }
+
+      if( this.data_size !== data_size )
+         fs.ftruncateSync( this.data_fd, this.data_size )
+
+      console.log( "block store: ", this.dir, this.isEmpty() ? "empty" : this.first + " - " + this.head )
+      return this
+   }
+
+   close() {
+      if( this.data_fd !== undefined )  fs.closeSync( this.data_fd )
+      if( this.index_fd !== undefined ) fs.closeSync( this.index_fd )
+      this.data_fd  = undefined
+      this.index_fd = undefined
+   }
+
+   isEmpty() {
+      return this.head === 0
+   }
+
+   has( block_num ) {
+      return !this.isEmpty() && block_num >= this.first && block_num <= this.head
+   }
+
+   /**
+    *  Stores the next block of the chain, returns false if the block is
+    *  already cached.  Gaps are not allowed, the caller has to fill them.
+    */
+   append( block_num, block ) {
+      if( this.has(block_num) ) return false
+      if( !this.isEmpty() && block_num !== this.head + 1 )
+         throw new Error( "block store gap: head is " + this.head + ", got " + block_num )
+
+      let data   = new Buffer( JSON.stringify(block), 'utf8' )
+      let record = new Buffer( INDEX_RECORD_SIZE )
+      record.writeUInt32BE( block_num, 0 )
+      record.writeUInt32BE( data.length, 4 )
+      record.writeDoubleBE( this.data_size, 8 )
+
+      /// data first, so a crash in between leaves an index the data covers
+      fs.writeSync( this.data_fd, data, 0, data.length, this.data_size )
+      fs.writeSync( this.index_fd, record, 0, record.length, this.indexPosition(block_num) )
+
+      if( this.isEmpty() ) this.first = block_num
+      this.head       = block_num
+      this.data_size += data.length
+      return true
+   }
+
+   /** @return the cached block or null */
+   read( block_num ) {
+      if( !this.has(block_num) ) return null
+      let record = this.readIndexRecord( block_num - this.first )
+      let data   = new Buffer( record.length )
+      fs.readSync( this.data_fd, data, 0, record.length, record.offset )
+      return JSON.parse( data.toString('utf8') )
+   }
+
+   /** @return up to count consecutive blocks starting at from_block_num */
+   readRange( from_block_num, count ) {
+      let blocks = []
+      for( let num = from_block_num; num < from_block_num + count && this.has(num); ++num )
+         blocks.push( this.read(num) )
+      return blocks
+   }
+
+   /**
+    *  Where the next sync batch starting at from_block_num comes from: the
+    *  cache, or the node for blocks older than the cache or not yet
+    *  irreversible.  Node batches stop before the first cached block.
+    *  @return {cached, count} or null once from_block_num is past head_block_num
+    */
+   syncRange( from_block_num, count, head_block_num ) {
+      if( this.has(from_block_num) )
+         return { cached: true, count: Math.min( count, this.head - from_block_num + 1 ) }
+      if( from_block_num > head_block_num ) return null
+
+      let last = head_block_num
+      if( !this.isEmpty() && from_block_num < this.first )
+         last = Math.min( last, this.first - 1 )
+      return { cached: false, count: Math.min( count, last - from_block_num + 1 ) }
+   }
+
+   indexPosition( block_num ) {
+      return this.isEmpty() ? 0 : (block_num - this.first) * INDEX_RECORD_SIZE
+   }
+
+   readIndexRecord( i ) {
+      let record = new Buffer( INDEX_RECORD_SIZE )
+      fs.readSync( this.index_fd, record, 0, INDEX_RECORD_SIZE, i * INDEX_RECORD_SIZE )
+      return {
+         block_num: record.readUInt32BE(0),
+         length:    record.readUInt32BE(4),
+         offset:    record.readDoubleBE(8)
+      }
+   }
+}
+
+module.exports = BlockStore
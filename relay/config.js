@@ -2,5 +2,12 @@ module.exports = {
   api_host: 'localhost',
   api_port: 8090,
   upstream : null,
-  listen_port: 1778
+  listen_port: 1778,
+  status_port: 1780,
+  block_store_dir: './blocks',
+  sync_batch_size: 100,
+  trx_rate: 5,
+  trx_burst: 20,
+  max_message_size: 2097152,
+  banned_peers: []
 }
@@ -1,6 +1,15 @@
 module.exports = {
   api_host: 'localhost',
   api_port: 8091,
-  upstream : 'ws://localhost:1778',
-  listen_port: 1779
+  upstream : ['ws://localhost:1778'],
+  listen_port: 1779,
+  status_port: 1781,
+  block_store_dir: './blocks2',
+  sync_batch_size: 100,
+  reconnect_min_delay: 1000,
+  reconnect_max_delay: 60000,
+  heartbeat_interval: 10000,
+  upstream_timeout: 30000,
+  peer_stale_timeout: 30000,
+  peer_evict_timeout: 120000
 }
@@ -1,8 +1,21 @@
 var WebSocket = require('ws')
 var Apis = require('../dl/src/rpc_api/ApiInstances');
+var BlockStore = require('./block_store.js')
+var status = require('./status.js')
+var {AdmissionPolicy, KnownTransactions, transactionId, peerAddress} = require('./admission.js')
 
 var config = require( process.argv[2] ? process.argv[2] : './config.js' )
 
+const DEFAULT_SYNC_BATCH_SIZE = 100
+
+/// all times in milliseconds
+const DEFAULT_RECONNECT_MIN_DELAY = 1000
+const DEFAULT_RECONNECT_MAX_DELAY = 60 * 1000
+const DEFAULT_HEARTBEAT_INTERVAL  = 10 * 1000
+const DEFAULT_UPSTREAM_TIMEOUT    = 30 * 1000
+const DEFAULT_PEER_STALE_TIMEOUT  = 30 * 1000
+const DEFAULT_PEER_EVICT_TIMEOUT  = 2 * 60 * 1000
+
 
 class RelayNode {
    constructor() {
@@ -11,26 +24,71 @@ class RelayNode {
       this.db_api      = undefined
       this.net_api      = undefined
       this.chain_props = undefined
-      this.known_trxsa  = new Set;
-      this.known_trxsb  = new Set;
+      this.known_up     = new KnownTransactions()  /// ids sent upstream
+      this.known_down   = new KnownTransactions()  /// ids broadcast downstream
+      this.admission    = new AdmissionPolicy( config )
+      this.filling      = false
+      this.batch_size   = config.sync_batch_size || DEFAULT_SYNC_BATCH_SIZE
+
+      /// upstream candidates, tried in order on failure
+      this.upstreams          = [].concat( config.upstream || [] )
+      this.upstream_index     = 0
+      this.upstream_state     = 'disconnected'
+      this.upstream_last_seen = 0
+      this.reconnect_attempts = 0
+      this.reconnect_timer    = undefined
+      this.heartbeat_timer    = undefined
+
+      this.started_at    = Date.now()
+      this.relayed_blocks = new status.RateCounter()
+      this.relayed_trxs   = new status.RateCounter()
 
       console.log( "config: \n", config )
 
+      this.blocks = new BlockStore( config.block_store_dir || './blocks' ).open()
+
       Apis.setRpcConnectionStatusCallback( s => { console.log( "status: ", s ); } );
       Apis.instance(config.api_host,config.api_port).init_promise.then(() => { this.onNewApiConnection(); });
-   }
 
-   isKnownTransaction( message ) {
-      return this.known_trxsa.has(message) || this.known_trxsb.has(message)
+      if( config.status_port )
+         status.startStatusServer( this, config.status_port );
    }
 
-   addKnownTransaction( message ) {
-      if( !this.isKnownTransaction(message) ) 
-      {
-         this.known_trxsa.add(message)
-         return true;
+   getStatus() {
+      let by_state = { init: 0, syncing: 0, synced: 0, stale: 0 }
+      let count    = 0
+      if( this.server )
+         this.server.clients.forEach( con => {
+            by_state[con.state] = (by_state[con.state] || 0) + 1
+            ++count
+         });
+
+      let props = this.chain_props || {}
+      return {
+         uptime_secs:       Math.floor( (Date.now() - this.started_at) / 1000 ),
+         head_block_number: props.head_block_number || 0,
+         head_block_id:     props.head_block_id || null,
+         head_block_time:   props.time || null,
+         block_store:       { first: this.blocks.first, head: this.blocks.head },
+         upstream: !this.upstreams.length ? null : {
+            url:                this.upstreams[this.upstream_index],
+            state:              this.upstream_state,
+            last_seen:          this.upstream_last_seen ? new Date(this.upstream_last_seen).toISOString() : null,
+            reconnect_attempts: this.reconnect_attempts
+         },
+         downstream: {
+            count,
+            by_state
+         },
+         known_trxs: { upstream: this.known_up.size(), downstream: this.known_down.size() },
+         bans:       this.admission.getStatus(),
+         relayed: {
+            blocks_total:      this.relayed_blocks.total,
+            trxs_total:        this.relayed_trxs.total,
+            blocks_per_minute: this.relayed_blocks.rate(),
+            trxs_per_minute:   this.relayed_trxs.rate()
+         }
       }
-      return false
    }
 
    onNewApiConnection() {
@@ -51,8 +109,10 @@ class RelayNode {
       console.log( "on pending trx: ", trx );
       if( this.upstream ) {
          let msg = JSON.stringify( ['trx',trx[0]] )
-         if( this.addKnownTransaction(trx) )
-            this.upstream.send( msg );
+         if( this.known_up.add( transactionId(trx[0]) ) ) {
+            this.upstreamSend( msg );
+            this.relayed_trxs.add();
+         }
       }
       else
       {
@@ -87,41 +147,150 @@ class RelayNode {
    onDynamicChainState( chain_props ) {
       console.log( "Chain Props: ", chain_props );
       this.chain_props = chain_props;
+      this.fillBlockStore();
 
-      if( !config.upstream ) {
+      if( !this.upstreams.length ) {
          this.startServer();
       } else {
          this.syncFromUpstream();
       }
+      this.startHeartbeat();
    }
 
    startServer() {
+        if( this.server ) return
         console.log( "Start Server: ", config.listen_port );
         this.server = new WebSocket.Server({port: config.listen_port});
         this.server.on('error', err =>  { console.log( "Server Error: ", err ); } )
 
-        this.server.on('connection', con =>  {
-            console.log( "ON NEW CONNECTION" );
+        this.server.on('connection', (con, req) =>  {
+            let address = peerAddress( con, req )
+            console.log( "ON NEW CONNECTION", address );
+            if( !this.admission.admitConnection( con, address ) ) {
+               console.log( "rejecting banned peer", address );
+               con.terminate();
+               return
+            }
             con.state = 'init'
+            con.last_seen = Date.now()
             con.on('message', message =>  {
-                 let msg = JSON.parse( message );
+                 let reason = this.admission.checkMessage( con, message )
+                 if( reason ) {
+                    this.onDownstreamInvalid( con, reason )
+                    return
+                 }
+                 try {
+                    JSON.parse( message );
+                 } catch( e ) {
+                    this.onDownstreamInvalid( con, "malformed message" )
+                    return
+                 }
                  this.onDownstreamMessage( con, message )
             });
+            con.on('pong', () => { this.onDownstreamAlive( con ) });
         });
    }
 
+   /** Connects to the current upstream candidate, see onUpstreamLost for failover */
    syncFromUpstream() {
-      let upstream = new WebSocket(config.upstream);
+      let url = this.upstreams[this.upstream_index]
+      console.log( "connecting upstream: ", url );
+
+      let upstream = new WebSocket(url);
+      this.upstream = upstream;
+      this.upstream_state = 'connecting'
+
       upstream.on('open', () => {
         console.log( "connection opened" );
-        upstream.send(JSON.stringify( ['start', this.chain_props.head_block_number + 1] ) );
+        this.upstream_state     = 'syncing'
+        this.upstream_last_seen = Date.now()
+        upstream.send(JSON.stringify( ['start', this.chain_props.head_block_number + 1, this.batch_size] ) );
         this.startServer();
       });
-      upstream.on('message', this.onUpstreamMessage.bind(this) )
-      upstream.on('close', () => { });
-      upstream.on( 'error', e => { });
+      upstream.on('message', message => {
+        this.upstream_last_seen = Date.now()
+        this.reconnect_attempts = 0
+        this.onUpstreamMessage( message )
+      });
+      upstream.on('pong', () => { this.upstream_last_seen = Date.now() });
+      upstream.on('close', () => { this.onUpstreamLost( upstream, "closed" ) });
+      upstream.on( 'error', e => { this.onUpstreamLost( upstream, e ) });
+   }
 
-      this.upstream = upstream;
+   /** Reconnects with exponential backoff, moving on to the next candidate each time */
+   onUpstreamLost( upstream, reason ) {
+      if( upstream !== this.upstream || this.reconnect_timer ) return
+      console.log( "upstream lost: ", this.upstreams[this.upstream_index], reason );
+
+      this.upstream_state = 'disconnected'
+      try { upstream.terminate() } catch( e ) { }
+
+      let min_delay = config.reconnect_min_delay || DEFAULT_RECONNECT_MIN_DELAY
+      let max_delay = config.reconnect_max_delay || DEFAULT_RECONNECT_MAX_DELAY
+      let delay     = Math.min( max_delay, min_delay * Math.pow( 2, this.reconnect_attempts ) )
+
+      this.reconnect_attempts++
+      this.upstream_index = (this.upstream_index + 1) % this.upstreams.length
+
+      console.log( "reconnecting in", delay, "ms" );
+      this.reconnect_timer = setTimeout( () => {
+         this.reconnect_timer = undefined
+         this.syncFromUpstream()
+      }, delay );
+   }
+
+   upstreamSend( message ) {
+      if( this.upstream && this.upstream.readyState === WebSocket.OPEN )
+         this.upstream.send( message );
+   }
+
+   startHeartbeat() {
+      if( this.heartbeat_timer ) return
+      this.heartbeat_timer = setInterval( this.onHeartbeat.bind(this),
+                                          config.heartbeat_interval || DEFAULT_HEARTBEAT_INTERVAL );
+   }
+
+   /** Pings every link, drops a silent upstream and marks or evicts idle downstream peers */
+   onHeartbeat() {
+      let now = Date.now()
+
+      if( this.upstream && this.upstream.readyState === WebSocket.OPEN ) {
+         if( now - this.upstream_last_seen > (config.upstream_timeout || DEFAULT_UPSTREAM_TIMEOUT) )
+            this.onUpstreamLost( this.upstream, "timeout" )
+         else
+            this.upstream.ping();
+      }
+
+      if( !this.server ) return
+
+      let stale_timeout = config.peer_stale_timeout || DEFAULT_PEER_STALE_TIMEOUT
+      let evict_timeout = config.peer_evict_timeout || DEFAULT_PEER_EVICT_TIMEOUT
+
+      this.server.clients.forEach( con => {
+         let idle = now - con.last_seen
+         if( idle > evict_timeout ) {
+            console.log( "evicting idle peer" );
+            con.terminate();
+            return
+         }
+         if( idle > stale_timeout && con.state !== 'stale' ) {
+            /// a stale peer gets no broadcasts, remember where to resume
+            con.resume_state   = con.state
+            con.sync_block_num = con.state === 'synced' ? this.chain_props.head_block_number + 1 : con.sync_block_num
+            con.state          = 'stale'
+         }
+         try { con.ping() } catch( e ) { }
+      });
+   }
+
+   onDownstreamAlive( con ) {
+      con.last_seen = Date.now()
+      if( con.state !== 'stale' ) return
+
+      if( con.resume_state === 'init' )
+         con.state = 'init'
+      else
+         this.onDownstreamStartSync( con, con.sync_block_num, con.sync_batch )
    }
 
    onUpstreamMessage( message ) {
@@ -133,12 +302,16 @@ class RelayNode {
          case 'block':
             this.onUpstreamBlock( data, message );
             break;
+         case 'blocks':
+            data.forEach( block => { this.onUpstreamBlock( block, JSON.stringify(['block',block]) ); } );
+            break;
          case 'trx':
             console.log( "data: ", data );
             this.onUpstreamTrx( data, message );
             break;
          case 'synced':
             this.upstream.synced = true
+            this.upstream_state  = 'synced'
       }
    }
 
@@ -146,25 +319,40 @@ class RelayNode {
       if( !block ) throw Error( "invalid block" );
       this.net_api
           .exec( 'broadcast_block', [ block ] )
-          .then( on_success =>{ this.downstreamBroadcast( message ); },
+          .then( on_success =>{
+                    this.fillBlockStore();
+                    this.downstreamBroadcast( message );
+                    this.relayed_blocks.add();
+                 },
                  error => { console.log( "on UpstreamBlock error: ", error ); } );
 
       /// clear and rotate known transaction buffers
-      this.known_trxsb = this.known_trxsa;
-      this.known_trxsa = new Set()
+      this.known_up.rotate()
+      this.known_down.rotate()
    }
 
    onUpstreamTrx( trx, message ) {
      console.log( "onUpstreamTrx:", message );
+      let id
+      try { id = transactionId( trx ) } catch( e ) {
+         console.log( "onUpstreamTrx invalid transaction: ", e );
+         return
+      }
+      /// already relayed; also keeps the pending callback from sending it back upstream
+      if( !this.known_down.add( id ) ) return
+      this.known_up.add( id )
+
       this.net_api
           .exec( 'broadcast_transaction', [ trx ] )
           .then( on_success =>{  }, error => { } );
 
       this.downstreamBroadcast( message );
+      this.relayed_trxs.add();
    }
 
 
    onDownstreamMessage( con, message ) {
+      this.onDownstreamAlive( con )
       let msg = JSON.parse( message );
       let type = msg[0]
       let data = msg[1]
@@ -177,32 +365,115 @@ class RelayNode {
             this.onDownstreamTrx( con, data, message );
             break;
          case 'start':
-            this.onDownstreamStartSync( con, data );
+            this.onDownstreamStartSync( con, data, msg[2] );
             break;
          case 'synced':
       }
    }
 
-   onDownstreamStartSync( con, from_block_num )
+   /**
+    *  A downstream peer asks for every block starting at from_block_num.  Peers
+    *  passing a batch size receive ['blocks',[...]] messages, older peers one
+    *  ['block',block] message per block.  A peer that reconnects simply starts
+    *  again from its own head, so an interrupted sync resumes where it stopped.
+    */
+   onDownstreamStartSync( con, from_block_num, batch_size )
+   {
+      con.state          = 'syncing'
+      con.sync_block_num = from_block_num
+      con.sync_batch     = batch_size ? Math.min( batch_size, this.batch_size ) : 0
+      /// a new start request replaces any sync still in progress
+      con.sync_session   = (con.sync_session || 0) + 1
+      this.syncDownstream( con, con.sync_session )
+   }
+
+   syncDownstream( con, session )
+   {
+      if( con.readyState !== WebSocket.OPEN ) return
+      if( session !== con.sync_session || con.state !== 'syncing' ) return
+
+      let from_block_num = con.sync_block_num
+      let count          = con.sync_batch || this.batch_size
+
+      let head  = this.chain_props ? this.chain_props.head_block_number : 0
+      let range = this.blocks.syncRange( from_block_num, count, head )
+
+      if( range && range.cached )
+         this.sendSyncBlocks( con, session, this.blocks.readRange( from_block_num, range.count ) )
+      else if( range )
+      {
+         this.fetchBlocks( from_block_num, range.count )
+             .then( blocks => {
+                       if( blocks.length ) this.sendSyncBlocks( con, session, blocks )
+                       else this.onDownstreamSynced( con )
+                    },
+                    error => {
+                       console.log( "onDownstreamStartSync error: ", error )
+                       con.state = 'synced';
+                    } );
+      }
+      else
+         this.onDownstreamSynced( con )
+   }
+
+   sendSyncBlocks( con, session, blocks )
    {
-      this.db_api.exec( 'get_block', [from_block_num] )
-                 .then( block => {
-                           if( block ) 
-                           {
-                              con.send( JSON.stringify( ['block',block] ) );
-                              this.onDownstreamStartSync( con, from_block_num + 1 );
-                           }
-                           else 
-                           {
-                             con.state = 'synced'
-                             con.send( JSON.stringify( ['synced'] ) );
-                             console.log( "chain is synced" );
-                           }
-                          
-                        },
-                        error => {
-                           con.state = 'synced';
-                        } );
+      if( session !== con.sync_session || con.state !== 'syncing' ) return
+      con.sync_block_num += blocks.length
+      let next = error => { if( !error ) this.syncDownstream( con, session ) }
+
+      if( con.sync_batch )
+         con.send( JSON.stringify( ['blocks',blocks] ), next );
+      else
+         blocks.forEach( (block,i) => {
+            con.send( JSON.stringify( ['block',block] ), i === blocks.length - 1 ? next : undefined );
+         });
+   }
+
+   onDownstreamSynced( con )
+   {
+      con.state = 'synced'
+      con.send( JSON.stringify( ['synced'] ) );
+      console.log( "chain is synced" );
+   }
+
+   /** @return promise for up to count consecutive blocks, stops at the first missing block */
+   fetchBlocks( from_block_num, count )
+   {
+      let requests = []
+      for( let i = 0; i < count; ++i )
+         requests.push( this.db_api.exec( 'get_block', [from_block_num + i] ) )
+
+      return Promise.all( requests ).then( blocks => {
+         let end = blocks.indexOf( null )
+         return end === -1 ? blocks : blocks.slice( 0, end )
+      })
+   }
+
+   /**
+    *  Copy irreversible blocks the cache is missing from the local node, in
+    *  batches.  The cache is append-only, so a block that may still be
+    *  orphaned by a fork is never stored; newer blocks are read from the node.
+    */
+   fillBlockStore()
+   {
+      if( this.filling || !this.chain_props ) return
+
+      let from_block_num = this.blocks.isEmpty() ? (config.block_store_start || 1) : this.blocks.head + 1
+      let count = Math.min( this.batch_size, this.chain_props.last_irreversible_block_num - from_block_num + 1 )
+      if( count <= 0 ) return
+
+      this.filling = true
+      this.fetchBlocks( from_block_num, count )
+          .then( blocks => {
+                    blocks.forEach( (block,i) => { this.blocks.append( from_block_num + i, block ) } )
+                    this.filling = false
+                    if( blocks.length ) this.fillBlockStore()
+                 },
+                 error => {
+                    console.log( "fillBlockStore error: ", error )
+                    this.filling = false
+                 } );
    }
 
    onDownstreamBlock( con, block, message ) {
@@ -211,7 +482,7 @@ class RelayNode {
          .then( on_success => { 
                   if( this.upstream ) 
                   {
-                    this.upstream.send( message );
+                    this.upstreamSend( message );
                   }
                   else // this is the root node
                   {
@@ -225,13 +496,24 @@ class RelayNode {
 
    onDownstreamTrx( con, trx, message ) {
      console.log( "onDownstreamTrx:", message );
+     if( !this.admission.takeTrxToken( con ) ) return
+
+     let id
+     try { id = transactionId( trx ) } catch( e ) {
+        this.onDownstreamInvalid( con, "unserializable transaction" )
+        return
+     }
+     if( this.known_up.has( id ) || this.known_down.has( id ) ) return
+
      this.db_api
          .exec( 'validate_transaction', [trx] )
          .then( on_success => { 
                   if( this.upstream ) 
                   {
-                    if( this.addKnownTransaction( message ) )
-                       this.upstream.send( message );
+                    if( this.known_up.add( id ) ) {
+                       this.upstreamSend( message );
+                       this.relayed_trxs.add();
+                    }
                   }
                   else // this is the root node
                   {
@@ -240,9 +522,16 @@ class RelayNode {
                },
                error => {
                   console.log( "error: ", error )
+                  this.onDownstreamInvalid( con, "invalid transaction" )
                });
    }
 
+   /** Counts a strike against the peer and disconnects it once it is banned */
+   onDownstreamInvalid( con, reason ) {
+      if( reason === "banned" || this.admission.onInvalid( con, reason ) )
+         con.terminate();
+   }
+
 
    downstreamBroadcast( message ) {
       if( this.server ) {
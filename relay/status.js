@@ -0,0 +1,99 @@
+var http = require('http')
+
+/**
+ *  Counts events over a sliding window of one second buckets.
+ */
+class RateCounter {
+   constructor( window_secs = 60 ) {
+      this.total   = 0
+      this.buckets = []
+      for( let i = 0; i < window_secs; ++i ) this.buckets.push( 0 )
+      this.second  = Math.floor( Date.now() / 1000 )
+   }
+
+   add( count = 1 ) {
+      this.advance()
+      this.buckets[this.second % this.buckets.length] += count
+      this.total += count
+   }
+
+   /** @return number of events within the window */
+   rate() {
+      this.advance()
+      return this.buckets.reduce( (sum, count) => sum + count, 0 )
+   }
+
+   advance() {
+      let now = Math.floor( Date.now() / 1000 )
+      let elapsed = Math.min( now - this.second, this.buckets.length )
+      for( let i = 1; i <= elapsed; ++i )
+         this.buckets[(this.second + i) % this.buckets.length] = 0
+      this.second = now
+   }
+}
+
+/** Renders RelayNode.getStatus() in the Prometheus text exposition format */
+function prometheusMetrics( status ) {
+   let lines = []
+   let metric = ( name, type, help, samples ) => {
+      lines.push( "# HELP relay_" + name + " " + help )
+      lines.push( "# TYPE relay_" + name + " " + type )
+      samples.forEach( ([labels, value]) => {
+         let label_text = Object.keys(labels).map( key => key + '="' + labels[key] + '"' ).join( "," )
+         lines.push( "relay_" + name + (label_text ? "{" + label_text + "}" : "") + " " + value )
+      })
+   }
+
+   metric( "head_block_number", "gauge", "Head block number of the local node",
+           [[{}, status.head_block_number]] )
+   metric( "block_store_head", "gauge", "Last block in the block cache",
+           [[{}, status.block_store.head]] )
+   metric( "upstream_connected", "gauge", "1 if the upstream link is open",
+           [[{}, status.upstream && status.upstream.state !== 'disconnected' && status.upstream.state !== 'connecting' ? 1 : 0]] )
+   metric( "upstream_reconnect_attempts", "gauge", "Upstream reconnect attempts since the last message",
+           [[{}, status.upstream ? status.upstream.reconnect_attempts : 0]] )
+   metric( "downstream_peers", "gauge", "Downstream peers by connection state",
+           Object.keys(status.downstream.by_state).map( state => [{state}, status.downstream.by_state[state]] ) )
+   metric( "known_transactions", "gauge", "Size of the known transaction id buffers",
+           ["upstream", "downstream"].reduce( (samples, direction) => samples.concat([
+              [{direction, buffer: "a"}, status.known_trxs[direction].a],
+              [{direction, buffer: "b"}, status.known_trxs[direction].b]
+           ]), [] ) )
+   metric( "banned_peers", "gauge", "Banned downstream addresses",
+           [[{type: "permanent"}, status.bans.permanent.length], [{type: "temporary"}, status.bans.temporary.length]] )
+   metric( "relayed_total", "counter", "Blocks and transactions relayed since start",
+           [[{type: "block"}, status.relayed.blocks_total], [{type: "trx"}, status.relayed.trxs_total]] )
+   metric( "relayed_per_minute", "gauge", "Blocks and transactions relayed during the last minute",
+           [[{type: "block"}, status.relayed.blocks_per_minute], [{type: "trx"}, status.relayed.trxs_per_minute]] )
+
+   return lines.join( "\n" ) + "\n"
+}
+
+/**
+ *  Serves GET /status (JSON) and GET /metrics (Prometheus) for a relay.
+ */
+function startStatusServer( relay, port ) {
+   let server = http.createServer( (req, res) => {
+      let url = req.url.split( "?" )[0]
+      if( req.method !== 'GET' || (url !== '/status' && url !== '/metrics') ) {
+         res.writeHead( 404, {'Content-Type': 'text/plain'} )
+         res.end( "not found\n" )
+         return
+      }
+
+      let status = relay.getStatus()
+      if( url === '/status' ) {
+         res.writeHead( 200, {'Content-Type': 'application/json'} )
+         res.end( JSON.stringify( status, null, 2 ) )
+      } else {
+         res.writeHead( 200, {'Content-Type': 'text/plain; version=0.0.4'} )
+         res.end( prometheusMetrics( status ) )
+      }
+   })
+   server.on( 'error', err => { console.log( "Status Server Error: ", err ); } )
+   server.listen( port )
+   console.log( "Start Status Server: ", port );
+   return server
+}
+
+module.exports = { RateCounter, prometheusMetrics, startStatusServer }
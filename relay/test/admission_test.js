@@ -0,0 +1,128 @@
+var assert = require('assert')
+var {AdmissionPolicy, KnownTransactions} = require('../admission.js')
+
+function connection( policy, address = '10.0.0.1' ) {
+   let con = {}
+   policy.admitConnection( con, address )
+   return con
+}
+
+/** @return the lines console.log printed while running fn */
+function logged( fn ) {
+   let lines = []
+   let log   = console.log
+   console.log = (...args) => { lines.push( args.join(' ') ) }
+   try { fn() } finally { console.log = log }
+   return lines
+}
+
+describe( "AdmissionPolicy", () => {
+
+   describe( "token bucket", () => {
+
+      it( "allows a burst then drops transactions", () => {
+         let policy = new AdmissionPolicy( { trx_rate: 1, trx_burst: 3 } )
+         let con    = connection( policy )
+         logged( () => {
+            assert( policy.takeTrxToken(con) )
+            assert( policy.takeTrxToken(con) )
+            assert( policy.takeTrxToken(con) )
+            assert.equal( policy.takeTrxToken(con), false )
+         })
+      })
+
+      it( "refills at the rate up to the burst", () => {
+         let policy = new AdmissionPolicy( { trx_rate: 2, trx_burst: 3 } )
+         let con    = connection( policy )
+         con.tokens = 0
+         con.refilled = Date.now() - 1000
+         assert( policy.takeTrxToken(con) )
+         assert( policy.takeTrxToken(con) )
+         logged( () => assert.equal( policy.takeTrxToken(con), false ) )
+
+         con.refilled = Date.now() - 60 * 1000
+         policy.takeTrxToken( con )
+         assert.equal( con.tokens, 2 )
+      })
+
+      it( "logs dropped transactions once per interval and address", () => {
+         let policy = new AdmissionPolicy( { trx_rate: 1, trx_burst: 1, rate_log_interval: 1000 } )
+         let a = connection( policy, '10.0.0.1' )
+         let b = connection( policy, '10.0.0.2' )
+         a.tokens = b.tokens = 0
+
+         let lines = logged( () => {
+            for( let i = 0; i < 50; ++i ) {
+               a.refilled = b.refilled = Date.now()
+               policy.takeTrxToken( a )
+               policy.takeTrxToken( b )
+            }
+         })
+         assert.equal( lines.length, 2 )
+         assert.equal( policy.rate_limited.get('10.0.0.1').dropped, 49 )
+
+         lines = logged( () => policy.onRateLimited( '10.0.0.1', Date.now() + 1000 ) )
+         assert.deepEqual( lines, ["rate limited peer 10.0.0.1 dropped 50 transactions"] )
+      })
+   })
+
+   describe( "bans", () => {
+
+      it( "bans a peer after invalid_limit invalid messages", () => {
+         let policy = new AdmissionPolicy( { invalid_limit: 3 } )
+         let con    = connection( policy )
+         logged( () => {
+            assert.equal( policy.onInvalid( con, "invalid transaction" ), false )
+            assert.equal( policy.onInvalid( con, "invalid transaction" ), false )
+            assert( policy.onInvalid( con, "invalid transaction" ) )
+         })
+         assert( policy.isBanned('10.0.0.1') )
+         assert.equal( policy.checkMessage( con, "[]" ), "banned" )
+         assert.equal( policy.admitConnection( {}, '10.0.0.1' ), false )
+         assert( policy.admitConnection( {}, '10.0.0.2' ) )
+      })
+
+      it( "forgets invalid messages older than the window", () => {
+         let policy = new AdmissionPolicy( { invalid_limit: 2, invalid_window: 1000 } )
+         let con    = connection( policy )
+         con.invalid = [Date.now() - 2000]
+         logged( () => assert.equal( policy.onInvalid( con, "malformed message" ), false ) )
+         assert.equal( con.invalid.length, 1 )
+      })
+
+      it( "lifts temporary bans once they expire", () => {
+         let policy = new AdmissionPolicy( {} )
+         policy.temporary_bans.set( '10.0.0.1', Date.now() - 1 )
+         assert.equal( policy.isBanned('10.0.0.1'), false )
+         assert.equal( policy.temporary_bans.size, 0 )
+      })
+
+      it( "always refuses banned_peers", () => {
+         let policy = new AdmissionPolicy( { banned_peers: ['10.0.0.9'] } )
+         assert.equal( policy.admitConnection( {}, '10.0.0.9' ), false )
+         assert.deepEqual( policy.getStatus(), { permanent: ['10.0.0.9'], temporary: [] } )
+      })
+   })
+
+   it( "drops messages over max_message_size", () => {
+      let policy = new AdmissionPolicy( { max_message_size: 10 } )
+      let con    = connection( policy )
+      assert.equal( policy.checkMessage( con, "[1,2,3]" ), null )
+      assert.equal( policy.checkMessage( con, "[1,2,3,4,5,6]" ), "message too large" )
+   })
+})
+
+describe( "KnownTransactions", () => {
+
+   it( "remembers ids for one to two rotations", () => {
+      let known = new KnownTransactions()
+      assert( known.add('a') )
+      assert.equal( known.add('a'), false )
+      known.rotate()
+      assert( known.has('a') )
+      assert.equal( known.add('a'), false )
+      known.rotate()
+      assert.equal( known.has('a'), false )
+      assert( known.add('a') )
+   })
+})
@@ -0,0 +1,102 @@
+var assert = require('assert')
+var fs     = require('fs')
+var os     = require('os')
+var path   = require('path')
+var BlockStore = require('../block_store.js')
+
+function block( block_num ) {
+   let previous = ('00000000' + (block_num - 1).toString(16)).slice(-8)
+   return { previous: previous + '00000000000000000000000000000000', witness: '1.6.' + block_num }
+}
+
+describe( "BlockStore", () => {
+
+   let dir, store
+
+   beforeEach( () => {
+      dir   = fs.mkdtempSync( path.join(os.tmpdir(), 'relay-blocks-') )
+      store = new BlockStore( dir ).open()
+   })
+
+   afterEach( () => {
+      store.close()
+      fs.readdirSync( dir ).forEach( file => fs.unlinkSync( path.join(dir, file) ) )
+      fs.rmdirSync( dir )
+   })
+
+   function fill( from, to ) {
+      for( let num = from; num <= to; ++num )
+         store.append( num, block(num) )
+   }
+
+   it( "appends and reads contiguous blocks", () => {
+      assert( store.isEmpty() )
+      fill( 10, 14 )
+      assert.equal( store.first, 10 )
+      assert.equal( store.head, 14 )
+      assert.deepEqual( store.read(12), block(12) )
+      assert.equal( store.read(9), null )
+      assert.equal( store.read(15), null )
+      assert.deepEqual( store.readRange( 13, 5 ), [block(13), block(14)] )
+   })
+
+   it( "ignores cached blocks and refuses gaps", () => {
+      fill( 1, 3 )
+      assert.equal( store.append( 2, block(2) ), false )
+      assert.throws( () => store.append( 5, block(5) ), /gap/ )
+      assert.equal( store.head, 3 )
+   })
+
+   it( "reopens with the same range", () => {
+      fill( 5, 8 )
+      store.close()
+      store = new BlockStore( dir ).open()
+      assert.equal( store.first, 5 )
+      assert.equal( store.head, 8 )
+      assert.deepEqual( store.read(8), block(8) )
+      store.append( 9, block(9) )
+      assert.deepEqual( store.readRange( 7, 10 ), [block(7), block(8), block(9)] )
+   })
+
+   it( "truncates a torn write on open", () => {
+      fill( 1, 3 )
+      store.close()
+      /// index record of block 4 written, its data only partly
+      fs.appendFileSync( path.join(dir, 'blocks.dat'), '{"previous":' )
+      fs.appendFileSync( path.join(dir, 'blocks.idx'), new Buffer(10) )
+      store = new BlockStore( dir ).open()
+      assert.equal( store.head, 3 )
+      assert.equal( fs.statSync( path.join(dir, 'blocks.idx') ).size, 3 * 16 )
+      store.append( 4, block(4) )
+      assert.deepEqual( store.read(4), block(4) )
+   })
+
+   describe( "syncRange", () => {
+
+      it( "serves cached blocks in batches up to the cache head", () => {
+         fill( 100, 250 )
+         assert.deepEqual( store.syncRange( 100, 100, 300 ), { cached: true, count: 100 } )
+         assert.deepEqual( store.syncRange( 200, 100, 300 ), { cached: true, count: 51 } )
+      })
+
+      it( "reads blocks newer than the cache from the node up to the head", () => {
+         fill( 100, 250 )
+         assert.deepEqual( store.syncRange( 251, 100, 300 ), { cached: false, count: 50 } )
+         assert.deepEqual( store.syncRange( 300, 100, 300 ), { cached: false, count: 1 } )
+      })
+
+      it( "stops node batches before the cache", () => {
+         fill( 100, 250 )
+         assert.deepEqual( store.syncRange( 1, 150, 300 ), { cached: false, count: 99 } )
+      })
+
+      it( "reads everything from the node while the cache is empty", () => {
+         assert.deepEqual( store.syncRange( 1, 100, 30 ), { cached: false, count: 30 } )
+      })
+
+      it( "ends the sync past the head", () => {
+         fill( 1, 10 )
+         assert.equal( store.syncRange( 11, 100, 10 ), null )
+      })
+   })
+})
@@ -1,8 +1,25 @@
 module.exports = {
     port: 9000,
+    // Node used to look up memo keys of signed messages
+    apiUrl: 'wss://bitshares.openledger.info/ws',
     useSSL: false,
     ssl: {
         key: '/path/to/your/ssl/key/here.key',
         cert: '/path/to/your/ssl/certificate/here.crt'
+    },
+    room: {
+        historySize: 100,
+        maxMessageLength: 140,
+        floodInterval: 2000,
+        // Trust X-Real-IP / X-Forwarded-For, set when running behind a reverse proxy
+        proxied: false,
+        moderationFile: './moderation.json',
+        // account name: secret token
+        admins: {},
+        // Accepted age of a message signature, in ms
+        signatureWindow: 60 * 1000,
+        memoKeyCacheTime: 10 * 60 * 1000,
+        // How long a name stays reserved for signed messages after its last one
+        signedNameTime: 24 * 60 * 60 * 1000
     }
-}
\ No newline at end of file
+}
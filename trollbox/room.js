@@ -0,0 +1,318 @@
+var fs = require("fs");
+var WebSocketServer = require("ws").Server;
+var Signatures = require("./signatures");
+
+var RESERVED_NAMES = ["SYSTEM", "Welcome to Bitshares"];
+var SYSTEM_COLOR = "#B71A00";
+var ADMIN_COMMANDS = {mute: "muted", unmute: "unmuted", ban: "banned", unban: "unbanned"};
+
+/*
+ * Chat room served next to the PeerJS signaling server.
+ *
+ * Clients connect with a websocket to <path>/room and exchange JSON messages:
+ *
+ *   client -> server
+ *     {type: "message", user, color, message}
+ *     {type: "message", user, color, message, time, signature}   signed, see signatures.js
+ *     {type: "admin", admin, token, command, target}  command: mute, unmute, ban, unban
+ *
+ *   server -> client
+ *     {type: "history", messages: [...]}   sent once after connecting
+ *     {type: "message", user, color, message, time}
+ *     {type: "message", user, color, message, time, signed_time, signature}
+ *     {type: "users", count}
+ *     {type: "error", error}                error: rate, length, muted, banned, name, admin,
+ *                                                  signature, signed_name
+ *
+ * Tips are announced by the tipping client as an ordinary message from its
+ * user, the server does not vouch for them. The flood interval applies per
+ * address so opening more connections does not get around it.
+ *
+ * Signed messages are only relayed if the signature matches the on-chain memo
+ * key of the user and was made within config.room.signatureWindow. Once a name
+ * posted a signed message, unsigned messages using it are refused for
+ * config.room.signedNameTime so nobody can pose as a verified user.
+
+ * Mutes apply to user names, bans to user names and to the addresses they
+ * connected from. Both are kept in config.room.moderationFile.
+ */
+function Room(config) {
+    this.config = config;
+    this.history = [];
+    this.clients = [];
+    // ban_ips: banned name: addresses banned with it, lifted together on unban
+    this.moderation = {muted: [], banned_names: [], banned_ips: [], ban_ips: {}};
+    this.signatures = new Signatures(config);
+    this.signedNames = {}; // name: time of the last signed message
+    this.recentSignatures = {}; // signature: time received, to refuse replays
+    this.lastPosts = {}; // address: time of its last message
+    this._loadModeration();
+}
+
+Room.prototype.attach = function(server, path) {
+    var self = this;
+    this.wss = new WebSocketServer({server: server, path: path});
+
+    this.wss.on("connection", function(socket) {
+        var ip = self._clientIp(socket);
+        if (self.moderation.banned_ips.indexOf(ip) !== -1) {
+            self._send(socket, {type: "error", error: "banned"});
+            return socket.close();
+        }
+
+        socket.ip = ip;
+        socket.names = [];
+        self.clients.push(socket);
+
+        self._send(socket, {type: "history", messages: self.history});
+        self._broadcastUsers();
+
+        socket.on("message", function(data) {
+            var msg;
+            try {
+                msg = JSON.parse(data);
+            } catch (e) {
+                return;
+            }
+            self.onMessage(socket, msg);
+        });
+
+        socket.on("close", function() {
+            var index = self.clients.indexOf(socket);
+            if (index !== -1) {
+                self.clients.splice(index, 1);
+            }
+            self._broadcastUsers();
+        });
+    });
+
+    console.log("Trollbox room listening at", path);
+};
+
+Room.prototype.onMessage = function(socket, msg) {
+    switch (msg.type) {
+    case "message":
+        return this.onChatMessage(socket, msg);
+    case "admin":
+        return this.onAdmin(socket, msg);
+    }
+};
+
+/* Checks shared by every message a user posts, returns the error or null */
+Room.prototype._checkPost = function(socket, user) {
+    if (typeof user !== "string" || !user.length || RESERVED_NAMES.indexOf(user) !== -1) {
+        return "name";
+    }
+    if (this.moderation.banned_names.indexOf(user) !== -1) {
+        return "banned";
+    }
+    if (this.moderation.muted.indexOf(user) !== -1) {
+        return "muted";
+    }
+    if (Date.now() - (this.lastPosts[socket.ip] || 0) < this.config.room.floodInterval) {
+        return "rate";
+    }
+    return null;
+};
+
+/* Counts a message of the socket's address against the flood interval */
+Room.prototype._markPost = function(socket, time) {
+    var interval = this.config.room.floodInterval;
+    Object.keys(this.lastPosts).forEach(function(ip) {
+        if (time - this.lastPosts[ip] >= interval) {
+            delete this.lastPosts[ip];
+        }
+    }, this);
+    this.lastPosts[socket.ip] = time;
+};
+
+Room.prototype.onChatMessage = function(socket, msg) {
+    var error = this._checkPost(socket, msg.user);
+    if (!error && (typeof msg.message !== "string" || !msg.message.length ||
+        msg.message.length > this.config.room.maxMessageLength)) {
+        error = "length";
+    }
+    if (!error && !msg.signature && this._isSignedName(msg.user)) {
+        error = "signed_name";
+    }
+    if (error) {
+        return this._send(socket, {type: "error", error: error});
+    }
+
+    var message = {
+        user: msg.user,
+        color: typeof msg.color === "string" ? msg.color.substr(0, 7) : "#ffffff",
+        message: msg.message
+    };
+    if (!msg.signature) {
+        return this._post(socket, message);
+    }
+
+    if (!this._checkSignatureFresh(msg)) {
+        return this._send(socket, {type: "error", error: "signature"});
+    }
+
+    // The lookup is asynchronous, count the message against the flood interval now
+    this._markPost(socket, Date.now());
+
+    var self = this;
+    this.signatures.verify(msg).then(function(valid) {
+        if (!valid) {
+            return self._send(socket, {type: "error", error: "signature"});
+        }
+        self.signedNames[msg.user] = Date.now();
+        message.signed_time = msg.time;
+        message.signature = msg.signature;
+        self._post(socket, message);
+    }).catch(function() {
+        self._send(socket, {type: "error", error: "signature"});
+    });
+};
+
+Room.prototype._isSignedName = function(user) {
+    var signed = this.signedNames[user];
+    return !!signed && Date.now() - signed < this.config.room.signedNameTime;
+};
+
+/* Refuses malformed, stale and replayed signatures */
+Room.prototype._checkSignatureFresh = function(msg) {
+    var now = Date.now();
+    var maxAge = this.config.room.signatureWindow;
+    if (typeof msg.signature !== "string" || typeof msg.time !== "number" ||
+        Math.abs(now - msg.time) > maxAge || this.recentSignatures.hasOwnProperty(msg.signature)) {
+        return false;
+    }
+
+    Object.keys(this.recentSignatures).forEach(function(signature) {
+        if (now - this.recentSignatures[signature] > 2 * maxAge) {
+            delete this.recentSignatures[signature];
+        }
+    }, this);
+    this.recentSignatures[msg.signature] = now;
+    return true;
+};
+
+Room.prototype._post = function(socket, message) {
+    message.type = "message";
+    message.time = Date.now();
+
+    this._markPost(socket, message.time);
+    if (socket.names.indexOf(message.user) === -1) {
+        socket.names.push(message.user);
+    }
+
+    this.history.push(message);
+    if (this.history.length > this.config.room.historySize) {
+        this.history.shift();
+    }
+    this._broadcast(message);
+};
+
+Room.prototype.onAdmin = function(socket, msg) {
+    var admins = this.config.room.admins || {};
+    if (!msg.admin || !admins.hasOwnProperty(msg.admin) || admins[msg.admin] !== msg.token) {
+        return this._send(socket, {type: "error", error: "admin"});
+    }
+
+    var target = msg.target;
+    var moderation = this.moderation;
+    var remove = function(list, value) {
+        var index = list.indexOf(value);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    };
+
+    switch (msg.command) {
+    case "mute":
+        if (moderation.muted.indexOf(target) === -1) moderation.muted.push(target);
+        break;
+    case "unmute":
+        remove(moderation.muted, target);
+        break;
+    case "ban":
+        if (moderation.banned_names.indexOf(target) === -1) moderation.banned_names.push(target);
+        var ips = moderation.ban_ips[target] || [];
+        this.clients.filter(function(client) {
+            return client.names.indexOf(target) !== -1;
+        }).forEach(function(client) {
+            if (moderation.banned_ips.indexOf(client.ip) === -1) moderation.banned_ips.push(client.ip);
+            if (ips.indexOf(client.ip) === -1) ips.push(client.ip);
+            client.close();
+        });
+        moderation.ban_ips[target] = ips;
+        break;
+    case "unban":
+        remove(moderation.banned_names, target);
+        (moderation.ban_ips[target] || []).forEach(function(ip) {
+            remove(moderation.banned_ips, ip);
+        });
+        delete moderation.ban_ips[target];
+        break;
+    default:
+        return this._send(socket, {type: "error", error: "admin"});
+    }
+
+    console.log("admin", msg.admin, msg.command, target);
+    this._saveModeration();
+    this._broadcast({
+        type: "message",
+        user: "SYSTEM",
+        color: SYSTEM_COLOR,
+        message: target + " was " + ADMIN_COMMANDS[msg.command] + " by " + msg.admin,
+        time: Date.now()
+    });
+};
+
+Room.prototype._send = function(socket, msg) {
+    try {
+        socket.send(JSON.stringify(msg));
+    } catch (e) {
+        console.log("room send error:", e.message);
+    }
+};
+
+Room.prototype._broadcast = function(msg) {
+    var self = this;
+    this.clients.forEach(function(client) {
+        self._send(client, msg);
+    });
+};
+
+Room.prototype._broadcastUsers = function() {
+    this._broadcast({type: "users", count: this.clients.length});
+};
+
+Room.prototype._clientIp = function(socket) {
+    var req = socket.upgradeReq;
+    var forwarded = req.headers["x-real-ip"] || req.headers["x-forwarded-for"];
+    if (forwarded && this.config.room.proxied) {
+        return forwarded.split(",")[0].trim();
+    }
+    return req.connection.remoteAddress;
+};
+
+Room.prototype._loadModeration = function() {
+    var file = this.config.room.moderationFile;
+    if (!file || !fs.existsSync(file)) return;
+    try {
+        var saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        Object.keys(this.moderation).forEach(function(key) {
+            if (saved[key] && typeof saved[key] === "object" && Array.isArray(saved[key]) === Array.isArray(this.moderation[key])) {
+                this.moderation[key] = saved[key];
+            }
+        }, this);
+    } catch (e) {
+        console.log("unable to read", file, e.message);
+    }
+};
+
+Room.prototype._saveModeration = function() {
+    var file = this.config.room.moderationFile;
+    if (!file) return;
+    fs.writeFile(file, JSON.stringify(this.moderation, null, 2), function(err) {
+        if (err) console.log("unable to write", file, err.message);
+    });
+};
+
+module.exports = Room;
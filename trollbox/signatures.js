@@ -0,0 +1,72 @@
+var Apis = require("graphenejs-ws").Apis;
+var lib = require("graphenejs-lib");
+var Signature = lib.Signature;
+var PublicKey = lib.PublicKey;
+
+/*
+ * Verifies chat messages signed with the memo key of the posting account.
+ *
+ * Clients sign the sha256 of signedPayload(msg) with the private memo key of
+ * msg.user and send the hex signature along with the time they signed at.
+ * Memo keys are looked up on chain through config.apiUrl and cached for
+ * config.room.memoKeyCacheTime.
+ */
+function signedPayload(msg) {
+    return [msg.user, msg.time, msg.message].join("\n");
+}
+
+function Signatures(config) {
+    this.apiUrl = config.apiUrl;
+    this.cacheTime = config.room.memoKeyCacheTime;
+    this.memoKeys = {}; // account name: {key, expires}
+    this.api = null;
+}
+
+Signatures.prototype._connect = function() {
+    if (!this.api) {
+        this.api = Apis.instance(this.apiUrl, true).init_promise;
+    }
+    return this.api;
+};
+
+/* Resolves with the memo key of an account or null if the account does not exist */
+Signatures.prototype.getMemoKey = function(name) {
+    var self = this;
+    var cached = this.memoKeys[name];
+    if (cached && cached.expires > Date.now()) {
+        return Promise.resolve(cached.key);
+    }
+
+    return this._connect().then(function() {
+        return Apis.instance().db_api().exec("get_account_by_name", [name]);
+    }).then(function(account) {
+        var key = account ? account.options.memo_key : null;
+        self.memoKeys[name] = {key: key, expires: Date.now() + self.cacheTime};
+        return key;
+    }).catch(function(err) {
+        // Reconnect on the next lookup
+        console.log("memo key lookup failed:", err && err.message ? err.message : err);
+        self.api = null;
+        Apis.close();
+        throw err;
+    });
+};
+
+/* Resolves with true if msg.signature was made with the memo key of msg.user */
+Signatures.prototype.verify = function(msg) {
+    return this.getMemoKey(msg.user).then(function(memoKey) {
+        var publicKey = memoKey ? PublicKey.fromPublicKeyString(memoKey) : null;
+        if (!publicKey) {
+            return false;
+        }
+        try {
+            return Signature.fromHex(msg.signature).verifyBuffer(new Buffer(signedPayload(msg), "utf8"), publicKey);
+        } catch (e) {
+            return false;
+        }
+    });
+};
+
+Signatures.signedPayload = signedPayload;
+
+module.exports = Signatures;
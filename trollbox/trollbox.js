@@ -1,6 +1,7 @@
 var fs = require("fs");
 var config = require("./config");
 var PeerServer = require('peer').PeerServer;
+var Room = require("./room");
 
 var psConfig = {
     port: config.port,
@@ -14,7 +15,15 @@ if (config.useSSL) {
         cert: fs.readFileSync(config.ssl.cert)
     }
 }
-var server = PeerServer(psConfig);
+
+var room = new Room(config);
+// PeerServer deletes options.path before calling back
+var roomPath = psConfig.path + "/room";
+
+// The room shares the http server with the PeerJS signaling server
+var server = PeerServer(psConfig, function(httpServer) {
+    room.attach(httpServer, roomPath);
+});
 
 server.on('connection', function(id) { 
     console.log("connection from:", id);
@@ -25,4 +34,3 @@ server.on('disconnect', function(id) {
 });
 
 console.log("Trollbox listening at port", config.port);
-
@@ -12,6 +12,11 @@ import Assets from "./components/Explorer/AssetsContainer";
 import AccountsContainer from "./components/Explorer/AccountsContainer";
 import Witnesses from "./components/Explorer/Witnesses";
 import CommitteeMembers from "./components/Explorer/CommitteeMembers";
+import SearchResults from "./components/Explorer/SearchResults";
+import ObjectViewer from "./components/Explorer/ObjectViewer";
+import WitnessAnalytics from "./components/Explorer/WitnessAnalytics";
+import WitnessAnalyticsDetail from "./components/Explorer/WitnessAnalyticsDetail";
+import Workers from "./components/Explorer/Workers";
 import Header from "components/Layout/Header";
 import Footer from "./components/Layout/Footer";
 import AccountPage from "./components/Account/AccountPage";
@@ -19,6 +24,11 @@ import AccountOverview from "./components/Account/AccountOverview";
 import AccountAssets from "./components/Account/AccountAssets";
 import AccountAssetCreate from "./components/Account/AccountAssetCreate";
 import AccountAssetUpdate from "./components/Account/AccountAssetUpdate";
+import AccountProposalCreate from "./components/Account/AccountProposalCreate";
+import ProposalInbox from "./components/Account/ProposalInbox";
+import ProposalNotifier from "./components/Account/ProposalNotifier";
+import MarginPositions from "./components/Account/MarginPositions";
+import MarginMonitor from "./components/Account/MarginMonitor";
 import AccountMembership from "./components/Account/AccountMembership";
 import AccountVesting from "./components/Account/AccountVesting";
 import AccountDepositWithdraw from "./components/Account/AccountDepositWithdraw";
@@ -29,10 +39,14 @@ import AccountOrders from "./components/Account/AccountOrders";
 import Exchange from "./components/Exchange/ExchangeContainer";
 import Markets from "./components/Exchange/MarketsContainer";
 import Transfer from "./components/Transfer/Transfer";
+import RecurringPayments from "./components/Transfer/RecurringPayments";
+import DuePayments from "./components/Transfer/DuePayments";
 import Settings from "./components/Settings/SettingsContainer";
 import FeesContainer from "./components/Blockchain/FeesContainer";
 import BlockContainer from "./components/Blockchain/BlockContainer";
+import TransactionPage from "./components/Blockchain/TransactionPage";
 import AssetContainer from "./components/Blockchain/AssetContainer";
+import AssetHolders from "./components/Explorer/AssetHolders";
 import Transaction from "./components/Blockchain/Transaction";
 import CreateAccount from "./components/Account/CreateAccount";
 import AccountStore from "stores/AccountStore";
@@ -57,6 +71,7 @@ import WalletChangePassword from "./components/Wallet/WalletChangePassword";
 import WalletManagerStore from "stores/WalletManagerStore";
 import WalletManager, {WalletOptions, ChangeActiveWallet, WalletDelete} from "./components/Wallet/WalletManager";
 import BalanceClaimActive from "./components/Wallet/BalanceClaimActive";
+import SignTransaction from "./components/Wallet/SignTransaction";
 import BackupBrainkey from "./components/Wallet/BackupBrainkey";
 import Brainkey from "./components/Wallet/Brainkey";
 import AccountRefsStore from "stores/AccountRefsStore";
@@ -212,6 +227,9 @@ class App extends React.Component {
                     <NotificationSystem ref="notificationSystem" allowHTML={true}/>
                     <TransactionConfirm/>
                     <WalletUnlockModal/>
+                    <DuePayments/>
+                    <ProposalNotifier/>
+                    <MarginMonitor/>
                     <BrowserSupportModal ref="browser_modal"/>
                 </div>
             </div>
@@ -325,6 +343,9 @@ let routes = (
         <Route path="/explorer/witnesses" component={Witnesses}>
             <IndexRoute component={Witnesses}/>
         </Route>
+        <Route path="/explorer/witness-analytics" component={WitnessAnalytics}/>
+        <Route path="/explorer/witness-analytics/:id" component={WitnessAnalyticsDetail}/>
+        <Route path="/explorer/workers" component={Workers}/>
         <Route path="/explorer/committee-members" component={CommitteeMembers}>
             <IndexRoute component={CommitteeMembers}/>
         </Route>
@@ -341,15 +362,24 @@ let routes = (
             <Route path="backup/create" component={BackupCreate}/>
             <Route path="backup/brainkey" component={BackupBrainkey}/>
             <Route path="balance-claims" component={BalanceClaimActive}/>
+            <Route path="sign-transaction" component={SignTransaction}/>
         </Route>
         <Route path="create-wallet" component={WalletCreate}/>
         <Route path="transfer" component={Transfer}/>
+        <Route path="recurring-payments" component={RecurringPayments}/>
+        <Route path="proposals" component={ProposalInbox}/>
+        <Route path="margin" component={MarginPositions}/>
         <Route path="invoice/:data" component={Invoice}/>
         <Route path="explorer/markets" component={Markets}/>
         <Route path="market/:marketID" component={Exchange}/>
         <Route path="settings" component={Settings}/>
         <Route path="block/:height" component={BlockContainer}/>
+        <Route path="tx/:id" component={TransactionPage}/>
+        <Route path="tx/:block/:index" component={TransactionPage}/>
+        <Route path="search/:query" component={SearchResults}/>
+        <Route path="object/:id" component={ObjectViewer}/>
         <Route path="asset/:symbol" component={AssetContainer}/>
+        <Route path="asset/:symbol/holders" component={AssetHolders}/>
         <Route path="create-account" component={CreateAccount}/>
         <Route path="existing-account" component={ExistingAccount}>
             <IndexRoute component={BackupRestore}/>
@@ -364,6 +394,7 @@ let routes = (
             <Route path="assets" component={AccountAssets}/>
             <Route path="create-asset" component={AccountAssetCreate}/>
             <Route path="update-asset/:asset" component={AccountAssetUpdate}/>
+            <Route path="create-proposal" component={AccountProposalCreate}/>
             <Route path="member-stats" component={AccountMembership}/>
             <Route path="vesting" component={AccountVesting}/>
             <Route path="permissions" component={AccountPermissions}/>
@@ -0,0 +1,10 @@
+require("./assets/loader-offline");
+if (!window.Intl) { // Safari polyfill
+    require.ensure(["intl"], require => {
+        window.Intl = require("intl");
+        Intl.__addLocaleData(require("./assets/intl-data/en.json"));
+        require("Offline.jsx");
+    });
+} else {
+    require("Offline.jsx");
+}
@@ -0,0 +1,103 @@
+import React from "react";
+import ReactDOM from "react-dom";
+import {Router, Route, IndexRoute} from "react-router";
+import IntlStore from "stores/IntlStore"; // This needs to be initalized here even though IntlStore is never used
+import SettingsStore from "stores/SettingsStore";
+import IntlActions from "actions/IntlActions";
+import NotificationStore from "stores/NotificationStore";
+import NotificationSystem from "react-notification-system";
+import WalletUnlockModal from "./components/Wallet/WalletUnlockModal";
+import OfflineSigner from "./components/Wallet/OfflineSigner";
+import createBrowserHistory from "history/lib/createHashHistory";
+import {IntlProvider} from "react-intl";
+import intlData from "./components/Utility/intlData";
+import connectToStores from "alt/utils/connectToStores";
+
+require("./components/Utility/Prototypes"); // Adds a .equals method to Array for use in shouldComponentUpdate
+
+/*
+ * Entry of the offline build (npm run build-offline). It never connects to an
+ * API server: the chain id and the chain objects come with the transaction
+ * package, see components/Wallet/OfflineSigner.
+ */
+let history = createBrowserHistory({queryKey: false});
+
+class Offline extends React.Component {
+
+    constructor() {
+        super();
+        this.state = {
+            theme: SettingsStore.getState().settings.get("themes")
+        };
+        this._onNotificationChange = this._onNotificationChange.bind(this);
+    }
+
+    componentDidMount() {
+        NotificationStore.listen(this._onNotificationChange);
+    }
+
+    componentWillUnmount() {
+        NotificationStore.unlisten(this._onNotificationChange);
+    }
+
+    _onNotificationChange() {
+        let notification = NotificationStore.getState().notification;
+        if (notification.autoDismiss === void 0) {
+            notification.autoDismiss = 10;
+        }
+        if (this.refs.notificationSystem) this.refs.notificationSystem.addNotification(notification);
+    }
+
+    render() {
+        return (
+            <div style={{backgroundColor: !this.state.theme ? "#2a2a2a" : null}} className={this.state.theme}>
+                <div id="content-wrapper">
+                    <div className="grid-frame vertical">
+                        <div className="grid-block vertical">
+                            {this.props.children}
+                        </div>
+                    </div>
+                    <NotificationSystem ref="notificationSystem" allowHTML={true}/>
+                    <WalletUnlockModal/>
+                </div>
+            </div>
+        );
+    }
+}
+
+@connectToStores
+class OfflineIntl extends React.Component {
+    static getStores() {
+        return [IntlStore];
+    };
+
+    static getPropsFromStores() {
+        return {
+            locale: IntlStore.getState().currentLocale
+        };
+    };
+
+    componentDidMount() {
+        IntlActions.switchLocale(this.props.locale);
+    }
+
+    render() {
+        return (
+            <IntlProvider
+                locale={this.props.locale.replace(/cn/, "zh")}
+                formats={intlData.formats}
+                initialNow={Date.now()}
+            >
+                <Offline {...this.props}/>
+            </IntlProvider>
+        );
+    }
+}
+
+let routes = (
+    <Route path="/" component={OfflineIntl}>
+        <IndexRoute component={OfflineSigner}/>
+    </Route>
+);
+
+ReactDOM.render(<Router history={history} routes={routes}/>, document.getElementById("content"));
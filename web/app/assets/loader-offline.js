@@ -0,0 +1,7 @@
+require("./stylesheets/app.scss");
+require("file?name=offline.html!./offline.html");
+require("file?name=favicon.ico!./favicon.ico");
+require("babel/polyfill");
+require("indexeddbshim");
+require("./asset-symbols/symbols.js");
+require("./locales/locales.js");
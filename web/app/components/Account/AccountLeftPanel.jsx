@@ -113,6 +113,7 @@ class AccountLeftPanel extends React.Component {
                                 <li><Link to={`/account/${account_name}/permissions/`} activeClassName="active"><Translate content="account.permissions"/></Link></li>
                                 <li><Link to={`/account/${account_name}/whitelist/`} activeClassName="active"><Translate content="account.whitelist.title"/></Link></li>
                                 {isMyAccount ? <li><Link to={`/account/${account_name}/vesting/`} activeClassName="active"><Translate content="account.vesting.title"/></Link></li> : null}
+                                {isMyAccount ? <li><Link to={`/account/${account_name}/create-proposal/`} activeClassName="active"><Translate content="account.proposals.create"/></Link></li> : null}
                             </ul>) : null}
                         </section>
                     </div>
@@ -0,0 +1,286 @@
+import React from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {ChainTypes as GrapheneChainTypes, FetchChain, ops} from "graphenejs-lib";
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import ProposedOperation from "../Blockchain/ProposedOperation";
+import ApplicationApi from "rpc_api/ApplicationApi";
+import AccountStore from "stores/AccountStore";
+
+let {operations} = GrapheneChainTypes;
+let application_api = new ApplicationApi();
+
+const HOUR = 60 * 60;
+const COMMITTEE_ACCOUNT = "1.2.0";
+// Virtual operations only the chain creates
+const VIRTUAL_OPERATIONS = ["fill_order", "asset_settle_cancel", "fba_distribute"];
+
+/**
+ *  Starting points of the operations, most are read from the chain so only
+ *  the changes need to be typed. `target` is the account or asset to update.
+ */
+const TEMPLATES = {
+    account_update: {
+        target: "account",
+        load: account => FetchChain("getAccount", account).then(a => ({
+            account: a.get("id"),
+            owner: a.get("owner").toJS(),
+            active: a.get("active").toJS(),
+            new_options: a.get("options").toJS()
+        }))
+    },
+    asset_update: {
+        target: "asset",
+        load: asset => FetchChain("getAsset", asset).then(a => ({
+            issuer: a.get("issuer"),
+            asset_to_update: a.get("id"),
+            new_options: a.get("options").toJS()
+        }))
+    },
+    asset_update_bitasset: {
+        target: "asset",
+        load: asset => FetchChain("getAsset", asset).then(a => ({
+            issuer: a.get("issuer"),
+            asset_to_update: a.get("id"),
+            new_options: a.getIn(["bitasset", "options"]).toJS()
+        }))
+    },
+    asset_issue: {
+        target: "asset",
+        load: asset => FetchChain("getAsset", asset).then(a => ({
+            issuer: a.get("issuer"),
+            asset_to_issue: {amount: 0, asset_id: a.get("id")},
+            issue_to_account: a.get("issuer")
+        }))
+    },
+    committee_member_update_global_parameters: {
+        target: null,
+        load: () => FetchChain("getObject", "2.0.0").then(g => ({
+            new_parameters: g.get("parameters").toJS()
+        }))
+    },
+    transfer: {
+        target: "account",
+        load: account => FetchChain("getAccount", account).then(a => ({
+            from: a.get("id"),
+            to: a.get("id"),
+            amount: {amount: 0, asset_id: "1.3.0"}
+        }))
+    }
+};
+
+/** @return [name, data] of an operation being edited, throws if the text is not a valid operation */
+function parseOperation({type, text}) {
+    let data = {fee: {amount: 0, asset_id: "1.3.0"}, ...JSON.parse(text)};
+    ops[type].fromObject(data);
+    return [type, data];
+}
+
+/** @return true if the committee account may have to approve the operation */
+function needsCommittee({type, text}) {
+    return type === "committee_member_update_global_parameters" || text.indexOf("\"" + COMMITTEE_ACCOUNT + "\"") !== -1;
+}
+
+/**
+ *  Composes any operations into one proposal paid by the account, with an
+ *  expiration and a review period. Proposals waiting for approval are listed
+ *  in the account overview.
+ */
+@BindToChainState()
+class AccountProposalCreate extends React.Component {
+
+    static propTypes = {
+        account: ChainTypes.ChainAccount.isRequired,
+        globalObject: ChainTypes.ChainObject.isRequired
+    };
+
+    static defaultProps = {
+        globalObject: "2.0.0"
+    };
+
+    static contextTypes = {
+        history: React.PropTypes.object
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            operations: [], // {type, text}
+            type: "asset_update",
+            target: "",
+            expiration: "24",
+            review: "",
+            loading: false,
+            submitting: false,
+            error: null
+        };
+    }
+
+    _onAdd(e) {
+        e.preventDefault();
+        let {type, target} = this.state;
+        let template = TEMPLATES[type];
+
+        this.setState({loading: true, error: null});
+        (template ? template.load(target || this.props.account.get("id")) : Promise.resolve({})).then(data => {
+            if (!data) throw new Error(counterpart.translate("account.proposals.not_found", {target}));
+
+            let operation = {type, text: JSON.stringify(data, null, 2)};
+            let state = {operations: this.state.operations.concat(operation), target: "", loading: false};
+            if (needsCommittee(operation) && !this.state.review) {
+                state.review = String(this.props.globalObject.getIn(["parameters", "committee_proposal_review_period"]) / HOUR);
+            }
+            this.setState(state);
+        }).catch(error => {
+            this.setState({loading: false, error: error && error.message ? error.message : String(error)});
+        });
+    }
+
+    _onChangeText(index, e) {
+        let operations = this.state.operations.slice();
+        operations[index] = {...operations[index], text: e.target.value};
+        this.setState({operations});
+    }
+
+    _onRemove(index) {
+        let operations = this.state.operations.slice();
+        operations.splice(index, 1);
+        this.setState({operations});
+    }
+
+    _onSubmit(e) {
+        e.preventDefault();
+        let {account} = this.props;
+        let {operations, expiration, review} = this.state;
+
+        this.setState({submitting: true, error: null});
+        application_api.propose({
+            fee_paying_account: account.get("id"),
+            operations: operations.map(parseOperation),
+            expiration_time: Math.floor(Date.now() / 1000 + parseFloat(expiration) * HOUR),
+            review_period_seconds: review ? Math.ceil(parseFloat(review) * HOUR) : null
+        }).then(() => {
+            this.setState({submitting: false});
+            this.context.history.pushState(null, `/account/${account.get("name")}/overview`);
+        }).catch(error => {
+            console.log("proposal_create error:", error);
+            let splitError = (error && error.message ? error.message : String(error)).split("\n");
+            this.setState({submitting: false, error: splitError[splitError.length === 1 ? 0 : 1]});
+        });
+    }
+
+    _renderOperation(operation, index, expiration_time) {
+        let op = null, error = null;
+        try {
+            op = parseOperation(operation);
+        } catch(e) {
+            error = e.message;
+        }
+
+        return (
+            <div key={index} className="content-block">
+                <label>
+                    {counterpart.translate("transaction.trxTypes." + operation.type)}
+                    &nbsp;<a onClick={this._onRemove.bind(this, index)}>&times;</a>
+                </label>
+                <textarea
+                    rows="8"
+                    style={{fontFamily: "monospace", fontSize: "0.8rem"}}
+                    value={operation.text}
+                    onChange={this._onChangeText.bind(this, index)}
+                />
+                {error ? <div className="has-error">{error}</div> :
+                    <ProposedOperation
+                        op={[operations[op[0]], op[1]]}
+                        expiration={expiration_time}
+                        inverted={false}
+                        hideFee={true}
+                        hideOpLabel={true}
+                        hideDate={true}
+                        proposal={true}
+                    />}
+            </div>
+        );
+    }
+
+    render() {
+        let {account, globalObject} = this.props;
+        let {operations: proposed, type, target, expiration, review, loading, submitting, error} = this.state;
+
+        let parameters = globalObject.get("parameters");
+        let max_lifetime = parameters.get("maximum_proposal_lifetime") / HOUR;
+        let min_review = proposed.some(needsCommittee) ? parameters.get("committee_proposal_review_period") / HOUR : 0;
+        let expiration_time = new Date(Date.now() + parseFloat(expiration) * HOUR * 1000);
+
+        let valid = true;
+        proposed.forEach(operation => {
+            try {
+                parseOperation(operation);
+            } catch(e) {
+                valid = false;
+            }
+        });
+        let expiration_error = !(parseFloat(expiration) > 0) || parseFloat(expiration) > max_lifetime ?
+            counterpart.translate("account.proposals.expiration_error", {max: max_lifetime}) : null;
+        let review_error = (review && !(parseFloat(review) < parseFloat(expiration))) || (parseFloat(review || 0) < min_review) ?
+            counterpart.translate("account.proposals.review_error", {min: min_review}) : null;
+
+        let isMyAccount = AccountStore.isMyAccount(account);
+        let template = TEMPLATES[type];
+
+        return (
+            <div className="grid-content">
+                <Translate component="h3" content="account.proposals.create" />
+                <Translate component="p" content="account.proposals.explain" account={account.get("name")} />
+
+                <form onSubmit={this._onAdd.bind(this)} className="content-block">
+                    <label><Translate content="account.proposals.add" /></label>
+                    <div className="inline-label">
+                        <select className="form-control" value={type} onChange={e => this.setState({type: e.target.value, target: ""})}>
+                            {Object.keys(operations).filter(name => VIRTUAL_OPERATIONS.indexOf(name) === -1).map(name => {
+                                return <option key={name} value={name}>{counterpart.translate("transaction.trxTypes." + name)}</option>;
+                            })}
+                        </select>
+                        {template && template.target ?
+                            <input
+                                type="text"
+                                value={target}
+                                placeholder={counterpart.translate("account.proposals.target_" + template.target)}
+                                onChange={e => this.setState({target: e.target.value})}
+                            /> : null}
+                        <button className="button" type="submit" disabled={loading || (template && template.target === "asset" && !target)}>
+                            <Translate content="account.proposals.add_button" />
+                        </button>
+                    </div>
+                </form>
+
+                {proposed.map((operation, index) => this._renderOperation(operation, index, expiration_time))}
+
+                <form onSubmit={this._onSubmit.bind(this)}>
+                    <div className="content-block">
+                        <label><Translate content="account.proposals.expiration" /></label>
+                        <input type="number" min="0" value={expiration} onChange={e => this.setState({expiration: e.target.value})} />
+                        {expiration_error ? <div className="has-error">{expiration_error}</div> : null}
+                    </div>
+                    <div className="content-block">
+                        <label><Translate content="account.proposals.review" /></label>
+                        <input type="number" min="0" value={review} onChange={e => this.setState({review: e.target.value})} />
+                        {review_error ? <div className="has-error">{review_error}</div> : null}
+                    </div>
+                    {!isMyAccount ? <div className="has-error"><Translate content="account.errors.not_yours" /></div> : null}
+                    {error ? <div className="has-error">{error}</div> : null}
+                    <button
+                        className="button"
+                        type="submit"
+                        disabled={!isMyAccount || !proposed.length || !valid || !!expiration_error || !!review_error || submitting}
+                    >
+                        <Translate content="account.proposals.submit" />
+                    </button>
+                </form>
+            </div>
+        );
+    }
+}
+
+export default AccountProposalCreate;
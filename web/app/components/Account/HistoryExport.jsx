@@ -0,0 +1,151 @@
+import React from "react";
+import Translate from "react-translate-component";
+import {FetchChain} from "graphenejs-lib";
+import HistoryUtils from "common/history_utils";
+import HistoryExport from "common/history_export";
+import PortfolioUtils from "common/portfolio_utils";
+import PrivateKeyStore from "stores/PrivateKeyStore";
+import WalletDb from "stores/WalletDb";
+import WalletUnlockActions from "actions/WalletUnlockActions";
+import {saveAs} from "common/filesaver.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** @return local midnight of an <input type="date"> value, null if empty or invalid */
+function parseDate(value) {
+    let parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return parts ? new Date(parts[1], parts[2] - 1, parts[3]).getTime() : null;
+}
+
+/**
+ *  Exports the full history of an account as accounting rows in CSV or JSON,
+ *  see HistoryExport. Memos are decrypted with the wallet keys when asked for.
+ */
+export default class HistoryExportForm extends React.Component {
+
+    static propTypes = {
+        accounts: React.PropTypes.array.isRequired // ChainAccount objects
+    };
+
+    constructor(props) {
+        super();
+        this.state = {
+            account_id: props.accounts.length ? props.accounts[0].get("id") : null,
+            from: "",
+            to: "",
+            method: "fifo",
+            format: "csv",
+            memos: true,
+            exporting: false,
+            error: null
+        };
+    }
+
+    _onExport(e) {
+        e.preventDefault();
+        let {memos} = this.state;
+        this.setState({exporting: true, error: null});
+
+        let unlock = memos && WalletDb.getWallet() && WalletDb.isLocked() ? WalletUnlockActions.unlock() : Promise.resolve();
+        unlock.catch(() => {
+            // Export without memos when the wallet stays locked
+        }).then(() => this._export()).catch(error => {
+            console.log("history export error:", error);
+            this.setState({error: error && error.message ? error.message : String(error)});
+        }).then(() => {
+            this.setState({exporting: false});
+        });
+    }
+
+    _export() {
+        let {account_id, from, to, method, format, memos} = this.state;
+        let account = this.props.accounts.filter(a => a.get("id") === account_id)[0];
+
+        let decodeMemo = memo => {
+            if (!memos || WalletDb.isLocked()) return null;
+            try {
+                return PrivateKeyStore.decodeMemo(memo).text || null;
+            } catch(error) {
+                return null;
+            }
+        };
+
+        return HistoryUtils.fetchAccountHistory(account_id).then(history => {
+            return HistoryUtils.fetchBlockTimes(history.map(op => op.block_num)).then(blockTime => [history, blockTime]);
+        }).then(([history, blockTime]) => {
+            let start = history.length ? blockTime(history[0].block_num) : Date.now();
+            return HistoryUtils.fetchPrices(PortfolioUtils.getAssets(history, account_id), start).then(prices => {
+                let rows = HistoryExport.getRows(history, account_id, blockTime, prices, method, decodeMemo);
+                let to_time = parseDate(to);
+                rows = HistoryExport.filterDates(rows, parseDate(from), to_time ? to_time + DAY - 1 : null);
+
+                let references = HistoryExport.getReferences(rows);
+                return Promise.all([
+                    Promise.all(references.accounts.map(id => FetchChain("getAccount", id))),
+                    Promise.all(references.assets.map(id => FetchChain("getAsset", id)))
+                ]).then(([accounts, assets]) => {
+                    let names = {}, asset_info = {};
+                    accounts.forEach(a => names[a.get("id")] = a.get("name"));
+                    assets.forEach(a => asset_info[a.get("id")] = {symbol: a.get("symbol"), precision: a.get("precision")});
+
+                    let formatted = HistoryExport.format(rows, asset_info, names);
+                    let blob = format === "json" ?
+                        new Blob([HistoryExport.toJSON(formatted)], {type: "application/json;charset=utf-8"}) :
+                        new Blob([HistoryExport.toCSV(formatted)], {type: "text/csv;charset=utf-8"});
+                    let today = new Date();
+                    saveAs(blob, account.get("name") + "-history-" + today.getFullYear() + "-" + (today.getMonth() + 1) + "-" + today.getDate() + "." + format);
+                });
+            });
+        });
+    }
+
+    render() {
+        let {accounts} = this.props;
+        let {account_id, from, to, method, format, memos, exporting, error} = this.state;
+
+        return (
+            <form className="history-export" onSubmit={this._onExport.bind(this)} style={{padding: "0 10px 10px"}}>
+                <Translate component="p" content="account.export.explain" />
+                <div className="grid-block no-overflow no-margin">
+                    {accounts.length > 1 ?
+                        <div className="grid-content">
+                            <label><Translate content="account.export.account" /></label>
+                            <select className="bts-select" value={account_id} onChange={e => this.setState({account_id: e.target.value})}>
+                                {accounts.map(a => <option key={a.get("id")} value={a.get("id")}>{a.get("name")}</option>)}
+                            </select>
+                        </div> : null}
+                    <div className="grid-content">
+                        <label><Translate content="account.export.from" /></label>
+                        <input type="date" value={from} onChange={e => this.setState({from: e.target.value})} />
+                    </div>
+                    <div className="grid-content">
+                        <label><Translate content="account.export.to" /></label>
+                        <input type="date" value={to} onChange={e => this.setState({to: e.target.value})} />
+                    </div>
+                    <div className="grid-content">
+                        <label><Translate content="account.export.method" /></label>
+                        <select className="bts-select" value={method} onChange={e => this.setState({method: e.target.value})}>
+                            <option value="fifo">FIFO</option>
+                            <option value="lifo">LIFO</option>
+                        </select>
+                    </div>
+                    <div className="grid-content">
+                        <label><Translate content="account.export.format" /></label>
+                        <select className="bts-select" value={format} onChange={e => this.setState({format: e.target.value})}>
+                            <option value="csv">CSV</option>
+                            <option value="json">JSON</option>
+                        </select>
+                    </div>
+                </div>
+                <label>
+                    <input type="checkbox" checked={memos} onChange={() => this.setState({memos: !memos})} />
+                    <Translate content="account.export.memos" />
+                </label>
+                {error ? <div className="has-error"><Translate content="account.export.error" error={error} /></div> : null}
+                <button className="button" type="submit" disabled={exporting || !account_id}>
+                    <Translate content={exporting ? "account.export.exporting" : "account.export.download"} />
+                </button>
+            </form>
+        );
+    }
+}
@@ -0,0 +1,82 @@
+import React from "react";
+import counterpart from "counterpart";
+import {ChainStore, EmitterInstance} from "graphenejs-lib";
+import AccountStore from "stores/AccountStore";
+import MarginStore from "stores/MarginStore";
+import MarketsActions from "actions/MarketsActions";
+import MarginUtils from "common/margin_utils";
+import utils from "common/utils";
+import notify from "actions/NotificationActions";
+
+let emitter = EmitterInstance.emitter();
+
+/**
+ *  Passes the feed updates of bitassets on to MarketsActions.feedUpdate for
+ *  the whole app and warns when the collateral ratio of a position of a
+ *  linked account drops below its alert threshold. A position is warned about
+ *  again only after it has been back above its threshold.
+ */
+export default class MarginMonitor extends React.Component {
+
+    constructor() {
+        super();
+        this.alerted = {}; // position key: true
+        this._check = this._check.bind(this);
+    }
+
+    componentDidMount() {
+        emitter.on("bitasset-update", MarketsActions.feedUpdate);
+        MarginStore.listen(this._check);
+        AccountStore.listen(this._check);
+        ChainStore.subscribe(this._check);
+        this._check();
+    }
+
+    componentWillUnmount() {
+        emitter.off("bitasset-update", MarketsActions.feedUpdate);
+        MarginStore.unlisten(this._check);
+        AccountStore.unlisten(this._check);
+        ChainStore.unsubscribe(this._check);
+    }
+
+    _check() {
+        let {linkedAccounts} = AccountStore.getState();
+        MarginUtils.getPositions(linkedAccounts.toArray()).forEach(({key, account, debtAsset, position, alert}) => {
+            if (position.ratio === null) return;
+
+            let below = alert.enabled && position.ratio < alert.threshold;
+            if (below && !this.alerted[key]) {
+                this._notify(account.get("name"), debtAsset.get("symbol"), position.ratio, alert.threshold);
+            }
+            this.alerted[key] = below;
+        });
+    }
+
+    _notify(account, symbol, ratio, threshold) {
+        let message = counterpart.translate("margin.alert", {
+            account,
+            asset: symbol,
+            ratio: utils.format_number(ratio, 3),
+            threshold: utils.format_number(threshold, 3)
+        });
+
+        // Checks run while stores emit changes, so dispatch after them
+        notify.addNotification.defer({
+            message,
+            level: "warning",
+            autoDismiss: 0
+        });
+
+        if (window.Notification && Notification.permission === "granted") {
+            let notification = new Notification(counterpart.translate("margin.alert_title"), {body: message, tag: "margin_" + account + "_" + symbol});
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        }
+    }
+
+    render() {
+        return null;
+    }
+}
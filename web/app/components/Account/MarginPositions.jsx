@@ -0,0 +1,226 @@
+import React from "react";
+import Translate from "react-translate-component";
+import AltContainer from "alt/AltContainer";
+import {ChainStore} from "graphenejs-lib";
+import FormattedAsset from "../Utility/FormattedAsset";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import AccountStore from "stores/AccountStore";
+import MarginStore from "stores/MarginStore";
+import MarginActions from "actions/MarginActions";
+import MarginUtils from "common/margin_utils";
+import utils from "common/utils";
+import WalletApi from "rpc_api/WalletApi";
+import WalletDb from "stores/WalletDb";
+import ApplicationApi from "rpc_api/ApplicationApi";
+import notify from "actions/NotificationActions";
+
+let wallet_api = new WalletApi();
+let application_api = new ApplicationApi();
+
+// Top-up proposals have a day to collect their approvals
+const PROPOSAL_LIFETIME = 24 * 60 * 60;
+
+/**
+ *  Lists the call orders of every linked account with their collateral ratio
+ *  against the current feed, the feed price at which they get margin called
+ *  and the alert settings MarginMonitor warns with. Positions below their
+ *  threshold can be topped up to their target ratio in one click, or a top-up
+ *  can be proposed for accounts the wallet does not fully control.
+ */
+class MarginPositions extends React.Component {
+
+    static propTypes = {
+        linkedAccounts: React.PropTypes.object.isRequired,
+        alerts: React.PropTypes.object.isRequired,
+        feeds: React.PropTypes.object.isRequired
+    };
+
+    constructor() {
+        super();
+        this._update = this._update.bind(this);
+    }
+
+    componentDidMount() {
+        ChainStore.subscribe(this._update);
+    }
+
+    componentWillUnmount() {
+        ChainStore.unsubscribe(this._update);
+    }
+
+    _update() {
+        this.forceUpdate();
+    }
+
+    _onChangeAlert(key, alert, field, value) {
+        if (field !== "enabled") {
+            value = parseFloat(value);
+            if (!(value > 0)) return;
+        }
+        MarginActions.setAlert(key, {...alert, [field]: value});
+    }
+
+    _onTopUp({account, callOrder, debtAsset, collateralAsset}, amount, propose) {
+        let call_order_update = {
+            funding_account: account.get("id"),
+            delta_collateral: {amount, asset_id: collateralAsset.get("id")},
+            delta_debt: {amount: 0, asset_id: debtAsset.get("id")}
+        };
+
+        let promise;
+        if (propose) {
+            let payer = AccountStore.getMyAccounts()[0];
+            if (!payer) return;
+            promise = application_api.propose({
+                fee_paying_account: payer,
+                operations: [["call_order_update", call_order_update]],
+                expiration_time: Math.floor(Date.now() / 1000) + PROPOSAL_LIFETIME
+            });
+        } else {
+            let tr = wallet_api.new_transaction();
+            tr.add_type_operation("call_order_update", {
+                fee: {
+                    amount: 0,
+                    asset_id: 0
+                },
+                ...call_order_update
+            });
+            promise = WalletDb.process_transaction(tr, null, true);
+        }
+
+        promise.catch(error => {
+            console.log("top up error:", error, callOrder.get("id"));
+            notify.addNotification({
+                message: error && error.message ? error.message : String(error),
+                level: "error",
+                autoDismiss: 10
+            });
+        });
+    }
+
+    _onEnableNotifications() {
+        Notification.requestPermission(() => this.forceUpdate());
+    }
+
+    _renderRow(entry) {
+        let {key, account, callOrder, debtAsset, collateralAsset, position, alert} = entry;
+        let price = value => value === null ? "-" :
+            utils.format_number(value, Math.min(collateralAsset.get("precision"), 6)) + " " +
+            collateralAsset.get("symbol") + "/" + debtAsset.get("symbol");
+
+        let below = position.ratio !== null && position.ratio < alert.threshold;
+        let topUp = below ? MarginUtils.getTopUp(position, alert.target, collateralAsset) : 0;
+        let propose = AccountStore.getMyAuthorityForAccount(account) !== "full";
+
+        return (
+            <tr key={key} className={below ? "has-error" : null}>
+                <td><LinkToAccountById account={account.get("id")} /></td>
+                <td><FormattedAsset amount={callOrder.get("debt")} asset={debtAsset.get("id")} /></td>
+                <td><FormattedAsset amount={callOrder.get("collateral")} asset={collateralAsset.get("id")} /></td>
+                <td>{position.ratio === null ? "-" : utils.format_number(position.ratio, 3)}</td>
+                <td>{utils.format_number(position.maintenanceRatio, 3)}</td>
+                <td>{price(position.feedPrice)}</td>
+                <td>{price(position.liquidationPrice)}</td>
+                <td>{position.distance === null ? "-" : utils.format_number(position.distance * 100, 2) + "%"}</td>
+                <td>
+                    <input
+                        type="checkbox"
+                        checked={alert.enabled}
+                        onChange={this._onChangeAlert.bind(this, key, alert, "enabled", !alert.enabled)}
+                    />
+                </td>
+                <td>
+                    <input
+                        key={key + "_threshold_" + alert.threshold}
+                        type="number"
+                        step="0.1"
+                        defaultValue={alert.threshold}
+                        onBlur={e => this._onChangeAlert(key, alert, "threshold", e.target.value)}
+                        style={{width: 80}}
+                    />
+                </td>
+                <td>
+                    <input
+                        key={key + "_target_" + alert.target}
+                        type="number"
+                        step="0.1"
+                        defaultValue={alert.target}
+                        onBlur={e => this._onChangeAlert(key, alert, "target", e.target.value)}
+                        style={{width: 80}}
+                    />
+                </td>
+                <td>
+                    {topUp ?
+                        <button
+                            className="button outline"
+                            disabled={propose && !AccountStore.getMyAccounts().length}
+                            onClick={this._onTopUp.bind(this, entry, topUp, propose)}
+                        >
+                            <Translate content={propose ? "margin.propose_top_up" : "margin.top_up"} />
+                            &nbsp;<FormattedAsset amount={topUp} asset={collateralAsset.get("id")} />
+                        </button> : null}
+                </td>
+            </tr>
+        );
+    }
+
+    render() {
+        let positions = MarginUtils.getPositions(this.props.linkedAccounts.toArray())
+            .sort((a, b) => (a.position.distance === null ? Infinity : a.position.distance) - (b.position.distance === null ? Infinity : b.position.distance));
+
+        return (
+            <div className="grid-block vertical">
+                <div className="grid-content">
+                    <Translate component="h3" content="margin.title" />
+                    <Translate component="p" content="margin.explain" />
+
+                    {window.Notification && Notification.permission === "default" ?
+                        <button className="button outline" onClick={this._onEnableNotifications.bind(this)}>
+                            <Translate content="account.proposals.enable_notifications" />
+                        </button> : null}
+
+                    {positions.length ?
+                        <table className="table compact">
+                            <thead>
+                            <tr>
+                                <th><Translate content="margin.account" /></th>
+                                <th><Translate content="transaction.borrow_amount" /></th>
+                                <th><Translate content="transaction.collateral" /></th>
+                                <th><Translate content="borrow.coll_ratio" /></th>
+                                <th><Translate content="margin.maintenance" /></th>
+                                <th><Translate content="margin.feed_price" /></th>
+                                <th><Translate content="margin.liquidation_price" /></th>
+                                <th><Translate content="margin.distance" /></th>
+                                <th><Translate content="margin.alert_enabled" /></th>
+                                <th><Translate content="margin.threshold" /></th>
+                                <th><Translate content="margin.target" /></th>
+                                <th></th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                                {positions.map(entry => this._renderRow(entry))}
+                            </tbody>
+                        </table> :
+                        <Translate component="p" content="margin.none" />}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class MarginPositionsWrapper extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[AccountStore, MarginStore]}
+                inject={{
+                    linkedAccounts: () => AccountStore.getState().linkedAccounts,
+                    alerts: () => MarginStore.getState().alerts,
+                    feeds: () => MarginStore.getState().feeds
+                }}
+            >
+                <MarginPositions {...this.props} />
+            </AltContainer>
+        );
+    }
+}
@@ -0,0 +1,252 @@
+import React from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import AltContainer from "alt/AltContainer";
+import {ChainStore} from "graphenejs-lib";
+import ProposedOperation from "../Blockchain/ProposedOperation";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import NestedApprovalState from "./NestedApprovalState";
+import AccountStore from "stores/AccountStore";
+import ProposalUtils from "common/proposal_utils";
+import ApplicationApi from "rpc_api/ApplicationApi";
+
+let application_api = new ApplicationApi();
+
+function pad(value) {
+    return (value < 10 ? "0" : "") + value;
+}
+
+/** @return time left until a chain time as "1d 02:03:04", null once it has passed */
+function countdown(time, now) {
+    let left = Math.floor((new Date(time + "Z").getTime() - now) / 1000);
+    if (left <= 0) return null;
+
+    let days = Math.floor(left / 86400);
+    let clock = pad(Math.floor(left % 86400 / 3600)) + ":" + pad(Math.floor(left % 3600 / 60)) + ":" + pad(left % 60);
+    return (days ? days + "d " : "") + clock;
+}
+
+/**
+ *  Lists the pending proposals of every linked account with the approvals the
+ *  wallet can still add, and adds or removes the approvals of the selected
+ *  proposals in one transaction.
+ */
+class ProposalInbox extends React.Component {
+
+    static propTypes = {
+        linkedAccounts: React.PropTypes.object.isRequired
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            now: Date.now(),
+            selected: {}, // proposal id: true
+            showAll: false,
+            payer: null,
+            submitting: false,
+            error: null
+        };
+        this._update = this._update.bind(this);
+    }
+
+    componentDidMount() {
+        ChainStore.subscribe(this._update);
+        this.interval = setInterval(() => this.setState({now: Date.now()}), 1000);
+    }
+
+    componentWillUnmount() {
+        ChainStore.unsubscribe(this._update);
+        clearInterval(this.interval);
+    }
+
+    _update() {
+        this.forceUpdate();
+    }
+
+    _onToggle(id) {
+        let selected = {...this.state.selected};
+        if (selected[id]) delete selected[id];
+        else selected[id] = true;
+        this.setState({selected});
+    }
+
+    _onToggleAll(proposals) {
+        let allSelected = proposals.length && proposals.every(p => this.state.selected[p.proposal.get("id")]);
+        let selected = {};
+        if (!allSelected) proposals.forEach(p => selected[p.proposal.get("id")] = true);
+        this.setState({selected});
+    }
+
+    _onEnableNotifications() {
+        Notification.requestPermission(() => this.forceUpdate());
+    }
+
+    _onUpdate(proposals, action, payer) {
+        let updates = proposals.map(p => ProposalUtils.getUpdate(p.proposal, action)).filter(update => !!update);
+        if (!updates.length) {
+            return this.setState({error: counterpart.translate("account.proposals.nothing_to_" + action)});
+        }
+
+        this.setState({submitting: true, error: null});
+        application_api.update_proposals({
+            fee_paying_account: payer,
+            updates
+        }).then(() => {
+            this.setState({submitting: false, selected: {}});
+        }).catch(error => {
+            console.log("proposal_update error:", error);
+            let splitError = (error && error.message ? error.message : String(error)).split("\n");
+            this.setState({submitting: false, error: splitError[splitError.length === 1 ? 0 : 1]});
+        });
+    }
+
+    _renderRow(pending, payer) {
+        let {proposal, accounts} = pending;
+        let {now, selected, submitting} = this.state;
+        let id = proposal.get("id");
+        let approvals = ProposalUtils.getMyApprovals(proposal);
+        let expiration = countdown(proposal.get("expiration_time"), now);
+        let review = proposal.get("review_period_time") ? countdown(proposal.get("review_period_time"), now) : null;
+
+        let operations = proposal.getIn(["proposed_transaction", "operations"]).map((o, index) => {
+            return (
+                <ProposedOperation
+                    key={id + "_" + index}
+                    expiration={proposal.get("expiration_time")}
+                    index={index}
+                    op={o.toJS()}
+                    inverted={false}
+                    hideFee={false}
+                    hideOpLabel={true}
+                    hideDate={true}
+                    proposal={true}
+                />
+            );
+        }).toArray();
+
+        return (
+            <tr key={id}>
+                <td><input type="checkbox" checked={!!selected[id]} onChange={this._onToggle.bind(this, id)} /></td>
+                <td>
+                    <div>#{id}</div>
+                    {accounts.map(account_id => <div key={account_id}><LinkToAccountById account={account_id} /></div>)}
+                </td>
+                <td>{operations}</td>
+                <td>
+                    {expiration || <Translate content="account.proposals.expired" />}
+                    {review ? <div><Translate content="account.proposals.review_in" time={review} /></div> : null}
+                </td>
+                <td>
+                    {(approvals && approvals.types.length ? approvals.types : ["active"]).map(type => (
+                        <NestedApprovalState key={type} proposal={id} type={type} />
+                    ))}
+                </td>
+                <td>
+                    {approvals && ProposalUtils.hasApprovals(approvals.add) ?
+                        <button className="button outline" disabled={submitting || !payer} onClick={this._onUpdate.bind(this, [pending], "approve", payer)}>
+                            <Translate content="proposal.approve" />
+                        </button> : null}
+                    {approvals && ProposalUtils.hasApprovals(approvals.remove) ?
+                        <button className="button outline" disabled={submitting || !payer} onClick={this._onUpdate.bind(this, [pending], "reject", payer)}>
+                            <Translate content="proposal.reject" />
+                        </button> : null}
+                </td>
+            </tr>
+        );
+    }
+
+    render() {
+        let {linkedAccounts} = this.props;
+        let {selected, showAll, submitting, error} = this.state;
+
+        let myAccounts = AccountStore.getMyAccounts();
+        let payer = this.state.payer || myAccounts[0] || null;
+
+        let proposals = ProposalUtils.getPending(linkedAccounts.toArray());
+        if (!showAll) {
+            proposals = proposals.filter(p => ProposalUtils.needsMyApproval(p.proposal));
+        }
+        let selectedProposals = proposals.filter(p => selected[p.proposal.get("id")]);
+
+        return (
+            <div className="grid-block vertical">
+                <div className="grid-content">
+                    <Translate component="h3" content="account.proposals.inbox" />
+                    <Translate component="p" content="account.proposals.inbox_explain" />
+
+                    {window.Notification && Notification.permission === "default" ?
+                        <button className="button outline" onClick={this._onEnableNotifications.bind(this)}>
+                            <Translate content="account.proposals.enable_notifications" />
+                        </button> : null}
+
+                    <label>
+                        <input type="checkbox" checked={showAll} onChange={() => this.setState({showAll: !showAll, selected: {}})} />
+                        <Translate content="account.proposals.show_all" />
+                    </label>
+
+                    <div className="inline-label">
+                        <Translate component="label" content="account.proposals.pay_with" />
+                        <select className="bts-select" value={payer || ""} onChange={e => this.setState({payer: e.target.value})}>
+                            {myAccounts.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        <button
+                            className="button"
+                            disabled={submitting || !payer || !selectedProposals.length}
+                            onClick={this._onUpdate.bind(this, selectedProposals, "approve", payer)}
+                        >
+                            <Translate content="account.proposals.approve_selected" count={selectedProposals.length} />
+                        </button>
+                        <button
+                            className="button outline"
+                            disabled={submitting || !payer || !selectedProposals.length}
+                            onClick={this._onUpdate.bind(this, selectedProposals, "reject", payer)}
+                        >
+                            <Translate content="account.proposals.reject_selected" count={selectedProposals.length} />
+                        </button>
+                    </div>
+                    {error ? <div className="has-error">{error}</div> : null}
+
+                    {proposals.length ?
+                        <table className="table compact">
+                            <thead>
+                            <tr>
+                                <th>
+                                    <input
+                                        type="checkbox"
+                                        checked={proposals.every(p => selected[p.proposal.get("id")])}
+                                        onChange={this._onToggleAll.bind(this, proposals)}
+                                    />
+                                </th>
+                                <th><Translate content="account.proposals.proposal" /></th>
+                                <th><Translate content="account.votes.info" /></th>
+                                <th><Translate content="proposal.expires" /></th>
+                                <th><Translate content="proposal.status" /></th>
+                                <th><Translate content="proposal.action" /></th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                                {proposals.map(pending => this._renderRow(pending, payer))}
+                            </tbody>
+                        </table> :
+                        <Translate component="p" content="account.proposals.none" />}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class ProposalInboxWrapper extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[AccountStore]}
+                inject={{
+                    linkedAccounts: () => AccountStore.getState().linkedAccounts
+                }}
+            >
+                <ProposalInbox {...this.props} />
+            </AltContainer>
+        );
+    }
+}
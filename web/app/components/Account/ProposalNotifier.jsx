@@ -0,0 +1,84 @@
+import React from "react";
+import counterpart from "counterpart";
+import {ChainStore} from "graphenejs-lib";
+import AccountStore from "stores/AccountStore";
+import ProposalUtils from "common/proposal_utils";
+import ls from "common/localStorage";
+
+let proposalStorage = new ls("__graphene__");
+
+const STORAGE_KEY = "seenProposals";
+const MAX_SEEN = 500;
+const CHECK_INTERVAL = 60 * 1000;
+
+/**
+ *  Shows a desktop notification when a proposal of a linked account starts
+ *  waiting for an approval the wallet has keys for. Proposals notified about
+ *  are remembered across reloads, the ones pending on the first run are not
+ *  notified about.
+ */
+export default class ProposalNotifier extends React.Component {
+
+    constructor() {
+        super();
+        this.seen = proposalStorage.get(STORAGE_KEY, null);
+        this._check = this._check.bind(this);
+    }
+
+    componentDidMount() {
+        ChainStore.subscribe(this._check);
+        AccountStore.listen(this._check);
+        this.interval = setInterval(this._check, CHECK_INTERVAL);
+        this._check();
+    }
+
+    componentWillUnmount() {
+        ChainStore.unsubscribe(this._check);
+        AccountStore.unlisten(this._check);
+        clearInterval(this.interval);
+    }
+
+    _check() {
+        let {linkedAccounts} = AccountStore.getState();
+        if (!linkedAccounts.size) return;
+        // On the first run wait for every account to know what is already pending
+        if (!this.seen && linkedAccounts.some(name => !ChainStore.getAccount(name))) return;
+
+        let needed = ProposalUtils.getPending(linkedAccounts.toArray())
+            .filter(pending => ProposalUtils.needsMyApproval(pending.proposal));
+
+        let seen = this.seen;
+        let fresh = seen ? needed.filter(pending => seen.indexOf(pending.proposal.get("id")) === -1) : [];
+        if (seen && !fresh.length) return;
+
+        fresh.forEach(this._notify);
+        let ids = (seen || []).concat((seen ? fresh : needed).map(pending => pending.proposal.get("id")));
+        this.seen = ids.slice(-MAX_SEEN);
+        proposalStorage.set(STORAGE_KEY, this.seen);
+    }
+
+    _notify({proposal, accounts}) {
+        if (!window.Notification || Notification.permission !== "granted") return;
+
+        let names = accounts.map(id => {
+            let account = ChainStore.getAccount(id);
+            return account ? account.get("name") : id;
+        });
+        let notification = new Notification(counterpart.translate("account.proposals.notification_title"), {
+            body: counterpart.translate("account.proposals.notification_body", {
+                accounts: names.join(", "),
+                count: proposal.getIn(["proposed_transaction", "operations"]).size,
+                expiration: new Date(proposal.get("expiration_time") + "Z").toLocaleString()
+            }),
+            tag: proposal.get("id")
+        });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    }
+
+    render() {
+        return null;
+    }
+}
@@ -2,8 +2,8 @@ import React from "react";
 import {IntlProvider} from "react-intl";
 import intlData from "../Utility/intlData";
 import Translate from "react-translate-component";
-import {saveAs} from "common/filesaver.js";
 import Operation from "../Blockchain/Operation";
+import HistoryExport from "./HistoryExport";
 import ChainTypes from "../Utility/ChainTypes";
 import BindToChainState from "../Utility/BindToChainState";
 import utils from "common/utils";
@@ -20,10 +20,6 @@ function compareOps(b, a) {
     }
 }
 
-function textContent(n) {
-    return n ? `"${n.textContent.replace(/[\s\t\r\n]/gi, " ")}"` : "";
-}
-
 @BindToChainState({keep_updating: true})
 class RecentTransactions extends React.Component {
 
@@ -47,7 +43,7 @@ class RecentTransactions extends React.Component {
         super();
         this.state = {
             limit: props.limit || 20,
-            csvExport: false,
+            showExport: false,
             headerHeight: 85,
             filter: "all"
         };
@@ -87,7 +83,7 @@ class RecentTransactions extends React.Component {
         }
 
         if(this.props.maxHeight !== nextProps.maxHeight) return true;
-        if (nextState.limit !== this.state.limit || nextState.csvExport !== this.state.csvExport) return true;
+        if (nextState.limit !== this.state.limit || nextState.showExport !== this.state.showExport) return true;
         for(let key = 0; key < nextProps.accountsList.length; ++key) {
             let npa = nextProps.accountsList[key];
             let nsa = this.props.accountsList[key];
@@ -97,22 +93,6 @@ class RecentTransactions extends React.Component {
     }
 
     componentDidUpdate() {
-        if (this.state.csvExport) {
-            this.state.csvExport = false;
-            const csv_export_container = document.getElementById("csv_export_container");
-            const nodes = csv_export_container.childNodes;
-            let csv = "";
-            for (const n of nodes) {
-                //console.log("-- RecentTransactions._downloadCSV -->", n);
-                const cn = n.childNodes;
-                if (csv !== "") csv += "\n";
-                csv += [textContent(cn[0]), textContent(cn[1]), textContent(cn[2]), textContent(cn[3])].join(",");
-            }
-            var blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-            var today = new Date();
-            saveAs(blob, "btshist-" + today.getFullYear() + "-" + today.getMonth() + "-" + today.getDate() + ".csv");
-        }
-
         if (!this.props.fullHeight) {
             let t = this.refs.transactions;
             ps.update(t);
@@ -162,8 +142,8 @@ class RecentTransactions extends React.Component {
         return history;
     }
 
-    _downloadCSV() {
-        this.setState({csvExport: true});
+    _onToggleExport() {
+        this.setState({showExport: !this.state.showExport});
     }
 
     _onChangeFilter(e) {
@@ -201,6 +181,7 @@ class RecentTransactions extends React.Component {
                         op={o.op}
                         result={o.result}
                         block={o.block_num}
+                        trxInBlock={o.trx_in_block}
                         current={current_account_id}
                         hideFee
                         inverted={false}
@@ -221,7 +202,7 @@ class RecentTransactions extends React.Component {
                             <span style={{fontSize: "60%", textTransform: "lowercase"}}>
                                 &nbsp;(
                                     <a
-                                    onClick={this._downloadCSV.bind(this)}
+                                    onClick={this._onToggleExport.bind(this)}
                                     data-tip={counterpart.translate("transaction.csv_tip")}
                                     data-place="bottom"
                                     data-type="light"
@@ -237,6 +218,8 @@ class RecentTransactions extends React.Component {
                             </div>) : null}
                         </div>
 
+                        {this.state.showExport ? <HistoryExport accounts={accountsList.filter(a => !!a)} /> : null}
+
                         <table className={"table" + (compactView ? " compact" : "")}>
                             <thead>
                             <tr>
@@ -262,31 +245,6 @@ class RecentTransactions extends React.Component {
                             </TransitionWrapper>
                         </table>
                     </div>
-                {
-                    historyCount > 0 && this.state.csvExport &&
-                    <div id="csv_export_container" style={{display: "none"}}>
-                        <div>
-                            <div>DATE</div>
-                            <div>OPERATION</div>
-                            <div>MEMO</div>
-                            <div>AMOUNT</div>
-                        </div>
-                        {
-                            history.map(o => {
-                                return (
-                                    <Operation
-                                        key={o.id}
-                                        op={o.op}
-                                        result={o.result}
-                                        block={o.block_num}
-                                        inverted={false}
-                                        csvExportMode
-                                    />
-                                );
-                            })
-                        }
-                    </div>
-                }
                 </div>
                 {this.props.showMore && historyCount > this.props.limit || 20 && limit < historyCount ? (
                     <div className="account-info more-button">
@@ -196,6 +196,7 @@ class Asset extends React.Component {
                     />
                     {short_name ? <p>{short_name}</p> : null}
                     <a style={{textTransform: "uppercase"}} href={`#/market/${asset.symbol}_${preferredMarket}`}><Translate content="exchange.market"/></a>
+                    &nbsp;&middot;&nbsp;<a style={{textTransform: "uppercase"}} href={`#/asset/${asset.symbol}/holders`}><Translate content="explorer.holders.link"/></a>
                 </div>
         );
     }
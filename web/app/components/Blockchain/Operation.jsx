@@ -13,7 +13,6 @@ import BindToChainState from "../Utility/BindToChainState";
 import FormattedPrice from "../Utility/FormattedPrice";
 import ChainTypes from "../Utility/ChainTypes";
 import TranslateWithLinks from "../Utility/TranslateWithLinks";
-import {ChainStore} from "graphenejs-lib";
 import account_constants from "chain/account_constants";
 import MemoText from "./MemoText";
 let {operations} = require("graphenejs-lib").ChainTypes;
@@ -62,7 +61,8 @@ class Row extends React.Component {
 
     showDetails(e) {
         e.preventDefault();
-        this.context.history.pushState(null, `/block/${this.props.block}`);
+        let {block, trxInBlock} = this.props;
+        this.context.history.pushState(null, typeof trxInBlock === "number" ? `/tx/${block}/${trxInBlock}` : `/block/${block}`);
     }
 
     shouldComponentUpdate(nextProps) {
@@ -115,17 +115,16 @@ class Operation extends React.Component {
         block: null,
         hideDate: false,
         hideFee: false,
-        hideOpLabel: false,
-        csvExportMode: false
+        hideOpLabel: false
     };
 
     static propTypes = {
         op: React.PropTypes.array.isRequired,
         current: React.PropTypes.string,
         block: React.PropTypes.number,
+        trxInBlock: React.PropTypes.number,
         hideDate: React.PropTypes.bool,
-        hideFee: React.PropTypes.bool,
-        csvExportMode: React.PropTypes.bool
+        hideFee: React.PropTypes.bool
     };
 
     linkToAccount(name_or_id) {
@@ -772,23 +771,10 @@ class Operation extends React.Component {
                 );
         }
 
-        if (this.props.csvExportMode) {
-            const globalObject = ChainStore.getObject("2.0.0");
-            const dynGlobalObject = ChainStore.getObject("2.1.0");
-            const block_time = utils.calc_block_time(block, globalObject, dynGlobalObject)
-            return (
-                <div>
-                    <div>{block_time ? block_time.toLocaleString() : ""}</div>
-                    <div>{ops[op[0]]}</div>
-                    <div>{column}</div>
-                    <div><FormattedAsset amount={parseInt(op[1].fee.amount, 10)} asset={op[1].fee.asset_id} /></div>
-                </div>
-            );
-        }
-
         line = column ? (
             <Row
                 block={block}
+                trxInBlock={this.props.trxInBlock}
                 type={op[0]}
                 color={color}
                 fee={op[1].fee}
@@ -15,9 +15,16 @@ import AccountStore from "stores/AccountStore";
 import AccountSelect from "components/Forms/AccountSelect";
 import {ChainStore} from "graphenejs-lib";
 import utils from "common/utils";
+import MultiSigUtils from "common/multisig_utils";
+import notify from "actions/NotificationActions";
+import {PropTypes} from "react-router";
 
 @connectToStores
 class TransactionConfirm extends React.Component {
+
+    static contextTypes = {
+        history: PropTypes.history
+    };
     
     static getStores() {
         return [TransactionConfirmStore]
@@ -63,6 +70,23 @@ class TransactionConfirm extends React.Component {
         TransactionConfirmActions.close();
     }
 
+    onExportClick(e) {
+        e.preventDefault();
+        let tr = this.props.transaction;
+        TransactionConfirmActions.close();
+
+        // Signed with the keys of this wallet only, the other signers import it
+        MultiSigUtils.finalizeForExport(tr).then(() => {
+            this.context.history.pushState(null, "/wallet/sign-transaction", {trx: MultiSigUtils.toBase58(tr)});
+        }).catch(err => {
+            console.log("unable to export transaction:", err);
+            notify.addNotification({
+                message: counterpart.translate("transaction.export_fail"),
+                level: "error"
+            });
+        });
+    }
+
     onProposeClick(e) {
         e.preventDefault()
         TransactionConfirmActions.togglePropose()
@@ -138,6 +162,10 @@ class TransactionConfirm extends React.Component {
                                 <Translate content="transfer.confirm" />
                             }
                         </div>
+                        {!this.props.propose && !this.props.transaction.tr_buffer ?
+                        <div className="button" onClick={this.onExportClick.bind(this)}>
+                            <Translate content="transaction.export" />
+                        </div> : null}
                         <div className="button" onClick={this.onCloseClick.bind(this)}>
                             <Translate content="account.perm.cancel" />
                         </div>
@@ -174,7 +202,7 @@ class TransactionConfirm extends React.Component {
                         {button_group}
 
                         {/* P R O P O S E   T O G G L E */}
-                        { !this.props.transaction.has_proposed_operation() && !(broadcast || broadcasting) ?
+                        { !this.props.transaction.has_proposed_operation() && !this.props.transaction.tr_buffer && !(broadcast || broadcasting) ?
                             <div className="align-right grid-block">
                                 <label style={{paddingTop: "0.5rem", paddingRight: "0.5rem"}}><Translate content="propose" />:</label>
                                 <div className="switch" onClick={this.onProposeClick.bind(this)}>
@@ -0,0 +1,192 @@
+import React from "react";
+import {Link} from "react-router";
+import {FormattedDate} from "react-intl";
+import Translate from "react-translate-component";
+import TransactionUtils, {HISTORY_LIMIT} from "common/transaction_utils";
+import utils from "common/utils";
+import FormattedAsset from "../Utility/FormattedAsset";
+import Transaction from "./Transaction";
+import Operation from "./Operation";
+
+/**
+ *  A transaction by id, /tx/:id, or by position in a block, /tx/:block/:index.
+ *  Transactions older than their expiration are only found by id in the
+ *  recent history of the accounts given as ?accounts=name,name.
+ */
+class TransactionPage extends React.Component {
+
+    constructor() {
+        super();
+        this.state = {
+            loading: true,
+            transaction: null,
+            virtualOps: []
+        };
+    }
+
+    componentDidMount() {
+        this._load(this.props);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        let {params, location} = this.props;
+        if (!utils.are_equal_shallow(nextProps.params, params) || nextProps.location.search !== location.search) {
+            this._load(nextProps);
+        }
+    }
+
+    _load({params, location}) {
+        // Results of a transaction that is no longer shown are dropped
+        let request = this.request = {};
+        this.setState({loading: true, transaction: null, virtualOps: []});
+
+        let lookup;
+        if (params.block) {
+            lookup = TransactionUtils.fetchByBlock(parseInt(params.block, 10), parseInt(params.index, 10));
+        } else {
+            let accounts = location.query.accounts ? location.query.accounts.split(",") : [];
+            lookup = TransactionUtils.fetchById(params.id, accounts);
+        }
+
+        lookup.then(transaction => {
+            if (request !== this.request) return;
+            this.setState({loading: false, transaction});
+            if (transaction) {
+                return TransactionUtils.fetchVirtualOps(transaction).then(virtualOps => {
+                    if (request !== this.request) return;
+                    this.setState({virtualOps});
+                });
+            }
+        }).catch(error => {
+            console.log("Unable to load transaction:", error);
+            if (request === this.request) this.setState({loading: false});
+        });
+    }
+
+    _renderFees(trx) {
+        let fees = {};
+        trx.operations.forEach(op => {
+            let {amount, asset_id} = op[1].fee;
+            fees[asset_id] = (fees[asset_id] || 0) + parseInt(amount, 10);
+        });
+        return Object.keys(fees).map((asset_id, index) => (
+            <span key={asset_id}>{index ? ", " : null}<FormattedAsset amount={fees[asset_id]} asset={asset_id} /></span>
+        ));
+    }
+
+    _renderResult(result) {
+        let value = result[1];
+        if (utils.is_object_id(value)) {
+            return <Link to={`/object/${value}`}>{value}</Link>;
+        }
+        if (value && value.asset_id) {
+            return <FormattedAsset amount={value.amount} asset={value.asset_id} />;
+        }
+        return "-";
+    }
+
+    render() {
+        let {loading, transaction, virtualOps} = this.state;
+
+        let content;
+        if (loading) {
+            content = <Translate component="p" content="explorer.transaction.loading" />;
+        } else if (!transaction) {
+            content = (
+                <div>
+                    <Translate component="p" content="explorer.transaction.not_found" />
+                    <Translate component="p" content="explorer.transaction.not_found_help" operations={HISTORY_LIMIT} />
+                </div>
+            );
+        } else {
+            let {trx, id, block_num, index} = transaction;
+            let results = trx.operation_results || [];
+
+            content = (
+                <div>
+                    <table className="table">
+                        <tbody>
+                            <tr>
+                                <td><Translate content="explorer.transaction.id" /></td>
+                                <td>{id}</td>
+                            </tr>
+                            <tr>
+                                <td><Translate content="explorer.block.title" /></td>
+                                <td>
+                                    {block_num !== null ?
+                                        <span><Link to={`/block/${block_num}`}>#{block_num}</Link>, <Translate content="explorer.transaction.index" /> {index}</span> :
+                                        <Translate content="explorer.transaction.pending" />}
+                                </td>
+                            </tr>
+                            <tr>
+                                <td><Translate content="transaction.expiration" /></td>
+                                <td><FormattedDate value={new Date(trx.expiration + (/Z$/.test(trx.expiration) ? "" : "Z"))} format="full" /></td>
+                            </tr>
+                            <tr>
+                                <td><Translate content="explorer.transaction.ref_block" /></td>
+                                <td>{trx.ref_block_num} / {trx.ref_block_prefix}</td>
+                            </tr>
+                            <tr>
+                                <td><Translate content="explorer.transaction.fees" /></td>
+                                <td>{this._renderFees(trx)}</td>
+                            </tr>
+                            <tr>
+                                <td><Translate content="explorer.transaction.signatures" /></td>
+                                <td>{trx.signatures.map(signature => <div key={signature} style={{wordBreak: "break-all"}}>{signature}</div>)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+
+                    <Translate component="h5" content="explorer.transaction.operations" />
+                    <Transaction trx={trx} index={index || 0} />
+
+                    {results.length ?
+                        <div>
+                            <Translate component="h5" content="explorer.transaction.results" />
+                            <table className="table">
+                                <tbody>
+                                    {results.map((result, opIndex) => (
+                                        <tr key={opIndex}>
+                                            <td>#{opIndex + 1}</td>
+                                            <td>{this._renderResult(result)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div> : null}
+
+                    {virtualOps.length ?
+                        <div>
+                            <Translate component="h5" content="explorer.transaction.virtual_ops" />
+                            <table className="table">
+                                <tbody>
+                                    {virtualOps.map(entry => (
+                                        <Operation
+                                            key={entry.id}
+                                            op={entry.op}
+                                            result={entry.result}
+                                            block={entry.block_num}
+                                            inverted={false}
+                                        />
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div> : null}
+                </div>
+            );
+        }
+
+        return (
+            <div className="grid-block">
+                <div className="grid-content">
+                    <div className="grid-content no-overflow medium-offset-2 medium-8 large-offset-3 large-6 small-12">
+                        <h4 className="text-center"><Translate style={{textTransform: "uppercase"}} component="span" content="explorer.transaction.title" /></h4>
+                        {content}
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default TransactionPage;
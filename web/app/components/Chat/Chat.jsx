@@ -7,26 +7,29 @@ import {ChainStore} from "graphenejs-lib";
 import {debounce} from "lodash";
 import SettingsActions from "actions/SettingsActions";
 import SettingsStore from "stores/SettingsStore";
-import Peer from "peerjs";
 import utils from "common/utils";
 import counterpart from "counterpart";
 import LoadingIndicator from "../LoadingIndicator";
 import AccountActions from "actions/AccountActions";
 import TransactionConfirmStore from "stores/TransactionConfirmStore";
-import {FetchChainObjects} from "graphenejs-lib";;
+import {FetchChainObjects, FetchChain, Signature, PublicKey} from "graphenejs-lib";
+import WalletDb from "stores/WalletDb";
+import WalletUnlockActions from "actions/WalletUnlockActions";
 
 
 const PROD = true;
-const hostConfig = PROD ? { // Prod config
-    host: "bitshares.openledger.info",
-    path: "/trollbox",
-    secure: true,
-    port: 443
-} : { // Dev config
-    host: "localhost",
-    path: "/trollbox",
-    port: 9000
-};
+const roomUrl = PROD ?
+    "wss://bitshares.openledger.info/trollbox/room" : // Prod config
+    "ws://localhost:9000/trollbox/room"; // Dev config
+
+const SYSTEM_COLOR = "#B71A00";
+const MAX_MESSAGES = 100;
+const adminCommand = /^\/(mute|unmute|ban|unban)\b/;
+
+// Must match signedPayload in trollbox/signatures.js
+function signedPayload(user, time, message) {
+    return new Buffer([user, time, message].join("\n"), "utf8");
+}
 
 class Comment extends React.Component {
 
@@ -37,10 +40,14 @@ class Comment extends React.Component {
     }
 
     render() {
-        let {comment, user, color} = this.props;
+        let {comment, user, color, verified} = this.props;
         let systemUsers = [counterpart.translate("chat.welcome_user"), "SYSTEM"];
         return (
             <div style={{padding: "3px 1px"}}>
+                {verified ? (
+                    <span title={counterpart.translate("chat.verified")}>
+                        <Icon className="icon-14px" name="checkmark-circle"/>&nbsp;
+                    </span>) : null}
                 <span
                     className="clickable"
                     onClick={this.props.onSelectUser.bind(this, user)}
@@ -89,13 +96,14 @@ export default class Chat extends React.Component {
             loading: true,
             anonName: anonName,
             docked: props.viewSettings.get("dockedChat", false),
-            hasFetchedHistory: false
+            signMessages: props.viewSettings.get("chatSign", true),
+            userCount: 0
         };
 
-        this._peer = null;
+        // signature: true if it matches the memo key of the user
+        this._verified = {};
 
-        this.connections = new Map();
-        this._myID = null;
+        this._socket = null;
 
         this.onChangeColor = debounce(this.onChangeColor, 150);
 
@@ -123,127 +131,141 @@ export default class Chat extends React.Component {
     }
 
     componentWillUnmount() {
-        if (this._peer) {
-            this._peer.destroy();
-        }
+        this._closeSocket();
     }
 
     _connectToServer() {
-        this._peer = new Peer(hostConfig);
+        let socket = new WebSocket(roomUrl);
+        this._socket = socket;
 
-        this._peer.on("open", id => {
-            // console.log("open, my ID is:", id);
-            this._myID = id;
+        socket.onopen = () => {
             this.setState({
                 connected: true,
-                loading: false,
-                open: true
+                loading: false
             });
+        };
 
-            this._peer.listAllPeers(this._connectToPeers.bind(this, true));
-        });
-
-        this._peer.on("connection", this.onConnection.bind(this));
-        // this._peer.on('disconnect', this.onDisconnect.bind(this));
-
-        this._peer.on("error", err => {
-            console.log(err);
-            if (err.message.indexOf("Lost connection to server") !== -1) {
-                this.setState({
-                    open: false
-                });
+        socket.onmessage = e => {
+            let data;
+            try {
+                data = JSON.parse(e.data);
+            } catch(err) {
+                return console.log("chat: unable to parse message", err);
             }
+            this._handleServerMessage(data);
+        };
 
-            if (err.message.indexOf("Could not get an ID from the server") !== -1) {
-                this.setState({
-                    open: false,
-                    loading: false,
-                    connected: false
-                });
+        socket.onclose = () => {
+            if (this._socket !== socket) {
+                return;
             }
+            this._socket = null;
+            this.setState({
+                connected: false,
+                loading: false
+            });
+        };
 
-            // this._peer.reconnect();
-            // this._connectToServer();
-        });
-    }
-
-    _broadCastPeers() {
-        let peersArray = this.connections.map((conn, peer) => {
-            return peer;
-        }).toArray();
-
-        this._broadCastMessage({
-            peers: peersArray
-        }, false);
+        socket.onerror = err => {
+            console.log("chat socket error:", err);
+        };
     }
 
-    _connectToPeers(broadcast = false, peers) {
-        let shouldUpdate = false;
-        if (!Array.isArray(peers)) {
-            peers = [peers];
+    _closeSocket() {
+        if (this._socket) {
+            let socket = this._socket;
+            this._socket = null;
+            socket.close();
         }
-
-        // this._peers = Immutable.List(peers);
-        peers.forEach(peer => {
-            if (peer !== this._myID && !this.connections.has(peer)) {
-                shouldUpdate = true;
-                let conn = this._peer.connect(peer);
-
-                conn.on("data", this._handleMessage);
-                conn.on("close", this.onDisconnect.bind(this, peer));
-                this.connections.set(peer, conn);
-            }
-        });
-        if (shouldUpdate) {
-            this.forceUpdate();
-        }
-        // if (broadcast) {
-        //     setTimeout(this._broadCastPeers.bind(this), 2000);
-        // }
-
-        // console.log("this.connections:", this.connections);
     }
 
-
-
-    _handleMessage(data) {
-        if ("peers" in data && data.peers.length) {
-            return this._connectToPeers(false, data.peers);
+    _send(data) {
+        if (this._socket && this._socket.readyState === WebSocket.OPEN) {
+            this._socket.send(JSON.stringify(data));
         }
+    }
 
-        if ("requestHistory" in data) {
-            return this.sendHistory(this.connections.get(data.requestHistory));
-        }
+    _handleServerMessage(data) {
+        switch (data.type) {
+        case "history":
+            // The server replays the room history once after connecting
+            this.state.messages = this.state.messages.slice(0, 1).concat(data.messages);
+            data.messages.forEach(message => this._verifySignature(message));
+            this.forceUpdate(this._scrollToBottom.bind(this));
+            break;
 
-        if (!this.state.fetchingHistory && data.historyCount && !this.state.hasFetchedHistory) {
-            this.setState({
-                fetchingHistory: true
-            });
-            return this.connections.get(data.id).send({requestHistory: this._myID});
-        }
+        case "message":
+            this._verifySignature(data);
+            this._handleMessage(data);
+            break;
 
-        if ("history" in data && data.history.length) {
-            this.setState({
-                fetchingHistory: false,
-                hasFetchedHistory: true
-            });
+        case "users":
+            this.setState({userCount: data.count});
+            break;
 
-            data.history.forEach(msg => {
-                this.state.messages.push(msg);
+        case "error":
+            this._handleMessage({
+                user: "SYSTEM",
+                message: counterpart.translate("chat.errors." + data.error),
+                color: SYSTEM_COLOR
             });
-            this.forceUpdate();
-            this._scrollToBottom();
+            break;
         }
+    }
 
+    _handleMessage(data) {
         if ("message" in data && data.user && data.color) {
             this.state.messages.push(data);
-            if (this.state.messages.length >= 100) {
+            if (this.state.messages.length >= MAX_MESSAGES) {
                 this.state.messages.shift();
             }
 
             this.forceUpdate(this._scrollToBottom.bind(this));
         }
+    }
+
+    /* Don't rely on the server, check signed messages against the chain ourselves */
+    _verifySignature(data) {
+        let {signature} = data;
+        if (!signature || signature in this._verified) {
+            return;
+        }
+        this._verified[signature] = false;
 
+        FetchChain("getAccount", data.user).then(account => {
+            let publicKey = PublicKey.fromPublicKeyString(account.getIn(["options", "memo_key"]));
+            this._verified[signature] = !!publicKey && Signature.fromHex(signature)
+                .verifyBuffer(signedPayload(data.user, data.signed_time, data.message), publicKey);
+            this.forceUpdate();
+        }).catch(err => {
+            console.log("chat: unable to verify signature of", data.user, err);
+        });
+    }
+
+    /* Resolves with the signature fields of a message, or none if it can't be signed */
+    _signMessage(message) {
+        let account = ChainStore.getAccount(this.state.userName);
+        if (!this.state.signMessages || !account || !AccountStore.isMyAccount(account)) {
+            return Promise.resolve({});
+        }
+
+        return WalletUnlockActions.unlock().then(() => {
+            let privateKey = WalletDb.getPrivateKey(account.getIn(["options", "memo_key"]));
+            if (!privateKey) {
+                this._handleMessage({
+                    user: "SYSTEM",
+                    message: counterpart.translate("chat.no_memo_key"),
+                    color: SYSTEM_COLOR
+                });
+                return {};
+            }
+
+            let time = new Date().getTime();
+            return {
+                time: time,
+                signature: Signature.signBuffer(signedPayload(this.state.userName, time, message), privateKey).toHex()
+            };
+        });
     }
 
     _scrollToBottom() {
@@ -263,35 +285,6 @@ export default class Chat extends React.Component {
         }
     }
 
-    sendHistory(c) {
-        c.send({history: this.state.messages.filter((msg) => {return msg.user !== "SYSTEM" && msg.user !== "Welcome to Bitshares";})});
-    }
-
-    onConnection(c) {
-        this.connections.set(c.peer, c);
-        c.on("data", this._handleMessage);
-        c.on("close", this.onDisconnect.bind(this, c.peer));
-        setTimeout(() => {c.send({
-            id: this._myID,
-            historyCount: this.state.messages.reduce((value, msg) => {return value + (msg.user !== "SYSTEM" ? 1 : 0);}, 0)});
-        }, 200);
-        this.forceUpdate();
-    }
-
-    onDisconnect(peer) {
-        this.connections.get(peer).close();
-        this.connections.delete(peer);
-        this.forceUpdate();
-
-        if (!this.connections.size && !this.state.open) {
-            this.setState({
-                connected: false
-            });
-        }
-
-        this.forceUpdate();
-    }
-
     onTip(input) {
         Promise.all([
             FetchChainObjects(ChainStore.getAsset, [input.asset]),
@@ -337,16 +330,10 @@ export default class Chat extends React.Component {
 
     _onTipSuccess() {
         let tip = this._parseTip();
-        let message = {
-            user: "SYSTEM",
-            message: this.props.currentAccount + " tipped " + tip.to + " " + tip.amount + " " + tip.asset,
-            color: "#B71A00"
-        };
-
-        // Public and local broadcast
-        this._broadCastMessage(message);
 
+        // Announced like any other message, signed when signing is enabled
         this.refs.input.value = "";
+        this._postMessage(`tipped ${tip.to} ${tip.amount} ${tip.asset}`);
     }
 
     _parseTip() {
@@ -380,6 +367,7 @@ export default class Chat extends React.Component {
             let commands = [
                 "Some useful commands:",
                 "Tipping: /tip username 100 BTS Memo goes here",
+                "Moderators: /mute, /unmute, /ban or /unban username token",
                 "This help: /help"
             ];
 
@@ -388,10 +376,21 @@ export default class Chat extends React.Component {
                 this._handleMessage({
                     user: "SYSTEM",
                     message: command,
-                    color: "#B71A00"
+                    color: SYSTEM_COLOR
                 });
             });
 
+            return this.refs.input.value = "";
+        } else if (adminCommand.test(this.refs.input.value)) {
+            let [, target, token] = this.refs.input.value.split(" ");
+            this._send({
+                type: "admin",
+                admin: this.state.userName,
+                token: token,
+                command: this.refs.input.value.match(adminCommand)[1],
+                target: target
+            });
+
             return this.refs.input.value = "";
         }
 
@@ -406,35 +405,38 @@ export default class Chat extends React.Component {
             return this._handleMessage({
                 user: "SYSTEM",
                 message: counterpart.translate("chat.rate"),
-                color: "#B71A00"
+                color: SYSTEM_COLOR
             });
         }
 
-        let message = {
-            user: this.state.userName,
-            message: this.refs.input.value.substr(0, 140),
-            color: this.state.myColor || "#ffffff"
-        };
-
-        // Public and local broadcast
-        this._broadCastMessage(message);
+        let message = this.refs.input.value;
 
         // Reset input and message timestamp
         this.refs.input.value = "";
-        this.lastMessage = new Date().getTime();
+        this.lastMessage = now;
+
+        this._postMessage(message);
     }
 
-    _broadCastMessage(message, local = true) {
-        // Local broadcast
-        if (local) {
-            this._handleMessage(message);
-        }
-        // Public broadcast
-        if (this.connections.size) {
-            this.connections.forEach(c => {
-                c.send(message);
+    _postMessage(text) {
+        let message = text.substr(0, 140);
+        let user = this.state.userName;
+        let color = this.state.myColor || "#ffffff";
+
+        this._signMessage(message).then(signed => {
+            // The server checks the length, rate and signature again and echoes the message back
+            this._send({
+                type: "message",
+                user: user,
+                message: message,
+                color: color,
+                time: signed.time,
+                signature: signed.signature
             });
-        }
+        }).catch(err => {
+            // Unlocking the wallet was cancelled
+            console.log("chat: message not sent", err);
+        });
     }
 
     onToggleChat(e) {
@@ -470,8 +472,20 @@ export default class Chat extends React.Component {
         });
     }
 
+    onToggleSign() {
+        let signMessages = !this.state.signMessages;
+        this.setState({
+            signMessages: signMessages
+        });
+
+        SettingsActions.changeViewSetting({
+            chatSign: signMessages
+        });
+    }
+
     _resetServer() {
-        this._peer.destroy();
+        this._closeSocket();
+        this.setState({loading: true});
         this._connectToServer();
     }
 
@@ -512,7 +526,7 @@ export default class Chat extends React.Component {
             if (!msg.user || !msg.color || !msg.message) {
                 return null;
             }
-            let isMine = msg.user === userName || msg.user === this._myID;
+            let isMine = msg.user === userName;
 
             return (
                 <Comment
@@ -522,6 +536,7 @@ export default class Chat extends React.Component {
                     comment={msg.message}
                     color={msg.color}
                     isMine={isMine}
+                    verified={!!msg.signature && this._verified[msg.signature]}
                 />
             );
         }).filter((a) => {
@@ -565,6 +580,17 @@ export default class Chat extends React.Component {
                 >
                     {accountOptions}
                 </select>
+                {/* Signing */}
+                <div className="settings-title">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={this.state.signMessages}
+                            onChange={this.onToggleSign.bind(this)}
+                        />
+                        <Translate content="chat.sign" />
+                    </label>
+                </div>
                 {/* Color */}
                 <div className="settings-title">
                     <Translate content="chat.color" />:
@@ -604,7 +630,7 @@ export default class Chat extends React.Component {
                     <div className={"grid-block main-content vertical " + (docked ? "docked" : "flyout")} >
                         <div className="chatbox-title grid-block shrink">
                             <Translate content="chat.title" />
-                            <span>&nbsp;- <Translate content="chat.users" count={this.connections.size + 1} /></span>
+                            <span>&nbsp;- <Translate content="chat.users" count={this.state.userCount} /></span>
                             <div className="chatbox-pin" onClick={this._onToggleDock.bind(this)}>
                                 {docked ? <Icon className="icon-14px rotate" name="thumb-tack"/> : <Icon className="icon-14px" name="thumb-tack"/>}
                             </div>
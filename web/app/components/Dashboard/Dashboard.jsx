@@ -8,6 +8,7 @@ import ps from "perfect-scrollbar";
 import AssetName from "../Utility/AssetName";
 import assetUtils from "common/asset_utils";
 import MarketCard from "./MarketCard";
+import PortfolioPerformance from "./PortfolioPerformance";
 
 class Dashboard extends React.Component {
 
@@ -148,6 +149,8 @@ class Dashboard extends React.Component {
                         </div>
                     </div> : null}
 
+                    {names.length ? <PortfolioPerformance accounts={names} /> : null}
+
                     {accountCount ? <RecentTransactions
                         style={{marginBottom: 20, marginTop: 20}}
                         accountsList={this.props.linkedAccounts}
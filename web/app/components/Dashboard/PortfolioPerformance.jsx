@@ -0,0 +1,237 @@
+import React from "react";
+import {PropTypes} from "react";
+import Translate from "react-translate-component";
+import AltContainer from "alt-container";
+var ReactHighstock = require("react-highcharts/dist/ReactHighstock");
+import FormattedAsset from "../Utility/FormattedAsset";
+import AssetName from "../Utility/AssetName";
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import PortfolioActions from "actions/PortfolioActions";
+import PortfolioStore from "stores/PortfolioStore";
+import utils from "common/utils";
+
+/**
+ *  Value of an account over time, in the core asset, with the cost basis and
+ *  the realized and unrealized profit or loss of every asset it held. The
+ *  whole history is fetched so it is only loaded on request.
+ */
+@BindToChainState()
+class Performance extends React.Component {
+
+    static propTypes = {
+        account: ChainTypes.ChainAccount.isRequired,
+        coreAsset: ChainTypes.ChainAsset.isRequired,
+        portfolio: PropTypes.object
+    };
+
+    static defaultProps = {
+        coreAsset: "1.3.0"
+    };
+
+    _onLoad() {
+        PortfolioActions.getPerformance(this.props.account.get("id"));
+    }
+
+    _renderChart(series) {
+        let {coreAsset} = this.props;
+
+        let config = {
+            chart: {
+                backgroundColor: "rgba(255, 0, 0, 0)",
+                height: 250,
+                spacing: [20, 10, 5, 10]
+            },
+            title: {
+                text: null
+            },
+            credits: {
+                enabled: false
+            },
+            legend: {
+                enabled: false
+            },
+            scrollbar: {
+                enabled: false
+            },
+            navigator: {
+                enabled: false
+            },
+            rangeSelector: {
+                enabled: false
+            },
+            plotOptions: {
+                series: {
+                    animation: false,
+                    marker: {
+                        enabled: false
+                    }
+                }
+            },
+            tooltip: {
+                valueDecimals: 0,
+                valueSuffix: " " + coreAsset.get("symbol")
+            },
+            series: [{
+                name: coreAsset.get("symbol"),
+                type: "area",
+                color: "#50D2C2",
+                fillOpacity: 0.3,
+                data: series.map(([day, value]) => [day, utils.get_asset_amount(value, coreAsset)])
+            }],
+            yAxis: {
+                title: {
+                    text: null
+                },
+                labels: {
+                    align: "left"
+                }
+            }
+        };
+
+        return <ReactHighstock config={config}/>;
+    }
+
+    _renderAssets(assets) {
+        let rounded = value => Math.round(value);
+
+        return (
+            <table className="table">
+                <thead>
+                    <tr>
+                        <th><Translate content="account.portfolio.asset" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.amount" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.debt" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.cost" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.value" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.realized" /></th>
+                        <th className="text-right"><Translate content="account.portfolio.unrealized" /></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.keys(assets).sort(utils.sortID).filter(asset_id => {
+                        return asset_id !== "1.3.0" && (assets[asset_id].amount > 0 || assets[asset_id].debt > 0 || assets[asset_id].realized);
+                    }).map(asset_id => {
+                        let asset = assets[asset_id];
+                        return (
+                            <tr key={asset_id}>
+                                <td><AssetName name={asset_id} /></td>
+                                <td className="text-right"><FormattedAsset amount={Math.max(0, asset.amount)} asset={asset_id} hide_asset={true} /></td>
+                                <td className="text-right">{asset.debt > 0 ? <FormattedAsset amount={asset.debt} asset={asset_id} hide_asset={true} /> : "-"}</td>
+                                <td className="text-right"><FormattedAsset amount={rounded(asset.cost)} asset="1.3.0" /></td>
+                                <td className="text-right"><FormattedAsset amount={rounded(asset.value)} asset="1.3.0" /></td>
+                                <td className={"text-right " + (asset.realized < 0 ? "negative" : "positive")}>
+                                    <FormattedAsset amount={rounded(asset.realized)} asset="1.3.0" />
+                                </td>
+                                <td className={"text-right " + (asset.unrealized < 0 ? "negative" : "positive")}>
+                                    <FormattedAsset amount={rounded(asset.unrealized)} asset="1.3.0" />
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        );
+    }
+
+    render() {
+        let {portfolio} = this.props;
+
+        if (!portfolio) {
+            return (
+                <div>
+                    <button className="button outline" onClick={this._onLoad.bind(this)}>
+                        <Translate content="account.portfolio.load" />
+                    </button>
+                    <Translate component="p" className="txtlabel" content="account.portfolio.explain" />
+                </div>
+            );
+        }
+
+        let {loading, error, performance} = portfolio;
+
+        return (
+            <div>
+                {error ?
+                    <div>
+                        <div className="has-error"><Translate content="account.portfolio.error" error={error} /></div>
+                        <button className="button outline" onClick={this._onLoad.bind(this)}>
+                            <Translate content="account.portfolio.load" />
+                        </button>
+                    </div> : null}
+                {loading && !performance ? <Translate component="p" content="account.portfolio.loading" /> : null}
+                {performance ? this._renderChart(performance.series) : null}
+                {performance ? this._renderAssets(performance.assets) : null}
+                {performance && performance.missing.length ?
+                    <Translate component="p" content="account.portfolio.missing" /> : null}
+                <Translate component="p" className="txtlabel" content="account.portfolio.explain" />
+            </div>
+        );
+    }
+}
+
+@BindToChainState()
+class PortfolioWrapper extends React.Component {
+
+    static propTypes = {
+        account: ChainTypes.ChainAccount.isRequired
+    };
+
+    render() {
+        let {account, accounts} = this.props;
+        return <Performance account={account.get("id")} portfolio={accounts.get(account.get("id"))} />;
+    }
+}
+
+export default class PortfolioPerformance extends React.Component {
+
+    static propTypes = {
+        accounts: PropTypes.array.isRequired // account names
+    };
+
+    constructor(props) {
+        super();
+        this.state = {
+            account: props.accounts[0]
+        };
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.accounts.indexOf(this.state.account) === -1) {
+            this.setState({account: nextProps.accounts[0]});
+        }
+    }
+
+    render() {
+        let {accounts} = this.props;
+        let {account} = this.state;
+
+        if (!account) return null;
+
+        return (
+            <div className="generic-bordered-box" style={{marginBottom: 5}}>
+                <div className="block-content-header" style={{marginBottom: 15}}>
+                    <Translate content="account.portfolio.title" />
+                    {accounts.length > 1 ?
+                        <select
+                            className="bts-select"
+                            style={{float: "right", width: "auto"}}
+                            value={account}
+                            onChange={e => this.setState({account: e.target.value})}
+                        >
+                            {accounts.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select> : null}
+                </div>
+                <div className="box-content">
+                    <AltContainer
+                        stores={[PortfolioStore]}
+                        inject={{
+                            accounts: () => PortfolioStore.getState().accounts
+                        }}>
+                        <PortfolioWrapper account={account} />
+                    </AltContainer>
+                </div>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,218 @@
+import React from "react";
+import {PropTypes} from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import AltContainer from "alt/AltContainer";
+import {ChainStore} from "graphenejs-lib";
+import utils from "common/utils";
+import ConditionalOrderUtils, {TYPES} from "common/conditional_order_utils";
+import ConditionalOrderActions from "actions/ConditionalOrderActions";
+import ConditionalOrderStore from "stores/ConditionalOrderStore";
+import Icon from "../Icon/Icon";
+
+/**
+ *  Arms stop loss, take profit and trailing stop orders for the current
+ *  account and watches the latest fill of the subscribed market to turn them
+ *  into limit orders. Orders are only watched while their market is open.
+ */
+class ConditionalOrders extends React.Component {
+
+    static propTypes = {
+        orders: PropTypes.array.isRequired,
+        marketHistory: PropTypes.object.isRequired,
+        base: PropTypes.object.isRequired,
+        quote: PropTypes.object.isRequired,
+        currentAccount: PropTypes.string.isRequired
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            type: "stop_loss",
+            side: "sell",
+            amount: "",
+            trigger: "",
+            trail: "5",
+            slippage: "1",
+            authorized: false,
+            error: null
+        };
+        this.pending = {}; // order id: true once triggered
+    }
+
+    componentDidMount() {
+        this._watch(this.props);
+    }
+
+    componentDidUpdate() {
+        this._watch(this.props);
+    }
+
+    _watch({orders, marketHistory, base, quote}) {
+        let price = ConditionalOrderUtils.getLatestPrice(marketHistory, base, quote);
+        if (price === null) return;
+
+        // Runs while the stores emit changes, so actions are deferred
+        orders.filter(order => order.status === "armed" && !this.pending[order.id]).forEach(order => {
+            let {triggered, extreme} = ConditionalOrderUtils.check(order, price);
+            if (triggered) {
+                this.pending[order.id] = true;
+                ConditionalOrderActions.trigger.defer(order, base, quote, price, ConditionalOrderStore.isAuthorized(order.id));
+            } else if (extreme !== order.extreme) {
+                ConditionalOrderActions.setExtreme.defer(order.id, extreme);
+            }
+        });
+    }
+
+    _onArm(e) {
+        e.preventDefault();
+        let {base, quote, marketHistory, currentAccount} = this.props;
+        let {type, side, amount, trigger, trail, slippage, authorized} = this.state;
+
+        let order = {
+            account: currentAccount,
+            base: base.get("id"),
+            quote: quote.get("id"),
+            type,
+            side,
+            amount: utils.get_satoshi_amount(amount, quote),
+            trigger: type === "trailing_stop" ? null : parseFloat(trigger),
+            trail: type === "trailing_stop" ? parseFloat(trail) / 100 : null,
+            slippage: parseFloat(slippage) / 100
+        };
+
+        let price = ConditionalOrderUtils.getLatestPrice(marketHistory, base, quote);
+        if (!(order.amount > 0) || (type !== "trailing_stop" && !(order.trigger > 0)) ||
+            (type === "trailing_stop" && !(order.trail > 0 && order.trail < 1)) || !(order.slippage >= 0 && order.slippage < 1)) {
+            return this.setState({error: counterpart.translate("exchange.conditional.invalid")});
+        }
+        if (type !== "trailing_stop" && price !== null && ConditionalOrderUtils.isTriggered(order, price)) {
+            return this.setState({error: counterpart.translate("exchange.conditional.would_trigger")});
+        }
+
+        ConditionalOrderActions.add(order, authorized);
+        this.setState({amount: "", trigger: "", error: null});
+    }
+
+    _renderRow(order) {
+        let {base, quote} = this.props;
+        let account = ChainStore.getAccount(order.account);
+        let price = value => utils.format_number(value, base.get("precision"));
+
+        return (
+            <tr key={order.id}>
+                <td>{account ? account.get("name") : order.account}</td>
+                <td><Translate content={"exchange.conditional." + order.type} /></td>
+                <td><Translate content={"exchange." + order.side} /></td>
+                <td>{utils.format_number(utils.get_asset_amount(order.amount, quote), quote.get("precision"))}</td>
+                <td>
+                    {order.type === "trailing_stop" ?
+                        <span>{utils.format_number(order.trail * 100, 2)}%{order.extreme ? " / " + price(order.extreme) : null}</span> :
+                        price(order.trigger)}
+                </td>
+                <td>
+                    <Translate content={"exchange.conditional.status_" + order.status} />
+                    {order.price ? " @ " + price(order.price) : null}
+                    {order.error ? <div className="has-error">{order.error}</div> : null}
+                    {order.status === "armed" && ConditionalOrderStore.isAuthorized(order.id) ?
+                        <div><Translate content="exchange.conditional.authorized" /></div> : null}
+                </td>
+                <td className="text-center">
+                    <a className="order-cancel" onClick={() => ConditionalOrderActions.cancel(order.id)}>
+                        <Icon name="cross-circle" className="icon-14px" />
+                    </a>
+                </td>
+            </tr>
+        );
+    }
+
+    render() {
+        let {orders, base, quote} = this.props;
+        let {type, side, amount, trigger, trail, slippage, authorized, error} = this.state;
+        let priceSymbol = base.get("symbol") + "/" + quote.get("symbol");
+
+        return (
+            <div className={this.props.className} style={{marginBottom: "15px"}}>
+                <div className="exchange-bordered small-12">
+                    <div className="exchange-content-header">
+                        <Translate content="exchange.conditional.title" />
+                    </div>
+                    <form onSubmit={this._onArm.bind(this)} style={{padding: "0 10px"}}>
+                        <div className="grid-block no-overflow no-margin">
+                            <div className="grid-content">
+                                <select className="bts-select" value={type} onChange={e => this.setState({type: e.target.value})}>
+                                    {TYPES.map(t => <option key={t} value={t}>{counterpart.translate("exchange.conditional." + t)}</option>)}
+                                </select>
+                            </div>
+                            <div className="grid-content">
+                                <select className="bts-select" value={side} onChange={e => this.setState({side: e.target.value})}>
+                                    <option value="sell">{counterpart.translate("exchange.sell")}</option>
+                                    <option value="buy">{counterpart.translate("exchange.buy")}</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="grid-block no-overflow no-margin">
+                            <div className="grid-content">
+                                <label>{counterpart.translate("exchange.quantity")} ({quote.get("symbol")})</label>
+                                <input type="number" min="0" value={amount} onChange={e => this.setState({amount: e.target.value})} />
+                            </div>
+                            {type === "trailing_stop" ?
+                                <div className="grid-content">
+                                    <label><Translate content="exchange.conditional.trail" /></label>
+                                    <input type="number" min="0" value={trail} onChange={e => this.setState({trail: e.target.value})} />
+                                </div> :
+                                <div className="grid-content">
+                                    <label><Translate content="exchange.conditional.trigger" /> ({priceSymbol})</label>
+                                    <input type="number" min="0" value={trigger} onChange={e => this.setState({trigger: e.target.value})} />
+                                </div>}
+                            <div className="grid-content">
+                                <label><Translate content="exchange.conditional.slippage" /></label>
+                                <input type="number" min="0" value={slippage} onChange={e => this.setState({slippage: e.target.value})} />
+                            </div>
+                        </div>
+                        <label>
+                            <input type="checkbox" checked={authorized} onChange={() => this.setState({authorized: !authorized})} />
+                            <Translate content="exchange.conditional.authorize" />
+                        </label>
+                        {error ? <div className="has-error">{error}</div> : null}
+                        <button className="button outline" type="submit"><Translate content="exchange.conditional.arm" /></button>
+                    </form>
+
+                    {orders.length ?
+                        <table className="table order-table text-right table-hover">
+                            <thead>
+                            <tr>
+                                <th><Translate content="account.name" /></th>
+                                <th><Translate content="exchange.conditional.type" /></th>
+                                <th></th>
+                                <th>{quote.get("symbol")}</th>
+                                <th><Translate content="exchange.conditional.trigger" /></th>
+                                <th><Translate content="exchange.conditional.status" /></th>
+                                <th></th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                                {orders.map(order => this._renderRow(order))}
+                            </tbody>
+                        </table> : null}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class ConditionalOrdersWrapper extends React.Component {
+    render() {
+        let {base, quote} = this.props;
+        return (
+            <AltContainer
+                stores={[ConditionalOrderStore]}
+                inject={{
+                    orders: () => ConditionalOrderStore.getMarketOrders(base.get("id"), quote.get("id"))
+                }}
+            >
+                <ConditionalOrders {...this.props} />
+            </AltContainer>
+        );
+    }
+}
@@ -24,7 +24,8 @@ class DepthHighChart extends React.Component {
             nextProps.SQP !== this.props.SQP ||
             nextProps.LCP !== this.props.LCP ||
             nextProps.showCallLimit !== this.props.showCallLimit ||
-            nextProps.hasPrediction !== this.props.hasPrediction
+            nextProps.hasPrediction !== this.props.hasPrediction ||
+            nextProps.truncated !== this.props.truncated
         );
     }
 
@@ -57,7 +58,7 @@ class DepthHighChart extends React.Component {
 
     render() {
 
-        let {flat_bids, flat_asks, flat_calls, settles, quoteSymbol, baseSymbol, totalBids, totalCalls, spread, base, quote, theme} = this.props;
+        let {flat_bids, flat_asks, flat_calls, settles, quoteSymbol, baseSymbol, totalBids, totalCalls, spread, base, quote, theme, truncated} = this.props;
 
         let priceSymbol = `${baseSymbol}/${quoteSymbol}`;
 
@@ -390,6 +391,12 @@ class DepthHighChart extends React.Component {
                         </div>
                         {!flatBids.length && !flatAsks.length && !flatCalls.length ? <span className="no-data"><Translate content="exchange.no_data" /></span> : null}
                         {flatBids || flatAsks || flatCalls ? <ReactHighstock ref="depthChart" config={config}/> : null}
+                        {truncated.bids || truncated.asks || truncated.calls ? (
+                            <div className="orderbook-showall">
+                                <Translate content="exchange.depth_truncated" />
+                                <span> </span>
+                                <a onClick={this.props.onLoadMore}><Translate content="exchange.load_more" /></a>
+                            </div>) : null}
                     </div>
                 </div>
             );
@@ -404,7 +411,8 @@ DepthHighChart.defaultProps = {
     quoteSymbol: "",
     baseSymbol: "",
     noText: false,
-    noFrame: true
+    noFrame: true,
+    truncated: {}
 };
 
 DepthHighChart.propTypes = {
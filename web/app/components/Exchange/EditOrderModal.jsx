@@ -0,0 +1,136 @@
+import React from "react";
+import {PropTypes} from "react";
+import ZfApi from "react-foundation-apps/src/utils/foundation-api";
+import Modal from "react-foundation-apps/src/modal";
+import Trigger from "react-foundation-apps/src/trigger";
+import counterpart from "counterpart";
+import Translate from "react-translate-component";
+import utils from "common/utils";
+import market_utils from "common/market_utils";
+import AssetName from "../Utility/AssetName";
+
+const MODAL_ID = "modal_edit_order";
+
+/**
+ *  Changes the price and amount of an open order. The order is cancelled and
+ *  replaced in one transaction paying both fees in the fee asset of the side.
+ */
+export default class EditOrderModal extends React.Component {
+
+    static propTypes = {
+        base: PropTypes.object.isRequired,
+        quote: PropTypes.object.isRequired,
+        onSubmit: PropTypes.func.isRequired
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            order: null,
+            feeAsset: null,
+            fee: 0,
+            price: "",
+            amount: ""
+        };
+    }
+
+    /** @param fee - fee of the cancel and create operations in feeAsset satoshis */
+    show(order, feeAsset, fee) {
+        let {base, quote} = this.props;
+        let {price, amount} = market_utils.parseOrder(order, base, quote);
+        this.setState({
+            order,
+            feeAsset,
+            fee,
+            price: String(price.full),
+            amount: String(market_utils.limitByPrecision(amount, quote))
+        });
+        ZfApi.publish(MODAL_ID, "open");
+    }
+
+    _onSubmit(e) {
+        e.preventDefault();
+        let {order, feeAsset, price, amount} = this.state;
+        ZfApi.publish(MODAL_ID, "close");
+        this.props.onSubmit(order, parseFloat(price), parseFloat(amount), feeAsset);
+    }
+
+    render() {
+        let {base, quote} = this.props;
+        let {order, feeAsset, fee, price, amount} = this.state;
+
+        let content = null;
+        if (order) {
+            let current = market_utils.parseOrder(order, base, quote);
+            let isAsk = market_utils.isAsk(order, base);
+            let newPrice = parseFloat(price), newAmount = parseFloat(amount);
+            let valid = newPrice > 0 && newAmount > 0;
+            let changed = valid && (newPrice !== current.price.full || newAmount !== market_utils.limitByPrecision(current.amount, quote));
+
+            let row = (label, from, to, asset) => (
+                <tr>
+                    <td><Translate content={label} /></td>
+                    <td>{from}</td>
+                    <td>{valid ? to : "-"}</td>
+                    <td><AssetName name={asset} /></td>
+                </tr>
+            );
+
+            content = (
+                <form onSubmit={this._onSubmit.bind(this)}>
+                    <Translate component="p" content={isAsk ? "exchange.edit.explain_sell" : "exchange.edit.explain_buy"} />
+                    <div className="grid-block no-overflow no-margin">
+                        <div className="grid-content">
+                            <label>
+                                <Translate content="exchange.price" /> (<AssetName name={base.get("symbol")} />/<AssetName name={quote.get("symbol")} />)
+                                <input type="number" min="0" value={price} onChange={e => this.setState({price: e.target.value})} />
+                            </label>
+                        </div>
+                        <div className="grid-content">
+                            <label>
+                                <Translate content="exchange.quantity" /> (<AssetName name={quote.get("symbol")} />)
+                                <input type="number" min="0" value={amount} onChange={e => this.setState({amount: e.target.value})} />
+                            </label>
+                        </div>
+                    </div>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th><Translate content="exchange.edit.current" /></th>
+                                <th><Translate content="exchange.edit.new" /></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {row("exchange.price", utils.format_number(current.price.full, base.get("precision")), utils.format_number(newPrice, base.get("precision")), base.get("symbol"))}
+                            {row("exchange.quantity", utils.format_number(current.amount, quote.get("precision")), utils.format_number(newAmount, quote.get("precision")), quote.get("symbol"))}
+                            {row("exchange.total", utils.format_number(current.value, base.get("precision")), utils.format_number(newPrice * newAmount, base.get("precision")), base.get("symbol"))}
+                        </tbody>
+                    </table>
+                    <p>
+                        <Translate content="exchange.edit.fee" />: {utils.format_asset(fee, feeAsset)}
+                    </p>
+                    <div className="button-group">
+                        <button className={"button" + (changed ? "" : " disabled")} type="submit" disabled={!changed}>
+                            {counterpart.translate("exchange.edit.replace")}
+                        </button>
+                        <Trigger close={MODAL_ID}>
+                            <div className="button"><Translate content="cancel" /></div>
+                        </Trigger>
+                    </div>
+                </form>
+            );
+        }
+
+        return (
+            <Modal id={MODAL_ID} overlay={true}>
+                <Trigger close={MODAL_ID}>
+                    <a href="#" className="close-button">&times;</a>
+                </Trigger>
+                <Translate component="h3" content="exchange.edit.title" />
+                {content}
+            </Modal>
+        );
+    }
+}
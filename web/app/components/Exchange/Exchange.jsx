@@ -3,6 +3,7 @@ import ReactDOM from "react-dom";
 import {PropTypes} from "react";
 import MarketsActions from "actions/MarketsActions";
 import {MyOpenOrders} from "./MyOpenOrders";
+import ConditionalOrders from "./ConditionalOrders";
 import OrderBook from "./OrderBook";
 import MarketHistory from "./MarketHistory";
 import MyMarkets from "./MyMarkets";
@@ -31,6 +32,7 @@ import cnames from "classnames";
 import market_utils from "common/market_utils";
 import LoadingIndicator from "../LoadingIndicator";
 import ConfirmOrderModal from "./ConfirmOrderModal";
+import EditOrderModal from "./EditOrderModal";
 import IndicatorModal from "./IndicatorModal";
 import OpenSettleOrders from "./OpenSettleOrders";
 import counterpart from "counterpart";
@@ -40,7 +42,7 @@ import Highcharts from "highcharts/highstock";
 require("./exchange.scss");
 
 let emitter = EmitterInstance.emitter();
-let callListener, limitListener, newCallListener, feedUpdateListener, settleOrderListener;
+let callListener, limitListener, newCallListener, settleOrderListener;
 let SATOSHI = 8;
 
 Highcharts.setOptions({
@@ -223,7 +225,6 @@ class Exchange extends React.Component {
         emitter.on('cancel-order', limitListener = MarketsActions.cancelLimitOrderSuccess);
         emitter.on('close-call', callListener = MarketsActions.closeCallOrderSuccess);
         emitter.on('call-order-update', newCallListener = MarketsActions.callOrderUpdate);
-        emitter.on('bitasset-update', feedUpdateListener = MarketsActions.feedUpdate);
         emitter.on('settle-order-update', settleOrderListener = (object) => {
             let {isMarketAsset, marketAsset} = market_utils.isMarketAsset(this.props.quoteAsset, this.props.baseAsset);
             console.log("settle-order-update:", object, "isMarketAsset:", isMarketAsset, "marketAsset:", marketAsset);
@@ -303,7 +304,6 @@ class Exchange extends React.Component {
             emitter.off('cancel-order', limitListener);
             emitter.off('close-call', callListener);
             emitter.off('call-order-update', newCallListener);
-            emitter.off('bitasset-update', feedUpdateListener);
     }
         window.removeEventListener("resize", this._getWindowSize, false);
 
@@ -336,8 +336,8 @@ class Exchange extends React.Component {
         });
     }
 
-    _getFee(asset) {
-        let fee = utils.estimateFee("limit_order_create", [], ChainStore.getObject("2.0.0")) || 0;
+    _getFee(asset, op_type = "limit_order_create") {
+        let fee = utils.estimateFee(op_type, [], ChainStore.getObject("2.0.0")) || 0;
 
         if (!asset || asset.get("id") === "1.3.0") return fee;
         let cer = asset.getIn(["options", "core_exchange_rate"]).toJS();
@@ -502,6 +502,52 @@ class Exchange extends React.Component {
         );
     }
 
+    _editLimitOrder(base, quote, orderID, e) {
+        e.preventDefault();
+        let order = this.props.limit_orders.get(orderID);
+        if (!order) {
+            return;
+        }
+
+        // Keep the fee asset chosen for the side of the order
+        let {sellFeeAsset, buyFeeAsset} = this._getFeeAssets(quote, base, ChainStore.getAsset("1.3.0"));
+        let feeAsset = market_utils.isAsk(order, base) ? sellFeeAsset : buyFeeAsset;
+        this.refs.editOrder.show(order, feeAsset, this._getFee(feeAsset, "limit_order_cancel") + this._getFee(feeAsset));
+    }
+
+    _replaceLimitOrder(base, quote, order, price, amount, feeAsset) {
+        let isAsk = market_utils.isAsk(order, base);
+        let quoteAmount = utils.get_satoshi_amount(market_utils.limitByPrecision(amount, quote), quote);
+        let baseAmount = Math.round(amount * price * utils.get_asset_precision(base.get("precision")));
+        if (!(quoteAmount > 0 && baseAmount > 0)) {
+            return notify.addNotification({
+                message: "Please enter a valid amount and price",
+                level: "error"
+            });
+        }
+
+        let expiration = new Date();
+        expiration.setYear(expiration.getFullYear() + 5);
+        MarketsActions.replaceLimitOrder(
+            this.props.currentAccount.get("id"),
+            order.id,
+            isAsk ? quoteAmount : baseAmount,
+            isAsk ? quote : base,
+            isAsk ? baseAmount : quoteAmount,
+            isAsk ? base : quote,
+            expiration,
+            false,
+            feeAsset.get("id")
+        ).then(result => {
+            if (result.error && result.error.message !== "wallet locked") {
+                notify.addNotification({
+                    message: "Unknown error. Failed to replace order " + order.id,
+                    level: "error"
+                });
+            }
+        });
+    }
+
     _changeBucketSize(size, e) {
         if (e) e.preventDefault();
         if (size !== this.props.bucketSize) {
@@ -707,6 +753,10 @@ class Exchange extends React.Component {
         this.setState({showDepthChart: !this.state.showDepthChart});
     }
 
+    _loadMoreOrders(base, quote) {
+        MarketsActions.loadMoreOrders(base, quote);
+    }
+
     _moveOrderBook() {
         SettingsActions.changeViewSetting({
             leftOrderBook: !this.state.leftOrderBook
@@ -1121,7 +1171,7 @@ class Exchange extends React.Component {
     }
 
     render() {
-        let { currentAccount, linkedAccounts, limit_orders, call_orders, totalCalls, activeMarketHistory,
+        let { currentAccount, linkedAccounts, limit_orders, call_orders, totalCalls, activeMarketHistory, bookTruncated, bookDepth,
             totalBids, flat_asks, flat_bids, flat_calls, invertedCalls, bids, asks, starredMarkets,
             calls, quoteAsset, baseAsset, transaction, broadcast, lowestCallPrice, buckets, marketStats,
             marketReady, settle_orders, bucketSize } = this.props;
@@ -1356,6 +1406,10 @@ class Exchange extends React.Component {
                 moveOrderBook={this._moveOrderBook.bind(this)}
                 flipOrderBook={this.props.viewSettings.get("flipOrderBook")}
                 marketReady={marketReady}
+                currentAccount={isNullAccount ? null : currentAccount.get("id")}
+                truncated={bookTruncated}
+                depth={bookDepth}
+                onLoadMore={this._loadMoreOrders.bind(this, base, quote)}
             />
         );
 
@@ -1543,6 +1597,8 @@ class Exchange extends React.Component {
                                     noFrame={false}
                                     verticalOrderbook={leftOrderBook}
                                     theme={this.props.settings.get("themes")}
+                                    truncated={bookTruncated}
+                                    onLoadMore={this._loadMoreOrders.bind(this, base, quote)}
                                 />
                             </div>)}
 
@@ -1623,8 +1679,27 @@ class Exchange extends React.Component {
                                 baseSymbol={baseSymbol}
                                 quoteSymbol={quoteSymbol}
                                 onCancel={this._cancelLimitOrder.bind(this)}
+                                onEdit={this._editLimitOrder.bind(this, base, quote)}
                                 flipMyOrders={this.props.viewSettings.get("flipMyOrders")}
                             />) : null}
+
+                            {base && quote ? (
+                            <EditOrderModal
+                                ref="editOrder"
+                                base={base}
+                                quote={quote}
+                                onSubmit={this._replaceLimitOrder.bind(this, base, quote)}
+                            />) : null}
+
+                            {base && quote && !isNullAccount ? (
+                            <ConditionalOrders
+                                className={cnames(!smallScreen && !leftOrderBook ? "medium-6 large-4" : "medium-12 large-6", "small-12 no-padding align-spaced middle-content order-4")}
+                                key="conditional_orders"
+                                marketHistory={activeMarketHistory}
+                                currentAccount={currentAccount.get("id")}
+                                base={base}
+                                quote={quote}
+                            />) : null}
                         </div>
 
 
@@ -100,6 +100,12 @@ class ExchangeContainer extends React.Component {
                     },
                     marketReady: () => {
                         return MarketsStore.getState().marketReady;
+                    },
+                    bookTruncated: () => {
+                        return MarketsStore.getState().bookTruncated;
+                    },
+                    bookDepth: () => {
+                        return MarketsStore.getState().bookDepth;
                     }
                   }}
                   >
@@ -75,6 +75,10 @@ class OrderRow extends React.Component {
                     />
                 </td>
                 <td className="text-center" style={{width: "18%", padding: "2px 5px"}}>
+                    {this.props.onEdit ? (
+                        <a style={{marginRight: 5}} className="order-cancel" onClick={this.props.onEdit}>
+                            <Icon name="cog" className="icon-14px" />
+                        </a>) : null}
                     <a style={{marginRight: 0}} className="order-cancel" onClick={this.props.onCancel}>
                         <Icon name="cross-circle" className="icon-14px" />
                     </a>
@@ -130,7 +134,7 @@ class MyOpenOrders extends React.Component {
                 return b_price.full - a_price.full;
             }).map((order, index) => {
                 let {price} = market_utils.parseOrder(order, base, quote);
-                return <OrderRow price={price.full} ref="orderRow" key={order.id} order={order} base={base} quote={quote} cancel_text={cancel} onCancel={this.props.onCancel.bind(this, order.id)}/>;
+                return <OrderRow price={price.full} ref="orderRow" key={order.id} order={order} base={base} quote={quote} cancel_text={cancel} onCancel={this.props.onCancel.bind(this, order.id)} onEdit={this.props.onEdit ? this.props.onEdit.bind(this, order.id) : null}/>;
             }).toArray();
 
             asks = orders.filter(a => {
@@ -142,7 +146,7 @@ class MyOpenOrders extends React.Component {
                 return a_price.full - b_price.full;
             }).map(order => {
                 let {price} = market_utils.parseOrder(order, base, quote);
-                return <OrderRow price={price.full} key={order.id} order={order} base={base} quote={quote} cancel_text={cancel} onCancel={this.props.onCancel.bind(this, order.id)}/>;
+                return <OrderRow price={price.full} key={order.id} order={order} base={base} quote={quote} cancel_text={cancel} onCancel={this.props.onCancel.bind(this, order.id)} onEdit={this.props.onEdit ? this.props.onEdit.bind(this, order.id) : null}/>;
             }).toArray();
 
         } else {
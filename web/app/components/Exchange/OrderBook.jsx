@@ -6,29 +6,37 @@ import Ps from "perfect-scrollbar";
 import utils from "common/utils";
 import market_utils from "common/market_utils";
 import Translate from "react-translate-component";
+import counterpart from "counterpart";
 import SettingsActions from "actions/SettingsActions";
 import classnames from "classnames";
 import PriceText from "../Utility/PriceText";
 import TransitionWrapper from "../Utility/TransitionWrapper";
 import AssetName from "../Utility/AssetName";
 
+// Sides with more rows than this only render the rows in view
+const VIRTUAL_ROWS = 100;
+const OVERSCAN_ROWS = 10;
+
 class OrderBookRowVertical extends React.Component {
 
     shouldComponentUpdate(nextProps) {
         return (
             nextProps.order.price_full !== this.props.order.price_full ||
             nextProps.order.amount !== this.props.order.amount ||
+            nextProps.total !== this.props.total ||
+            nextProps.mine !== this.props.mine ||
             nextProps.index !== this.props.index
         )
     }
 
     render() {
-        let {order, quote, base, type, final} = this.props;
+        let {order, quote, base, type, final, total, mine} = this.props;
 
         let integerClass = type === "bid" ? "orderHistoryBid" : type === "ask" ? "orderHistoryAsk" : "orderHistoryCall";
 
         return (
-            <tr key={order.price_full} onClick={this.props.onClick} className={classnames({"final-row": final})}>
+            <tr key={order.price_full} onClick={this.props.onClick} className={classnames({"final-row": final, "my-order": mine})}>
+                <td>{total}</td>
                 <td>{utils.format_number(order.value, base.get("precision"))}</td>
                 <td>{utils.format_number(order.amount, quote.get("precision"))}</td>
                 <td className={integerClass}>
@@ -47,12 +55,14 @@ class OrderBookRowHorizontal extends React.Component {
             nextProps.order.price_full !== this.props.order.price_full ||
             nextProps.order.amount !== this.props.order.amount ||
             nextProps.position !== this.props.position ||
+            nextProps.total !== this.props.total ||
+            nextProps.mine !== this.props.mine ||
             nextProps.index !== this.props.index
         )
     }
 
     render() {
-        let {order, quote, base, type, position} = this.props;
+        let {order, quote, base, type, position, total, mine} = this.props;
 
         let integerClass = type === "bid" ? "orderHistoryBid" : type === "ask" ? "orderHistoryAsk" : "orderHistoryCall" ;
 
@@ -63,12 +73,9 @@ class OrderBookRowHorizontal extends React.Component {
         let value = type === "bid" ?
             utils.format_asset(order.for_sale, base, true) :
             utils.format_number(order.value, base.get("precision"));
-        let total = type === "bid" ?
-            utils.format_asset(order.totalForSale, base, true) :
-            utils.format_asset(order.totalValue, base, true);
 
         return (
-            <tr onClick={this.props.onClick} >
+            <tr onClick={this.props.onClick} className={classnames({"my-order": mine})}>
                 {position === "left" ? <td>{total}</td> :
                 <td style={{width: "25%"}} className={integerClass}>
                     {price}
@@ -95,9 +102,13 @@ class OrderBook extends React.Component {
             scrollToBottom: true,
             flip: props.flipOrderBook,
             showAllBids: false,
-            showAllAsks: false
+            showAllAsks: false,
+            grouping: 0,
+            firstAsk: 0,
+            firstBid: 0
         };
 
+        this.rowHeight = 21;
         this._updateHeight = this._updateHeight.bind(this);
     }
 
@@ -109,6 +120,8 @@ class OrderBook extends React.Component {
             nextProps.horizontal !== this.props.horizontal ||
             nextProps.latest !== this.props.latest ||
             nextProps.smallScreen !== this.props.smallScreen ||
+            nextProps.currentAccount !== this.props.currentAccount ||
+            nextProps.truncated !== this.props.truncated ||
             !utils.are_equal_shallow(nextState, this.state)
         );
     }
@@ -123,7 +136,10 @@ class OrderBook extends React.Component {
         // Change of market or direction
         if (nextProps.base !== this.props.base || nextProps.quote !== this.props.quote) {
             this.setState({
-                scrollToBottom: true
+                scrollToBottom: true,
+                grouping: 0,
+                firstAsk: 0,
+                firstBid: 0
             });
 
             if (this.refs.askTransition) {
@@ -192,10 +208,78 @@ class OrderBook extends React.Component {
     }
 
     componentDidUpdate(prevProps) {
+        this._measureRow();
         this._updateHeight();
     }
 
+    // Spacer rows of virtualized sides take the height of a rendered row
+    _measureRow() {
+        let row = ReactDOM.findDOMNode(this).querySelector(".order-table > tbody > tr:not(.orderbook-spacer)");
+        if (row && row.offsetHeight) {
+            this.rowHeight = row.offsetHeight;
+        }
+    }
+
+    _onRowScroll(side, e) {
+        let first = Math.floor(e.target.scrollTop / this.rowHeight);
+        if (first !== this.state[side]) {
+            this.setState({[side]: first});
+        }
+    }
+
+    /** @return the rows in view of a side and spacers for the rows above and below it */
+    _virtualize(rows, first, height) {
+        let start = Math.max(0, Math.min(first - OVERSCAN_ROWS, rows.length - 1));
+        // Start on an even row so the striping of the rows does not shift
+        start -= start % 2;
+        let end = Math.min(rows.length, start + Math.ceil(height / this.rowHeight) + 2 * OVERSCAN_ROWS);
+
+        let spacer = (key, count) => (
+            <tr key={key} className="orderbook-spacer" style={{height: count * this.rowHeight}}>
+                <td colSpan="4" style={{padding: 0}} />
+            </tr>
+        );
+
+        return [spacer("top-spacer", start)].concat(rows.slice(start, end), spacer("bottom-spacer", rows.length - end));
+    }
+
+    _renderRows(rows, ref, className, first, height) {
+        if (rows.length > VIRTUAL_ROWS) {
+            // Rows scrolled into view are not new orders, so they skip the transition
+            return <tbody className={className}>{this._virtualize(rows, first, height)}</tbody>;
+        }
+        return (
+            <TransitionWrapper
+                ref={ref}
+                className={className}
+                component="tbody"
+                transitionName="newrow"
+            >
+                {rows}
+            </TransitionWrapper>
+        );
+    }
+
+    /** @return prices of the orders of the current account on one side, grouped by `step` if set */
+    _getMyPrices(type, step) {
+        let {orders, currentAccount, base, quote} = this.props;
+        let prices = {};
+        if (!currentAccount || !orders.size) {
+            return prices;
+        }
+
+        orders.forEach(order => {
+            if (order.seller !== currentAccount || (order.sell_price.base.asset_id === base.get("id")) !== (type === "bid")) {
+                return;
+            }
+            let {price} = market_utils.parseOrder(order, base, quote);
+            prices[step ? market_utils.getGroupPrice(price.full, step, type) : price.full] = true;
+        });
+        return prices;
+    }
+
     _onBidScroll(e) {
+        this._onRowScroll("firstAsk", e);
 
         if (e.target.scrollTop < (e.target.scrollHeight - this.state.vertAsksHeight)) {
             if (this.state.scrollToBottom) {
@@ -239,9 +323,22 @@ class OrderBook extends React.Component {
         }
     }
 
+    _renderTruncated(truncated) {
+        if (!truncated) {
+            return null;
+        }
+        return (
+            <div className="orderbook-showall">
+                <Translate content="exchange.book_truncated" depth={this.props.depth} />
+                <span> </span>
+                <a onClick={this.props.onLoadMore}><Translate content="exchange.load_more" /></a>
+            </div>
+        );
+    }
+
     render() {
-        let {combinedBids, combinedAsks, quote, base, quoteSymbol, baseSymbol, horizontal} = this.props;
-        let {showAllAsks, showAllBids} = this.state;
+        let {combinedBids, combinedAsks, quote, base, quoteSymbol, baseSymbol, horizontal, truncated} = this.props;
+        let {showAllAsks, showAllBids, grouping} = this.state;
 
         let bidRows = null, askRows = null;
         let high = 0, low = 0;
@@ -250,6 +347,7 @@ class OrderBook extends React.Component {
         let totalAskAmount = 0;
 
         let totalAsks = 0, totalBids = 0, totalBidForSale = 0;
+        let groupingSteps = [];
 
         if(base && quote) {
             let totalBidAmount = 0;
@@ -258,9 +356,21 @@ class OrderBook extends React.Component {
                 return total < a.price_full ? a.price_full : total;
             }, 0) : 0;
 
-            let bidCount = combinedBids.length - 1;
+            low = combinedAsks.length > 0 ? combinedAsks.reduce((total, a) => {
+                totalAsks += a.amount;
+                if (!total) {
+                    return a.price_full;
+                }
+                return total > a.price_full ? a.price_full : total;
+            }, null) : 0;
+
+            groupingSteps = market_utils.getGroupingSteps(high || low, base);
+            let bids = grouping ? market_utils.groupOrders(combinedBids, grouping, "bid", base, quote) : combinedBids;
+            let asks = grouping ? market_utils.groupOrders(combinedAsks, grouping, "ask", base, quote) : combinedAsks;
+            let myBids = this._getMyPrices("bid", grouping);
+            let myAsks = this._getMyPrices("ask", grouping);
 
-            bidRows = combinedBids.sort((a, b) => {
+            bidRows = bids.sort((a, b) => {
                 return b.price_full - a.price_full;
             })
             .filter(a => {
@@ -278,6 +388,8 @@ class OrderBook extends React.Component {
                 order.totalAmount = totalBidAmount;
                 order.totalForSale = totalBidForSale;
 
+                let total = utils.format_asset(totalBidForSale, base, true);
+
                 return (horizontal ?
                     <OrderBookRowHorizontal
                         index={index}
@@ -288,6 +400,8 @@ class OrderBook extends React.Component {
                         quote={quote}
                         type={order.type}
                         position={!this.state.flip ? "left" : "right"}
+                        total={total}
+                        mine={!!myBids[order.price_full]}
                     /> :
                     <OrderBookRowVertical
                         index={index}
@@ -298,6 +412,8 @@ class OrderBook extends React.Component {
                         quote={quote}
                         type={order.type}
                         final={index === 0}
+                        total={total}
+                        mine={!!myBids[order.price_full]}
                     />
                 )
             }).filter(a => {
@@ -307,17 +423,9 @@ class OrderBook extends React.Component {
                 return parseFloat(b.key) - parseFloat(a.key);
             });
 
-            low = combinedAsks.length > 0 ? combinedAsks.reduce((total, a) => {
-                totalAsks += a.amount;
-                if (!total) {
-                    return a.price_full;
-                }
-                return total > a.price_full ? a.price_full : total;
-            }, null) : 0;
-
             let totalAskValue = 0, totalAskForSale = 0;
 
-            askRows = combinedAsks.sort((a, b) => {
+            askRows = asks.sort((a, b) => {
                 return a.price_full - b.price_full;
             }).filter(a => {
                 if (this.state.showAllAsks) {
@@ -327,7 +435,9 @@ class OrderBook extends React.Component {
             }).map((order, index) => {
                 totalAskAmount = market_utils.limitByPrecision(totalAskAmount + order.amount, base);
                 // totalAskAmount += order.amount;
-                totalAskValue += (order.sell_price.quote.amount * order.for_sale / order.sell_price.base.amount);
+                // Groups keep the value of their orders, their sell_price is only the worst one
+                totalAskValue += order.value_for_sale !== undefined ? order.value_for_sale :
+                    (order.sell_price.quote.amount * order.for_sale / order.sell_price.base.amount);
                 totalAskForSale += order.for_sale;
                 // console.log("order:", order);
                 // console.log(order.sell_price.quote.amount * order.for_sale / order.sell_price.base.amount);
@@ -335,6 +445,8 @@ class OrderBook extends React.Component {
                 order.totalAmount = totalAskAmount;
                 order.totalForSale = totalAskForSale;
 
+                let total = utils.format_asset(totalAskValue, base, true);
+
                 return (horizontal ?
 
                     <OrderBookRowHorizontal
@@ -346,6 +458,8 @@ class OrderBook extends React.Component {
                         quote={quote}
                         type={order.type}
                         position={!this.state.flip ? "right" : "left"}
+                        total={total}
+                        mine={!!myAsks[order.price_full]}
                     /> :
                     <OrderBookRowVertical
                         index={index}
@@ -356,7 +470,8 @@ class OrderBook extends React.Component {
                         quote={quote}
                         type={order.type}
                         final={0 === index}
-
+                        total={total}
+                        mine={!!myAsks[order.price_full]}
                     />
                     );
             }).filter(a => {
@@ -372,6 +487,17 @@ class OrderBook extends React.Component {
 
         let spread = high > 0 && low > 0 ? utils.format_number(low - high, base.get("precision")) : "0";
 
+        let groupingSelect = (
+            <select
+                className="bts-select orderbook-grouping"
+                value={grouping}
+                onChange={e => this.setState({grouping: parseFloat(e.target.value)})}
+            >
+                <option value={0}>{counterpart.translate("exchange.no_grouping")}</option>
+                {groupingSteps.map(step => <option key={step} value={step}>{step}</option>)}
+            </select>
+        );
+
         if (this.props.horizontal) {
 
             let totalBidsLength = bidRows.length;
@@ -432,16 +558,9 @@ class OrderBook extends React.Component {
                                 <table className="table order-table table-hover text-right no-overflow">
                                     {!this.state.flip ? rightHeader : leftHeader}
                                 </table>
-                                <div className="grid-block" ref="hor_asks" style={{paddingRight: !showAllAsks ? 0 : 15, overflow: "hidden", maxHeight: 210}}>
+                                <div className="grid-block" ref="hor_asks" onScroll={this._onRowScroll.bind(this, "firstAsk")} style={{paddingRight: !showAllAsks ? 0 : 15, overflow: "hidden", maxHeight: 210}}>
                                     <table style={{paddingBottom: 5}} className="table order-table table-hover text-right no-overflow">
-                                        <TransitionWrapper
-                                            ref="askTransition"
-                                            className="orderbook orderbook-top"
-                                            component="tbody"
-                                            transitionName="newrow"
-                                        >
-                                            {askRows}
-                                        </TransitionWrapper>
+                                        {this._renderRows(askRows, "askTransition", "orderbook orderbook-top", this.state.firstAsk, 210)}
                                     </table>
                                 </div>
                                 {totalAsksLength > 13 ? (
@@ -451,6 +570,7 @@ class OrderBook extends React.Component {
                                         {!showAllAsks ? <span> ({totalAsksLength})</span> : null}
                                     </a>
                                 </div>) : null}
+                                {this._renderTruncated(truncated.asks)}
                             </div>
                         </div>
 
@@ -473,16 +593,9 @@ class OrderBook extends React.Component {
                                 <table className="table order-table table-hover text-right">
                                     {this.state.flip ? rightHeader : leftHeader}
                                 </table>
-                                <div className="grid-block" ref="hor_bids" style={{paddingRight: !showAllBids ? 0 : 15, overflow: "hidden", maxHeight: 210}}>
+                                <div className="grid-block" ref="hor_bids" onScroll={this._onRowScroll.bind(this, "firstBid")} style={{paddingRight: !showAllBids ? 0 : 15, overflow: "hidden", maxHeight: 210}}>
                                     <table style={{paddingBottom: 5}} className="table order-table table-hover text-right">
-                                        <TransitionWrapper
-                                            ref="bidTransition"
-                                            className="orderbook orderbook-bottom"
-                                            component="tbody"
-                                            transitionName="newrow"
-                                        >
-                                            {bidRows}
-                                        </TransitionWrapper>
+                                        {this._renderRows(bidRows, "bidTransition", "orderbook orderbook-bottom", this.state.firstBid, 210)}
                                     </table>
                                 </div>
                                 {totalBidsLength > 13 ? (
@@ -492,6 +605,10 @@ class OrderBook extends React.Component {
                                         {!showAllBids ? <span> ({totalBidsLength})</span> : null}
                                     </a>
                                 </div>) : null}
+                                {this._renderTruncated(truncated.bids)}
+                                <div className="orderbook-showall">
+                                    <Translate content="exchange.grouping" />: {groupingSelect}
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -504,6 +621,9 @@ class OrderBook extends React.Component {
                         <table className="table expand order-table table-hover text-right">
                             <thead>
                                 <tr>
+                                    <th style={{paddingBottom: 8, textAlign: "right", "borderBottomColor": "#777"}}>
+                                        <Translate className="header-sub-title" content="exchange.total" />
+                                    </th>
                                     <th style={{paddingBottom: 8, textAlign: "right", "borderBottomColor": "#777"}}>
                                         <span className="header-sub-title"><AssetName name={baseSymbol} /></span>
                                     </th>
@@ -522,14 +642,7 @@ class OrderBook extends React.Component {
                                 <div onScroll={this._onBidScroll.bind(this)} className="grid-block" ref="vert_asks" style={{overflow: "hidden", maxHeight: this.state.vertAsksHeight || 300}}>
                                     <div style={{paddingRight: 10, width: "100%", height: "100%", display: "table-cell", verticalAlign: "bottom"}}>
                                         <table style={{position: "relative", bottom: 0}} className="table order-table table-hover text-right">
-                                            <TransitionWrapper
-                                                ref="askTransition"
-                                                className="ps-container orderbook-top"
-                                                component="tbody"
-                                                transitionName="newrow"
-                                            >
-                                                {askRows}
-                                            </TransitionWrapper>
+                                            {this._renderRows(askRows, "askTransition", "ps-container orderbook-top", this.state.firstAsk, this.state.vertAsksHeight || 300)}
                                         </table>
                                     </div>
                                 </div>
@@ -542,23 +655,18 @@ class OrderBook extends React.Component {
                                     </div>
                             </div>
                             <div id="bidsWrapper" style={{overflow:"hidden"}}>
-                                <div className="grid-block" ref="vert_bids" style={{overflow: "hidden", height: this.state.vertBidsHeight || 300}}>
+                                <div className="grid-block" ref="vert_bids" onScroll={this._onRowScroll.bind(this, "firstBid")} style={{overflow: "hidden", height: this.state.vertBidsHeight || 300}}>
                                 <div style={{paddingRight: 10, width: "100%", height: "100%", display: "table-cell", verticalAlign: "top"}}>
                                     <table className="table order-table table-hover text-right">
-                                        <TransitionWrapper
-                                            ref="bidTransition"
-                                            className="ps-container orderbook-top"
-                                            component="tbody"
-                                            transitionName="newrow"
-                                        >
-                                            {bidRows}
-                                        </TransitionWrapper>
+                                        {this._renderRows(bidRows, "bidTransition", "ps-container orderbook-top", this.state.firstBid, this.state.vertBidsHeight || 300)}
                                     </table>
                                 </div>
                                 </div>
                             </div>
                     </div>
+                    {this._renderTruncated(truncated.asks || truncated.bids)}
                     <div style={{width: "100%", borderTop: "1px solid grey"}} className="align-center grid-block footer shrink bottom-header">
+                        {groupingSelect}
                         <div onClick={this.props.moveOrderBook} className="button outline">
                             <Translate content="exchange.horizontal" />
                         </div>
@@ -572,7 +680,8 @@ class OrderBook extends React.Component {
 OrderBook.defaultProps = {
     bids: [],
     asks: [],
-    orders: {}
+    orders: {},
+    truncated: {}
 };
 
 OrderBook.propTypes = {
@@ -0,0 +1,271 @@
+import React from "react";
+import {Link} from "react-router";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+var ReactHighstock = require("react-highcharts/dist/ReactHighstock");
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import FormattedAsset from "../Utility/FormattedAsset";
+import AssetName from "../Utility/AssetName";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import AssetHolderUtils, {PAGE_SIZE} from "common/asset_holder_utils";
+import utils from "common/utils";
+
+const TOP_HOLDERS = 100;
+
+class DistributionChart extends React.Component {
+
+    shouldComponentUpdate(nextProps) {
+        return nextProps.top !== this.props.top || nextProps.supply !== this.props.supply;
+    }
+
+    render() {
+        let {asset, top, supply} = this.props;
+        if (!supply) return null;
+
+        let data = AssetHolderUtils.getDistribution(top, supply).map(([name, amount]) => {
+            return [counterpart.translate("explorer.holders.chart." + name), utils.get_asset_amount(amount, asset)];
+        });
+
+        let config = {
+            chart: {
+                backgroundColor: "rgba(255, 0, 0, 0)",
+                height: 300,
+                spacing: [10, 10, 10, 10]
+            },
+            title: {
+                text: null
+            },
+            credits: {
+                enabled: false
+            },
+            scrollbar: {
+                enabled: false
+            },
+            navigator: {
+                enabled: false
+            },
+            rangeSelector: {
+                enabled: false
+            },
+            tooltip: {
+                pointFormat: "{point.y:,.0f} ({point.percentage:.2f}%)"
+            },
+            plotOptions: {
+                pie: {
+                    animation: false,
+                    dataLabels: {
+                        format: "{point.name}: {point.percentage:.2f}%"
+                    }
+                }
+            },
+            series: [{
+                type: "pie",
+                name: asset.get("symbol"),
+                colors: ["#FCAB53", "#50D2C2", "#A0D3E8"],
+                data
+            }]
+        };
+
+        return <ReactHighstock config={config} />;
+    }
+}
+
+/**
+ *  Top holders of an asset found by scanning all balance objects, with the
+ *  asset they have in open orders and as collateral. The scan is long so it
+ *  only starts when asked to.
+ */
+@BindToChainState({keep_updating: true})
+class AssetHolders extends React.Component {
+
+    static propTypes = {
+        asset: ChainTypes.ChainAsset.isRequired
+    };
+
+    constructor() {
+        super();
+        this.state = this._getInitialState();
+    }
+
+    _getInitialState() {
+        return {
+            top: [],
+            holders: 0,
+            next: 0,
+            emptyPages: 0,
+            scanning: false,
+            done: false,
+            orders: {}
+        };
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.asset.get("id") !== this.props.asset.get("id")) {
+            this.request = null;
+            this.ordersRequest = null;
+            this.setState(this._getInitialState());
+        }
+    }
+
+    componentWillUnmount() {
+        this.request = null;
+        this.ordersRequest = null;
+    }
+
+    _onContinue() {
+        // Pages of a scan that was stopped or restarted are dropped
+        let request = this.request = {};
+        this.setState({scanning: true});
+        this._scan(request);
+    }
+
+    _onStop() {
+        this.request = null;
+        this.setState({scanning: false});
+        this._fetchOrders();
+    }
+
+    _scan(request) {
+        let {next} = this.state;
+        AssetHolderUtils.fetchBalancePage(this.props.asset.get("id"), next).then(({balances, empty}) => {
+            if (request !== this.request) return;
+            let emptyPages = empty ? this.state.emptyPages + 1 : 0;
+            let done = AssetHolderUtils.isScanDone(emptyPages);
+            this.setState({
+                top: AssetHolderUtils.mergeTopHolders(this.state.top, balances, TOP_HOLDERS),
+                holders: this.state.holders + Object.keys(balances).length,
+                next: next + PAGE_SIZE,
+                emptyPages,
+                done,
+                scanning: !done
+            }, () => {
+                if (done) {
+                    this.request = null;
+                    this._fetchOrders();
+                } else {
+                    this._scan(request);
+                }
+            });
+        }).catch(error => {
+            console.log("Unable to fetch balances:", error);
+            if (request === this.request) this._onStop();
+        });
+    }
+
+    _fetchOrders() {
+        let request = this.ordersRequest = {};
+        AssetHolderUtils.fetchOrders(this.props.asset.get("id"), this.state.top.map(holder => holder.account)).then(orders => {
+            if (request !== this.ordersRequest) return;
+            this.setState({orders});
+        }).catch(error => {
+            console.log("Unable to fetch holder orders:", error);
+        });
+    }
+
+    _renderShare(amount, supply) {
+        return supply ? utils.format_number(amount / supply * 100, 2) + "%" : "-";
+    }
+
+    /** Shares of the top holders are at least this much until the scan is done */
+    _renderTopShare(count, supply) {
+        let {top, done} = this.state;
+        let share = utils.format_number(AssetHolderUtils.getShare(top, supply, count) * 100, 2) + "%";
+        return done ? share : <span>&ge; {share} (<Translate content="explorer.holders.partial" />)</span>;
+    }
+
+    _renderStatus() {
+        let {next, scanning, done} = this.state;
+        let status = done ? "done" : scanning ? "scanning" : next ? "stopped" : "not_started";
+        return <Translate content={"explorer.holders." + status} scanned={next} />;
+    }
+
+    render() {
+        let {asset} = this.props;
+        let {top, holders, orders} = this.state;
+        let id = asset.get("id");
+        let supply = parseInt(asset.getIn(["dynamic", "current_supply"]), 10) || 0;
+
+        let rows = top.map((holder, index) => {
+            let holderOrders = orders[holder.account];
+            return (
+                <tr key={holder.account}>
+                    <td>#{index + 1}</td>
+                    <td><LinkToAccountById account={holder.account} /></td>
+                    <td><FormattedAsset amount={holder.balance} asset={id} hide_asset={true} /></td>
+                    <td>{holderOrders ? <FormattedAsset amount={holderOrders.orders} asset={id} hide_asset={true} /> : "-"}</td>
+                    <td>{holderOrders ? <FormattedAsset amount={holderOrders.collateral} asset={id} hide_asset={true} /> : "-"}</td>
+                    <td>{this._renderShare(holder.balance, supply)}</td>
+                </tr>
+            );
+        });
+
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical">
+                    <div className="grid-content">
+                        <h4>
+                            <Link to={`/asset/${asset.get("symbol")}`}><AssetName name={asset.get("symbol")} /></Link>
+                            &nbsp;<Translate content="explorer.holders.title" />
+                        </h4>
+                        <Translate component="p" content="explorer.holders.explain" />
+                        <table className="table key-value-table" style={{maxWidth: 600}}>
+                            <tbody>
+                                <tr>
+                                    <td><Translate content="explorer.asset.summary.current_supply" /></td>
+                                    <td><FormattedAsset amount={supply} asset={id} /></td>
+                                </tr>
+                                <tr>
+                                    <td><Translate content="explorer.holders.holders" /></td>
+                                    <td>{holders}</td>
+                                </tr>
+                                <tr>
+                                    <td><Translate content="explorer.holders.top10" /></td>
+                                    <td>{this._renderTopShare(10, supply)}</td>
+                                </tr>
+                                <tr>
+                                    <td><Translate content="explorer.holders.top100" /></td>
+                                    <td>{this._renderTopShare(100, supply)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+
+                        <p>{this._renderStatus()}</p>
+                        {done ? null :
+                            <button className="button outline" onClick={scanning ? this._onStop.bind(this) : this._onContinue.bind(this)}>
+                                <Translate content={scanning ? "explorer.holders.stop" : next ? "explorer.holders.continue" : "explorer.holders.start"} />
+                            </button>}
+
+                        <h5>
+                            <Translate content="explorer.holders.distribution" />
+                            {this.state.done ? null : <span> (<Translate content="explorer.holders.partial" />)</span>}
+                        </h5>
+                        <DistributionChart asset={asset} top={top} supply={supply} />
+
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th><Translate content="explorer.witnesses.rank" /></th>
+                                    <th><Translate content="explorer.holders.account" /></th>
+                                    <th><Translate content="explorer.holders.balance" /></th>
+                                    <th><Translate content="explorer.holders.orders" /></th>
+                                    <th><Translate content="explorer.holders.collateral" /></th>
+                                    <th><Translate content="explorer.holders.share" /></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class AssetHoldersPage extends React.Component {
+    render() {
+        return <AssetHolders asset={this.props.params.symbol} />;
+    }
+}
@@ -100,7 +100,10 @@ class Assets extends React.Component {
                     <td><Link to={`/asset/${asset.symbol}`}><AssetName name={asset.symbol} /></Link></td>
                     <td>{this.linkToAccount(asset.issuer)}</td>
                     <td><FormattedAsset amount={asset.dynamic_data.current_supply} asset={asset.id} hide_asset={true}/></td>
-                    <td><Link className="button outline" to={`/market/${marketID}`}><Translate content="header.exchange" /></Link></td>
+                    <td>
+                        <Link className="button outline" to={`/market/${marketID}`}><Translate content="header.exchange" /></Link>
+                        <Link className="button outline" to={`/asset/${asset.symbol}/holders`}><Translate content="explorer.holders.link" /></Link>
+                    </td>
                 </tr>
             );
         }).sort((a, b) => {
@@ -125,7 +128,10 @@ class Assets extends React.Component {
                     <td><Link to={`/asset/${asset.symbol}`}><AssetName name={asset.symbol} /></Link></td>
                     <td>{this.linkToAccount(asset.issuer)}</td>
                     <td><FormattedAsset amount={asset.dynamic_data.current_supply} asset={asset.id} hide_asset={true}/></td>
-                    <td><Link className="button outline" to={`/market/${marketID}`}><Translate content="header.exchange" /></Link></td>
+                    <td>
+                        <Link className="button outline" to={`/market/${marketID}`}><Translate content="header.exchange" /></Link>
+                        <Link className="button outline" to={`/asset/${asset.symbol}/holders`}><Translate content="explorer.holders.link" /></Link>
+                    </td>
                 </tr>
             );
         }).sort((a, b) => {
@@ -172,6 +178,7 @@ class Assets extends React.Component {
                     </td>
                     <td style={{width: "20%"}}>
                         <Link className="button outline" to={`/market/${marketID}`}><Translate content="header.exchange" /></Link>
+                        <Link className="button outline" to={`/asset/${asset.symbol}/holders`}><Translate content="explorer.holders.link" /></Link>
                     </td>
                 </tr>
             );
@@ -74,6 +74,16 @@ class Explorer extends React.Component {
                                 </div>
                             </Link>
                         </ExplorerCard>
+                        <ExplorerCard>
+                            <Link to="explorer/workers">
+                                <div>
+                                    <Icon name="workers" size="5x" fillClass="fill-black"/>
+                                </div>
+                                <div className="card-divider text-center">
+                                    <Translate component="span" content="explorer.workers.title" />
+                                </div>
+                            </Link>
+                        </ExplorerCard>
                         <ExplorerCard>
                             <Link to="explorer/markets">
                                 <div>
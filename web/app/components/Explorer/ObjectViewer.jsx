@@ -0,0 +1,92 @@
+import React from "react";
+import {Link} from "react-router";
+import Translate from "react-translate-component";
+import Inspector from "react-json-inspector";
+import {ChainTypes as grapheneChainTypes} from "graphenejs-lib";
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import SearchUtils from "common/search_utils";
+import utils from "common/utils";
+
+require("../Blockchain/json-inspector.scss");
+
+let {object_type, impl_object_type} = grapheneChainTypes;
+
+// Protocol objects are in space 1, implementation objects in space 2
+function getTypeName(id) {
+    let [space, type] = id.split(".").map(n => parseInt(n, 10));
+    let types = space === 1 ? object_type : space === 2 ? impl_object_type : {};
+    for (let name in types) {
+        if (types[name] === type) return name;
+    }
+    return null;
+}
+
+function getReferences(value, references = []) {
+    if (typeof value === "string") {
+        if (utils.is_object_id(value) && references.indexOf(value) === -1) references.push(value);
+    } else if (value && typeof value === "object") {
+        for (let key in value) {
+            getReferences(value[key], references);
+        }
+    }
+    return references;
+}
+
+@BindToChainState({keep_updating: true})
+class ObjectViewer extends React.Component {
+
+    static propTypes = {
+        object: ChainTypes.ChainObject
+    };
+
+    render() {
+        let {object, id} = this.props;
+
+        if (object === undefined) {
+            return null;
+        }
+        if (!object) {
+            return <Translate component="p" content="explorer.object.not_found" id={id} />;
+        }
+
+        let data = object.toJS();
+        let type = getTypeName(id);
+        let page = SearchUtils.getObjectPage(object);
+        let references = getReferences(data).filter(reference => reference !== id);
+
+        return (
+            <div>
+                <h4>{id}</h4>
+                <p>
+                    <Translate content="explorer.object.type" />: {type || "-"}
+                    {page ? <span> &middot; <Link to={page}><Translate content="explorer.object.open_page" /></Link></span> : null}
+                </p>
+                <Inspector data={data} search={false} />
+                {references.length ?
+                    <div>
+                        <Translate component="h5" content="explorer.object.references" />
+                        <ul>
+                            {references.map(reference => <li key={reference}><Link to={`/object/${reference}`}>{reference}</Link></li>)}
+                        </ul>
+                    </div> : null}
+            </div>
+        );
+    }
+}
+
+/** Any chain object by id, for objects without a page of their own */
+export default class ObjectViewerPage extends React.Component {
+    render() {
+        let {id} = this.props.params;
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical medium-horizontal">
+                    <div className="grid-content">
+                        <ObjectViewer object={id} id={id} />
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
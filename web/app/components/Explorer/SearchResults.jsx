@@ -0,0 +1,86 @@
+import React from "react";
+import {Link, PropTypes} from "react-router";
+import Translate from "react-translate-component";
+import SearchUtils from "common/search_utils";
+
+/**
+ *  Results of the explorer search, goes straight to the page of the result
+ *  when there is only one.
+ */
+class SearchResults extends React.Component {
+
+    static contextTypes = {
+        history: PropTypes.history
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            results: null
+        };
+    }
+
+    componentDidMount() {
+        this._search(this.props.params.query);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.params.query !== this.props.params.query) {
+            this._search(nextProps.params.query);
+        }
+    }
+
+    _search(query) {
+        this.setState({results: null});
+        SearchUtils.search(query).then(results => {
+            // Ignore results of a query that has been replaced since
+            if (query !== this.props.params.query) return;
+
+            if (results.length === 1) {
+                this.context.history.replaceState(null, results[0].route);
+            } else {
+                this.setState({results});
+            }
+        });
+    }
+
+    _renderResult(result) {
+        return (
+            <li key={result.type + result.id}>
+                <Translate content={"explorer.search.types." + result.type} />: <Link to={result.route}>{result.label}</Link>
+            </li>
+        );
+    }
+
+    render() {
+        let {query} = this.props.params;
+        let {results} = this.state;
+
+        let content;
+        if (!results) {
+            content = <Translate component="p" content="explorer.search.searching" />;
+        } else if (!results.length) {
+            content = (
+                <div>
+                    <Translate component="p" content="explorer.search.no_results" query={query} />
+                    <Translate component="p" content="explorer.search.recent_only" />
+                </div>
+            );
+        } else {
+            content = <ul>{results.map(result => this._renderResult(result))}</ul>;
+        }
+
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical medium-horizontal">
+                    <div className="grid-content">
+                        <Translate component="h4" content="explorer.search.title" query={query} />
+                        {content}
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default SearchResults;
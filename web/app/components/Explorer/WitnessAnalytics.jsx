@@ -0,0 +1,113 @@
+import React from "react";
+import {Link} from "react-router";
+import AltContainer from "alt-container";
+import Translate from "react-translate-component";
+import {FormattedDate} from "react-intl";
+import {ChainStore} from "graphenejs-lib";
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import WitnessAnalyticsActions from "actions/WitnessAnalyticsActions";
+import WitnessAnalyticsStore from "stores/WitnessAnalyticsStore";
+import WitnessSampler from "./WitnessSampler";
+import WitnessAnalyticsUtils, {WINDOWS} from "common/witness_analytics_utils";
+import utils from "common/utils";
+
+@BindToChainState({keep_updating: true})
+class WitnessAnalyticsRow extends React.Component {
+
+    static propTypes = {
+        witness: ChainTypes.ChainObject.isRequired
+    };
+
+    render() {
+        let {witness, analytics, now} = this.props;
+        let id = witness.get("id");
+        let account = ChainStore.getObject(witness.get("witness_account"));
+
+        let stats = WINDOWS.map(window => WitnessAnalyticsUtils.getWindowStats(analytics, id, window.length, now));
+        let feeds = WitnessAnalyticsUtils.getFeedStats(analytics.feeds, witness.get("witness_account"), now);
+        let stalest = feeds.reduce((max, feed) => Math.max(max, feed.staleness || 0), 0);
+
+        return (
+            <tr>
+                <td><Link to={`/explorer/witness-analytics/${id}`}>{account ? account.get("name") : id}</Link></td>
+                {stats.map((window, index) => <td key={index}>{WitnessAnalyticsUtils.formatRate(window.rate)} ({window.missed}/{window.produced + window.missed})</td>)}
+                <td>{WitnessAnalyticsUtils.formatLatency(stats[1].latency)}</td>
+                <td>{feeds.length}</td>
+                <td>{feeds.length ? utils.format_number(stalest / 3600000, 1) + "h" : "-"}</td>
+            </tr>
+        );
+    }
+}
+
+@BindToChainState({keep_updating: true})
+class WitnessAnalytics extends React.Component {
+
+    static propTypes = {
+        globalObject: ChainTypes.ChainObject.isRequired
+    };
+
+    static defaultProps = {
+        globalObject: "2.0.0"
+    };
+
+    render() {
+        let {globalObject, analytics} = this.props;
+        let now = Date.now();
+        let coverage = WitnessAnalyticsUtils.getCoverage(analytics.sessions, now - WINDOWS[1].length, now) / WINDOWS[1].length;
+
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical">
+                    <div className="grid-content">
+                        <WitnessSampler />
+                        <Translate component="h4" content="explorer.witness_analytics.title" />
+                        <Translate component="p" content="explorer.witness_analytics.explain" />
+                        <p>
+                            {analytics.since ?
+                                <span>
+                                    <Translate content="explorer.witness_analytics.since" />: <FormattedDate value={analytics.since} format="full" />,&nbsp;
+                                    <Translate content="explorer.witness_analytics.coverage" />: {utils.format_number(coverage * 100, 0)}%
+                                </span> :
+                                <Translate content="explorer.witness_analytics.no_samples" />}
+                        </p>
+                        <table className="table table-hover">
+                            <thead>
+                                <tr>
+                                    <th><Translate content="account.votes.name" /></th>
+                                    {WINDOWS.map(window => <th key={window.name}><Translate content="explorer.witness_analytics.miss_rate" window={window.name} /></th>)}
+                                    <th><Translate content="explorer.witness_analytics.latency" window={WINDOWS[1].name} /></th>
+                                    <th><Translate content="explorer.witness_analytics.feeds" /></th>
+                                    <th><Translate content="explorer.witness_analytics.stalest" /></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {globalObject.get("active_witnesses").map(id => (
+                                    <WitnessAnalyticsRow key={id} witness={id} analytics={analytics} now={now} />
+                                )).toArray()}
+                            </tbody>
+                        </table>
+                        <button className="button outline" onClick={() => WitnessAnalyticsActions.clear()}>
+                            <Translate content="explorer.witness_analytics.clear" />
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class WitnessAnalyticsContainer extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[WitnessAnalyticsStore]}
+                inject={{
+                    analytics: () => WitnessAnalyticsStore.getState()
+                }}
+            >
+                <WitnessAnalytics {...this.props} />
+            </AltContainer>
+        );
+    }
+}
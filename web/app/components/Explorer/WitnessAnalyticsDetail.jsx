@@ -0,0 +1,225 @@
+import React from "react";
+import {Link} from "react-router";
+import AltContainer from "alt-container";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {ChainStore} from "graphenejs-lib";
+var ReactHighstock = require("react-highcharts/dist/ReactHighstock");
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import TimeAgo from "../Utility/TimeAgo";
+import LinkToAssetById from "../Blockchain/LinkToAssetById";
+import WitnessAnalyticsStore from "stores/WitnessAnalyticsStore";
+import WitnessSampler from "./WitnessSampler";
+import WitnessAnalyticsUtils, {WINDOWS} from "common/witness_analytics_utils";
+import utils from "common/utils";
+
+// The chart series cover a week of hours so they are only recomputed this often
+const SERIES_INTERVAL = 60 * 1000;
+
+function chartConfig(height, series, yAxis) {
+    return {
+        chart: {
+            backgroundColor: "rgba(255, 0, 0, 0)",
+            height,
+            spacing: [20, 10, 5, 10]
+        },
+        title: {
+            text: null
+        },
+        credits: {
+            enabled: false
+        },
+        legend: {
+            enabled: true
+        },
+        scrollbar: {
+            enabled: false
+        },
+        navigator: {
+            enabled: false
+        },
+        rangeSelector: {
+            enabled: false
+        },
+        plotOptions: {
+            series: {
+                animation: false,
+                marker: {
+                    enabled: false
+                }
+            }
+        },
+        series,
+        yAxis
+    };
+}
+
+class WitnessCharts extends React.Component {
+
+    shouldComponentUpdate(nextProps) {
+        return nextProps.series !== this.props.series;
+    }
+
+    render() {
+        let {produced, missed, rate, latency} = this.props.series;
+        if (!produced.length) return null;
+
+        let blocks = chartConfig(250, [
+            {name: counterpart.translate("explorer.witness_analytics.produced"), type: "column", color: "#50D2C2", data: produced},
+            {name: counterpart.translate("explorer.witness_analytics.missed"), type: "column", color: "#FCAB53", data: missed},
+            {name: counterpart.translate("explorer.witness_analytics.miss_rate", {window: WINDOWS[1].name}), type: "line", color: "#deb869", yAxis: 1, data: rate, tooltip: {valueSuffix: "%"}}
+        ], [
+            {title: {text: null}, min: 0, labels: {align: "left"}},
+            {title: {text: null}, min: 0, opposite: false, labels: {format: "{value}%"}}
+        ]);
+
+        let latencies = chartConfig(200, [
+            {name: counterpart.translate("explorer.witness_analytics.latency", {window: "1h"}), type: "line", color: "#A0D3E8", data: latency, tooltip: {valueSuffix: " ms"}}
+        ], [
+            {title: {text: null}, min: 0, labels: {align: "left", format: "{value} ms"}}
+        ]);
+
+        return (
+            <div>
+                <Translate component="h5" content="explorer.witness_analytics.blocks_chart" />
+                <ReactHighstock config={blocks} />
+                <Translate component="h5" content="explorer.witness_analytics.latency_chart" />
+                <ReactHighstock config={latencies} />
+            </div>
+        );
+    }
+}
+
+@BindToChainState()
+class FeedRow extends React.Component {
+
+    static propTypes = {
+        asset: ChainTypes.ChainAsset.isRequired
+    };
+
+    render() {
+        let {asset, feed} = this.props;
+        let lifetime = asset.getIn(["bitasset", "options", "feed_lifetime_sec"]);
+        let expired = lifetime && feed.staleness > lifetime * 1000;
+
+        return (
+            <tr>
+                <td><LinkToAssetById asset={feed.asset_id} /></td>
+                <td className={expired ? "txtlabel warning" : null}>
+                    <TimeAgo time={new Date(feed.last)} chain_time={false} />
+                    {expired ? <span> (<Translate content="explorer.witness_analytics.expired" />)</span> : null}
+                </td>
+                <td>{feed.perDay}</td>
+                <td>{feed.interval === null ? "-" : utils.format_number(feed.interval / 3600000, 1) + "h"}</td>
+            </tr>
+        );
+    }
+}
+
+@BindToChainState({keep_updating: true})
+class WitnessAnalyticsDetail extends React.Component {
+
+    static propTypes = {
+        witness: ChainTypes.ChainObject.isRequired
+    };
+
+    _getSeries() {
+        let {witness, analytics} = this.props;
+        let id = witness.get("id");
+        if (!this.series || this.series.id !== id || Date.now() - this.series.time > SERIES_INTERVAL) {
+            this.series = {id, time: Date.now(), series: WitnessAnalyticsUtils.getChartSeries(analytics, id)};
+        }
+        return this.series.series;
+    }
+
+    render() {
+        let {witness, analytics} = this.props;
+        let id = witness.get("id");
+        let account = ChainStore.getObject(witness.get("witness_account"));
+        let now = Date.now();
+        let feeds = WitnessAnalyticsUtils.getFeedStats(analytics.feeds, witness.get("witness_account"), now);
+
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical">
+                    <div className="grid-content">
+                        <WitnessSampler />
+                        <h4>
+                            {account ? <Link to={`/account/${account.get("name")}/overview`}>{account.get("name")}</Link> : id}
+                            &nbsp;<Translate content="explorer.witness_analytics.title" />
+                        </h4>
+                        <p>
+                            <Translate content="explorer.witnesses.missed" />: {witness.get("total_missed")},&nbsp;
+                            <Translate content="explorer.witnesses.last_confirmed" />: <Link to={`/block/${witness.get("last_confirmed_block_num")}`}>#{witness.get("last_confirmed_block_num")}</Link>
+                        </p>
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th><Translate content="explorer.witness_analytics.produced" /></th>
+                                    <th><Translate content="explorer.witness_analytics.missed" /></th>
+                                    <th><Translate content="explorer.witness_analytics.rate" /></th>
+                                    <th><Translate content="explorer.witness_analytics.avg_latency" /></th>
+                                    <th><Translate content="explorer.witness_analytics.max_latency" /></th>
+                                    <th><Translate content="explorer.witness_analytics.coverage" /></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {WINDOWS.map(window => {
+                                    let stats = WitnessAnalyticsUtils.getWindowStats(analytics, id, window.length, now);
+                                    return (
+                                        <tr key={window.name}>
+                                            <td>{window.name}</td>
+                                            <td>{stats.produced}</td>
+                                            <td>{stats.missed}</td>
+                                            <td>{WitnessAnalyticsUtils.formatRate(stats.rate)}</td>
+                                            <td>{WitnessAnalyticsUtils.formatLatency(stats.latency)}</td>
+                                            <td>{WitnessAnalyticsUtils.formatLatency(stats.maxLatency)}</td>
+                                            <td>{utils.format_number(stats.coverage * 100, 0)}%</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+
+                        <WitnessCharts series={this._getSeries()} />
+
+                        <Translate component="h5" content="explorer.witness_analytics.feeds" />
+                        {feeds.length ?
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th><Translate content="explorer.assets.symbol" /></th>
+                                        <th><Translate content="explorer.witness_analytics.last_feed" /></th>
+                                        <th><Translate content="explorer.witness_analytics.per_day" /></th>
+                                        <th><Translate content="explorer.witness_analytics.interval" /></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {feeds.map(feed => <FeedRow key={feed.asset_id} asset={feed.asset_id} feed={feed} />)}
+                                </tbody>
+                            </table> :
+                            <Translate component="p" content="explorer.witness_analytics.no_feeds" />}
+                        <Link to="/explorer/witness-analytics"><Translate content="explorer.witness_analytics.all" /></Link>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class WitnessAnalyticsDetailContainer extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[WitnessAnalyticsStore]}
+                inject={{
+                    analytics: () => WitnessAnalyticsStore.getState()
+                }}
+            >
+                <WitnessAnalyticsDetail witness={this.props.params.id} />
+            </AltContainer>
+        );
+    }
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import {ChainStore} from "graphenejs-lib";
+import WitnessAnalyticsActions from "actions/WitnessAnalyticsActions";
+
+const FEED_INTERVAL = 5 * 60 * 1000;
+
+/**
+ *  Samples every head block the app sees and the feeds of the witness fed
+ *  assets for the witness analytics, for as long as it is mounted by the
+ *  analytics pages.
+ */
+export default class WitnessSampler extends React.Component {
+
+    constructor() {
+        super();
+        this.block_num = null;
+        this._sample = this._sample.bind(this);
+    }
+
+    componentDidMount() {
+        ChainStore.subscribe(this._sample);
+        this.interval = setInterval(WitnessAnalyticsActions.sampleFeeds, FEED_INTERVAL);
+        WitnessAnalyticsActions.sampleFeeds();
+        this._sample();
+    }
+
+    componentWillUnmount() {
+        ChainStore.unsubscribe(this._sample);
+        clearInterval(this.interval);
+    }
+
+    _sample() {
+        let dynGlobalObject = ChainStore.getObject("2.1.0");
+        let globalObject = ChainStore.getObject("2.0.0");
+        if (!dynGlobalObject || !globalObject) return;
+
+        let block_num = dynGlobalObject.get("head_block_number");
+        if (block_num === this.block_num) return;
+
+        let missed = {};
+        let witnesses = globalObject.get("active_witnesses").toArray().map(id => ChainStore.getObject(id));
+        // Wait for every active witness so that no session starts without them
+        if (witnesses.some(witness => !witness)) return;
+        witnesses.forEach(witness => {
+            missed[witness.get("id")] = witness.get("total_missed");
+        });
+
+        this.block_num = block_num;
+        let time = Date.now();
+        WitnessAnalyticsActions.sampleBlock({
+            time,
+            block_num,
+            witness: dynGlobalObject.get("current_witness"),
+            latency: Math.max(0, time - new Date(dynGlobalObject.get("time") + "Z").getTime()),
+            missed
+        });
+    }
+
+    render() {
+        return null;
+    }
+}
@@ -1,5 +1,5 @@
 import React from "react";
-import {PropTypes} from "react-router";
+import {Link, PropTypes} from "react-router";
 import Immutable from "immutable";
 import AccountImage from "../Account/AccountImage";
 import ChainTypes from "../Utility/ChainTypes";
@@ -367,6 +367,9 @@ class Witnesses extends React.Component {
                             <div className="view-switcher">
                                 <span className="button outline" onClick={this._toggleView.bind(this)}>{!this.state.cardView ? <Translate content="explorer.witnesses.card"/> : <Translate content="explorer.witnesses.table"/>}</span>
                             </div>
+                            <div className="view-switcher">
+                                <Link className="button outline" to="/explorer/witness-analytics"><Translate content="explorer.witness_analytics.title"/></Link>
+                            </div>
                         </div>
                     </div>
                     <div className="grid-block">
@@ -0,0 +1,277 @@
+import React from "react";
+import {Link} from "react-router";
+import Immutable from "immutable";
+import AltContainer from "alt-container";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {ChainStore} from "graphenejs-lib";
+import ChainTypes from "../Utility/ChainTypes";
+import BindToChainState from "../Utility/BindToChainState";
+import FormattedAsset from "../Utility/FormattedAsset";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import AccountStore from "stores/AccountStore";
+import WalletDb from "stores/WalletDb";
+import WalletApi from "rpc_api/WalletApi";
+import WorkerUtils from "common/worker_utils";
+import accountUtils from "common/account_utils";
+import utils from "common/utils";
+
+let wallet_api = new WalletApi();
+
+function isWorkerVote(vote_id) {
+    return vote_id.split(":")[0] === "2";
+}
+
+/**
+ *  All workers with their funding at the current votes and budget, and what
+ *  it would be if the current account approved other workers.
+ */
+@BindToChainState({keep_updating: true})
+class Workers extends React.Component {
+
+    static propTypes = {
+        globalObject: ChainTypes.ChainObject.isRequired,
+        account: ChainTypes.ChainAccount
+    };
+
+    static defaultProps = {
+        globalObject: "2.0.0"
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            budget: null,
+            simulated: null, // Immutable.Set of the worker vote ids approved in the simulation
+            showExpired: false
+        };
+        this._onUpdate = this._onUpdate.bind(this);
+    }
+
+    componentWillMount() {
+        ChainStore.subscribe(this._onUpdate);
+    }
+
+    componentDidMount() {
+        WorkerUtils.fetchLatestBudget(this.props.globalObject.getIn(["parameters", "maintenance_interval"])).then(budget => {
+            this.setState({budget});
+        }).catch(error => {
+            console.log("Unable to fetch the worker budget:", error);
+        });
+    }
+
+    componentWillUnmount() {
+        ChainStore.unsubscribe(this._onUpdate);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        let id = account => account ? account.get("id") : null;
+        if (id(nextProps.account) !== id(this.props.account)) {
+            this.setState({simulated: null});
+        }
+    }
+
+    _onUpdate() {
+        this.forceUpdate();
+    }
+
+    /** @return Immutable.Set of the votes counted for the account, those of its proxy if it has one */
+    _getCurrentVotes() {
+        let {account} = this.props;
+        if (!account) return Immutable.Set();
+        let proxy = account.getIn(["options", "voting_account"]);
+        let voter = proxy === "1.2.5" ? account : ChainStore.getAccount(proxy);
+        return voter ? Immutable.Set(voter.getIn(["options", "votes"])) : Immutable.Set();
+    }
+
+    _getSimulated(current) {
+        return this.state.simulated || current.filter(isWorkerVote);
+    }
+
+    _onToggle(worker) {
+        let simulated = this._getSimulated(this._getCurrentVotes());
+        let vote_for = worker.get("vote_for");
+        this.setState({simulated: simulated.has(vote_for) ? simulated.delete(vote_for) : simulated.add(vote_for)});
+    }
+
+    _onPublish(workers) {
+        let {account} = this.props;
+        let updated_account = account.toJS();
+        updated_account.account = updated_account.id;
+        updated_account.new_options = updated_account.options;
+        updated_account.fee = {
+            amount: 0,
+            asset_id: accountUtils.getFinalFeeAsset(updated_account.id, "account_update")
+        };
+
+        // Votes for expired workers are dropped like on the voting page
+        let active = workers.filter(worker => WorkerUtils.getStatus(worker) !== "expired").map(worker => worker.get("vote_for"));
+        updated_account.new_options.votes = updated_account.options.votes
+            .filter(vote_id => !isWorkerVote(vote_id))
+            .concat(this._getSimulated(this._getCurrentVotes()).filter(vote_id => active.indexOf(vote_id) !== -1).toArray())
+            .sort((a, b) => parseInt(a.split(":")[1], 10) - parseInt(b.split(":")[1], 10));
+
+        let tr = wallet_api.new_transaction();
+        tr.add_type_operation("account_update", updated_account);
+        WalletDb.process_transaction(tr, null, true).then(() => {
+            this.setState({simulated: null});
+        }).catch(error => {
+            console.log("Unable to publish the worker votes:", error);
+        });
+    }
+
+    _renderFunding(pay, dailyPay) {
+        return dailyPay > 0 ? utils.format_number(pay / dailyPay * 100, 2) + "%" : "-";
+    }
+
+    _renderRow(worker, funding, simulatedFunding, simulated, now) {
+        let id = worker.get("id");
+        let dailyPay = parseInt(worker.get("daily_pay"), 10);
+        let current = funding[id], next = simulatedFunding[id];
+        let status = WorkerUtils.getStatus(worker, now);
+        let changed = current.pay !== next.pay;
+
+        return (
+            <tr key={id}>
+                <td>{current.rank ? "#" + current.rank : "-"}{next.rank !== current.rank ? <span> &rarr; {next.rank ? "#" + next.rank : "-"}</span> : null}</td>
+                <td>
+                    <div>{worker.get("name")}</div>
+                    <div style={{paddingTop: 5, fontSize: "0.85rem"}}>
+                        <LinkToAccountById account={worker.get("worker_account")} />
+                        {worker.get("url") ? <span> &middot; <a target="_blank" href={worker.get("url")}>{worker.get("url").replace(/https?:\/\//, "").substr(0, 25)}</a></span> : null}
+                    </div>
+                </td>
+                <td><FormattedAsset amount={dailyPay} asset="1.3.0" decimalOffset={5} /></td>
+                <td>
+                    <FormattedAsset amount={current.votes} asset="1.3.0" decimalOffset={5} />
+                    {next.votes !== current.votes ? <div>&rarr; <FormattedAsset amount={next.votes} asset="1.3.0" decimalOffset={5} /></div> : null}
+                </td>
+                <td><Translate content={"explorer.workers.status." + status} /></td>
+                <td>{this._renderFunding(current.pay, dailyPay)}</td>
+                <td className={changed ? (next.pay > current.pay ? "txtlabel success" : "txtlabel warning") : null}>
+                    {this._renderFunding(next.pay, dailyPay)}
+                </td>
+                <td>
+                    {simulated && status !== "expired" ?
+                        <input type="checkbox" checked={simulated.has(worker.get("vote_for"))} onChange={this._onToggle.bind(this, worker)} /> :
+                        null}
+                </td>
+            </tr>
+        );
+    }
+
+    render() {
+        let {globalObject, account} = this.props;
+        let {budget, showExpired} = this.state;
+        let {workers, loading} = WorkerUtils.getWorkers();
+        let now = new Date();
+
+        let dailyBudget = WorkerUtils.getDailyBudget(globalObject, budget);
+        let current = this._getCurrentVotes();
+        let simulated = account ? this._getSimulated(current) : null;
+        let stake = account ? WorkerUtils.getStake(account) : 0;
+        let proxied = account && account.getIn(["options", "voting_account"]) !== "1.2.5";
+
+        let funding = WorkerUtils.getFunding(workers, dailyBudget, WorkerUtils.getNetVotes, now);
+        let simulatedFunding = simulated && stake ?
+            WorkerUtils.getFunding(workers, dailyBudget, WorkerUtils.getSimulatedVotes(stake, current, simulated), now) :
+            funding;
+        let allocated = Object.keys(funding).reduce((total, id) => total + funding[id].pay, 0);
+        let changed = simulated && !Immutable.is(simulated, current.filter(isWorkerVote));
+        let canPublish = changed && !proxied && AccountStore.isMyAccount(account);
+
+        let byVotes = (a, b) => funding[b.get("id")].votes - funding[a.get("id")].votes;
+        let rows = status => workers
+            .filter(worker => WorkerUtils.getStatus(worker, now) === status)
+            .sort(byVotes)
+            .map(worker => this._renderRow(worker, funding, simulatedFunding, simulated, now));
+
+        return (
+            <div className="grid-block page-layout">
+                <div className="grid-block vertical">
+                    <div className="grid-content">
+                        <Translate component="h4" content="explorer.workers.title" />
+                        <table className="table key-value-table" style={{maxWidth: 600}}>
+                            <tbody>
+                                <tr>
+                                    <td><Translate content="explorer.workers.daily_budget" /></td>
+                                    <td><FormattedAsset amount={dailyBudget} asset="1.3.0" decimalOffset={5} /></td>
+                                </tr>
+                                <tr>
+                                    <td><Translate content="explorer.workers.allocated" /></td>
+                                    <td><FormattedAsset amount={allocated} asset="1.3.0" decimalOffset={5} /></td>
+                                </tr>
+                                <tr>
+                                    <td><Translate content="account.votes.unused_budget" /></td>
+                                    <td><FormattedAsset amount={Math.max(0, dailyBudget - allocated)} asset="1.3.0" decimalOffset={5} /></td>
+                                </tr>
+                            </tbody>
+                        </table>
+
+                        {account ?
+                            <div>
+                                <Translate component="p" content="explorer.workers.simulate" account={account.get("name")} />
+                                <p>
+                                    <Translate content="explorer.workers.stake" />: {stake === undefined ? "..." : <FormattedAsset amount={stake} asset="1.3.0" />}
+                                </p>
+                                {proxied ? <Translate component="p" className="has-error" content="explorer.workers.proxied" /> : null}
+                                <div className="button-group">
+                                    <button className={"button" + (canPublish ? "" : " disabled")} disabled={!canPublish} onClick={this._onPublish.bind(this, workers)}>
+                                        <Translate content="account.votes.publish" />
+                                    </button>
+                                    <button className={"button outline" + (changed ? "" : " disabled")} disabled={!changed} onClick={() => this.setState({simulated: null})}>
+                                        <Translate content="account.perm.reset" />
+                                    </button>
+                                    <Link className="button outline" to={`/account/${account.get("name")}/voting`}><Translate content="explorer.workers.voting" /></Link>
+                                </div>
+                            </div> :
+                            <Translate component="p" content="explorer.workers.no_account" />}
+
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th><Translate content="explorer.witnesses.rank" /></th>
+                                    <th><Translate content="account.votes.name" /></th>
+                                    <th><Translate content="account.votes.daily_pay" /> (<Translate content="account.votes.daily" />)</th>
+                                    <th><Translate content="account.votes.total_votes" /></th>
+                                    <th><Translate content="account.votes.status.title" /></th>
+                                    <th><Translate content="account.votes.funding" /></th>
+                                    <th><Translate content="explorer.workers.simulated" /></th>
+                                    <th>{account ? <Translate content="account.votes.approve_worker" /> : null}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows("active")}
+                                {rows("upcoming")}
+                                <tr>
+                                    <td colSpan="8">
+                                        <button className="button outline" onClick={() => this.setState({showExpired: !showExpired})}>
+                                            {counterpart.translate(showExpired ? "explorer.workers.hide_expired" : "explorer.workers.show_expired")}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {showExpired ? rows("expired") : null}
+                            </tbody>
+                        </table>
+                        {loading ? <Translate component="p" content="explorer.workers.loading" /> : null}
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class WorkersContainer extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[AccountStore]}
+                inject={{
+                    account: () => AccountStore.getState().currentAccount
+                }}
+            >
+                <Workers {...this.props} />
+            </AltContainer>
+        );
+    }
+}
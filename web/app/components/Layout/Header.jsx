@@ -45,7 +45,8 @@ class Header extends React.Component {
     constructor(props, context) {
         super();
         this.state = {
-            active: context.location.pathname
+            active: context.location.pathname,
+            query: ""
         };
 
         this.unlisten = null;
@@ -78,7 +79,8 @@ class Header extends React.Component {
             nextProps.current_wallet !== this.props.current_wallet ||
             nextProps.lastMarket !== this.props.lastMarket ||
             nextProps.starredAccounts !== this.props.starredAccounts ||
-            nextState.active !== this.state.active
+            nextState.active !== this.state.active ||
+            nextState.query !== this.state.query
         );
     }
 
@@ -102,6 +104,15 @@ class Header extends React.Component {
         this.context.history.pushState(null, route);
     }
 
+    _onSearch(e) {
+        e.preventDefault();
+        let query = this.state.query.trim();
+        if (query) {
+            this.setState({query: ""});
+            this.context.history.pushState(null, "/search/" + encodeURIComponent(query));
+        }
+    }
+
     _onGoBack(e) {
         e.preventDefault();
         window.history.back();
@@ -219,6 +230,8 @@ class Header extends React.Component {
 
                 let options = [
                     {to: `/account/${currentAccount}/overview`, text: "header.account"},
+                    {to: "/proposals", text: "header.proposals"},
+                    {to: "/margin", text: "header.margin"},
                     {to: "/settings", text: "header.settings"},
                     {to: "/help", text: "header.help"},
                     {to: "/explorer", text: "header.explorer"}
@@ -278,6 +291,16 @@ class Header extends React.Component {
                 </div>
                 <div className="grid-block show-for-medium shrink">
                     <div className="grp-menu-items-group header-right-menu">
+                        <div className="grp-menu-item header-search">
+                            <form onSubmit={this._onSearch.bind(this)}>
+                                <input
+                                    type="text"
+                                    value={this.state.query}
+                                    placeholder={counterpart.translate("header.search")}
+                                    onChange={e => this.setState({query: e.target.value})}
+                                />
+                            </form>
+                        </div>
                         {walletBalance}
 
                         <div className="grid-block shrink overflow-visible account-drop-down">
@@ -0,0 +1,367 @@
+import React from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {ChainStore, FetchChain} from "graphenejs-lib";
+import FormattedAsset from "../Utility/FormattedAsset";
+import AccountActions from "actions/AccountActions";
+import AccountStore from "stores/AccountStore";
+import TransactionConfirmStore from "stores/TransactionConfirmStore";
+import WalletDb from "stores/WalletDb";
+import CsvUtils from "common/csv_utils";
+import utils from "common/utils";
+import {saveAs} from "common/filesaver.js";
+
+const COLUMNS = ["account", "amount", "asset", "memo"];
+
+function isAmount(value) {
+    return /^\s*\d+(\.\d+)?\s*$/.test(value);
+}
+
+/** @return message of a failed broadcast, remote API errors carry it on the 2nd line */
+function errorMessage(error) {
+    let splitError = (error && error.message ? error.message : String(error)).split("\n");
+    return splitError[splitError.length === 1 ? 0 : 1];
+}
+
+/**
+ *  Pays every row of a CSV file (account, amount, asset, memo) from one
+ *  account. Rows are checked against the chain first, then packed into as few
+ *  transactions as possible, and the outcome of every row can be downloaded.
+ */
+export default class BatchTransfer extends React.Component {
+
+    static propTypes = {
+        account: React.PropTypes.object, // paying account
+        feeAsset: React.PropTypes.string
+    };
+
+    static defaultProps = {
+        feeAsset: "1.3.0"
+    };
+
+    constructor() {
+        super();
+        this.state = BatchTransfer.getInitialState();
+    }
+
+    static getInitialState() {
+        return {
+            text: "",
+            rows: [],
+            validating: false,
+            batches: null,
+            preparing: false,
+            sending: false,
+            done: false,
+            error: null
+        };
+    }
+
+    componentWillReceiveProps(nextProps) {
+        let {account} = this.props;
+        if (nextProps.account !== account && (!nextProps.account || !account || nextProps.account.get("id") !== account.get("id"))) {
+            this.setState({batches: null, done: false});
+        }
+    }
+
+    _onTextChange(e) {
+        this.setState({text: e.target.value});
+    }
+
+    _onUpload(e) {
+        let file = e.target.files[0];
+        if (!file) return;
+
+        let reader = new FileReader();
+        reader.onload = evt => {
+            this._load(evt.target.result);
+        };
+        reader.readAsText(file);
+    }
+
+    _onLoad(e) {
+        e.preventDefault();
+        this._load(this.state.text);
+    }
+
+    _onReset() {
+        this.setState(BatchTransfer.getInitialState());
+    }
+
+    _load(text) {
+        let lines = CsvUtils.parse(text);
+        // Skip the header line of files exported with column names
+        if (lines.length && !isAmount(lines[0][1] || "")) {
+            lines.shift();
+        }
+
+        let rows = lines.map(fields => {
+            let row = {line: fields.line, error: null, status: null};
+            COLUMNS.forEach((column, i) => {
+                row[column] = (fields[i] || "").trim();
+            });
+            return row;
+        });
+
+        this.setState({text: "", rows, batches: null, done: false, error: rows.length ? null : counterpart.translate("transfer.batch.empty")});
+        if (rows.length) this._validate(rows);
+    }
+
+    /** Looks up the recipient and asset of every row */
+    _validate(rows) {
+        this.setState({validating: true});
+
+        Promise.all(rows.map(row => {
+            return Promise.all([
+                FetchChain("getAccount", row.account).catch(() => null),
+                FetchChain("getAsset", row.asset).catch(() => null)
+            ]).then(([to, asset]) => {
+                if (!to) {
+                    row.error = counterpart.translate("transfer.batch.unknown_account");
+                } else if (!asset) {
+                    row.error = counterpart.translate("transfer.batch.unknown_asset");
+                } else if (!isAmount(row.amount) || !parseFloat(row.amount)) {
+                    row.error = counterpart.translate("transfer.errors.valid");
+                } else if ((row.amount.split(".")[1] || "").length > asset.get("precision")) {
+                    row.error = counterpart.translate("transfer.batch.precision", {precision: asset.get("precision")});
+                } else {
+                    row.to_id = to.get("id");
+                    row.asset_id = asset.get("id");
+                    row.satoshis = utils.get_satoshi_amount(row.amount, asset);
+                }
+            });
+        })).then(() => {
+            this.setState({rows, validating: false});
+        });
+    }
+
+    /** @return {asset_id: amount} of the rows that can be paid */
+    _totals(rows) {
+        let totals = {};
+        rows.forEach(row => {
+            if (row.error) return;
+            totals[row.asset_id] = (totals[row.asset_id] || 0) + row.satoshis;
+        });
+        return totals;
+    }
+
+    _fees(batches) {
+        let fees = {};
+        batches.forEach(batch => {
+            batch.tr.operations.forEach(op => {
+                let fee = op[1].fee;
+                fees[fee.asset_id] = (fees[fee.asset_id] || 0) + parseInt(fee.amount, 10);
+            });
+        });
+        return fees;
+    }
+
+    _balance(asset_id) {
+        let balances = this.props.account ? this.props.account.get("balances") : null;
+        let balance = balances ? ChainStore.getObject(balances.get(asset_id)) : null;
+        return balance ? parseInt(balance.get("balance"), 10) : 0;
+    }
+
+    _onPrepare() {
+        let rows = this.state.rows.filter(row => !row.error);
+        let transfers = rows.map(row => {
+            return {to_account: row.to_id, amount: row.satoshis, asset: row.asset_id, memo: row.memo ? new Buffer(row.memo, "utf-8") : null};
+        });
+
+        this.setState({preparing: true, error: null});
+        AccountActions.batchTransfer(this.props.account.get("id"), transfers, this.props.feeAsset).then(batches => {
+            batches.forEach(batch => {
+                batch.rows = batch.transfers.map(index => rows[index]);
+            });
+            this.setState({batches, preparing: false});
+        }).catch(error => {
+            console.log("unable to prepare batch transfer:", error);
+            this.setState({preparing: false, error: errorMessage(error)});
+        });
+    }
+
+    /** @return Promise of the block number of a transaction once confirmed and included */
+    _confirm(tr) {
+        return new Promise((resolve, reject) => {
+            let onChange = confirm_store_state => {
+                if (confirm_store_state.included && confirm_store_state.broadcasted_transaction) {
+                    TransactionConfirmStore.unlisten(onChange);
+                    TransactionConfirmStore.reset();
+                    resolve(confirm_store_state.trx_block_num);
+                } else if (confirm_store_state.closed) {
+                    TransactionConfirmStore.unlisten(onChange);
+                    TransactionConfirmStore.reset();
+                    reject(confirm_store_state.error || counterpart.translate("transfer.batch.not_confirmed"));
+                }
+            };
+            WalletDb.process_transaction(tr, null, true).then(() => {
+                TransactionConfirmStore.listen(onChange);
+            }).catch(reject);
+        });
+    }
+
+    /** Confirms the transactions one after the other, a failed one does not stop the others */
+    _onSend() {
+        let {batches, rows} = this.state;
+        this.setState({sending: true, error: null});
+
+        batches.reduce((previous, batch) => {
+            return previous.then(() => this._confirm(batch.tr)).then(block_num => {
+                batch.rows.forEach(row => {
+                    row.status = "sent";
+                    row.trx_id = batch.tr.id();
+                    row.block_num = block_num;
+                });
+            }).catch(error => {
+                console.log("batch transfer failed:", error);
+                batch.rows.forEach(row => {
+                    row.status = "failed";
+                    row.error = errorMessage(error);
+                });
+            }).then(() => {
+                this.setState({rows});
+            });
+        }, Promise.resolve()).then(() => {
+            this.setState({sending: false, done: true});
+        });
+    }
+
+    _onDownloadReport() {
+        let report = [["line", "account", "amount", "asset", "memo", "status", "transaction", "block", "error"]];
+        this.state.rows.forEach(row => {
+            report.push([
+                row.line, row.account, row.amount, row.asset, row.memo,
+                row.status || "skipped", row.trx_id, row.block_num, row.error
+            ]);
+        });
+
+        let blob = new Blob([CsvUtils.stringify(report)], {type: "text/csv;charset=utf-8"});
+        let today = new Date();
+        saveAs(blob, "batch-transfer-" + today.getFullYear() + "-" + (today.getMonth() + 1) + "-" + today.getDate() + ".csv");
+    }
+
+    _renderLoad() {
+        let {text} = this.state;
+
+        return (
+            <form onSubmit={this._onLoad.bind(this)}>
+                <Translate component="p" content="transfer.batch.explain" />
+                <textarea
+                    rows="6"
+                    value={text}
+                    placeholder="account,amount,asset,memo"
+                    onChange={this._onTextChange.bind(this)}
+                />
+                <input type="file" accept=".csv,.txt" onChange={this._onUpload.bind(this)} />
+                <button className="button" type="submit" disabled={!text.trim()}>
+                    <Translate content="transfer.batch.load" />
+                </button>
+            </form>
+        );
+    }
+
+    _renderTotals(totals, fees) {
+        let assets = Object.keys(totals);
+        (fees ? Object.keys(fees) : []).forEach(asset_id => {
+            if (assets.indexOf(asset_id) === -1) assets.push(asset_id);
+        });
+
+        return (
+            <table className="table">
+                <thead>
+                    <tr>
+                        <th><Translate content="transfer.batch.total" /></th>
+                        <th><Translate content="transfer.fee" /></th>
+                        <th><Translate content="transfer.available" /></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {assets.sort(utils.sortID).map(asset_id => {
+                        let needed = (totals[asset_id] || 0) + (fees && fees[asset_id] || 0);
+                        let balance = this._balance(asset_id);
+                        return (
+                            <tr key={asset_id}>
+                                <td><FormattedAsset amount={totals[asset_id] || 0} asset={asset_id} /></td>
+                                <td>{fees ? <FormattedAsset amount={fees[asset_id] || 0} asset={asset_id} /> : "-"}</td>
+                                <td className={balance < needed ? "has-error" : ""}>
+                                    <FormattedAsset amount={balance} asset={asset_id} />
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        );
+    }
+
+    render() {
+        let {account} = this.props;
+        let {rows, validating, batches, preparing, sending, done, error} = this.state;
+
+        if (!rows.length) {
+            return (
+                <div>
+                    {error ? <div className="content-block has-error">{error}</div> : null}
+                    {this._renderLoad()}
+                </div>
+            );
+        }
+
+        let valid = rows.filter(row => !row.error).length;
+        let canPrepare = !validating && valid > 0 && !batches && !preparing && account && AccountStore.isMyAccount(account);
+
+        return (
+            <div>
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th><Translate content="transfer.to" /></th>
+                            <th><Translate content="transfer.amount" /></th>
+                            <th><Translate content="transfer.memo" /></th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => {
+                            return (
+                                <tr key={row.line}>
+                                    <td>{row.line}</td>
+                                    <td>{row.account}</td>
+                                    <td>{row.amount} {row.asset}</td>
+                                    <td>{row.memo}</td>
+                                    <td className={row.error ? "has-error" : ""}>
+                                        {row.error ? row.error :
+                                            row.status === "sent" ? <Translate content="transfer.batch.sent" block={row.block_num} /> :
+                                            validating ? null : <Translate content="transfer.batch.ok" />}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+
+                {validating ? null : this._renderTotals(this._totals(rows), batches ? this._fees(batches) : null)}
+                {batches ? <Translate component="p" content="transfer.batch.transactions" count={batches.length} rows={valid} /> : null}
+                {error ? <div className="content-block has-error">{error}</div> : null}
+
+                <div className="button-group">
+                    {batches ?
+                        <button type="button" className="button" disabled={sending || done} onClick={this._onSend.bind(this)}>
+                            <Translate content="transfer.batch.send" />
+                        </button> :
+                        <button type="button" className="button" disabled={!canPrepare} onClick={this._onPrepare.bind(this)}>
+                            <Translate content="transfer.batch.prepare" />
+                        </button>}
+                    {done ?
+                        <div className="button outline" onClick={this._onDownloadReport.bind(this)}>
+                            <Translate content="transfer.batch.report" />
+                        </div> : null}
+                    <button type="button" className="button outline" disabled={sending} onClick={this._onReset.bind(this)}>
+                        <Translate content="transfer.batch.reset" />
+                    </button>
+                </div>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,168 @@
+import React from "react";
+import Modal from "react-foundation-apps/src/modal";
+import Trigger from "react-foundation-apps/src/trigger";
+import ZfApi from "react-foundation-apps/src/utils/foundation-api";
+import Translate from "react-translate-component";
+import {FormattedDate} from "react-intl";
+import FormattedAsset from "../Utility/FormattedAsset";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import AccountActions from "actions/AccountActions";
+import RecurringPaymentActions from "actions/RecurringPaymentActions";
+import WalletUnlockActions from "actions/WalletUnlockActions";
+import WalletDb from "stores/WalletDb";
+import RecurringPaymentStore from "stores/RecurringPaymentStore";
+import TransactionConfirmStore from "stores/TransactionConfirmStore";
+import notify from "actions/NotificationActions";
+
+const MODAL_ID = "due_payments";
+const CHECK_INTERVAL = 60 * 1000;
+
+function dueKey(payment) {
+    return payment.id + "_" + payment.next_due;
+}
+
+/**
+ *  Asks for approval of the recurring payments that are due while the app is
+ *  open. Every payment goes through the transaction confirmation and is
+ *  logged with its transaction id once included. Payments put off with
+ *  "later" are asked for again after a reload.
+ */
+export default class DuePayments extends React.Component {
+
+    constructor() {
+        super();
+        this.state = {due: []};
+        this.dismissed = {}; // dueKey: true
+        this.paying = null;
+        this._check = this._check.bind(this);
+        this._onTrxIncluded = this._onTrxIncluded.bind(this);
+    }
+
+    componentDidMount() {
+        RecurringPaymentStore.listen(this._check);
+        this.interval = setInterval(this._check, CHECK_INTERVAL);
+        ZfApi.subscribe(MODAL_ID, (name, msg) => {
+            if (name === MODAL_ID && msg === "close" && !this.paying) {
+                this.state.due.forEach(payment => this.dismissed[dueKey(payment)] = true);
+            }
+        });
+        this._check();
+    }
+
+    componentWillUnmount() {
+        RecurringPaymentStore.unlisten(this._check);
+        TransactionConfirmStore.unlisten(this._onTrxIncluded);
+        clearInterval(this.interval);
+    }
+
+    _check() {
+        if (this.paying) return;
+
+        let due = RecurringPaymentStore.getDue();
+        this.setState({due});
+        if (due.filter(payment => !this.dismissed[dueKey(payment)]).length) {
+            ZfApi.publish(MODAL_ID, "open");
+        } else if (!due.length) {
+            ZfApi.publish(MODAL_ID, "close");
+        }
+    }
+
+    _onPay(payment) {
+        this.paying = payment;
+        ZfApi.publish(MODAL_ID, "close");
+
+        // The memo is decrypted with the wallet key
+        WalletUnlockActions.unlock().then(() => {
+            return AccountActions.transfer(
+                payment.from_account,
+                payment.to_account,
+                payment.amount,
+                payment.asset_id,
+                payment.encrypted_memo ? new Buffer(WalletDb.decryptText(payment.encrypted_memo), "utf-8") : null
+            );
+        }).then(() => {
+            TransactionConfirmStore.unlisten(this._onTrxIncluded);
+            TransactionConfirmStore.listen(this._onTrxIncluded);
+        }).catch(error => {
+            console.log("recurring payment error:", error);
+            notify.error(error && error.message ? error.message : String(error));
+            this._done(payment);
+        });
+    }
+
+    _onTrxIncluded(confirm_store_state) {
+        let payment = this.paying;
+        if (confirm_store_state.included && confirm_store_state.broadcasted_transaction) {
+            TransactionConfirmStore.unlisten(this._onTrxIncluded);
+            TransactionConfirmStore.reset();
+            RecurringPaymentActions.record(
+                payment.id,
+                payment.next_due,
+                "paid",
+                confirm_store_state.broadcasted_transaction.id(),
+                confirm_store_state.trx_block_num
+            );
+            this.paying = null;
+        } else if (confirm_store_state.closed) {
+            TransactionConfirmStore.unlisten(this._onTrxIncluded);
+            TransactionConfirmStore.reset();
+            this._done(payment);
+        }
+    }
+
+    /** The payment was not made, leave it due without asking again this session */
+    _done(payment) {
+        this.dismissed[dueKey(payment)] = true;
+        this.paying = null;
+        this._check();
+    }
+
+    _onSkip(payment) {
+        RecurringPaymentActions.record(payment.id, payment.next_due, "skipped");
+    }
+
+    render() {
+        let {due} = this.state;
+
+        return (
+            <Modal id={MODAL_ID} overlay={true}>
+                <Trigger close={MODAL_ID}>
+                    <a href="#" className="close-button">&times;</a>
+                </Trigger>
+                <div className="grid-block vertical no-overflow">
+                    <Translate component="h3" content="transfer.recurring.due_title" />
+                    <table className="table">
+                        <tbody>
+                            {due.map(payment => {
+                                return (
+                                    <tr key={dueKey(payment)}>
+                                        <td>
+                                            <LinkToAccountById account={payment.from_account} /> &rarr; <LinkToAccountById account={payment.to_account} />
+                                        </td>
+                                        <td><FormattedAsset amount={payment.amount} asset={payment.asset_id} /></td>
+                                        <td><FormattedDate value={new Date(payment.next_due)} format="short" /></td>
+                                        <td>
+                                            <div className="button-group no-margin">
+                                                <div className="button tiny" onClick={this._onPay.bind(this, payment)}>
+                                                    <Translate content="transfer.recurring.pay" />
+                                                </div>
+                                                <div className="button tiny outline" onClick={this._onSkip.bind(this, payment)}>
+                                                    <Translate content="transfer.recurring.skip" />
+                                                </div>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <div className="button-group no-overflow">
+                        <Trigger close={MODAL_ID}>
+                            <div className="button outline"><Translate content="transfer.recurring.later" /></div>
+                        </Trigger>
+                    </div>
+                </div>
+            </Modal>
+        );
+    }
+}
@@ -0,0 +1,250 @@
+import React from "react";
+import {Link} from "react-router";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {FormattedDate} from "react-intl";
+import AltContainer from "alt-container";
+import AccountSelector from "../Account/AccountSelector";
+import AmountSelector from "../Utility/AmountSelector";
+import FormattedAsset from "../Utility/FormattedAsset";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import AccountStore from "stores/AccountStore";
+import RecurringPaymentStore from "stores/RecurringPaymentStore";
+import RecurringPaymentActions from "actions/RecurringPaymentActions";
+import WalletUnlockActions from "actions/WalletUnlockActions";
+import WalletDb from "stores/WalletDb";
+import utils from "common/utils";
+
+const UNITS = ["days", "weeks", "months"];
+
+/** @return local midnight of an <input type="date"> value, null if empty or invalid */
+function parseDate(value) {
+    let parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return parts ? new Date(parts[1], parts[2] - 1, parts[3]).getTime() : null;
+}
+
+function formatDate(time) {
+    let date = new Date(time);
+    let pad = n => (n < 10 ? "0" : "") + n;
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+/**
+ *  Lists the recurring payments of the wallet, adds new ones and shows the log
+ *  of the payments made. Due payments are asked for by DuePayments.
+ */
+class RecurringPayments extends React.Component {
+
+    constructor() {
+        super();
+        this.state = RecurringPayments.getInitialState();
+    }
+
+    static getInitialState() {
+        return {
+            from_name: AccountStore.getState().currentAccount || "",
+            from_account: null,
+            to_name: "",
+            to_account: null,
+            amount: "",
+            asset: null,
+            memo: "",
+            count: "1",
+            unit: "months",
+            start: formatDate(Date.now()),
+            end: ""
+        };
+    }
+
+    _onAmountChanged({amount, asset}) {
+        if (!asset) return;
+        this.setState({amount, asset});
+    }
+
+    _onAdd(e) {
+        e.preventDefault();
+        let {from_account, to_account, amount, asset, memo, count, unit, start, end} = this.state;
+
+        // Memos are only stored encrypted
+        WalletUnlockActions.unlock().then(() => {
+            RecurringPaymentActions.add({
+                from_account: from_account.get("id"),
+                to_account: to_account.get("id"),
+                amount: utils.get_satoshi_amount(amount.replace(/,/g, ""), asset),
+                asset_id: asset.get("id"),
+                encrypted_memo: memo ? WalletDb.encryptText(memo) : null,
+                interval: {count: parseInt(count, 10), unit},
+                start: parseDate(start),
+                end: parseDate(end)
+            });
+
+            let state = RecurringPayments.getInitialState();
+            state.from_name = this.state.from_name;
+            this.setState(state);
+        }).catch(() => {});
+    }
+
+    _onRemove(id, e) {
+        e.preventDefault();
+        if (confirm(counterpart.translate("transfer.recurring.confirm_remove"))) {
+            RecurringPaymentActions.remove(id);
+        }
+    }
+
+    _renderForm() {
+        let {from_name, from_account, to_name, to_account, amount, asset, memo, count, unit, start, end} = this.state;
+
+        let from_error = from_account && !AccountStore.isMyAccount(from_account) ?
+            <span>{counterpart.translate("account.errors.not_yours")}</span> : null;
+        let balances = from_account && from_account.get("balances");
+        let asset_types = balances ? Object.keys(balances.toJS()).sort(utils.sortID) : [];
+
+        let valid = from_account && !from_error && to_account && asset && parseFloat(amount) > 0 &&
+            parseInt(count, 10) > 0 && parseDate(start) && (!end || parseDate(end) >= parseDate(start));
+
+        return (
+            <form onSubmit={this._onAdd.bind(this)} noValidate>
+                <div className="content-block">
+                    <AccountSelector label="transfer.from"
+                                     accountName={from_name}
+                                     onChange={from_name => this.setState({from_name})}
+                                     onAccountChanged={from_account => this.setState({from_account})}
+                                     account={from_name}
+                                     error={from_error}/>
+                </div>
+                <div className="content-block">
+                    <AccountSelector label="transfer.to"
+                                     accountName={to_name}
+                                     onChange={to_name => this.setState({to_name})}
+                                     onAccountChanged={to_account => this.setState({to_account})}
+                                     account={to_name}/>
+                </div>
+                <div className="content-block">
+                    <AmountSelector label="transfer.amount"
+                                    amount={amount}
+                                    onChange={this._onAmountChanged.bind(this)}
+                                    asset={asset ? asset.get("id") : (asset_types[0] || "1.3.0")}
+                                    assets={asset_types.length ? asset_types : ["1.3.0"]}/>
+                </div>
+                <div className="content-block">
+                    <label><Translate content="transfer.memo" /></label>
+                    <textarea rows="1" value={memo} onChange={e => this.setState({memo: e.target.value})} />
+                </div>
+                <div className="content-block">
+                    <label><Translate content="transfer.recurring.every" /></label>
+                    <div className="inline-label">
+                        <input type="number" min="1" value={count} onChange={e => this.setState({count: e.target.value})} />
+                        <select className="form-control" value={unit} onChange={e => this.setState({unit: e.target.value})}>
+                            {UNITS.map(u => <option key={u} value={u}>{counterpart.translate("transfer.recurring.units." + u)}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div className="content-block">
+                    <label><Translate content="transfer.recurring.start" /></label>
+                    <input type="date" value={start} onChange={e => this.setState({start: e.target.value})} />
+                    <label><Translate content="transfer.recurring.end" /></label>
+                    <input type="date" value={end} onChange={e => this.setState({end: e.target.value})} />
+                </div>
+                <button className="button" type="submit" disabled={!valid}>
+                    <Translate content="transfer.recurring.add" />
+                </button>
+            </form>
+        );
+    }
+
+    render() {
+        let {payments, log} = this.props;
+
+        return (
+            <div className="grid-block vertical medium-horizontal" style={{paddingTop: "2rem"}}>
+                <div className="grid-content medium-6 full-width-content">
+                    <div className="content-block text-right">
+                        <Link to="/transfer"><Translate content="transfer.batch.single" /></Link>
+                    </div>
+                    <Translate component="h4" content="transfer.recurring.new" />
+                    {this._renderForm()}
+                </div>
+                <div className="grid-content medium-6 right-column">
+                    <Translate component="h4" content="transfer.recurring.title" />
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th><Translate content="transfer.to" /></th>
+                                <th><Translate content="transfer.amount" /></th>
+                                <th><Translate content="transfer.recurring.every" /></th>
+                                <th><Translate content="transfer.recurring.next" /></th>
+                                <th><Translate content="transfer.recurring.enabled" /></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {payments.sortBy(payment => payment.next_due).map(payment => {
+                                return (
+                                    <tr key={payment.id}>
+                                        <td><LinkToAccountById account={payment.to_account} /></td>
+                                        <td><FormattedAsset amount={payment.amount} asset={payment.asset_id} /></td>
+                                        <td>{payment.interval.count} {counterpart.translate("transfer.recurring.units." + payment.interval.unit)}</td>
+                                        <td>{payment.enabled ? <FormattedDate value={new Date(payment.next_due)} /> : "-"}</td>
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                checked={payment.enabled}
+                                                onChange={() => RecurringPaymentActions.setEnabled(payment.id, !payment.enabled)}
+                                            />
+                                        </td>
+                                        <td><a href onClick={this._onRemove.bind(this, payment.id)}>&times;</a></td>
+                                    </tr>
+                                );
+                            }).toArray()}
+                        </tbody>
+                    </table>
+
+                    <Translate component="h4" content="transfer.recurring.log" />
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th><Translate content="transfer.recurring.due" /></th>
+                                <th><Translate content="transfer.to" /></th>
+                                <th><Translate content="transfer.amount" /></th>
+                                <th><Translate content="transfer.recurring.status" /></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.map(entry => {
+                                return (
+                                    <tr key={entry.id}>
+                                        <td><FormattedDate value={new Date(entry.due)} /></td>
+                                        <td><LinkToAccountById account={entry.to_account} /></td>
+                                        <td><FormattedAsset amount={entry.amount} asset={entry.asset_id} /></td>
+                                        <td>
+                                            {entry.status === "paid" ?
+                                                <Link to={`/block/${entry.block_num}`} title={entry.trx_id}>
+                                                    <Translate content="transfer.recurring.paid" block={entry.block_num} />
+                                                </Link> :
+                                                <Translate content="transfer.recurring.skipped" />}
+                                        </td>
+                                    </tr>
+                                );
+                            }).toArray()}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default class RecurringPaymentsContainer extends React.Component {
+    render() {
+        return (
+            <AltContainer
+                stores={[RecurringPaymentStore]}
+                inject={{
+                    payments: () => RecurringPaymentStore.getState().payments,
+                    log: () => RecurringPaymentStore.getState().log
+                }}>
+                <RecurringPayments />
+            </AltContainer>
+        );
+    }
+}
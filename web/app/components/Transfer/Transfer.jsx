@@ -10,7 +10,9 @@ import utils from "common/utils";
 import counterpart from "counterpart";
 import TransactionConfirmStore from "stores/TransactionConfirmStore";
 import RecentTransactions from "../Account/RecentTransactions";
+import BatchTransfer from "./BatchTransfer";
 import Immutable from "immutable";
+import {Link} from "react-router";
 import {ChainStore} from "graphenejs-lib";
 
 class Transfer extends React.Component {
@@ -52,6 +54,8 @@ class Transfer extends React.Component {
             error: null,
             propose: false,
             propose_account: "",
+            offline: false,
+            batch: false,
             feeAsset: null,
             fee_asset_id: "1.3.0"
 
@@ -65,7 +69,7 @@ class Transfer extends React.Component {
     fromChanged(from_name) {
         let asset = undefined
         let amount = undefined
-        this.setState({from_name, error: null, propose: false, propose_account: ""})
+        this.setState({from_name, error: null, propose: false, propose_account: "", offline: false})
     }
 
     toChanged(to_name) {
@@ -111,6 +115,17 @@ class Transfer extends React.Component {
         this.setState({ propose, propose_account: null })
     }
 
+    /** Prepares the transfer of a watched account for signing on an offline machine */
+    onOffline(e) {
+        e.preventDefault();
+        this.setState({offline: true});
+    }
+
+    onBatch(batch, e) {
+        e.preventDefault();
+        this.setState({batch, propose: false, offline: false, error: null});
+    }
+
     onProposeAccount(propose_account) {
         this.setState({ propose_account });
     }
@@ -154,17 +169,44 @@ class Transfer extends React.Component {
         }
     }
 
+    /** Pays the rows of a CSV file instead of a single recipient */
+    _renderBatch() {
+        let {from_account, from_name, feeAsset} = this.state;
+        let from_error = from_account && !AccountStore.isMyAccount(from_account) ?
+            counterpart.translate("account.errors.not_yours") : null;
+
+        return (
+            <div className="grid-content medium-6 full-width-content">
+                <div className="grid-content no-overflow" style={{paddingBottom: 16}}>
+                    <div className="content-block text-right">
+                        <a onClick={this.onBatch.bind(this, false)}><Translate content="transfer.batch.single" /></a>
+                    </div>
+                    <div className="content-block">
+                        <AccountSelector label="transfer.from" ref="from"
+                                         accountName={from_name}
+                                         onChange={this.fromChanged.bind(this)}
+                                         onAccountChanged={this.onFromAccountChanged.bind(this)}
+                                         account={from_name}
+                                         error={from_error}/>
+                    </div>
+                    <BatchTransfer account={from_account} feeAsset={feeAsset ? feeAsset.get("id") : "1.3.0"} />
+                </div>
+            </div>
+        );
+    }
+
     render() {
         let from_error = null;
-        let {propose, from_account, to_account, asset, asset_id, propose_account,
+        let {propose, offline, batch, from_account, to_account, asset, asset_id, propose_account,
             amount, error, to_name, from_name, memo, feeAsset, fee_asset_id} = this.state;
 
         let from_my_account = AccountStore.isMyAccount(from_account);
 
-        if(from_account && ! from_my_account && ! propose ) {
+        if(from_account && ! from_my_account && ! propose && ! offline ) {
             from_error = <span>
                 {counterpart.translate("account.errors.not_yours")}
-                &nbsp;(<a onClick={this.onPropose.bind(this, true)}>{counterpart.translate("propose")}</a>)
+                &nbsp;(<a onClick={this.onPropose.bind(this, true)}>{counterpart.translate("propose")}</a>
+                &nbsp;|&nbsp;<a onClick={this.onOffline.bind(this)}>{counterpart.translate("transfer.prepare_offline")}</a>)
             </span>;
         }
 
@@ -238,8 +280,13 @@ class Transfer extends React.Component {
         return (
             <div className="grid-block vertical medium-horizontal" style={{paddingTop: "2rem"}}>
 
+                {batch ? this._renderBatch() :
                 <form className="grid-content medium-6 full-width-content" onSubmit={this.onSubmit.bind(this)} noValidate>
                         <div className="grid-content no-overflow" style={{paddingBottom: 16}}>
+                        <div className="content-block text-right">
+                            <a onClick={this.onBatch.bind(this, true)}><Translate content="transfer.batch.title" /></a>
+                            &nbsp;|&nbsp;<Link to="/recurring-payments"><Translate content="transfer.recurring.title" /></Link>
+                        </div>
                         {/*  F R O M  */}
                         <div className="content-block">
                             <AccountSelector label="transfer.from" ref="from"
@@ -277,6 +324,9 @@ class Transfer extends React.Component {
                             { this.state.propose ?
                             <div className="facolor-warning"><Translate content="transfer.warn_name_unable_read_memo" name={this.state.from_name} /></div>
                             :null}
+                            { offline ?
+                            <div className="facolor-warning"><Translate content="transfer.warn_offline" /></div>
+                            :null}
 
                         </div>
 
@@ -326,7 +376,7 @@ class Transfer extends React.Component {
 
                         </div>
 
-                </form>
+                </form>}
                 <div className="grid-content show-for-medium medium-6 right-column">
                     <div className="grid-content no-padding">
                         <RecentTransactions
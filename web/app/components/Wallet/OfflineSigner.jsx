@@ -0,0 +1,245 @@
+import React from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {FormattedDate} from "react-intl";
+import {ChainStore, ops} from "graphenejs-lib";
+import {Apis, ChainConfig} from "graphenejs-ws";
+import Operation from "../Blockchain/Operation";
+import {AuthorityStatus, TransactionExport} from "./SignTransaction";
+import iDB from "idb-instance";
+import WalletDb from "stores/WalletDb";
+import WalletManagerStore from "stores/WalletManagerStore";
+import PrivateKeyActions from "actions/PrivateKeyActions";
+import MultiSigUtils from "common/multisig_utils";
+
+// Chain of the wallet opened by this page, a page reload is needed to switch chains
+let walletChainId = null;
+
+/**
+ *  Stands in for the API server: ChainStore only knows the objects of the
+ *  package and every request it makes for more fails instead of throwing.
+ */
+function setOfflineApi(chain_id) {
+    let api = Apis.instance();
+    let offline = {exec: () => Promise.reject(new Error("offline"))};
+    api.chain_id = chain_id;
+    api._db = api._net = api._hist = offline;
+    ChainConfig.setChainId(chain_id);
+}
+
+function openWallet(chain_id) {
+    if (walletChainId) {
+        return walletChainId === chain_id ? Promise.resolve() :
+            Promise.reject(new Error(counterpart.translate("wallet.offline.chain_mismatch")));
+    }
+
+    setOfflineApi(chain_id);
+    return iDB.init_instance(window.openDatabase ? (shimIndexedDB || indexedDB) : indexedDB, chain_id).init_promise.then(() => {
+        return Promise.all([
+            PrivateKeyActions.loadDbData(),
+            WalletDb.loadDbData(),
+            WalletManagerStore.init()
+        ]);
+    }).then(() => {
+        if (!WalletDb.getWallet()) {
+            throw new Error(counterpart.translate("wallet.offline.no_wallet"));
+        }
+        walletChainId = chain_id;
+    });
+}
+
+/**
+ *  Main page of the offline build: loads a package made by
+ *  MultiSigUtils.toOfflinePackage, lists its operations for review, signs
+ *  them with the keys of the local wallet and exports the signed transaction
+ *  to be broadcast from the "Sign transaction" page of an online wallet.
+ */
+export default class OfflineSigner extends React.Component {
+
+    constructor() {
+        super();
+
+        this.state = {
+            text: "",
+            tr: null,
+            error: null,
+            loading: false,
+            signing: false,
+            signed: null
+        };
+    }
+
+    _load(text) {
+        let pkg;
+        try {
+            pkg = MultiSigUtils.parsePackage(text.trim());
+        } catch (err) {
+            console.log("unable to read package:", err);
+            this.setState({error: counterpart.translate("wallet.offline.invalid")});
+            return;
+        }
+
+        this.setState({loading: true, error: null});
+        openWallet(pkg.chain_id).then(() => {
+            pkg.objects.forEach(object => ChainStore._updateObject(object, false));
+            this.setState({tr: pkg.tr, text: "", loading: false, signed: null});
+        }).catch(err => {
+            console.log("unable to open wallet:", err);
+            this.setState({loading: false, error: err && err.message ? err.message : String(err)});
+        });
+    }
+
+    _onTextChange(e) {
+        this.setState({text: e.target.value});
+    }
+
+    _onImport(e) {
+        e.preventDefault();
+        this._load(this.state.text);
+    }
+
+    _onUpload(e) {
+        let file = e.target.files[0];
+        if (!file) return;
+
+        let reader = new FileReader();
+        reader.onload = evt => {
+            this._load(evt.target.result);
+        };
+        reader.readAsText(file);
+    }
+
+    _onSign() {
+        this.setState({signing: true, error: null});
+
+        MultiSigUtils.addSignaturesOffline(this.state.tr).then(keys => {
+            this.setState({signing: false, signed: keys.length});
+        }).catch(err => {
+            console.log("unable to sign transaction:", err);
+            this.setState({
+                signing: false,
+                error: err && err.message ? err.message : counterpart.translate("wallet.multisig.sign_failed")
+            });
+        });
+    }
+
+    /** There are no other pages offline, keep links of the review from navigating away */
+    _onReviewClick(e) {
+        if (e.target.closest && e.target.closest("a")) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    _renderImport() {
+        let {text, loading} = this.state;
+
+        return (
+            <form onSubmit={this._onImport.bind(this)}>
+                <label><Translate content="wallet.offline.import" /></label>
+                <textarea
+                    rows="4"
+                    value={text}
+                    placeholder={counterpart.translate("wallet.offline.paste")}
+                    onChange={this._onTextChange.bind(this)}
+                />
+                <input type="file" accept=".json" onChange={this._onUpload.bind(this)} />
+                <button className="button" type="submit" disabled={!text.trim() || loading}>
+                    <Translate content="wallet.multisig.load" />
+                </button>
+            </form>
+        );
+    }
+
+    _renderContent() {
+        let {tr, error, signing, signed} = this.state;
+
+        if (!tr) {
+            return (
+                <div>
+                    <p><Translate content="wallet.offline.explain" /></p>
+                    {error ? <p className="has-error">{error}</p> : null}
+                    {this._renderImport()}
+                </div>
+            );
+        }
+
+        let signedKeys = MultiSigUtils.getSignedKeys(tr);
+        let requiredAccounts = MultiSigUtils.getRequiredAccounts(tr);
+        let canSign = MultiSigUtils.selectSigningKeys(tr, signedKeys).length > 0;
+
+        let authorities = requiredAccounts.map(id => {
+            let account = ChainStore.getAccount(id);
+            let status = MultiSigUtils.getAuthorityStatus(account, signedKeys);
+            return status ? <AuthorityStatus key={id} account={account} status={status} /> : null;
+        });
+
+        return (
+            <div>
+                <div className="content-block">
+                    <label><Translate content="wallet.multisig.trx_id" /></label>
+                    <div>{tr.id()}</div>
+                    <label><Translate content="transaction.expiration" /></label>
+                    <div>
+                        <FormattedDate value={new Date(tr.expiration * 1000)} format="full" />
+                    </div>
+                </div>
+
+                <div className="content-block" onClickCapture={this._onReviewClick.bind(this)}>
+                    <label><Translate content="wallet.offline.review" /></label>
+                    <table className="table">
+                        <tbody>
+                            {ops.signed_transaction.toObject(tr).operations.map((op, index) => {
+                                return (
+                                    <Operation
+                                        key={index}
+                                        op={op}
+                                        hideFee={false}
+                                        hideOpLabel={false}
+                                        current={requiredAccounts[0]}
+                                    />
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    <label><Translate content="wallet.multisig.approvals" /></label>
+                    {authorities}
+                </div>
+
+                {error ? <p className="has-error">{error}</p> : null}
+                {signed === 0 ? <p><Translate content="wallet.multisig.nothing_to_sign" /></p> : null}
+
+                <div className="button-group">
+                    <button
+                        type="button"
+                        className="button"
+                        disabled={!canSign || signing}
+                        onClick={this._onSign.bind(this)}
+                    >
+                        <Translate content="wallet.multisig.sign" />
+                    </button>
+                    <div className="button outline" onClick={() => this.setState({tr: null, error: null})}>
+                        <Translate content="wallet.multisig.clear" />
+                    </div>
+                </div>
+
+                {signedKeys.length ?
+                    <div className="content-block">
+                        <TransactionExport tr={tr} label="wallet.offline.export" />
+                    </div> : null}
+            </div>
+        );
+    }
+
+    render() {
+        return (
+            <div className="grid-block vertical">
+                <div className="grid-content" style={{maxWidth: "60rem"}}>
+                    <h3><Translate content="wallet.offline.title" /></h3>
+                    {this._renderContent()}
+                </div>
+            </div>
+        );
+    }
+}
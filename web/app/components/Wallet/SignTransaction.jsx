@@ -0,0 +1,363 @@
+import React from "react";
+import Translate from "react-translate-component";
+import counterpart from "counterpart";
+import {FormattedDate} from "react-intl";
+import Transaction from "../Blockchain/Transaction";
+import LinkToAccountById from "../Blockchain/LinkToAccountById";
+import Icon from "../Icon/Icon";
+import TransactionConfirmActions from "actions/TransactionConfirmActions";
+import MultiSigUtils from "common/multisig_utils";
+import qr from "common/qr-image";
+import {saveAs} from "common/filesaver.js";
+
+export class AuthorityStatus extends React.Component {
+
+    render() {
+        let {account, status} = this.props;
+
+        return (
+            <div style={{paddingBottom: "1rem"}}>
+                <div>
+                    <LinkToAccountById subpage="permissions" account={account.get("id")} />
+                    <span className={"float-right" + (status.satisfied ? " success-text" : "")}>
+                        {status.weight} / {status.threshold}
+                    </span>
+                </div>
+                <table className="table">
+                    <tbody>
+                        {status.keys.map(key => {
+                            return (
+                                <tr key={key.key}>
+                                    <td>{key.key.substr(0, 24)}...</td>
+                                    <td>({key.weight})</td>
+                                    <td>
+                                        {key.signed ?
+                                            <Translate content="wallet.multisig.signed" /> :
+                                            key.mine ?
+                                            <Translate content="wallet.multisig.in_wallet" /> :
+                                            <Translate content="wallet.multisig.missing" />}
+                                    </td>
+                                    <td>
+                                        {key.signed ? <Icon name="checkmark-circle" size="1x" className="success"/> :
+                                                      <Icon name="cross-circle" size="1x" className="error"/>}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {status.accounts.map(auth => {
+                            return (
+                                <tr key={auth.id}>
+                                    <td><LinkToAccountById subpage="permissions" account={auth.id} /></td>
+                                    <td>({auth.weight})</td>
+                                    <td>
+                                        {auth.satisfied ?
+                                            <Translate content="wallet.multisig.approved" /> :
+                                            <Translate content="wallet.multisig.missing" />}
+                                    </td>
+                                    <td>
+                                        {auth.satisfied ? <Icon name="checkmark-circle" size="1x" className="success"/> :
+                                                          <Icon name="cross-circle" size="1x" className="error"/>}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        );
+    }
+}
+
+/** Shows a signed or partially signed transaction as base58, JSON, file or QR code */
+export class TransactionExport extends React.Component {
+
+    static defaultProps = {
+        label: "wallet.multisig.export"
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            format: "base58",
+            showQR: false
+        };
+    }
+
+    _onFormat(e) {
+        this.setState({format: e.target.value});
+    }
+
+    _onToggleQR() {
+        this.setState({showQR: !this.state.showQR});
+    }
+
+    _onDownload() {
+        let {tr} = this.props;
+        let blob = new Blob([MultiSigUtils.toJSON(tr)], {type: "application/json;charset=utf-8"});
+        saveAs(blob, "transaction-" + tr.id() + ".json");
+    }
+
+    render() {
+        let {tr, label} = this.props;
+        let {format, showQR} = this.state;
+        let base58 = MultiSigUtils.toBase58(tr);
+
+        return (
+            <div>
+                <label><Translate content={label} /></label>
+                <select value={format} className="form-control" onChange={this._onFormat.bind(this)}>
+                    <option value="base58">Base58</option>
+                    <option value="json">JSON</option>
+                </select>
+                <textarea
+                    rows="4"
+                    readOnly={true}
+                    value={format === "json" ? MultiSigUtils.toJSON(tr) : base58}
+                    onFocus={e => e.target.select()}
+                />
+                <div className="button-group">
+                    <div className="button outline" onClick={this._onDownload.bind(this)}>
+                        <Translate content="wallet.multisig.download" />
+                    </div>
+                    <div className="button outline" onClick={this._onToggleQR.bind(this)}>
+                        <Translate content={showQR ? "wallet.multisig.hide_qr" : "wallet.multisig.show_qr"} />
+                    </div>
+                    {this.props.children}
+                </div>
+                {showQR ? <div dangerouslySetInnerHTML={{__html: qr.imageSync(base58, {type: "svg"})}} /> : null}
+            </div>
+        );
+    }
+}
+
+/** Keys the node reports as able to sign a transaction, from MultiSigUtils.getSigningStatus */
+export class SignerKeys extends React.Component {
+
+    render() {
+        return (
+            <table className="table">
+                <tbody>
+                    {this.props.keys.map(key => {
+                        return (
+                            <tr key={key.key}>
+                                <td>{key.key.substr(0, 24)}...</td>
+                                <td>
+                                    {key.signed ?
+                                        <Translate content="wallet.multisig.signed" /> :
+                                        key.mine ?
+                                        <Translate content="wallet.multisig.in_wallet" /> :
+                                        <Translate content="wallet.multisig.missing" />}
+                                </td>
+                                <td>
+                                    {key.signed ? <Icon name="checkmark-circle" size="1x" className="success"/> :
+                                                  <Icon name="cross-circle" size="1x" className="error"/>}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        );
+    }
+}
+
+/**
+ *  Imports a transaction exported by another wallet (or by the "export"
+ *  button of the transaction confirmation), shows which of the keys the node
+ *  reports as signers signed it, adds the signatures of this wallet and
+ *  broadcasts it once the node finds every required authority satisfied.
+ */
+export default class SignTransaction extends React.Component {
+
+    constructor() {
+        super();
+
+        this.state = {
+            text: "",
+            tr: null,
+            error: null,
+            signing: false,
+            signed: null,
+            status: null
+        };
+    }
+
+    componentWillMount() {
+        let {trx} = this.props.location.query;
+        if (trx) {
+            this._load(trx);
+        }
+    }
+
+    componentWillReceiveProps(nextProps) {
+        let {trx} = nextProps.location.query;
+        if (trx && trx !== this.props.location.query.trx) {
+            this._load(trx);
+        }
+    }
+
+    _load(text) {
+        try {
+            let tr = MultiSigUtils.fromText(text);
+            this.setState({tr, text: "", error: null, signed: null});
+            this._fetchStatus(tr);
+        } catch (err) {
+            console.log("unable to import transaction:", err);
+            this.setState({error: counterpart.translate("wallet.multisig.invalid")});
+        }
+    }
+
+    _fetchStatus(tr) {
+        this.setState({status: null});
+        MultiSigUtils.getSigningStatus(tr).then(status => {
+            if (tr === this.state.tr) this.setState({status});
+        }).catch(err => {
+            console.log("unable to fetch the signers:", err);
+        });
+    }
+
+    _onTextChange(e) {
+        this.setState({text: e.target.value});
+    }
+
+    _onImport(e) {
+        e.preventDefault();
+        this._load(this.state.text);
+    }
+
+    _onUpload(e) {
+        let file = e.target.files[0];
+        if (!file) return;
+
+        let reader = new FileReader();
+        reader.onload = evt => {
+            this._load(evt.target.result);
+        };
+        reader.readAsText(file);
+    }
+
+    _onSign() {
+        this.setState({signing: true, error: null});
+
+        MultiSigUtils.addSignatures(this.state.tr).then(keys => {
+            this.setState({signing: false, signed: keys.length});
+            this._fetchStatus(this.state.tr);
+        }).catch(err => {
+            console.log("unable to sign transaction:", err);
+            this.setState({
+                signing: false,
+                error: err && err.message ? err.message : counterpart.translate("wallet.multisig.sign_failed")
+            });
+        });
+    }
+
+    _onBroadcast() {
+        TransactionConfirmActions.confirm(this.state.tr);
+    }
+
+    _onDownloadPackage() {
+        let {tr} = this.state;
+        MultiSigUtils.toOfflinePackage(tr).then(text => {
+            let blob = new Blob([text], {type: "application/json;charset=utf-8"});
+            saveAs(blob, "offline-" + tr.id() + ".json");
+        }).catch(err => {
+            console.log("unable to export offline package:", err);
+            this.setState({error: counterpart.translate("wallet.multisig.package_failed")});
+        });
+    }
+
+    _renderImport() {
+        return (
+            <form onSubmit={this._onImport.bind(this)}>
+                <label><Translate content="wallet.multisig.import" /></label>
+                <textarea
+                    rows="4"
+                    value={this.state.text}
+                    placeholder={counterpart.translate("wallet.multisig.paste")}
+                    onChange={this._onTextChange.bind(this)}
+                />
+                <input type="file" accept=".json,.txt" onChange={this._onUpload.bind(this)} />
+                <button className="button" type="submit" disabled={!this.state.text.trim()}>
+                    <Translate content="wallet.multisig.load" />
+                </button>
+            </form>
+        );
+    }
+
+    render() {
+        let {tr, error, signing, signed, status} = this.state;
+
+        if (!tr) {
+            return (
+                <div>
+                    <p><Translate content="wallet.multisig.explain" /></p>
+                    {error ? <p className="has-error">{error}</p> : null}
+                    {this._renderImport()}
+                </div>
+            );
+        }
+
+        let expired = MultiSigUtils.isExpired(tr);
+        let loading = !status;
+        let complete = !loading && status.complete;
+        let canSign = !loading && !complete && status.keys.some(key => key.mine && !key.signed);
+
+        return (
+            <div>
+                <div className="content-block">
+                    <label><Translate content="wallet.multisig.trx_id" /></label>
+                    <div>{tr.id()}</div>
+                    <label><Translate content="transaction.expiration" /></label>
+                    <div className={expired ? "has-error" : ""}>
+                        <FormattedDate value={new Date(tr.expiration * 1000)} format="full" />
+                        {expired ? <span> - <Translate content="wallet.multisig.expired" /></span> : null}
+                    </div>
+                </div>
+
+                <Transaction trx={tr.serialize()} index={0} no_links={true} />
+
+                <div className="content-block">
+                    <label><Translate content="wallet.multisig.approvals" /></label>
+                    {loading ? null :
+                        <div>
+                            <SignerKeys keys={status.keys} />
+                            <Translate component="p" content={complete ? "wallet.multisig.complete" : "wallet.multisig.incomplete"} />
+                        </div>}
+                </div>
+
+                {error ? <p className="has-error">{error}</p> : null}
+                {signed === 0 ? <p><Translate content="wallet.multisig.nothing_to_sign" /></p> : null}
+
+                <div className="button-group">
+                    <button
+                        type="button"
+                        className="button"
+                        disabled={!canSign || signing || expired || loading}
+                        onClick={this._onSign.bind(this)}
+                    >
+                        <Translate content="wallet.multisig.sign" />
+                    </button>
+                    <button
+                        type="button"
+                        className="button"
+                        disabled={!complete || expired || loading}
+                        onClick={this._onBroadcast.bind(this)}
+                    >
+                        <Translate content="wallet.multisig.broadcast" />
+                    </button>
+                    <div className="button outline" onClick={() => this.setState({tr: null, error: null, status: null})}>
+                        <Translate content="wallet.multisig.clear" />
+                    </div>
+                </div>
+
+                <div className="content-block">
+                    <TransactionExport tr={tr}>
+                        <div className="button outline" onClick={this._onDownloadPackage.bind(this)}>
+                            <Translate content="wallet.multisig.download_offline" />
+                        </div>
+                    </TransactionExport>
+                </div>
+            </div>
+        );
+    }
+}
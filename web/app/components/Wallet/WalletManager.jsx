@@ -56,6 +56,10 @@ export default class WalletManager extends WalletBaseComponent {
                 return "wallet.import_keys";
                 break;
 
+            case "/wallet/sign-transaction":
+                return "wallet.sign_transaction";
+                break;
+
 
             default:
                 return "wallet.console";
@@ -149,6 +153,21 @@ export class WalletOptions extends WalletBaseComponent {
                     </div>
                 </div>:null}
 
+                {has_wallet ? <div className="grid-content">
+                    <div className="card">
+                        <div className="card-content">
+                            <label><Translate content="wallet.multisig_tool" /></label>
+                            <div style={{visibility: "hidden"}}>Dummy</div>
+                            <br/>
+                            <Link to="wallet/sign-transaction">
+                                <div className="button outline success">
+                                    <Translate content="wallet.sign_transaction" />
+                                </div>
+                            </Link>
+                        </div>
+                    </div>
+                </div>:null}
+
             </div>
 
             {has_wallet ? <Link to="wallet/backup/create">
@@ -0,0 +1,4 @@
+module.exports = require("./webpack.config")({
+  prod: true,
+  offline: true
+});
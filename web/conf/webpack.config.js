@@ -41,9 +41,10 @@ module.exports = function(options) {
         scssLoaders = extractForProduction(scssLoaders);
 
         // PROD PLUGINS
-        plugins.push(new Clean(cleanDirectories, {root: root_dir}));
+        // The offline build is written next to the regular one, it shares its wallet database
+        if (!options.offline) plugins.push(new Clean(cleanDirectories, {root: root_dir}));
         plugins.push(new webpack.DefinePlugin({'process.env': {NODE_ENV: JSON.stringify('production')}}));
-        plugins.push(new ExtractTextPlugin("app.css"));
+        plugins.push(new ExtractTextPlugin(options.offline ? "offline.css" : "app.css"));
         if (!options.noUgly) {
             plugins.push(new webpack.optimize.UglifyJsPlugin({
                 minimize: true,
@@ -72,7 +73,7 @@ module.exports = function(options) {
     var config = {
         entry: {
             app: options.prod ?
-            path.resolve(root_dir, "app/Main.js") :
+            path.resolve(root_dir, options.offline ? "app/Main-offline.js" : "app/Main.js") :
             [
                 "webpack-dev-server/client?http://localhost:8080",
                 "webpack/hot/only-dev-server",
@@ -81,7 +82,7 @@ module.exports = function(options) {
         },
         output: {
             path: outputPath,
-            filename: "app.js",
+            filename: options.offline ? "offline.js" : "app.js",
             pathinfo: !options.prod,
             sourceMapFilename: "[name].js.map"
         },